@@ -0,0 +1,214 @@
+const crypto = require('crypto')
+const errors = require('restify-errors')
+
+const auth = require('./auth')
+const audit = require('../services/audit')
+const checkSubscription = require('../services/check-subscription')
+const db = require('../services/db')
+const endpoint = require('../services/endpoint')
+
+const messages = {
+  missing: 'API key does not exist',
+  create: 'API key created, save it now since it cannot be shown again',
+  revoke: 'API key revoked'
+}
+
+const apiKey = module.exports
+
+// Beginning of every key, so that keys are easy to recognize, such as when one is accidentally committed
+const keyPrefix = 'spk_'
+
+// Number of characters at the start of a key that are kept to tell keys apart
+const prefixLength = 12
+
+const handleError = (err, next, req) => {
+  if (err instanceof errors.HttpError) {
+    return next(err)
+  }
+  return endpoint.handleError(err, messages, next, req)
+}
+
+// Add the scopes of each key
+apiKey.addScopes = (apiKeys, trx = db) => {
+  return trx('apiKeyScope')
+    .whereIn('apiKeyID', apiKeys.map(row => row.apiKeyID))
+    .orderBy('permission')
+    .then(scopes => apiKeys.map(row => Object.assign(row, {
+      scopes: scopes.filter(scope => scope.apiKeyID === row.apiKeyID).map(scope => scope.permission)
+    })))
+}
+
+// Check that each scope is a permission that the user creating the key has, so that keys cannot grant more
+const checkScopes = (req, scopes) => {
+  if (!Array.isArray(scopes)) {
+    return Promise.reject(new errors.BadRequestError('Scopes must be a list of permission names'))
+  }
+
+  return auth.checkGrantable(req.user, scopes, 'API key')
+}
+
+// Get the keys of the organization that have not been revoked
+apiKey.getAll = (req, res, next) => {
+  return db('apiKey')
+    .where('apiKey.organizationID', req.user.organizationID)
+    .whereNull('apiKey.revoked')
+    .leftJoin('user', 'apiKey.createdBy', 'user.userID')
+    .select('apiKey.apiKeyID', 'apiKey.name', 'apiKey.prefix', 'apiKey.createdBy', 'apiKey.created',
+      'apiKey.lastUsed', 'user.firstName as createdByFirstName', 'user.lastName as createdByLastName')
+    .orderBy('apiKey.created', 'desc')
+    .then(apiKeys => apiKey.addScopes(apiKeys))
+    .then(results => {
+      res.send({results})
+      return next()
+    })
+    .catch(err => handleError(err, next, req))
+}
+
+// Create a key, which is only ever sent in this response
+apiKey.create = (req, res, next) => {
+  if (!req.body.name) {
+    return next(new errors.BadRequestError('Missing name'))
+  }
+
+  const scopes = [...new Set(req.body.scopes || [])]
+  const key = keyPrefix + crypto.randomBytes(24).toString('hex')
+  const row = {
+    organizationID: req.user.organizationID,
+    name: req.body.name,
+    prefix: key.slice(0, prefixLength),
+    keyHash: auth.hashToken(key),
+    createdBy: req.user.userID,
+    created: db.formatDate()
+  }
+
+  return checkScopes(req, req.body.scopes || [])
+    .then(() => db.transaction(trx => {
+      return trx('apiKey').insert(row)
+        .tap(([apiKeyID]) => scopes.length &&
+          trx('apiKeyScope').insert(scopes.map(permission => ({apiKeyID, permission}))))
+    }))
+    .then(([apiKeyID]) => {
+      row.apiKeyID = apiKeyID
+      return audit.record(req, 'create', 'apiKey', apiKeyID, undefined, {name: row.name, scopes})
+    })
+    .then(() => {
+      res.send(201, {
+        message: messages.create,
+        apiKeyID: row.apiKeyID,
+        name: row.name,
+        prefix: row.prefix,
+        scopes,
+        created: row.created,
+        key
+      })
+      return next()
+    })
+    .catch(err => handleError(err, next, req))
+}
+
+// Stop a key from working; revoked keys are kept so that the audit log can still name them
+apiKey.revoke = (req, res, next) => {
+  const revoked = db.formatDate()
+  return db('apiKey')
+    .where({apiKeyID: req.params.apiKeyID, organizationID: req.user.organizationID})
+    .whereNull('revoked')
+    .update({revoked})
+    .then(rowsAffected => {
+      if (rowsAffected === 0) {
+        throw new errors.NotFoundError(messages.missing)
+      }
+      return audit.record(req, 'update', 'apiKey', req.params.apiKeyID, {revoked: null}, {revoked})
+    })
+    .then(() => {
+      res.send({message: messages.revoke, id: req.params.apiKeyID})
+      return next()
+    })
+    .catch(err => handleError(err, next, req))
+}
+
+apiKey.mount = app => {
+  /**
+   * @api {get} /api-key Get API keys
+   * @apiName GetApiKeys
+   * @apiGroup ApiKey
+   * @apiPermission apiKey:manage
+   * @apiVersion 3.0.0
+   *
+   * @apiDescription API keys let integrations, such as a kiosk or a reporting
+   *   script, use the API without signing in as a person. Send a key in the
+   *   `X-API-Key` header instead of the `Authorization` header. A key can get
+   *   all of the organization's data, but can only change data that its
+   *   `scopes` allow, which are permissions like the permissions of a role.
+   *   Keys are not shown again after they are created; `prefix` is the start of
+   *   the key, to tell keys apart. Revoked keys are not included.
+   *
+   * @apiExample {json} Response Format
+   * {
+   *   "results": [
+   *     {
+   *       "apiKeyID": 0,
+   *       "name": "Kiosk",
+   *       "prefix": "spk_3f9a2c1b",
+   *       "scopes": [
+   *         "rental:create",
+   *         "rental:create-for-others",
+   *         "rental:update"
+   *       ],
+   *       "createdBy": 0,
+   *       "createdByFirstName": "",
+   *       "createdByLastName": "",
+   *       "created": "2017-02-22T05:00:00.000Z",
+   *       "lastUsed": "2017-02-23T05:00:00.000Z"
+   *     }
+   *   ]
+   * }
+   */
+  app.get({name: 'get api keys', path: 'api-key'}, auth.verify, auth.checkPermission('apiKey:manage'),
+    apiKey.getAll)
+  /**
+   * @api {put} /api-key Create an API key
+   * @apiName CreateApiKey
+   * @apiGroup ApiKey
+   * @apiPermission apiKey:manage
+   * @apiVersion 3.0.0
+   *
+   * @apiDescription The key is only included in this response, so save it
+   *   somewhere safe. A key can only be given permissions that the user
+   *   creating it has. Rentals created with a key must include a `userID`.
+   *
+   * @apiParam {String{0...255}} name Name of key, describing what uses it
+   * @apiParam {String[]} [scopes] Names of permissions of key
+   *
+   * @apiExample {json} Response Format
+   * {
+   *   "message": "API key created, save it now since it cannot be shown again",
+   *   "apiKeyID": 0,
+   *   "name": "Kiosk",
+   *   "prefix": "spk_3f9a2c1b",
+   *   "scopes": ["rental:create", "rental:create-for-others"],
+   *   "created": "2017-02-22 05:00:00",
+   *   "key": "spk_3f9a2c1b0e8d7c6b5a4f3e2d1c0b9a8f7e6d5c4b3a2f1e0d"
+   * }
+   *
+   * @apiUse InvalidSubscriptionResponse
+   */
+  app.put({name: 'create api key', path: 'api-key'}, auth.verify, auth.checkPermission('apiKey:manage'),
+    checkSubscription, apiKey.create)
+  /**
+   * @api {delete} /api-key/:apiKeyID Revoke an API key
+   * @apiName RevokeApiKey
+   * @apiGroup ApiKey
+   * @apiPermission apiKey:manage
+   * @apiVersion 3.0.0
+   *
+   * @apiDescription The key stops working immediately.
+   *
+   * @apiExample {json} Response Format
+   * {
+   *   "message": "API key revoked",
+   *   "id": 0
+   * }
+   */
+  app.del({name: 'revoke api key', path: 'api-key/:apiKeyID'}, auth.verify, auth.checkPermission('apiKey:manage'),
+    apiKey.revoke)
+}
@@ -0,0 +1,131 @@
+const auth = require('./auth')
+const endpoint = require('../services/endpoint')
+const filterQuery = require('../services/filter-query')
+const paginate = require('../services/paginate')
+
+const audit = module.exports
+
+audit.withUserAndFilters = (req, queryBuilder) => {
+  // Mapping between query param fields and database query column names
+  const filterParams = new Map()
+  filterParams.set('entity', 'audit.entity')
+  filterParams.set('key', 'audit.key')
+  filterParams.set('action', 'audit.action')
+  filterParams.set('userID', 'audit.userID')
+  filterParams.set('apiKeyID', 'audit.apiKeyID')
+
+  queryBuilder
+    .select('audit.*')
+
+  // User
+    .leftJoin('user', 'audit.userID', 'user.userID')
+    .select('user.firstName', 'user.lastName', 'user.email')
+
+  // API key, for changes made with one instead of by a user
+    .leftJoin('apiKey', 'audit.apiKeyID', 'apiKey.apiKeyID')
+    .select('apiKey.name as apiKeyName')
+
+  // Add filters to query
+    .modify(filterQuery, req, filterParams)
+
+  // Add pagination
+    .modify(paginate.paginateQuery, req, 'audit')
+
+  // Limit to a period of time
+  if (req.params.since) {
+    queryBuilder.where('audit.created', '>=', req.params.since)
+  }
+  if (req.params.until) {
+    queryBuilder.where('audit.created', '<=', req.params.until)
+  }
+
+  return queryBuilder
+}
+
+// Override `res.send` to parse changes, which are stored as JSON
+const parseSend = (res) => {
+  const originalSend = res.send
+  return function send (code, body, headers) {
+    let actualBody = body
+
+    // Get body if passed as first parameter
+    if (typeof code === 'object') {
+      actualBody = code
+    }
+
+    for (const result of actualBody.results || []) {
+      result.before = JSON.parse(result.before)
+      result.after = JSON.parse(result.after)
+    }
+
+    return originalSend.call(res, code, body, headers)
+  }
+}
+
+audit.getAll = (req, res, next) => {
+  res.send = parseSend(res)
+  return endpoint.getAll('audit', {
+    modify: audit.withUserAndFilters,
+    sortBy: [{column: 'audit.created', ascending: false}, {column: 'audit.auditID', ascending: false}]
+  })(req, res, next)
+}
+
+audit.mount = app => {
+  /**
+   * @api {get} /audit Get audit log
+   * @apiName GetAudit
+   * @apiGroup Audit
+   * @apiPermission audit:read
+   * @apiVersion 3.0.0
+   *
+   * @apiDescription Every change to the organization's data is recorded in the
+   *   audit log, newest first. `entity` is the kind of thing that was changed,
+   *   such as `item` or `rental`, and `key` identifies it, such as an item's
+   *   barcode. `before` and `after` are the values of the changed properties
+   *   before and after the change, and are `null` when something was created or
+   *   deleted, respectively. Changes made with an API key have an `apiKeyID`
+   *   and `apiKeyName` instead of a user.
+   *
+   * @apiParam (Filter) {String} [entity] Return changes to only this kind of
+   *   entity
+   * @apiParam (Filter) {String} [key] Return changes to only the entity with
+   *   this key
+   * @apiParam (Filter) {String="create","update","delete","restore"} [action]
+   *   Return only this kind of change
+   * @apiParam (Filter) {Number} [userID] Return changes made by only this user
+   * @apiParam (Filter) {Number} [apiKeyID] Return changes made with only this
+   *   API key
+   * @apiParam (Filter) {String} [since] Return changes made at or after this
+   *   time (YYYY-MM-DD HH:mm:ss)
+   * @apiParam (Filter) {String} [until] Return changes made at or before this
+   *   time (YYYY-MM-DD HH:mm:ss)
+   * @apiParamExample Changes to an item
+   * /audit?entity=item&key=0000
+   *
+   * @apiUse Pagination
+   *
+   * @apiExample {json} Response Format
+   * {
+   *   "results": [
+   *     {
+   *       "auditID": 0,
+   *       "organizationID": 0,
+   *       "userID": 0,
+   *       "apiKeyID": null,
+   *       "action": "update",
+   *       "entity": "item",
+   *       "key": "0000",
+   *       "before": {"notes": "Old notes"},
+   *       "after": {"notes": "New notes"},
+   *       "created": "2017-02-22T05:00:00.000Z",
+   *       "firstName": "",
+   *       "lastName": "",
+   *       "email": "",
+   *       "apiKeyName": null,
+   *       "sortIndex": 0
+   *     }
+   *   ]
+   * }
+   */
+  app.get({name: 'get audit log', path: 'audit'}, auth.verify, auth.checkPermission('audit:read'), audit.getAll)
+}
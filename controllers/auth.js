@@ -1,11 +1,17 @@
 const bcrypt = require('bcrypt')
 const crypto = require('crypto')
 const jwt = require('jsonwebtoken')
+const moment = require('moment')
 const passport = require('passport')
 const passportJWT = require('passport-jwt')
 const errors = require('restify-errors')
 
 const db = require('../services/db')
+const email = require('../services/email')
+const endpoint = require('../services/endpoint')
+const quota = require('../services/quota')
+const session = require('../services/session')
+const subscriptionPolicy = require('../services/subscription-policy')
 const userController = require('./user')
 
 const jwtStrategyOptions = {
@@ -13,14 +19,26 @@ const jwtStrategyOptions = {
   secretOrKey: process.env.JWT_SECRET
 }
 
-// Create a token
-const makeToken = module.exports.makeToken = (userID, organizationID, roleID) => {
-  const payload = {userID, organizationID, roleID}
-  return jwt.sign(payload, process.env.JWT_SECRET)
+// Header that API keys are sent in, lowercase since Node lowercases header names
+const apiKeyHeader = module.exports.apiKeyHeader = 'x-api-key'
+
+// How long an access token is valid for, in a format understood by `jsonwebtoken`
+const accessTokenLifetime = '15m'
+
+// Create a token, with a unique ID so that it can be revoked
+const makeToken = module.exports.makeToken = (userID, organizationID, roleID, sessionID) => {
+  const payload = {userID, organizationID, roleID, sessionID}
+  return jwt.sign(payload, process.env.JWT_SECRET, {
+    expiresIn: accessTokenLifetime,
+    jwtid: crypto.randomBytes(16).toString('hex')
+  })
 }
 
 const auth = module.exports
 
+// Number of hours that a password reset token is valid for
+const resetTokenLifetime = 1
+
 /**
  * Hash password
  * @param {string} password Plaintext password
@@ -31,6 +49,17 @@ auth.hashPassword = (password) => {
   return bcrypt.hash(password, saltRounds)
 }
 
+/**
+ * Hash a random token for storage; unlike passwords, tokens have enough entropy
+ * that a fast hash is sufficient, and a deterministic hash allows looking up
+ * the stored token
+ * @param {string} token Plaintext token
+ * @return {string} Hex-encoded SHA-256 hash of token
+ */
+auth.hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex')
+}
+
 auth.mount = app => {
   /**
    * @api {post} /auth Authenticate a user
@@ -41,15 +70,17 @@ auth.mount = app => {
    * @apiDescription Log a user in and receive an access token to use in further
    *   requests (`token` in the response). Provides a `refreshToken` to use to
    *   get a new access token when the current token expires (with endpoint
-   *   *Refresh*). The access token will expire after fifteen minutes, but the
-   *   refresh token never expires. However, a new refresh token will be
-   *   provided each time the user uses this endpoint and the old refresh
-   *   token will stop working.
+   *   *Refresh*). The access token will expire after fifteen minutes. Each time
+   *   the user uses this endpoint, a new session starts for the device, so
+   *   signing in on one device does not sign the user out of the others (see
+   *   *GetUserSessions*). A session ends if its refresh token is not used for
+   *   thirty days.
    *
    * @apiParam {String} email User's email
    * @apiParam {String} password User's password
    *
    * @apiSuccess (200) {Number} id ID of user
+   * @apiSuccess (200) {Number} sessionID ID of the new session
    * @apiSuccess (200) {String} token Authorization token for use in requests,
    *   expires in fifteen minutes
    * @apiSuccess (200) {String} refreshToken Refresh token used for getting a
@@ -64,31 +95,65 @@ auth.mount = app => {
    * @apiVersion 3.0.0
    *
    * @apiDescription When an access token expires, it is necessary to get a
-   *   new access token in order to continue making requests.
+   *   new access token in order to continue making requests. Each refresh
+   *   token can only be used once: the response contains a new refresh token
+   *   to use next time. Using a refresh token that was already used ends its
+   *   session, since it means that someone else may have a copy of it.
    *
    * @apiParam {String} refreshToken Refresh token
-   * @apiParam {Number} userID ID of user (can be decoded from token)
+   * @apiParam {Number} [userID] ID of user (no longer needed)
    *
    * @apiSuccess (200) {String} token Authorization token for use in requests
+   * @apiSuccess (200) {String} refreshToken Refresh token to use for the next
+   *   refresh
    * @apiSuccess (200) {String} message Descriptive message
+   * @apiError 401 Refresh token is invalid, expired, or was already used
    */
   app.post({name: 'refresh', path: 'auth/refresh'}, auth.refresh)
+  /**
+   * @api {post} /auth/logout Log out
+   * @apiName Logout
+   * @apiGroup Authentication
+   * @apiPermission User
+   * @apiVersion 3.0.0
+   *
+   * @apiDescription End the session that the access token belongs to. Both the
+   *   access token and the refresh token of the session stop working
+   *   immediately. Other devices that the user is signed in on are not
+   *   affected; use *RevokeUserSessions* to sign a user out everywhere.
+   *
+   * @apiSuccess (200) {String} message Descriptive message
+   */
+  app.post({name: 'logout', path: 'auth/logout'}, auth.verify, auth.logout)
   /**
    * @api {post} /auth/register Register a user
    * @apiName Register
    * @apiGroup Authentication
    * @apiVersion 3.0.0
    *
-   * @apiDescription See the guide on authentication at the top of these docs
-   *   for an explanation of the registration and authentication process.
+   * @apiDeprecated Users can no longer register themselves with an
+   *   `organizationID`. Users join an organization by invitation instead (see
+   *   *InviteUser* and *AcceptInvitation*). This endpoint always responds with
+   *   `410 Gone`.
+   */
+  app.post({name: 'register', path: 'auth/register'}, auth.register)
+  /**
+   * @api {post} /auth/accept-invite Accept an invitation
+   * @apiName AcceptInvitation
+   * @apiGroup Authentication
+   * @apiVersion 3.0.0
    *
-   * @apiParam {String} email Email address
+   * @apiDescription Create an account using the token from an invitation email
+   *   (see *InviteUser*). The user joins the organization that invited them,
+   *   with the role chosen in the invitation and the email address that the
+   *   invitation was sent to. The token stops working once it has been used.
+   *   See the guide on authentication at the top of these docs for how to
+   *   authenticate afterwards.
+   *
+   * @apiParam {String} token Invitation token
    * @apiParam {String} password Password
    * @apiParam {String} firstName First name
    * @apiParam {String} lastName Last name
-   * @apiParam {Number} organizationID ID of organization that user belongs to
-   * @apiParam {Number} [roleID=2] Role, defaults to "Member"
-   * @apiParam {String} [archived] Date user was archived (YYYY-MM-DD)
    *
    * @apiExample {json} Response Format
    * {
@@ -99,8 +164,10 @@ auth.mount = app => {
    *   "role": "",
    *   "userID": 0
    * }
+   * @apiError 400 Token is invalid, expired, revoked, or already used
+   * @apiUse QuotaResponse
    */
-  app.post({name: 'register', path: 'auth/register'}, auth.register)
+  app.post({name: 'accept invitation', path: 'auth/accept-invite'}, auth.acceptInvite)
   /**
    * @api {head} /auth/verify Verify authentication
    * @apiName Verify
@@ -119,6 +186,39 @@ auth.mount = app => {
    */
   app.head({name: 'verify', path: 'auth/verify'},
     auth.verify, auth.checkUserExists)
+  /**
+   * @api {post} /auth/forgot-password Request a password reset
+   * @apiName ForgotPassword
+   * @apiGroup Authentication
+   * @apiVersion 3.0.0
+   *
+   * @apiDescription Sends an email to the user containing a link to reset their
+   *   password. The link contains a single-use token that expires after one
+   *   hour. To prevent discovering which email addresses have accounts, the
+   *   response is the same whether or not a user with the email address exists.
+   *
+   * @apiParam {String} email Email address of user
+   *
+   * @apiSuccess (200) {String} message Descriptive message
+   */
+  app.post({name: 'forgot password', path: 'auth/forgot-password'}, auth.forgotPassword)
+  /**
+   * @api {post} /auth/reset-password Reset password
+   * @apiName ResetPassword
+   * @apiGroup Authentication
+   * @apiVersion 3.0.0
+   *
+   * @apiDescription Set a new password using the token from a password reset
+   *   email (see *ForgotPassword*). The token stops working once it has been
+   *   used. Resetting a password signs the user out of every device.
+   *
+   * @apiParam {String} token Password reset token
+   * @apiParam {String} password New password
+   *
+   * @apiSuccess (200) {String} message Descriptive message
+   * @apiError 400 Token is invalid, expired, or already used
+   */
+  app.post({name: 'reset password', path: 'auth/reset-password'}, auth.resetPassword)
 }
 
 // Check user credentials and return token if valid
@@ -134,27 +234,16 @@ auth.authenticate = (req, res, next) => {
       })
       .then(([user, valid]) => {
         if (valid === true) {
-          const token = makeToken(user.userID, user.organizationID, user.roleID)
-          const refreshToken = user.userID +
-            crypto.randomBytes(40).toString('hex')
-
-          // Save refresh token for later validation
-          return db('refreshToken').where('userID', user.userID).first()
-            .then(refreshTokenRow => {
-              if (!refreshTokenRow) {
-                return db.create('refreshToken',
-                  'userID',
-                  {userID: user.userID, refreshToken})
-              } else {
-                return db.update('refreshToken', 'userID', user.userID,
-                  {refreshToken})
-              }
-            })
-            .then(() => {
+          const refreshToken = crypto.randomBytes(40).toString('hex')
+
+          // Save only a hash of the refresh token for later validation
+          return session.create(user.userID, auth.hashToken(refreshToken), req)
+            .then(sessionID => {
               res.send({
                 id: user.userID,
+                sessionID,
                 refreshToken,
-                token,
+                token: makeToken(user.userID, user.organizationID, user.roleID, sessionID),
                 message: 'Authentication successful'
               })
               return next()
@@ -176,66 +265,332 @@ auth.authenticate = (req, res, next) => {
 // Initialize Passport middleware
 module.exports.initialize = passport.initialize()
 
-// Provide a new access token given a valid refresh token
+// Provide a new access token and refresh token given a valid refresh token
 auth.refresh = (req, res, next) => {
-  if (req.body.refreshToken && req.body.userID) {
-    return db('refreshToken')
-      .where('userID', req.body.userID)
-      .first()
-      .pluck('refreshToken') // Get just the refresh token column
-      .then(([storedToken]) => {
-        if (req.body.refreshToken === storedToken) {
-          return db('user').where('userID', req.body.userID).first()
-            .then(user => {
-              const token = makeToken(user.userID, user.organizationID,
-                user.roleID)
-              res.send({token, message: 'Token refreshed successfully'})
-              return next()
-            })
+  if (req.body.refreshToken) {
+    const invalid = () => new errors.UnauthorizedError('Refresh token is invalid')
+    const refreshToken = crypto.randomBytes(40).toString('hex')
+    let current
+
+    return session.findByToken(auth.hashToken(req.body.refreshToken))
+      .then(({session: found, reusedSession}) => {
+        if (reusedSession) {
+          // Either the user or someone who stole the token used it after it was replaced, so end the session
+          req.log.warn({sessionID: reusedSession.sessionID, userID: reusedSession.userID},
+            'refresh token reused, revoking session')
+          return session.revoke({sessionID: reusedSession.sessionID})
+            .then(() => { throw invalid() })
+        }
+        if (!found || found.revoked || moment.utc(found.expires).isBefore(moment.utc())) {
+          throw invalid()
+        }
+
+        current = found
+        return session.rotate(current, auth.hashToken(refreshToken))
+      })
+      .then(rotated => {
+        if (!rotated) {
+          throw invalid()
+        }
+        return db('user').where('userID', current.userID).first()
+      })
+      .then(user => {
+        // Archived and deleted users cannot refresh
+        if (!user || user.archived) {
+          throw invalid()
+        }
+
+        res.send({
+          token: makeToken(user.userID, user.organizationID, user.roleID, current.sessionID),
+          refreshToken,
+          message: 'Token refreshed successfully'
+        })
+        return next()
+      })
+      .catch(err => {
+        if (err instanceof errors.HttpError) {
+          return next(err)
         } else {
-          return next(new errors.UnauthorizedError('Refresh token is invalid'))
+          return endpoint.handleError(err, {}, next, req)
         }
       })
   } else {
-    return next(new errors.BadRequestError(
-      'Request must contain refresh token and user ID'))
+    return next(new errors.BadRequestError('Request must contain refresh token'))
   }
 }
 
-// Register a user
+// End the current session and revoke the access token that the request was made with
+auth.logout = (req, res, next) => {
+  if (req.user.apiKeyID) {
+    return next(new errors.BadRequestError('API keys do not have sessions, revoke the API key instead'))
+  }
+
+  const payload = jwt.decode(jwtStrategyOptions.jwtFromRequest(req))
+  return Promise.all([
+    session.revoke({sessionID: payload.sessionID, userID: req.user.userID}),
+    session.revokeAccessToken(payload.jti, payload.exp)
+  ])
+    .then(() => {
+      res.send({message: 'Logged out successfully'})
+      return next()
+    })
+    .catch(err => endpoint.handleError(err, {}, next, req))
+}
+
+// Registering with any organization ID let anyone join any organization, so users are invited instead
 auth.register = (req, res, next) => {
-  const required = [
-    'firstName', 'lastName', 'email', 'password', 'organizationID'
-  ]
-  const bodyKeys = Object.keys(req.body)
-  // Check request body contains all required keys
-  if (required.every(key => bodyKeys.includes(key))) {
-    return auth.hashPassword(req.body.password)
-      .then(hash => {
-        req.body.password = hash
-        return db.create('user', 'userID', req.body, {
-          resModify: userController.removePasswordAddRole.bind(null, req)
+  return next(new errors.GoneError('Registration is by invitation only, accept an invitation instead'))
+}
+
+// Create a user from an invitation
+auth.acceptInvite = (req, res, next) => {
+  const required = ['token', 'firstName', 'lastName', 'password']
+  if (!required.every(key => req.body[key])) {
+    return next(new errors.BadRequestError(`Missing ${required.filter(key => !req.body[key]).join(', ')}`))
+  }
+
+  const invalid = () => new errors.BadRequestError('Invitation is invalid or has expired')
+  const now = db.formatDate()
+  return db('invitation')
+    .where('tokenHash', auth.hashToken(req.body.token))
+    .whereNull('accepted')
+    .whereNull('revoked')
+    .where('expires', '>', now)
+    .first()
+    .then(invitation => {
+      if (!invitation) {
+        throw invalid()
+      }
+
+      return Promise.all([invitation, auth.hashPassword(req.body.password)])
+    })
+    .then(([invitation, hash]) => db.transaction(trx => {
+      // Mark invitation as accepted; checking `accepted` again prevents two simultaneous requests from both succeeding
+      return trx('invitation')
+        .where('invitationID', invitation.invitationID)
+        .whereNull('accepted')
+        .whereNull('revoked')
+        .update({accepted: now})
+        .then(rowsAffected => {
+          if (rowsAffected === 0) {
+            throw invalid()
+          }
+          return quota.check(invitation.organizationID, 'users', 1, trx)
+        })
+        .then(() => {
+          return trx('user').insert({
+            firstName: req.body.firstName,
+            lastName: req.body.lastName,
+            email: invitation.email,
+            password: hash,
+            organizationID: invitation.organizationID,
+            roleID: invitation.roleID
+          })
         })
+        .then(([userID]) => userController.removePasswordAddRole(req, trx('user').where('user.userID', userID))
+          .first())
+    }))
+    .then(user => {
+      res.send(201, user)
+      return next()
+    })
+    .catch(err => {
+      if (err instanceof errors.HttpError) {
+        return next(err)
+      } else {
+        return endpoint.handleError(err, {conflict: 'A user with this email address already exists'}, next, req)
+      }
+    })
+}
+
+// Email a password reset link to a user
+auth.forgotPassword = (req, res, next) => {
+  if (req.body.email) {
+    const sendResponse = () => {
+      res.send({message: 'If an account with this email exists, a password reset email has been sent'})
+      return next()
+    }
+
+    return db.get('user', 'email', req.body.email)
+      .then(user => {
+        const token = crypto.randomBytes(32).toString('hex')
+        const expires = db.formatDate(moment().add(resetTokenLifetime, 'hours'))
+
+        // Save only a hash of the token so that a leaked database cannot be used to reset passwords
+        return db('passwordResetToken')
+          .insert({userID: user.userID, tokenHash: auth.hashToken(token), expires})
+          .then(() => email.send(user.email, 'Reset your Stockpile password', {
+            title: 'Reset your password',
+            body: `Hi ${user.firstName},\n\nSomeone asked to reset the password for your Stockpile account. If ` +
+              'it was you, use the button below to choose a new password. The link expires in one hour.\n\n' +
+              'If you did not ask to reset your password, you can ignore this email.',
+            cta: 'Reset Password',
+            link: `${process.env.APP_URL}reset-password?token=${token}`
+          }))
+      })
+      .then(sendResponse)
+      .catch(err => {
+        // Respond the same way when no user has this email so that accounts cannot be discovered
+        if (err.code === 'ER_NOT_FOUND') {
+          return sendResponse()
+        } else {
+          return endpoint.handleError(err, {}, next, req)
+        }
       })
-      .then(user => { res.send(201, user) })
-      .then(next)
-      .catch(console.error)
   } else {
-    return next(new errors.BadRequestError())
+    return next(new errors.BadRequestError('Missing email'))
   }
 }
 
-// Authenticate a user given a JWT payload
+// Set a new password using a password reset token
+auth.resetPassword = (req, res, next) => {
+  if (req.body.token && req.body.password) {
+    const now = db.formatDate()
+    return db('passwordResetToken')
+      .where('tokenHash', auth.hashToken(req.body.token))
+      .whereNull('used')
+      .where('expires', '>', now)
+      .first()
+      .then(resetToken => {
+        if (!resetToken) {
+          throw new errors.BadRequestError('Password reset token is invalid or has expired')
+        }
+
+        return Promise.all([resetToken, auth.hashPassword(req.body.password)])
+      })
+      .then(([resetToken, hash]) => db.transaction(trx => {
+        // Mark token as used; checking `used` again prevents two simultaneous requests from both succeeding
+        return trx('passwordResetToken')
+          .where('passwordResetTokenID', resetToken.passwordResetTokenID)
+          .whereNull('used')
+          .update({used: now})
+          .then(rowsAffected => {
+            if (rowsAffected === 0) {
+              throw new errors.BadRequestError('Password reset token is invalid or has expired')
+            }
+            return trx('user').where('userID', resetToken.userID).update({password: hash})
+          })
+          // Invalidate every other outstanding reset token for this user
+          .then(() => trx('passwordResetToken')
+            .where('userID', resetToken.userID)
+            .whereNull('used')
+            .update({used: now}))
+          // Sign user out everywhere in case their account was compromised
+          .then(() => trx('session').where('userID', resetToken.userID).whereNull('revoked').update({revoked: now}))
+      }))
+      .then(() => {
+        res.send({message: 'Password successfully reset'})
+        return next()
+      })
+      .catch(err => {
+        if (err instanceof errors.HttpError) {
+          return next(err)
+        } else {
+          return endpoint.handleError(err, {}, next, req)
+        }
+      })
+  } else {
+    return next(new errors.BadRequestError('Missing token or password'))
+  }
+}
+
+// Authenticate a user given a JWT payload, rejecting revoked tokens, and archived and deleted users
 auth.authenticateToken = (payload, done) => {
-  return db.get('user', 'userID', payload.userID)
-    .then(user => done(null, user))
+  return Promise.all([
+    db.get('user', 'userID', payload.userID),
+    session.isRevoked(payload)
+  ])
+    .then(([user, revoked]) => {
+      if (revoked || user.archived) {
+        return done(null, false)
+      }
+      // Keep the session that the token belongs to
+      return done(null, Object.assign(user, {sessionID: payload.sessionID}))
+    })
+    .catch(err => {
+      // Tokens of deleted users are still signed, but no longer belong to anyone
+      if (err.code === 'ER_NOT_FOUND') {
+        return done(null, false)
+      }
+      return done(err)
+    })
+}
+
+/**
+ * Authenticate an API key as a service principal: a user of the key's
+ * organization without a `userID` or role, whose permissions are the scopes of
+ * the key
+ * @param {string} key API key
+ * @param {function} done Called with an error, `false` if the key is invalid,
+ *   or the service principal
+ * @return {Promise} Resolved when `done` is called
+ */
+auth.authenticateApiKey = (key, done) => {
+  return db('apiKey')
+    .where('keyHash', auth.hashToken(key))
+    .whereNull('revoked')
+    .first()
+    .then(apiKey => {
+      if (!apiKey) {
+        return done(null, false)
+      }
+
+      return Promise.all([
+        db('apiKeyScope').where('apiKeyID', apiKey.apiKeyID).orderBy('permission').pluck('permission'),
+        db('apiKey').where('apiKeyID', apiKey.apiKeyID).update({lastUsed: db.formatDate()})
+      ])
+        .then(([permissions]) => done(null, {
+          userID: null,
+          organizationID: apiKey.organizationID,
+          roleID: null,
+          apiKeyID: apiKey.apiKeyID,
+          name: apiKey.name,
+          permissions
+        }))
+    })
     .catch(done)
 }
 
+// Authenticate with an API key in a header, for integrations that do not act as a person
+class ApiKeyStrategy extends passport.Strategy {
+  constructor (verify) {
+    super()
+    this.name = 'apikey'
+    this.verify = verify
+  }
+
+  authenticate (req) {
+    const key = req.headers[apiKeyHeader]
+    if (!key) {
+      return this.fail()
+    }
+
+    return this.verify(key, (err, principal) => {
+      if (err) {
+        return this.error(err)
+      } else if (!principal) {
+        return this.fail()
+      }
+      return this.success(principal)
+    })
+  }
+}
+
 passport.use(new passportJWT.Strategy(jwtStrategyOptions, auth.authenticateToken))
+passport.use(new ApiKeyStrategy(auth.authenticateApiKey))
+
+const authenticate = passport.authenticate(['jwt', 'apikey'], { session: false })
 
-// Verify that user is authenticated on a given path
-auth.verify = passport.authenticate('jwt', { session: false })
+// Verify that user is authenticated on a given path, with either an access token or an API key, and tell them the state
+// of their organization's subscription
+auth.verify = function verify (req, res, next) {
+  return authenticate(req, res, err => {
+    if (err) {
+      return next(err)
+    }
+    return subscriptionPolicy.addHeader(req, res, next)
+  })
+}
 
 // Check if user is attached to the request object
 auth.checkUserExists = function checkUserExists (req, res, next) {
@@ -247,21 +602,96 @@ auth.checkUserExists = function checkUserExists (req, res, next) {
   }
 }
 
+// Administrators always have every permission
+auth.adminRoleID = 1
+
 // Check if user is admin
 auth.checkAdmin = function checkAdmin (req, res, next) {
-  const adminRoleID = 1
-  if (req.user.roleID === adminRoleID) {
+  if (req.user.roleID === auth.adminRoleID) {
     return next()
   } else {
     return next(new errors.ForbiddenError('Must be an administrator'))
   }
 }
 
+/**
+ * Check if a user's role, or the scopes of an API key, has a permission
+ * @param {object} user User with a `roleID`, or service principal of an API key
+ * @param {string} permission Name of permission, like `item:delete`
+ * @return {Promise.<boolean>} Resolved by whether the user has the permission
+ */
+auth.hasPermission = (user, permission) => {
+  if (user.roleID === auth.adminRoleID) {
+    return Promise.resolve(true)
+  }
+  // API keys have only the permissions that they were created with
+  if (user.apiKeyID) {
+    return Promise.resolve(user.permissions.includes(permission))
+  }
+
+  return db('rolePermission')
+    .where({roleID: user.roleID, permission})
+    .first()
+    .then(Boolean)
+}
+
+/**
+ * Check that a user may give permissions to something, which needs every
+ * permission it gives
+ * @param {object} user User with a `roleID`, or service principal of an API key
+ * @param {string[]} permissions Names of permissions to give
+ * @param {string} recipient What the permissions are given to, like `API key`,
+ *   used in the error message
+ * @return {Promise} Rejected with a `BadRequestError` for unknown permissions,
+ * or a `ForbiddenError` for permissions that the user does not have
+ */
+auth.checkGrantable = (user, permissions, recipient) => {
+  if (!Array.isArray(permissions)) {
+    return Promise.reject(new errors.BadRequestError('Permissions must be a list of permission names'))
+  }
+
+  return db('permission').whereIn('name', permissions).pluck('name')
+    .then(found => {
+      const unknown = permissions.filter(permission => !found.includes(permission))
+      if (unknown.length) {
+        throw new errors.BadRequestError(`Unknown permissions: ${unknown.join(', ')}`)
+      }
+
+      return Promise.all(permissions.map(permission => auth.hasPermission(user, permission)))
+    })
+    .then(allowed => {
+      const missing = permissions.filter((permission, index) => !allowed[index])
+      if (missing.length) {
+        throw new errors.ForbiddenError(`Cannot give ${recipient} permissions you do not have: ${missing.join(', ')}`)
+      }
+    })
+}
+
+/**
+ * Create a handler that checks if the user's role has a permission
+ * @param {string} permission Name of permission, like `item:delete`
+ * @return {function} Handler that passes a `ForbiddenError` to the next handler
+ *   if the user lacks the permission
+ */
+auth.checkPermission = (permission) => {
+  return function checkPermission (req, res, next) {
+    return auth.hasPermission(req.user, permission)
+      .then(allowed => {
+        if (allowed) {
+          return next()
+        } else {
+          return next(new errors.ForbiddenError(`Missing permission ${permission}`))
+        }
+      })
+      .catch(err => endpoint.handleError(err, {}, next, req))
+  }
+}
+
 // Check if user ID in token matches user ID in URL parameters
 auth.checkUserMatches = function checkUserMatches (req, res, next) {
   if (req.user.userID === Number.parseInt(req.params.userID, 10)) {
     return next()
   } else {
-    return auth.checkAdmin(req, res, next)
+    return auth.checkPermission('user:manage')(req, res, next)
   }
 }
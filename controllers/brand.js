@@ -9,7 +9,7 @@ const messages = {
 
 const brand = module.exports
 
-endpoint.addAllMethods(brand, 'brand', 'brandID')
+endpoint.addAllMethods(brand, 'brand', 'brandID', messages, {softDelete: true})
 
 // Add pagination to query
 brand.withPagination = (req, queryBuilder) => {
@@ -20,16 +20,35 @@ brand.withPagination = (req, queryBuilder) => {
 brand.getAll = endpoint.getAll('brand', {
   modify: brand.withPagination,
   sortBy: [{column: 'brand.name', ascending: true}],
-  searchColumns: ['brand.name']
+  sortColumns: {brandID: 'brand.brandID', name: 'brand.name'},
+  fields: ['brandID', 'organizationID', 'name', 'deleted'],
+  searchColumns: ['brand.name'],
+  softDelete: true
 })
-brand.get = endpoint.get('brand', 'brandID', {messages})
+brand.get = endpoint.get('brand', 'brandID', {messages, softDelete: true})
 
 brand.mount = app => {
   /**
    * @apiDefine Pagination
    *
-   * @apiParam (Pagination) {Number{0..}} [limit] Max rows in response
+   * @apiParam (Pagination) {Number{1..}} [limit] Max rows in response
    * @apiParam (Pagination) {Number{0..}} [offset] Rows to offset response by
+   * @apiParam (Pagination) {String} [after] Cursor from `next` of the previous
+   *   page, instead of `offset`. The page starts after the last row of the
+   *   previous page, even if rows were added or removed before it, and only
+   *   links to the first and next pages.
+   *
+   * @apiSuccess (Pagination) {Number} total Number of rows that match the
+   *   search and filters, in every page
+   * @apiSuccess (Pagination) {String} next Cursor of the next page, `null` on
+   *   the last page
+   * @apiSuccessExample Pagination
+   *  Link: </brand?limit=2>; rel="first", </brand?limit=2&after=WyJDYW5vbiIsNF0>; rel="next"
+   *  {
+   *    "results": [...],
+   *    "total": 11,
+   *    "next": "WyJDYW5vbiIsNF0"
+   *  }
    */
 
   /**
@@ -39,7 +58,8 @@ brand.mount = app => {
    * {
    *   "brandID": 0,
    *   "organizationID": 0,
-   *   "name": ""
+   *   "name": "",
+   *   "deleted": null
    * }
    */
 
@@ -50,8 +70,14 @@ brand.mount = app => {
    * @apiPermission User
    * @apiVersion 3.0.0
    *
+   * @apiDescription Can be sorted by `brandID` and `name`, which is by `name`
+   * by default. Any fields in the response format can be chosen.
+   *
    * @apiUse Pagination
    * @apiUse Search
+   * @apiUse IncludeDeleted
+   * @apiUse Sort
+   * @apiUse Fields
    *
    * @apiExample {json} Response Format
    * {
@@ -73,6 +99,8 @@ brand.mount = app => {
    * @apiPermission User
    * @apiVersion 3.0.0
    *
+   * @apiUse IncludeDeleted
+   *
    * @apiUse BrandResponse
    */
   app.get({name: 'get brand', path: 'brand/:brandID'}, auth.verify, brand.get)
@@ -80,7 +108,7 @@ brand.mount = app => {
    * @api {put} /brand Create a brand
    * @apiName CreateBrand
    * @apiGroup Brand
-   * @apiPermission User
+   * @apiPermission brand:manage
    * @apiVersion 3.0.0
    *
    * @apiDescription A brand represents a real-world brand like Apple or Canon.
@@ -91,12 +119,13 @@ brand.mount = app => {
    * @apiUse BrandResponse
    * @apiUse InvalidSubscriptionResponse
    */
-  app.put({name: 'create brand', path: 'brand'}, auth.verify, checkSubscription, brand.create)
+  app.put({name: 'create brand', path: 'brand'}, auth.verify, auth.checkPermission('brand:manage'), checkSubscription,
+    brand.create)
   /**
    * @api {put} /brand/:brandID Update a brand
    * @apiName UpdateBrand
    * @apiGroup Brand
-   * @apiPermission User
+   * @apiPermission brand:manage
    * @apiVersion 3.0.0
    *
    * @apiParam {String{0...255}} [name] Name of brand
@@ -104,16 +133,33 @@ brand.mount = app => {
    * @apiUse BrandResponse
    * @apiUse InvalidSubscriptionResponse
    */
-  app.put({name: 'update brand', path: 'brand/:brandID'}, auth.verify, checkSubscription, brand.update)
+  app.put({name: 'update brand', path: 'brand/:brandID'}, auth.verify, auth.checkPermission('brand:manage'),
+    checkSubscription, brand.update)
   /**
    * @api {delete} /brand/:brandID Delete a brand
    * @apiName DeleteBrand
    * @apiGroup Brand
-   * @apiPermission User
+   * @apiPermission brand:manage
    * @apiVersion 3.0.0
    *
+   * @apiDescription Deleted brands are kept, with `deleted` set to when they
+   *   were deleted, and can be restored with `POST /brand/:brandID/restore`.
+   *
    * @apiUse EndpointDelete
    * @apiUse InvalidSubscriptionResponse
    */
-  app.del({name: 'delete brand', path: 'brand/:brandID'}, auth.verify, checkSubscription, brand.delete)
+  app.del({name: 'delete brand', path: 'brand/:brandID'}, auth.verify, auth.checkPermission('brand:manage'),
+    checkSubscription, brand.delete)
+  /**
+   * @api {post} /brand/:brandID/restore Restore a brand
+   * @apiName RestoreBrand
+   * @apiGroup Brand
+   * @apiPermission brand:manage
+   * @apiVersion 3.0.0
+   *
+   * @apiUse EndpointRestore
+   * @apiUse InvalidSubscriptionResponse
+   */
+  app.post({name: 'restore brand', path: 'brand/:brandID/restore'}, auth.verify, auth.checkPermission('brand:manage'),
+    checkSubscription, brand.restore)
 }
@@ -9,7 +9,7 @@ const messages = {
 
 const category = module.exports
 
-endpoint.addAllMethods(category, 'category', 'categoryID')
+endpoint.addAllMethods(category, 'category', 'categoryID', messages, {softDelete: true})
 
 // Add pagination to query
 category.withPagination = (req, queryBuilder) => {
@@ -20,9 +20,12 @@ category.withPagination = (req, queryBuilder) => {
 category.getAll = endpoint.getAll('category', {
   modify: category.withPagination,
   sortBy: [{column: 'category.name', ascending: true}],
-  searchColumns: ['category.name']
+  sortColumns: {categoryID: 'category.categoryID', name: 'category.name'},
+  fields: ['categoryID', 'organizationID', 'name', 'deleted'],
+  searchColumns: ['category.name'],
+  softDelete: true
 })
-category.get = endpoint.get('category', 'categoryID', {messages})
+category.get = endpoint.get('category', 'categoryID', {messages, softDelete: true})
 
 category.withCustomFields = (req, queryBuilder) => {
   return queryBuilder
@@ -46,6 +49,20 @@ category.mount = app => {
    *
    * @apiParam (Pagination) {Number{0..}} [limit] Max rows in response
    * @apiParam (Pagination) {Number{0..}} [offset] Rows to offset response by
+   * @apiParam (Pagination) {String} [after] Cursor from `next` of the previous
+   *   page, instead of `offset`
+   *
+   * @apiSuccess (Pagination) {Number} total Number of rows that match the
+   *   search and filters, in every page
+   * @apiSuccess (Pagination) {String} next Cursor of the next page, `null` on
+   *   the last page
+   * @apiSuccessExample Pagination
+   *  Link: </category?limit=2>; rel="first", </category?limit=2&after=eyJvZmZzZXQiOjR9>; rel="next", ...
+   *  {
+   *    "results": [...],
+   *    "total": 11,
+   *    "next": "eyJvZmZzZXQiOjR9"
+   *  }
    */
 
   /**
@@ -55,7 +72,8 @@ category.mount = app => {
    * {
    *   "categoryID": 0,
    *   "organizationID": 0,
-   *   "name": ""
+   *   "name": "",
+   *   "deleted": null
    * }
    */
 
@@ -65,8 +83,14 @@ category.mount = app => {
    * @apiGroup Category
    * @apiVersion 3.0.0
    *
+   * @apiDescription Can be sorted by `categoryID` and `name`, which is by
+   * `name` by default. Any fields in the response format can be chosen.
+   *
    * @apiUse Pagination
    * @apiUse Search
+   * @apiUse IncludeDeleted
+   * @apiUse Sort
+   * @apiUse Fields
    *
    * @apiExample {json} Response Format
    * {
@@ -87,6 +111,8 @@ category.mount = app => {
    * @apiGroup Category
    * @apiVersion 3.0.0
    *
+   * @apiUse IncludeDeleted
+   *
    * @apiUse CategoryResponse
    */
   app.get({name: 'get category', path: 'category/:categoryID'}, auth.verify, category.get)
@@ -94,6 +120,7 @@ category.mount = app => {
    * @api {put} /category Create a category
    * @apiName CreateCategory
    * @apiGroup Category
+   * @apiPermission category:manage
    * @apiVersion 3.0.0
    *
    * @apiDescription Each item must belong to a category. Categories can be used
@@ -105,11 +132,13 @@ category.mount = app => {
    * @apiUse CategoryResponse
    * @apiUse InvalidSubscriptionResponse
    */
-  app.put({name: 'create category', path: 'category'}, auth.verify, checkSubscription, category.create)
+  app.put({name: 'create category', path: 'category'}, auth.verify, auth.checkPermission('category:manage'),
+    checkSubscription, category.create)
   /**
    * @api {put} /category/:categoryID Update a category
    * @apiName UpdateCategory
    * @apiGroup Category
+   * @apiPermission category:manage
    * @apiVersion 3.0.0
    *
    * @apiParam {String{0...255}} [name] Name of category
@@ -117,17 +146,36 @@ category.mount = app => {
    * @apiUse CategoryResponse
    * @apiUse InvalidSubscriptionResponse
    */
-  app.put({name: 'update category', path: 'category/:categoryID'}, auth.verify, checkSubscription, category.update)
+  app.put({name: 'update category', path: 'category/:categoryID'}, auth.verify, auth.checkPermission('category:manage'),
+    checkSubscription, category.update)
   /**
    * @api {delete} /category/:categoryID Delete a category
    * @apiName DeleteCategory
    * @apiGroup Category
+   * @apiPermission category:manage
    * @apiVersion 3.0.0
    *
+   * @apiDescription Deleted categories are kept, with `deleted` set to when
+   *   they were deleted, and can be restored with
+   *   `POST /category/:categoryID/restore`.
+   *
    * @apiUse EndpointDelete
    * @apiUse InvalidSubscriptionResponse
    */
-  app.del({name: 'delete category', path: 'category/:categoryID'}, auth.verify, checkSubscription, category.delete)
+  app.del({name: 'delete category', path: 'category/:categoryID'}, auth.verify, auth.checkPermission('category:manage'),
+    checkSubscription, category.delete)
+  /**
+   * @api {post} /category/:categoryID/restore Restore a category
+   * @apiName RestoreCategory
+   * @apiGroup Category
+   * @apiPermission category:manage
+   * @apiVersion 3.0.0
+   *
+   * @apiUse EndpointRestore
+   * @apiUse InvalidSubscriptionResponse
+   */
+  app.post({name: 'restore category', path: 'category/:categoryID/restore'}, auth.verify,
+    auth.checkPermission('category:manage'), checkSubscription, category.restore)
   /**
    * @api {get} /category/:categoryID/custom-field Get category custom fields
    * @apiName GetAllCategoryCustomFields
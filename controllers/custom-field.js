@@ -1,9 +1,11 @@
 const errors = require('restify-errors')
 
 const auth = require('./auth')
+const audit = require('../services/audit')
 const checkSubscription = require('../services/check-subscription')
 const db = require('../services/db')
 const endpoint = require('../services/endpoint')
+const quota = require('../services/quota')
 
 const customField = module.exports
 const messages = {
@@ -19,6 +21,8 @@ customField.withFieldType = (req, queryBuilder) => {
 
 customField.getAll = endpoint.getAll('customField', {
   sortBy: [{column: 'customField.name', ascending: true}],
+  sortColumns: {customFieldID: 'customField.customFieldID', name: 'customField.name'},
+  fields: ['customFieldID', 'organizationID', 'name', 'showTimestamp', 'fieldTypeID', 'fieldTypeName'],
   searchColumns: ['customField.name'],
   modify: customField.withFieldType
 })
@@ -51,6 +55,7 @@ customField.getCategories = endpoint.getAll('customFieldCategory', {
   modify: customField.withNames,
   messages: categoryMessages,
   hasOrganizationID: false,
+  primaryKey: ['customFieldCategory.customFieldID', 'customFieldCategory.categoryID'],
   sortBy: [{column: 'category.name', ascending: true}]
 })
 
@@ -64,9 +69,16 @@ customField.updateCategories = (req, res, next) => {
       }
     })
 
+    let previous
     return db.transaction(trx => {
-      // Remove all existing categories for this custom field
-      return trx('customFieldCategory').where('customFieldCategory.customFieldID', req.params.customFieldID).del()
+      return trx('customFieldCategory')
+        .where('customFieldCategory.customFieldID', req.params.customFieldID)
+        .pluck('categoryID')
+        .then(categoryIDs => {
+          previous = categoryIDs
+          // Remove all existing categories for this custom field
+          return trx('customFieldCategory').where('customFieldCategory.customFieldID', req.params.customFieldID).del()
+        })
         .then(() => {
           // Add all new categories
           return trx('customFieldCategory').insert(customFieldCategories)
@@ -76,7 +88,9 @@ customField.updateCategories = (req, res, next) => {
             .where('customFieldCategory.customFieldID', req.params.customFieldID)
             .modify(customField.withNames.bind(null, req))
         })
-    }).then((rows) => {
+    }).tap(rows => audit.record(req, 'update', 'customField', req.params.customFieldID, {categories: previous},
+      {categories: rows.map(row => row.categoryID)})
+    ).then((rows) => {
       let message = categoryMessages.create
       if (req.body.categories.length > 1) {
         message = categoryMessages.createPlural
@@ -123,8 +137,13 @@ customField.mount = app => {
    * @apiPermission User
    * @apiVersion 3.0.0
    *
+   * @apiDescription Can be sorted by `customFieldID` and `name`, which is by
+   * `name` by default. Any fields in the response format can be chosen.
+   *
    * @apiUse Pagination
    * @apiUse Search
+   * @apiUse Sort
+   * @apiUse Fields
    *
    * @apiExample {json} Response Format
    * {
@@ -156,7 +175,7 @@ customField.mount = app => {
    * @api {put} /custom-field Create a custom field
    * @apiName CreateCustomField
    * @apiGroup CustomField
-   * @apiPermission User
+   * @apiPermission customField:manage
    * @apiVersion 3.0.0
    *
    * @apiDescription A custom field can be used to add custom data to all items
@@ -174,13 +193,15 @@ customField.mount = app => {
    *   from token, but can be overridden)
    *
    * @apiUse CustomFieldResponse
+   * @apiUse QuotaResponse
    */
-  app.put({name: 'create custom field', path: 'custom-field'}, auth.verify, checkSubscription, customField.create)
+  app.put({name: 'create custom field', path: 'custom-field'}, auth.verify, auth.checkPermission('customField:manage'),
+    checkSubscription, quota.checking('customFields'), customField.create)
   /**
    * @api {put} /custom-field/:customFieldID Update a custom field
    * @apiName UpdateCustomField
    * @apiGroup CustomField
-   * @apiPermission User
+   * @apiPermission customField:manage
    * @apiVersion 3.0.0
    *
    * @apiParam {String{0...255}} [name] Name of custom field
@@ -191,13 +212,13 @@ customField.mount = app => {
    *
    * @apiUse CustomFieldResponse
    */
-  app.put({name: 'update custom field', path: 'custom-field/:customFieldID'}, auth.verify, checkSubscription,
-    customField.update)
+  app.put({name: 'update custom field', path: 'custom-field/:customFieldID'}, auth.verify,
+    auth.checkPermission('customField:manage'), checkSubscription, customField.update)
   /**
    * @api {delete} /custom-field/:customFieldID Delete a custom field
    * @apiName DeleteCustomField
    * @apiGroup CustomField
-   * @apiPermission User
+   * @apiPermission customField:manage
    * @apiVersion 3.0.0
    *
    * @apiDescription Deleting a custom field will also delete all values
@@ -205,8 +226,8 @@ customField.mount = app => {
    *
    * @apiUse EndpointDelete
    */
-  app.del({name: 'delete custom field', path: 'custom-field/:customFieldID'}, auth.verify, checkSubscription,
-    customField.delete)
+  app.del({name: 'delete custom field', path: 'custom-field/:customFieldID'}, auth.verify,
+    auth.checkPermission('customField:manage'), checkSubscription, customField.delete)
   /**
    * @api {get} /custom-field/:customFieldID/category Get all categories of a custom field
    * @apiName GetCustomFieldCategories
@@ -234,7 +255,7 @@ customField.mount = app => {
    * @api {put} /custom-field/:customFieldID/category Update categories of a custom field
    * @apiName UpdateCustomFieldCategories
    * @apiGroup CustomField
-   * @apiPermission User
+   * @apiPermission customField:manage
    * @apiVersion 3.0.0
    *
    * @apiParam {Object[]} [categories] List of category entities that this field belongs in. The custom field will only
@@ -258,5 +279,5 @@ customField.mount = app => {
    * }
    */
   app.put({name: 'update custom field categories', path: 'custom-field/:customFieldID/category'}, auth.verify,
-    checkSubscription, customField.updateCategories)
+    auth.checkPermission('customField:manage'), checkSubscription, customField.updateCategories)
 }
@@ -1,6 +1,7 @@
 const auth = require('./auth')
 const checkSubscription = require('../services/check-subscription')
 const endpoint = require('../services/endpoint')
+const filterQuery = require('../services/filter-query')
 
 const messages = {
   missing: 'External renter does not exist'
@@ -11,8 +12,26 @@ const externalRenter = module.exports
 endpoint.addAllMethods(externalRenter, 'externalRenter', 'externalRenterID')
 externalRenter.get = endpoint.get('externalRenter', 'externalRenterID',
   {messages})
+// Filter external renters by request query parameters
+externalRenter.withFilters = (req, queryBuilder) => {
+  const filterParams = new Map()
+  filterParams.set('name', 'externalRenter.name')
+  filterParams.set('email', 'externalRenter.email')
+  filterParams.set('phone', 'externalRenter.phone')
+
+  return queryBuilder
+    .modify(filterQuery, req, filterParams)
+}
+
 externalRenter.getAll = endpoint.getAll('externalRenter', {
+  modify: externalRenter.withFilters,
   sortBy: [{column: 'externalRenter.name', ascending: true}],
+  sortColumns: {
+    externalRenterID: 'externalRenter.externalRenterID',
+    name: 'externalRenter.name',
+    email: 'externalRenter.email'
+  },
+  fields: ['externalRenterID', 'organizationID', 'name', 'email', 'phone'],
   searchColumns: ['externalRenter.name']
 })
 
@@ -36,7 +55,22 @@ externalRenter.mount = app => {
    * @apiGroup ExternalRenter
    * @apiVersion 3.0.0
    *
+   * @apiDescription Can be sorted by `externalRenterID`, `name`, and `email`,
+   * which is by `name` by default. Any fields in the response format can be
+   * chosen.
+   *
    * @apiUse Search
+   * @apiUse Sort
+   * @apiUse Fields
+   *
+   * @apiParam (Filter) {String} [name] Name of external renters
+   * @apiParam (Filter) {String} [email] Email address of external renters,
+   *   `null` if they have none
+   * @apiParam (Filter) {String} [phone] Phone number of external renters,
+   *   `null` if they have none
+   * @apiUse FilterOperators
+   * @apiParamExample Filter external renters without an email address
+   * /external-renter?email[null]=true
    *
    * @apiExample {json} Response Format
    * {
@@ -65,6 +99,7 @@ externalRenter.mount = app => {
    * @api {put} /external-renter Create an external renter
    * @apiName CreateExternalRenter
    * @apiGroup ExternalRenter
+   * @apiPermission externalRenter:manage
    * @apiVersion 3.0.0
    *
    * @apiDescription An external renter is a person or organization from outside
@@ -83,12 +118,13 @@ externalRenter.mount = app => {
    * @apiUse ExternalRenterResponse
    * @apiUse InvalidSubscriptionResponse
    */
-  app.put({name: 'create external renter', path: 'external-renter'}, auth.verify, checkSubscription,
-    externalRenter.create)
+  app.put({name: 'create external renter', path: 'external-renter'}, auth.verify,
+    auth.checkPermission('externalRenter:manage'), checkSubscription, externalRenter.create)
   /**
    * @api {put} /external-renter/:externalRenterID Update an external renter
    * @apiName UpdateExternalRenter
    * @apiGroup ExternalRenter
+   * @apiPermission externalRenter:manage
    * @apiVersion 3.0.0
    *
    * @apiParam {String{0..255}} [name] Name of company or individual
@@ -100,17 +136,18 @@ externalRenter.mount = app => {
    * @apiUse ExternalRenterResponse
    * @apiUse InvalidSubscriptionResponse
    */
-  app.put({name: 'update external renter', path: 'external-renter/:externalRenterID'}, auth.verify, checkSubscription,
-    externalRenter.update)
+  app.put({name: 'update external renter', path: 'external-renter/:externalRenterID'}, auth.verify,
+    auth.checkPermission('externalRenter:manage'), checkSubscription, externalRenter.update)
   /**
    * @api {delete} /external-renter/:externalRenterID Delete an external renter
    * @apiName DeleteExternalRenter
    * @apiGroup ExternalRenter
+   * @apiPermission externalRenter:delete
    * @apiVersion 3.0.0
    *
    * @apiUse EndpointDelete
    * @apiUse InvalidSubscriptionResponse
    */
-  app.del({name: 'delete external renter', path: 'external-renter/:externalRenterID'}, auth.verify, auth.checkAdmin,
-    checkSubscription, externalRenter.delete)
+  app.del({name: 'delete external renter', path: 'external-renter/:externalRenterID'}, auth.verify,
+    auth.checkPermission('externalRenter:delete'), checkSubscription, externalRenter.delete)
 }
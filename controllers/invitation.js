@@ -0,0 +1,248 @@
+const crypto = require('crypto')
+const moment = require('moment')
+const errors = require('restify-errors')
+
+const auth = require('./auth')
+const audit = require('../services/audit')
+const checkSubscription = require('../services/check-subscription')
+const db = require('../services/db')
+const email = require('../services/email')
+const endpoint = require('../services/endpoint')
+const quota = require('../services/quota')
+const role = require('./role')
+
+const messages = {
+  missing: 'Invitation does not exist',
+  conflict: 'A user with this email address already exists',
+  create: 'Invitation sent',
+  revoke: 'Invitation revoked'
+}
+
+const invitation = module.exports
+
+// Number of days that an invitation is valid for
+const invitationLifetime = 7
+
+// Role that invited users get unless another role is chosen, "Member"
+const defaultRoleID = 2
+
+// Limit a query on invitations to ones that can still be accepted
+invitation.pending = (queryBuilder) => {
+  return queryBuilder
+    .whereNull('invitation.accepted')
+    .whereNull('invitation.revoked')
+    .where('invitation.expires', '>', db.formatDate())
+}
+
+// Invitations can only be managed for the organization of the user managing them
+invitation.checkOrganization = function checkOrganization (req, res, next) {
+  if (Number.parseInt(req.params.organizationID, 10) === req.user.organizationID) {
+    return next()
+  } else {
+    return next(new errors.ForbiddenError('Cannot manage invitations of another organization'))
+  }
+}
+
+// Remove an invitation that could not be emailed and bring back the invitations it replaced, so that it does not
+// take up a place in the organization
+const undoInvitation = (invitationID, replaced) => {
+  return db.transaction(trx => {
+    return trx('invitation').where('invitationID', invitationID).del()
+      .then(() => replaced.length && trx('invitation').whereIn('invitationID', replaced).update({revoked: null}))
+  })
+}
+
+const handleError = (err, next, req) => {
+  if (err instanceof errors.HttpError) {
+    return next(err)
+  }
+  return endpoint.handleError(err, messages, next, req)
+}
+
+// Get pending invitations, with the name of their role and the user that sent them
+invitation.withRoleAndInviter = (req, queryBuilder) => {
+  return queryBuilder
+    .modify(invitation.pending)
+    .select('invitation.invitationID', 'invitation.organizationID', 'invitation.email', 'invitation.roleID',
+      'invitation.invitedBy', 'invitation.created', 'invitation.expires')
+    .join('role', 'invitation.roleID', 'role.roleID')
+    .select('role.name as role')
+    .leftJoin('user', 'invitation.invitedBy', 'user.userID')
+    .select('user.firstName as invitedByFirstName', 'user.lastName as invitedByLastName')
+}
+
+invitation.getAll = endpoint.getAll('invitation', {
+  modify: invitation.withRoleAndInviter,
+  sortBy: [{column: 'invitation.created', ascending: false}]
+})
+
+// Email an invitation to join the organization, replacing any pending invitation for the same email address
+invitation.create = (req, res, next) => {
+  if (!req.body.email) {
+    return next(new errors.BadRequestError('Missing email'))
+  }
+
+  const organizationID = req.user.organizationID
+  const roleID = req.body.roleID || defaultRoleID
+  const token = crypto.randomBytes(32).toString('hex')
+  const now = moment()
+  const row = {
+    organizationID,
+    email: req.body.email,
+    roleID,
+    invitedBy: req.user.userID,
+    // Save only a hash of the token so that a leaked database cannot be used to join organizations
+    tokenHash: auth.hashToken(token),
+    created: db.formatDate(now),
+    expires: db.formatDate(moment(now).add(invitationLifetime, 'days'))
+  }
+
+  return Promise.all([
+    role.getAssignable(roleID, req.user),
+    db('user').where('email', req.body.email).first('userID'),
+    db('organization').where('organizationID', organizationID).first('name')
+  ])
+    .then(([invitedRole, existingUser, organization]) => {
+      if (existingUser) {
+        throw new errors.ConflictError(messages.conflict)
+      }
+
+      let replaced
+      return db.transaction(trx => {
+        return trx('invitation')
+          .where({organizationID, email: req.body.email})
+          .modify(invitation.pending)
+          .pluck('invitationID')
+          .then(invitationIDs => {
+            replaced = invitationIDs
+            return trx('invitation').whereIn('invitationID', replaced).update({revoked: row.created})
+          })
+          // The invitation that was just replaced no longer takes up a place
+          .then(() => quota.check(organizationID, 'users', 1, trx))
+          .then(() => trx('invitation').insert(row))
+      })
+        .then(([invitationID]) => {
+          row.invitationID = invitationID
+          return email.send(row.email, `Join ${organization.name} on Stockpile`, {
+            title: 'You are invited',
+            body: `Hi,\n\n${req.user.firstName || 'Someone'} invited you to join ${organization.name} on Stockpile ` +
+              `as a ${invitedRole.name}. Use the button below to create your account. The invitation expires in ` +
+              `${invitationLifetime} days.`,
+            cta: 'Accept Invitation',
+            link: `${process.env.APP_URL}accept-invite?token=${token}`
+          })
+            .catch(err => undoInvitation(invitationID, replaced).then(() => { throw err }))
+        })
+    })
+    .then(() => audit.record(req, 'create', 'invitation', row.invitationID, undefined,
+      {email: row.email, roleID: row.roleID, expires: row.expires}))
+    .then(() => {
+      res.send(201, {
+        message: messages.create,
+        id: row.invitationID,
+        expires: row.expires
+      })
+      return next()
+    })
+    .catch(err => handleError(err, next, req))
+}
+
+// Stop a pending invitation from being accepted
+invitation.revoke = (req, res, next) => {
+  const revoked = db.formatDate()
+  return db('invitation')
+    .where({invitationID: req.params.invitationID, organizationID: req.user.organizationID})
+    .modify(invitation.pending)
+    .update({revoked})
+    .then(rowsAffected => {
+      if (rowsAffected === 0) {
+        throw new errors.NotFoundError(messages.missing)
+      }
+      return audit.record(req, 'update', 'invitation', req.params.invitationID, {revoked: null}, {revoked})
+    })
+    .then(() => {
+      res.send({message: messages.revoke, id: req.params.invitationID})
+      return next()
+    })
+    .catch(err => handleError(err, next, req))
+}
+
+invitation.mount = app => {
+  /**
+   * @api {post} /organization/:organizationID/invite Invite a user
+   * @apiName InviteUser
+   * @apiGroup Organization
+   * @apiPermission user:manage
+   * @apiVersion 3.0.0
+   *
+   * @apiDescription Email someone a link to join the organization. The link
+   *   contains a single-use token that expires after seven days; the invited
+   *   person creates their account with *AcceptInvitation*. Inviting an email
+   *   address again replaces its pending invitation.
+   *
+   * @apiParam {String} email Email address to send invitation to
+   * @apiParam {Number} [roleID=2] Role that the user will have, defaults to
+   *   "Member"
+   *
+   * @apiExample {json} Response Format
+   * {
+   *   "message": "Invitation sent",
+   *   "id": 0,
+   *   "expires": "2017-03-01 05:00:00"
+   * }
+   * @apiError 409 A user with this email address already exists
+   *
+   * @apiUse InvalidSubscriptionResponse
+   * @apiUse QuotaResponse
+   */
+  app.post({name: 'invite user', path: 'organization/:organizationID/invite'}, auth.verify,
+    auth.checkPermission('user:manage'), invitation.checkOrganization, checkSubscription, invitation.create)
+  /**
+   * @api {get} /organization/:organizationID/invite Get pending invitations
+   * @apiName GetInvitations
+   * @apiGroup Organization
+   * @apiPermission user:manage
+   * @apiVersion 3.0.0
+   *
+   * @apiDescription Invitations that have not been accepted, revoked, or
+   *   expired.
+   *
+   * @apiExample {json} Response Format
+   * {
+   *   "results": [
+   *     {
+   *       "invitationID": 0,
+   *       "organizationID": 0,
+   *       "email": "",
+   *       "roleID": 2,
+   *       "role": "Member",
+   *       "invitedBy": 0,
+   *       "invitedByFirstName": "",
+   *       "invitedByLastName": "",
+   *       "created": "2017-02-22T05:00:00.000Z",
+   *       "expires": "2017-03-01T05:00:00.000Z"
+   *     }
+   *   ]
+   * }
+   */
+  app.get({name: 'get invitations', path: 'organization/:organizationID/invite'}, auth.verify,
+    auth.checkPermission('user:manage'), invitation.checkOrganization, invitation.getAll)
+  /**
+   * @api {delete} /organization/:organizationID/invite/:invitationID Revoke an invitation
+   * @apiName RevokeInvitation
+   * @apiGroup Organization
+   * @apiPermission user:manage
+   * @apiVersion 3.0.0
+   *
+   * @apiDescription Revoked invitations are kept, but can no longer be
+   *   accepted.
+   *
+   * @apiExample {json} Response Format
+   * {
+   *   "message": "Invitation revoked",
+   *   "id": 0
+   * }
+   */
+  app.del({name: 'revoke invitation', path: 'organization/:organizationID/invite/:invitationID'}, auth.verify,
+    auth.checkPermission('user:manage'), invitation.checkOrganization, invitation.revoke)
+}
@@ -1,9 +1,16 @@
+const errors = require('restify-errors')
+
 const auth = require('./auth')
+const audit = require('../services/audit')
+const availability = require('../services/availability')
 const checkSubscription = require('../services/check-subscription')
 const db = require('../services/db')
 const endpoint = require('../services/endpoint')
+const exporter = require('../services/export')
 const filterQuery = require('../services/filter-query')
 const paginate = require('../services/paginate')
+const quota = require('../services/quota')
+const webhook = require('../services/webhook')
 
 const messages = {
   missing: 'Item does not exist'
@@ -11,13 +18,20 @@ const messages = {
 
 const item = module.exports
 
-item.withFieldsAndFilters = (req, queryBuilder) => {
+// When each item was last rented, for filtering items that have not been rented for a while
+const lastRented = db.raw('(select max(`rental`.`start`) from `rentalItem` ' +
+  'join `rental` on `rentalItem`.`rentalID` = `rental`.`rentalID` ' +
+  'where `rentalItem`.`barcode` = `item`.`barcode` and `rental`.`canceled` is null)')
+
+// Add details of the model, brand, category and status of items, filtered by request query parameters
+item.withJoinsAndFilters = (req, queryBuilder) => {
   // Mapping between query param fields and database query column names
   const filterParams = new Map()
   filterParams.set('brandID', 'brand.brandID')
   filterParams.set('modelID', 'model.modelID')
   filterParams.set('categoryID', 'category.categoryID')
   filterParams.set('available', 'itemStatus.available')
+  filterParams.set('lastRented', lastRented)
 
   return queryBuilder
     .select('item.*')
@@ -41,8 +55,11 @@ item.withFieldsAndFilters = (req, queryBuilder) => {
 
   // Add filters to query
     .modify(filterQuery, req, filterParams)
+    .modify(filterQuery.customFields, req, 'item.barcode')
+}
 
-  // Add pagination
+item.withFieldsAndFilters = (req, queryBuilder) => {
+  return item.withJoinsAndFilters(req, queryBuilder)
     .modify(paginate.paginateQuery, req, 'item')
 }
 
@@ -56,25 +73,60 @@ item.withActiveRental = (req, queryBuilder) => {
   return queryBuilder
     .join('rental', 'rentalItem.rentalID', 'rental.rentalID')
     .where('rentalItem.returned', null)
+    .where('rental.canceled', null)
     .orderBy('rental.start', 'ascending')
 }
+// Columns instead of their aliases, since cursors compare the values that rows are sorted by
 const sortBy = [
-  {column: 'brand', ascending: true},
-  {column: 'model', ascending: true}
+  {column: 'brand.name', ascending: true},
+  {column: 'model.name', ascending: true}
 ]
+const searchColumns = ['brand.name', 'model.name']
+const getSearch = (req) => {
+  if (req.params.search) {
+    return {
+      columns: searchColumns,
+      value: req.params.search
+    }
+  }
+}
+// Names that lists of items can be sorted by, and the columns they sort
+const sortColumns = {
+  barcode: 'item.barcode',
+  brand: 'brand.name',
+  model: 'model.name',
+  category: 'category.name',
+  available: 'itemStatus.available'
+}
+const fields = ['barcode', 'brand', 'brandID', 'model', 'modelID', 'category', 'categoryID', 'available', 'notes',
+  'organizationID', 'deleted']
 item.getAll = endpoint.getAll('item', {
   modify: item.withFieldsAndFilters,
+  primaryKey: 'item.barcode',
   sortBy,
-  searchColumns: ['brand.name', 'model.name']
+  sortColumns,
+  fields,
+  searchColumns,
+  softDelete: true
 })
 item.get = endpoint.get('item', 'barcode',
-  {modify: item.withFieldsAndFilters, messages})
+  {modify: item.withFieldsAndFilters, messages, softDelete: true})
 item.create = endpoint.create('item', 'barcode',
   {resModify: item.withFieldsAndFilters})
-item.update = endpoint.update('item', 'barcode',
-  {resModify: item.withFieldsAndFilters})
-item.delete = endpoint.delete('item', 'barcode'
-)
+item.update = endpoint.update('item', 'barcode', {
+  resModify: item.withFieldsAndFilters,
+  messages,
+  softDelete: true,
+  onUpdate: (req, before, updated) => {
+    const changes = audit.diff(before, req.body)
+    // Like the audit log, updates that do not change anything are not sent
+    if (Object.keys(changes.after).length) {
+      return webhook.trigger(req.user.organizationID, 'item.updated', {item: updated, changes})
+    }
+  }
+})
+item.delete = endpoint.delete('item', 'barcode', {softDelete: true})
+item.restore = endpoint.restore('item', 'barcode', {messages})
 item.getRentals = endpoint.getAll('rental', {modify: item.paginateRentals})
 item.getActiveRental = endpoint.get('rentalItem', 'barcode', {
   modify: item.withActiveRental,
@@ -82,6 +134,69 @@ item.getActiveRental = endpoint.get('rentalItem', 'barcode', {
 })
 item.getStatus = endpoint.get('itemStatus', 'barcode', {hasOrganizationID: false})
 
+// Get items with whether they are free for a whole period, and the rentals that they are not free because of
+item.getAvailability = (req, res, next) => {
+  const {start, end} = req.params
+  const periodError = availability.checkPeriod(start, end)
+  if (periodError) {
+    return next(periodError)
+  }
+
+  // Deleted items cannot be rented
+  const query = (request, sort) => db.getAll('item', request.user.organizationID,
+    endpoint.bindModifyWithoutDeleted(item.withFieldsAndFilters, request, 'item', true), sort, getSearch(request))
+  return Promise.resolve()
+    .then(() => paginate.isPaginated(req)
+      ? paginate.getPageOf(req, query, sortBy, 'item.barcode')
+      : query(req, sortBy).then(results => ({results})))
+    .then(page => availability.getConflicts(req.user.organizationID, db.formatDate(start), db.formatDate(end),
+      page.results.map(item => item.barcode))
+      .then(conflicts => {
+        const conflictsByBarcode = availability.groupByBarcode(conflicts)
+        page.results.forEach((result, i) => {
+          result.conflicts = conflictsByBarcode.get(result.barcode) || []
+          result.availableForPeriod = result.conflicts.length === 0
+          result.sortIndex = i
+        })
+        return page
+      }))
+    .then(({results, total, next: nextCursor}) => {
+      if (total !== undefined) {
+        res.send(Object.assign({results}, paginate.addLinks(req, res, total, nextCursor)))
+      } else {
+        res.send({results})
+      }
+    })
+    .then(next)
+    .catch(err => err instanceof errors.HttpError ? next(err) : endpoint.handleError(err, messages, next, req))
+}
+
+// Columns of item exports, before a column for each custom field
+const exportColumns = [
+  {key: 'barcode', header: 'Barcode'},
+  {key: 'brand', header: 'Brand'},
+  {key: 'model', header: 'Model'},
+  {key: 'category', header: 'Category'},
+  {key: 'notes', header: 'Notes'},
+  {key: 'available', header: 'Available'}
+]
+
+// Export every item matching the same filters and search as `getAll`, with the value of each custom field
+item.export = (req, res, next) => {
+  return exporter.getCustomFields(req.user.organizationID)
+    .then(customFields => {
+      const modify = (req, queryBuilder) => item.withJoinsAndFilters(req, queryBuilder)
+        .modify(exporter.withCustomFields, customFields)
+      return exporter.send(req, res, next, {
+        filename: 'items',
+        columns: exportColumns.concat(exporter.customFieldColumns(customFields)),
+        query: db.getAll('item', req.user.organizationID,
+          endpoint.bindModifyWithoutDeleted(modify, req, 'item', true), sortBy, getSearch(req))
+      })
+    })
+    .catch(err => endpoint.handleError(err, messages, next, req))
+}
+
 // Custom fields
 item.forItem = (req, queryBuilder) => {
   return queryBuilder
@@ -183,9 +298,18 @@ item.getCustomField = (req, res, next) => {
 item.updateCustomField = (req, res, next) => {
   const columns = ['barcode', 'customFieldID', 'value']
   const values = [req.params.barcode, req.params.customFieldID, req.body.value]
+  const key = `${req.params.barcode}/${req.params.customFieldID}`
 
-  // Insert or update item custom field value
-  return db.raw('replace into itemCustomField (??) values (?)', [columns, values])
+  return db('itemCustomField')
+    .where({barcode: req.params.barcode, customFieldID: req.params.customFieldID})
+    .first()
+    .then(before => {
+      const after = {barcode: req.params.barcode, customFieldID: req.params.customFieldID, value: req.body.value}
+
+      // Insert or update item custom field value
+      return db.raw('replace into itemCustomField (??) values (?)', [columns, values])
+        .then(() => audit.record(req, before ? 'update' : 'create', 'itemCustomField', key, before, after))
+    })
     .then(() => db('itemCustomField')
       .where('itemCustomField.customFieldID', req.params.customFieldID)
       .modify(item.withCustomFieldDetails.bind(null, req))
@@ -205,12 +329,270 @@ item.deleteCustomField = endpoint.delete('itemCustomField', 'customFieldID', {
   hasOrganizationID: false
 })
 
+// Columns of an import that are not custom fields
+const importColumns = ['barcode', 'brand', 'model', 'category', 'notes']
+
+// Check rows of an item import, matching columns that are not standard columns to custom fields by name
+item.parseImport = (rows, customFields) => {
+  const header = Object.keys(rows[0]).filter(column => column !== 'index')
+  const customFieldColumns = new Map()
+  const unknownColumns = []
+  for (const column of header) {
+    const name = column.trim().toLowerCase()
+    const customField = customFields.find(customField => customField.name.trim().toLowerCase() === name)
+    if (customField && !importColumns.includes(name)) {
+      customFieldColumns.set(column, customField)
+    } else if (!importColumns.includes(name)) {
+      unknownColumns.push(column)
+    }
+  }
+
+  const seen = new Set()
+  const rowErrors = []
+  const parsed = rows.map((row, i) => {
+    // Standard columns can have any case
+    const values = {}
+    for (const column of header) {
+      values[column.trim().toLowerCase()] = typeof row[column] === 'string' ? row[column].trim() : row[column]
+    }
+
+    const parsedRow = {
+      // Row numbers start at one, not counting the header row
+      row: i + 1,
+      barcode: values.barcode,
+      brand: values.brand,
+      model: values.model,
+      category: values.category,
+      notes: values.notes || null,
+      customFields: []
+    }
+
+    const rowErrorMessages = []
+    for (const column of ['barcode', 'brand', 'model', 'category']) {
+      if (!values[column]) {
+        rowErrorMessages.push(`Missing ${column}`)
+      }
+    }
+    if (values.barcode && seen.has(values.barcode)) {
+      rowErrorMessages.push('Barcode is in more than one row')
+    }
+    seen.add(values.barcode)
+
+    for (const [column, customField] of customFieldColumns) {
+      const value = typeof row[column] === 'string' ? row[column].trim() : row[column]
+      if (value === undefined || value === null || value === '') {
+        continue
+      }
+      const isNumber = customField.fieldTypeID === fieldType.number || customField.fieldTypeID === fieldType.currency
+      if (isNumber && !Number.isFinite(Number(value))) {
+        rowErrorMessages.push(`${customField.name} must be a number`)
+        continue
+      }
+      parsedRow.customFields.push({customFieldID: customField.customFieldID, value})
+    }
+
+    if (rowErrorMessages.length) {
+      rowErrors.push({row: parsedRow.row, barcode: parsedRow.barcode, errors: rowErrorMessages})
+    }
+    return parsedRow
+  })
+
+  return {rows: parsed, errors: rowErrors, unknownColumns}
+}
+
+// Find rows by name, creating rows for names that do not exist unless this is a dry run
+const findOrCreateByName = (trx, table, column, where, names, dryRun) => {
+  // Match names regardless of case, like the database does
+  const uniqueNames = [...new Map(names.map(name => [name.toLowerCase(), name])).values()]
+  return trx(table)
+    .where(where)
+    .whereIn('name', uniqueNames)
+    .modify(db.withoutDeleted, table)
+    .select(column, 'name')
+    .then(existing => {
+      const ids = new Map(existing.map(row => [row.name.toLowerCase(), row[column]]))
+      const missing = uniqueNames.filter(name => !ids.has(name.toLowerCase()))
+      if (dryRun) {
+        return {ids, created: missing.map(name => Object.assign({name}, where))}
+      }
+
+      return Promise.all(missing.map(name => {
+        const row = Object.assign({name}, where)
+        return trx(table).insert(row)
+          .then(([id]) => {
+            ids.set(name.toLowerCase(), id)
+            row[column] = id
+            return row
+          })
+      })).then(created => ({ids, created}))
+    })
+}
+
+// Create brands, models and categories that imported items need, then create the items
+item.importRows = (trx, organizationID, rows, dryRun) => {
+  const created = {}
+  const where = {organizationID}
+
+  return findOrCreateByName(trx, 'brand', 'brandID', where, rows.map(row => row.brand), dryRun)
+    .then(brands => {
+      created.brands = brands.created
+      return findOrCreateByName(trx, 'category', 'categoryID', where, rows.map(row => row.category), dryRun)
+        .then(categories => {
+          created.categories = categories.created
+
+          // Find models one brand at a time, since models only need unique names within a brand
+          const brandNames = [...new Set(rows.map(row => row.brand.toLowerCase()))]
+          const modelIDs = new Map()
+          created.models = []
+          return brandNames.reduce((previous, brandName) => previous.then(() => {
+            const brandID = brands.ids.get(brandName)
+            const modelNames = rows.filter(row => row.brand.toLowerCase() === brandName).map(row => row.model)
+
+            // Models of new brands do not exist yet
+            if (!brandID) {
+              const names = [...new Map(modelNames.map(name => [name.toLowerCase(), name])).values()]
+              created.models.push(...names.map(name => ({name, brand: brandName, organizationID})))
+              return
+            }
+
+            return findOrCreateByName(trx, 'model', 'modelID', {organizationID, brandID}, modelNames, dryRun)
+              .then(models => {
+                created.models.push(...models.created)
+                for (const [modelName, modelID] of models.ids) {
+                  modelIDs.set(`${brandName}/${modelName}`, modelID)
+                }
+              })
+          }), Promise.resolve())
+            .then(() => {
+              if (dryRun) {
+                return
+              }
+
+              const items = rows.map(row => ({
+                barcode: row.barcode,
+                organizationID,
+                modelID: modelIDs.get(`${row.brand.toLowerCase()}/${row.model.toLowerCase()}`),
+                categoryID: categories.ids.get(row.category.toLowerCase()),
+                notes: row.notes
+              }))
+              const itemCustomFields = []
+              for (const row of rows) {
+                for (const {customFieldID, value} of row.customFields) {
+                  itemCustomFields.push({barcode: row.barcode, customFieldID, value})
+                }
+              }
+
+              created.items = items
+              return trx('item').insert(items)
+                .then(() => itemCustomFields.length && trx('itemCustomField').insert(itemCustomFields))
+            })
+        })
+    })
+    .then(() => created)
+}
+
+item.importItems = (req, res, next) => {
+  if (!Array.isArray(req.body) || req.body.length === 0) {
+    return next(new errors.BadRequestError('Missing CSV of items with a header row'))
+  }
+
+  const dryRun = req.params.dryRun === 'true'
+  const organizationID = req.user.organizationID
+  let parsed
+
+  return db('customField')
+    .where('organizationID', organizationID)
+    .select('customFieldID', 'name', 'fieldTypeID')
+    .then(customFields => {
+      parsed = item.parseImport(req.body, customFields)
+      if (parsed.unknownColumns.length) {
+        throw new errors.BadRequestError(`Unknown columns: ${parsed.unknownColumns.join(', ')}`)
+      }
+
+      return quota.check(organizationID, 'items', parsed.rows.length)
+        // Barcodes are unique across all organizations
+        .then(() => db('item')
+          .whereIn('barcode', parsed.rows.map(row => row.barcode).filter(Boolean))
+          .pluck('barcode'))
+    })
+    .then(existing => {
+      for (const row of parsed.rows.filter(row => existing.includes(row.barcode))) {
+        const rowError = parsed.errors.find(rowError => rowError.row === row.row)
+        if (rowError) {
+          rowError.errors.push('Barcode already exists')
+        } else {
+          parsed.errors.push({row: row.row, barcode: row.barcode, errors: ['Barcode already exists']})
+        }
+      }
+      parsed.errors.sort((a, b) => a.row - b.row)
+
+      if (parsed.errors.length) {
+        res.send(dryRun ? 200 : 400, {
+          code: 'BadRequest',
+          message: 'Some rows are invalid, no items were imported',
+          dryRun,
+          errors: parsed.errors
+        })
+        return next()
+      }
+
+      if (dryRun) {
+        return db.transaction(trx => item.importRows(trx, organizationID, parsed.rows, true))
+          .then(created => {
+            res.send({
+              message: 'All rows are valid',
+              dryRun,
+              items: parsed.rows.length,
+              created: {brands: created.brands, models: created.models, categories: created.categories},
+              errors: []
+            })
+            return next()
+          })
+      }
+
+      return db.transaction(trx => item.importRows(trx, organizationID, parsed.rows, false))
+        .tap(created => {
+          const entities = [['brand', 'brandID', created.brands], ['model', 'modelID', created.models],
+            ['category', 'categoryID', created.categories], ['item', 'barcode', created.items]]
+          return Promise.all([].concat(...entities.map(([entity, column, rows]) =>
+            rows.map(row => audit.record(req, 'create', entity, row[column], undefined, row)))))
+        })
+        .then(created => {
+          res.send({
+            message: 'Items imported',
+            dryRun,
+            items: parsed.rows.length,
+            created: {brands: created.brands, models: created.models, categories: created.categories},
+            errors: []
+          })
+          return next()
+        })
+    })
+    .catch(err => err instanceof errors.HttpError ? next(err) : endpoint.handleError(err, messages, next, req))
+}
+
 item.mount = app => {
   /**
    * @apiDefine Pagination
    *
-   * @apiParam (Pagination) {Number{0..}} [limit] Max rows in response
+   * @apiParam (Pagination) {Number{1..}} [limit] Max rows in response
    * @apiParam (Pagination) {Number{0..}} [offset] Rows to offset response by
+   * @apiParam (Pagination) {String} [after] Cursor from `next` of the previous
+   *   page, instead of `offset`. The page starts after the last row of the
+   *   previous page, even if rows were added or removed before it, and only
+   *   links to the first and next pages.
+   *
+   * @apiSuccess (Pagination) {Number} total Number of rows that match the
+   *   search and filters, in every page
+   * @apiSuccess (Pagination) {String} next Cursor of the next page, `null` on
+   *   the last page
+   * @apiSuccessExample Pagination
+   *  Link: </item?limit=2>; rel="first", </item?limit=2&after=WyJDYW5vbiIsIkVPUyA1RCIsIjAwMDQiXQ>; rel="next"
+   *  {
+   *    "results": [...],
+   *    "total": 11,
+   *    "next": "WyJDYW5vbiIsIkVPUyA1RCIsIjAwMDQiXQ"
+   *  }
    */
 
   /**
@@ -227,7 +609,8 @@ item.mount = app => {
    *   "model": "",
    *   "modelID": 0,
    *   "notes": "",
-   *   "organizationID": 0
+   *   "organizationID": 0,
+   *   "deleted": null
    * }
    */
 
@@ -239,8 +622,10 @@ item.mount = app => {
    * @apiVersion 3.0.0
    *
    * @apiDescription This endpoint can be filtered using the query parameters
-   * specified below. Any of the filters can be applied at the same time in
-   * any order.
+   * specified below. Any of the filters can be applied at the same time in any
+   * order. Items can be sorted by `barcode`, `brand`, `model`, `category`, and
+   * `available`, which is by `brand` and `model` by default, and any fields in
+   * the response format can be chosen.
    *
    * @apiUse Search
    *
@@ -248,16 +633,33 @@ item.mount = app => {
    * @apiParam (Filter) {Number} [modelID] Return items with only this modelID
    * @apiParam (Filter) {Number} [categoryID] Return items with only this
    *   categoryID
+   * @apiParam (Filter) {Boolean} [available] Return items that are or are not
+   *   rented out
+   * @apiParam (Filter) {Date} [lastRented] Start of the last rental of items,
+   *   not counting canceled rentals; `null` for items that were never rented
+   * @apiUse FilterOperators
+   * @apiUse CustomFieldFilter
    * @apiParamExample Filter brand and model
    * /item?brandID=0&modelID=0
    * @apiParamExample Filter category
    * /item?categoryID=0
+   * @apiParamExample Filter items in categories that have not been rented since a date
+   * /item?categoryID[in]=3,5&lastRented[not][gte]=2018-06-01
+   * @apiParamExample Filter by custom field
+   * /item?cf[42][lt]=100
    *
    *
    * @apiUse Pagination
    * @apiParamExample Paginate response
    * /item?limit=10&offset=10
    *
+   * @apiUse Sort
+   * @apiUse Fields
+   * @apiParamExample Sort and choose fields
+   * /item?sort=-brand,model&fields=barcode,model,available
+   *
+   * @apiUse IncludeDeleted
+   *
    * @apiExample {json} Response Format
    * {
    *   results: [
@@ -278,6 +680,88 @@ item.mount = app => {
    * }
    */
   app.get({name: 'get all items', path: 'item'}, auth.verify, item.getAll)
+  /**
+   * @api {get} /item/availability Get availability of items
+   * @apiName GetItemAvailability
+   * @apiGroup Item
+   * @apiPermission User
+   * @apiVersion 3.0.0
+   *
+   * @apiDescription Find out which items can be rented or reserved for a period
+   *   of time. `availableForPeriod` is `true` if an item is free for the whole
+   *   period, otherwise `conflicts` lists the rentals and reservations that the
+   *   item is not returned from during the period. Unlike `available`, which is
+   *   only the current status of an item, this takes future reservations into
+   *   account. This endpoint accepts the same filters, search and pagination as
+   *   `GET /item`.
+   *
+   * @apiParam {String} start Start of period (YYYY-MM-DD or YYYY-MM-DD
+   *   HH:mm:ss)
+   * @apiParam {String} end End of period (YYYY-MM-DD or YYYY-MM-DD HH:mm:ss)
+   *
+   * @apiUse Search
+   * @apiUse Pagination
+   * @apiParamExample Next Tuesday
+   * /item/availability?start=2017-02-21&end=2017-02-21 23:59:59
+   *
+   * @apiExample {json} Response Format
+   * {
+   *   results: [
+   *     {
+   *       "available": 1,
+   *       "availableForPeriod": false,
+   *       "barcode": "",
+   *       "brand": "",
+   *       "brandID": 0,
+   *       "category": "",
+   *       "categoryID": 0,
+   *       "conflicts": [
+   *         {
+   *           "rentalID": 0,
+   *           "start": "2017-02-20T05:00:00.000Z",
+   *           "end": "2017-02-23T05:00:00.000Z",
+   *           "isReservation": 1,
+   *           "userID": 0,
+   *           "externalRenterID": null
+   *         }
+   *       ],
+   *       "model": "",
+   *       "modelID": 0,
+   *       "notes": "",
+   *       "organizationID": 0
+   *       "sortIndex": 0
+   *     }
+   *   ]
+   * }
+   *
+   * @apiError 400 Missing or invalid period
+   */
+  app.get({name: 'get item availability', path: 'item/availability'}, auth.verify, item.getAvailability)
+  /**
+   * @api {get} /item/export Export items
+   * @apiName ExportItems
+   * @apiGroup Item
+   * @apiPermission item:export
+   * @apiVersion 3.0.0
+   *
+   * @apiDescription Download every item as a spreadsheet, with a column for
+   *   each custom field. Send `Accept: text/csv` for CSV, or
+   *   `Accept: application/vnd.openxmlformats-officedocument.spreadsheetml.sheet`
+   *   for an Excel spreadsheet. This endpoint accepts the same filters and
+   *   search as `GET /item`, but is not paginated.
+   *
+   * @apiUse Search
+   * @apiUse IncludeDeleted
+   * @apiParamExample Export one category
+   * /item/export?categoryID=0
+   *
+   * @apiExample {csv} Response Format
+   * Barcode,Brand,Model,Category,Notes,Available,Purchase Price
+   * 0000,Canon,T5i,Cameras,,1,649.99
+   *
+   * @apiError (406) NotAcceptable `Accept` header does not include CSV or XLSX
+   */
+  app.get({name: 'export items', path: 'item/export'}, auth.verify, auth.checkPermission('item:export'), item.export)
   /**
    * @api {get} /item/:barcode Get an item
    * @apiName GetItem
@@ -285,6 +769,8 @@ item.mount = app => {
    * @apiPermission User
    * @apiVersion 3.0.0
    *
+   * @apiUse IncludeDeleted
+   *
    * @apiUse ItemResponse
    */
   app.get({name: 'get item', path: 'item/:barcode'}, auth.verify, item.get)
@@ -292,7 +778,7 @@ item.mount = app => {
    * @api {put} /item Create an item
    * @apiName CreateItem
    * @apiGroup Item
-   * @apiPermission User
+   * @apiPermission item:create
    * @apiVersion 3.0.0
    *
    * @apiDescription An item represents a physical object owned by the
@@ -306,13 +792,66 @@ item.mount = app => {
    *
    * @apiUse ItemResponse
    * @apiUse InvalidSubscriptionResponse
+   * @apiUse QuotaResponse
    */
-  app.put({name: 'create item', path: 'item'}, auth.verify, checkSubscription, item.create)
+  app.put({name: 'create item', path: 'item'}, auth.verify, auth.checkPermission('item:create'), checkSubscription,
+    quota.checking('items'), item.create)
+  /**
+   * @api {post} /item/import Import items
+   * @apiName ImportItems
+   * @apiGroup Item
+   * @apiPermission item:import
+   * @apiVersion 3.0.0
+   *
+   * @apiDescription Create many items at once from a CSV file with
+   *   `Content-Type: text/csv`. The first row of the file must name its
+   *   columns: `barcode`, `brand`, `model`, `category` and optionally `notes`,
+   *   plus a column for each custom field to set, named after the custom field.
+   *   Brands, models and categories are matched by name and are created if they
+   *   do not exist yet. Either every item is created, or, if any row is
+   *   invalid, none are and `errors` lists the problems with each invalid row.
+   *   Use `dryRun=true` to check a file without creating anything.
+   *
+   * @apiParam {Boolean} [dryRun=false] Only check the file and list what would
+   *   be created
+   *
+   * @apiParamExample {csv} Request Format
+   * barcode,brand,model,category,notes,Purchase Price
+   * 0000,Canon,T5i,Cameras,,649.99
+   * 1111,Canon,T5i,Cameras,Scratched lens,649.99
+   *
+   * @apiExample {json} Response Format
+   * {
+   *   "message": "Items imported",
+   *   "dryRun": false,
+   *   "items": 2,
+   *   "created": {
+   *     "brands": [{"brandID": 0, "name": "Canon", "organizationID": 0}],
+   *     "models": [{"modelID": 0, "name": "T5i", "brandID": 0, "organizationID": 0}],
+   *     "categories": []
+   *   },
+   *   "errors": []
+   * }
+   * @apiExample {json} Invalid Rows Response Format
+   * {
+   *   "code": "BadRequest",
+   *   "message": "Some rows are invalid, no items were imported",
+   *   "dryRun": false,
+   *   "errors": [
+   *     {"row": 2, "barcode": "1111", "errors": ["Barcode already exists", "Purchase Price must be a number"]}
+   *   ]
+   * }
+   *
+   * @apiUse InvalidSubscriptionResponse
+   * @apiUse QuotaResponse
+   */
+  app.post({name: 'import items', path: 'item/import'}, auth.verify, auth.checkPermission('item:import'),
+    checkSubscription, item.importItems)
   /**
    * @api {put} /item/:barcode Update item
    * @apiName UpdateItem
    * @apiGroup Item
-   * @apiPermission User
+   * @apiPermission item:update
    * @apiVersion 3.0.0
    *
    * @apiParam {Number} [modelID] ID of model
@@ -323,18 +862,37 @@ item.mount = app => {
    * @apiUse ItemResponse
    * @apiUse InvalidSubscriptionResponse
    */
-  app.put({name: 'update item', path: 'item/:barcode'}, auth.verify, checkSubscription, item.update)
+  app.put({name: 'update item', path: 'item/:barcode'}, auth.verify, auth.checkPermission('item:update'),
+    checkSubscription, item.update)
   /**
    * @api {delete} /item/:barcode Delete item
    * @apiName DeleteItem
    * @apiGroup Item
-   * @apiPermission User
+   * @apiPermission item:delete
    * @apiVersion 3.0.0
    *
+   * @apiDescription Deleted items are kept, with `deleted` set to when they
+   *   were deleted, so that their rentals are not lost. Deleted items cannot be
+   *   rented, and can be restored with `POST /item/:barcode/restore`.
+   *
    * @apiUse EndpointDelete
    * @apiUse InvalidSubscriptionResponse
    */
-  app.del({name: 'delete item', path: 'item/:barcode'}, auth.verify, checkSubscription, item.delete)
+  app.del({name: 'delete item', path: 'item/:barcode'}, auth.verify, auth.checkPermission('item:delete'),
+    checkSubscription, item.delete)
+  /**
+   * @api {post} /item/:barcode/restore Restore item
+   * @apiName RestoreItem
+   * @apiGroup Item
+   * @apiPermission item:delete
+   * @apiVersion 3.0.0
+   *
+   * @apiUse EndpointRestore
+   * @apiUse InvalidSubscriptionResponse
+   * @apiUse QuotaResponse
+   */
+  app.post({name: 'restore item', path: 'item/:barcode/restore'}, auth.verify, auth.checkPermission('item:delete'),
+    checkSubscription, quota.checking('items'), item.restore)
   /**
    * @api {get} /item/:barcode/rentals Get rentals of an item
    * @apiName GetItemRentals
@@ -395,7 +953,8 @@ item.mount = app => {
    * @apiDescription An item's status is either available or unavailable. In the
    *   response from this endpoint, the `available` property will equal either
    *   `1` or `0`, respectively. An item is considered available if there are no
-   *   rentals for it or if all of the rentals for it have `returnDate` set.
+   *   rentals for it or if all of the rentals for it have `returnDate` set or
+   *   are canceled reservations.
    *
    *   **Note:** `organizationID` is deprecated and will be removed in a future
    *   release.
@@ -463,7 +1022,7 @@ item.mount = app => {
    * @api {put} /item/:barcode/custom-field/:customFieldID Update item custom field
    * @apiName UpdateItemCustomField
    * @apiGroup ItemCustomField
-   * @apiPermission User
+   * @apiPermission item:update
    * @apiVersion 3.0.0
    *
    * @apiDescription Sets the value for a custom field for an item.
@@ -480,12 +1039,12 @@ item.mount = app => {
    * @apiUse InvalidSubscriptionResponse
    */
   app.put({name: 'update item custom field', path: 'item/:barcode/custom-field/:customFieldID'}, auth.verify,
-    checkSubscription, item.updateCustomField)
+    auth.checkPermission('item:update'), checkSubscription, item.updateCustomField)
   /**
    * @api {delete} /item/:barcode/custom-field/:customFieldID Delete item custom field
    * @apiName DeleteItemCustomField
    * @apiGroup ItemCustomField
-   * @apiPermission User
+   * @apiPermission item:update
    * @apiVersion 3.0.0
    *
    * @apiDescription Unset the value of a custom field for an item.
@@ -495,5 +1054,5 @@ item.mount = app => {
    * @apiUse InvalidSubscriptionResponse
    */
   app.del({name: 'delete item custom field', path: 'item/:barcode/custom-field/:customFieldID'}, auth.verify,
-    checkSubscription, item.deleteCustomField)
+    auth.checkPermission('item:update'), checkSubscription, item.deleteCustomField)
 }
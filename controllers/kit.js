@@ -1,7 +1,9 @@
 const errors = require('restify-errors')
 
 const auth = require('./auth')
+const availability = require('../services/availability')
 const checkSubscription = require('../services/check-subscription')
+const db = require('../services/db')
 const endpoint = require('../services/endpoint')
 
 const kit = module.exports
@@ -28,15 +30,18 @@ kit.withKitID = (req, queryBuilder) => {
 endpoint.addAllMethods(kit, 'kit', 'kitID')
 kit.getAll = endpoint.getAll('kit', {
   sortBy: [{column: 'kit.name', ascending: true}],
+  sortColumns: {kitID: 'kit.kitID', name: 'kit.name'},
+  fields: ['kitID', 'name', 'organizationID'],
   searchColumns: ['kit.name']
 })
 
 kit.getAllKitModels = endpoint.getAll('kitModel', {
   modify: kit.withModelDetails,
   hasOrganizationID: false,
+  primaryKey: 'kitModel.modelID',
   sortBy: [
-    {column: 'brand', ascending: true},
-    {column: 'model', ascending: true}
+    {column: 'brand.name', ascending: true},
+    {column: 'model.name', ascending: true}
   ]
 })
 
@@ -58,6 +63,68 @@ kit.updateKitModel = endpoint.update(
 kit.deleteKitModel = endpoint.delete(
   'kitModel', 'modelID', {hasOrganizationID: false, modify: kit.withKitID})
 
+// Count items of each model, how many are available now and how many are free for a whole period
+kit.countItems = (organizationID, modelIDs, start, end) => {
+  const forModels = queryBuilder => queryBuilder
+    .where('item.organizationID', organizationID)
+    .modify(db.withoutDeleted, 'item')
+    .whereIn('item.modelID', modelIDs)
+    .groupBy('item.modelID')
+    .select('item.modelID')
+
+  return Promise.all([
+    db('item')
+      .modify(forModels)
+      .leftJoin('itemStatus', 'item.barcode', 'itemStatus.barcode')
+      .count('item.barcode as total')
+      .sum('itemStatus.available as availableNow'),
+    db('item')
+      .modify(forModels)
+      .modify(availability.freeDuringPeriod, start, end)
+      .count('item.barcode as available')
+  ]).then(([statuses, free]) => {
+    const counts = new Map()
+    for (const modelID of modelIDs) {
+      counts.set(modelID, {total: 0, availableNow: 0, available: 0})
+    }
+    for (const row of statuses) {
+      Object.assign(counts.get(row.modelID), {total: row.total, availableNow: Number(row.availableNow) || 0})
+    }
+    for (const row of free) {
+      counts.get(row.modelID).available = row.available
+    }
+    return counts
+  })
+}
+
+kit.getAvailability = (req, res, next) => {
+  const {start, end} = req.params
+  const periodError = availability.checkPeriod(start, end)
+  if (periodError) {
+    return next(periodError)
+  }
+
+  return db.get('kit', 'kitID', req.params.kitID, req.user.organizationID)
+    .then(() => db('kitModel').modify(kit.withModelDetails.bind(null, req)))
+    .then(kitModels => kit.countItems(req.user.organizationID, kitModels.map(kitModel => kitModel.modelID),
+      db.formatDate(start), db.formatDate(end))
+      .then(counts => kitModels.map(kitModel => {
+        const count = counts.get(kitModel.modelID)
+        return Object.assign(kitModel, count, {shortfall: Math.max(0, kitModel.quantity - count.available)})
+      })))
+    .then(models => {
+      res.send({
+        kitID: Number.parseInt(req.params.kitID, 10),
+        start,
+        end,
+        available: models.every(model => model.shortfall === 0),
+        models
+      })
+    })
+    .then(next)
+    .catch(err => endpoint.handleError(err, {missing: 'Kit does not exist'}, next, req))
+}
+
 kit.mount = app => {
   /**
    * @apiDefine KitResponse
@@ -91,7 +158,12 @@ kit.mount = app => {
    * @apiPermission User
    * @apiVersion 3.0.0
    *
+   * @apiDescription Can be sorted by `kitID` and `name`, which is by `name` by
+   * default. Any fields in the response format can be chosen.
+   *
    * @apiUse Search
+   * @apiUse Sort
+   * @apiUse Fields
    *
    * @apiExample {json} Response Format
    * {
@@ -116,11 +188,55 @@ kit.mount = app => {
    * @apiUse KitResponse
    */
   app.get({name: 'get kit', path: 'kit/:kitID'}, auth.verify, kit.get)
+  /**
+   * @api {get} /kit/:kitID/availability Get availability of a kit
+   * @apiName GetKitAvailability
+   * @apiGroup Kit
+   * @apiPermission User
+   * @apiVersion 3.0.0
+   *
+   * @apiDescription Compare how many of each model a kit needs with how many
+   *   items of the model are free for a whole period. `available` is `true` if
+   *   the whole kit can be rented or reserved for the period, otherwise
+   *   `shortfall` is how many items of each model are missing. `availableNow`
+   *   is how many items of the model are not rented right now, and `total` is
+   *   how many items of the model there are.
+   *
+   * @apiParam {String} start Start of period (YYYY-MM-DD or YYYY-MM-DD
+   *   HH:mm:ss)
+   * @apiParam {String} end End of period (YYYY-MM-DD or YYYY-MM-DD HH:mm:ss)
+   *
+   * @apiExample {json} Response Format
+   * {
+   *   "kitID": 0,
+   *   "start": "2017-02-21",
+   *   "end": "2017-02-22",
+   *   "available": false,
+   *   "models": [
+   *     {
+   *       "kitID": 0,
+   *       "quantity": 2,
+   *       "modelID": 0,
+   *       "model": "",
+   *       "brandID": 0,
+   *       "brand": "",
+   *       "total": 3,
+   *       "availableNow": 2,
+   *       "available": 1,
+   *       "shortfall": 1
+   *     }
+   *   ]
+   * }
+   *
+   * @apiError 400 Missing or invalid period
+   * @apiError 404 Kit does not exist
+   */
+  app.get({name: 'get kit availability', path: 'kit/:kitID/availability'}, auth.verify, kit.getAvailability)
   /**
    * @api {put} /kit Create kit
    * @apiName CreateKit
    * @apiGroup Kit
-   * @apiPermission User
+   * @apiPermission kit:manage
    * @apiVersion 3.0.0
    *
    * @apiDescription Kits are collections of models that a user would like to
@@ -136,12 +252,13 @@ kit.mount = app => {
    * @apiUse KitResponse
    * @apiUse InvalidSubscriptionResponse
    */
-  app.put({name: 'create kit', path: 'kit'}, auth.verify, checkSubscription, kit.create)
+  app.put({name: 'create kit', path: 'kit'}, auth.verify, auth.checkPermission('kit:manage'), checkSubscription,
+    kit.create)
   /**
    * @api {put} /kit/:kitID Update kit
    * @apiName UpdateKit
    * @apiGroup Kit
-   * @apiPermission User
+   * @apiPermission kit:manage
    * @apiVersion 3.0.0
    *
    * @apiParam {String{0..255}} [name] Name of kit
@@ -149,18 +266,20 @@ kit.mount = app => {
    * @apiUse KitResponse
    * @apiUse InvalidSubscriptionResponse
    */
-  app.put({name: 'update kit', path: 'kit/:kitID'}, auth.verify, checkSubscription, kit.update)
+  app.put({name: 'update kit', path: 'kit/:kitID'}, auth.verify, auth.checkPermission('kit:manage'), checkSubscription,
+    kit.update)
   /**
    * @api {delete} /kit/:kitID Delete a kit
    * @apiName DeleteKit
    * @apiGroup Kit
-   * @apiPermission User
+   * @apiPermission kit:manage
    * @apiVersion 3.0.0
    *
    * @apiUse EndpointDelete
    * @apiUse InvalidSubscriptionResponse
    */
-  app.del({name: 'delete kit', path: 'kit/:kitID'}, auth.verify, checkSubscription, kit.delete)
+  app.del({name: 'delete kit', path: 'kit/:kitID'}, auth.verify, auth.checkPermission('kit:manage'), checkSubscription,
+    kit.delete)
   /**
    * @api {get} /kit/:kitID/model Get all kit models
    * @apiName GetAllKitModels
@@ -188,7 +307,7 @@ kit.mount = app => {
    * @api {put} /kit/:kitID/model Create kit model
    * @apiName CreateKitModel
    * @apiGroup Kit
-   * @apiPermission User
+   * @apiPermission kit:manage
    * @apiVersion 3.0.0
    *
    * @apiParam {Number} modelID ID of model
@@ -197,12 +316,13 @@ kit.mount = app => {
    * @apiUse KitModelResponse
    * @apiUse InvalidSubscriptionResponse
    */
-  app.put({name: 'create kit model', path: 'kit/:kitID/model'}, auth.verify, checkSubscription, kit.createKitModel)
+  app.put({name: 'create kit model', path: 'kit/:kitID/model'}, auth.verify, auth.checkPermission('kit:manage'),
+    checkSubscription, kit.createKitModel)
   /**
    * @api {put} /kit/:kitID/model/:modelID Update kit model
    * @apiName UpdateKitModel
    * @apiGroup Kit
-   * @apiPermission User
+   * @apiPermission kit:manage
    * @apiVersion 3.0.0
    *
    * @apiParam {Number} quantity How many of the model belong in the kit
@@ -210,18 +330,18 @@ kit.mount = app => {
    * @apiUse KitModelResponse
    * @apiUse InvalidSubscriptionResponse
    */
-  app.put({name: 'update kit model', path: 'kit/:kitID/model/:modelID'}, auth.verify, checkSubscription,
-    kit.updateKitModel)
+  app.put({name: 'update kit model', path: 'kit/:kitID/model/:modelID'}, auth.verify, auth.checkPermission('kit:manage'),
+    checkSubscription, kit.updateKitModel)
   /**
    * @api {delete} /kit/:kitID/model/:modelID Delete a kit model
    * @apiName DeleteKitModel
    * @apiGroup Kit
-   * @apiPermission User
+   * @apiPermission kit:manage
    * @apiVersion 3.0.0
    *
    * @apiUse EndpointDelete
    * @apiUse InvalidSubscriptionResponse
    */
-  app.del({name: 'delete kit model', path: 'kit/:kitID/model/:modelID'}, auth.verify, checkSubscription,
-    kit.deleteKitModel)
+  app.del({name: 'delete kit model', path: 'kit/:kitID/model/:modelID'}, auth.verify, auth.checkPermission('kit:manage'),
+    checkSubscription, kit.deleteKitModel)
 }
@@ -1,6 +1,7 @@
 const auth = require('./auth')
 const checkSubscription = require('../services/check-subscription')
 const endpoint = require('../services/endpoint')
+const filterQuery = require('../services/filter-query')
 const paginate = require('../services/paginate')
 
 const messages = {
@@ -24,32 +25,56 @@ model.withBrand = (req, queryBuilder) => {
     .select('brand.name as brand')
 }
 
-// Add pagination to query
+// Add filters and pagination to query
 model.withPaginationAndBrand = (req, queryBuilder) => {
+  const filterParams = new Map()
+  filterParams.set('brandID', 'model.brandID')
+  filterParams.set('name', 'model.name')
+
   return queryBuilder
     .modify(model.withBrand.bind(null, req))
+    .modify(filterQuery, req, filterParams)
     .modify(paginate.paginateQuery, req, 'model')
 }
 
-endpoint.addAllMethods(model, 'model', 'modelID')
-model.getKits = endpoint.getAll('model', {modify: model.withKits})
+endpoint.addAllMethods(model, 'model', 'modelID', messages, {softDelete: true})
+model.getKits = endpoint.getAll('model', {modify: model.withKits, primaryKey: 'kit.kitID'})
 model.getAll = endpoint.getAll('model', {
   modify: model.withPaginationAndBrand,
   sortBy: [
     {column: 'brand.name', ascending: true},
     {column: 'model.name', ascending: true}
   ],
-  searchColumns: ['model.name']
+  sortColumns: {modelID: 'model.modelID', name: 'model.name', brand: 'brand.name'},
+  fields: ['modelID', 'brandID', 'organizationID', 'name', 'brand', 'deleted'],
+  searchColumns: ['model.name'],
+  softDelete: true
 })
-model.get = endpoint.get('model', 'modelID', {messages, modify: model.withBrand})
+model.get = endpoint.get('model', 'modelID', {messages, modify: model.withBrand, softDelete: true})
 model.create = endpoint.create('model', 'modelID', {messages, resModify: model.withBrand})
 
 model.mount = app => {
   /**
    * @apiDefine Pagination
    *
-   * @apiParam (Pagination) {Number{0..}} [limit] Max rows in response
+   * @apiParam (Pagination) {Number{1..}} [limit] Max rows in response
    * @apiParam (Pagination) {Number{0..}} [offset] Rows to offset response by
+   * @apiParam (Pagination) {String} [after] Cursor from `next` of the previous
+   *   page, instead of `offset`. The page starts after the last row of the
+   *   previous page, even if rows were added or removed before it, and only
+   *   links to the first and next pages.
+   *
+   * @apiSuccess (Pagination) {Number} total Number of rows that match the
+   *   search and filters, in every page
+   * @apiSuccess (Pagination) {String} next Cursor of the next page, `null` on
+   *   the last page
+   * @apiSuccessExample Pagination
+   *  Link: </model?limit=2>; rel="first", </model?limit=2&after=WyJDYW5vbiIsIkVPUyA1RCIsNF0>; rel="next"
+   *  {
+   *    "results": [...],
+   *    "total": 11,
+   *    "next": "WyJDYW5vbiIsIkVPUyA1RCIsNF0"
+   *  }
    */
 
   /**
@@ -61,7 +86,8 @@ model.mount = app => {
    *   "brandID": 0,
    *   "organizationID": 0,
    *   "name": "",
-   *   "brand": ""
+   *   "brand": "",
+   *   "deleted": null
    * }
    */
 
@@ -71,8 +97,21 @@ model.mount = app => {
    * @apiGroup Model
    * @apiVersion 3.0.0
    *
+   * @apiDescription Can be sorted by `modelID`, `name`, and `brand`, which is
+   * by `brand` and `name` by default. Any fields in the response format can be
+   * chosen.
+   *
    * @apiUse Pagination
    * @apiUse Search
+   * @apiUse IncludeDeleted
+   * @apiUse Sort
+   * @apiUse Fields
+   *
+   * @apiParam (Filter) {Number} [brandID] Brand of models
+   * @apiParam (Filter) {String} [name] Name of models
+   * @apiUse FilterOperators
+   * @apiParamExample Filter models of brands
+   * /model?brandID[in]=1,2
    *
    * @apiExample {json} Response Format
    * {
@@ -96,6 +135,8 @@ model.mount = app => {
    * @apiPermission User
    * @apiVersion 3.0.0
    *
+   * @apiUse IncludeDeleted
+   *
    * @apiUse ModelResponse
    */
   app.get({name: 'get model', path: 'model/:modelID'}, auth.verify, model.get)
@@ -103,7 +144,7 @@ model.mount = app => {
    * @api {put} /model Create a model
    * @apiName CreateModel
    * @apiGroup Model
-   * @apiPermission User
+   * @apiPermission model:manage
    * @apiVersion 3.0.0
    *
    * @apiDescription A model represents a real-world model like Macbook Pro or
@@ -116,12 +157,13 @@ model.mount = app => {
    * @apiUse ModelResponse
    * @apiUse InvalidSubscriptionResponse
    */
-  app.put({name: 'create model', path: 'model'}, auth.verify, checkSubscription, model.create)
+  app.put({name: 'create model', path: 'model'}, auth.verify, auth.checkPermission('model:manage'), checkSubscription,
+    model.create)
   /**
    * @api {put} /model/:modelID Update a model
    * @apiName UpdateModel
    * @apiGroup Model
-   * @apiPermission User
+   * @apiPermission model:manage
    * @apiVersion 3.0.0
    *
    * @apiParam {String{0...255}} [name] Name of model
@@ -130,18 +172,35 @@ model.mount = app => {
    * @apiUse ModelResponse
    * @apiUse InvalidSubscriptionResponse
    */
-  app.put({name: 'update model', path: 'model/:modelID'}, auth.verify, checkSubscription, model.update)
+  app.put({name: 'update model', path: 'model/:modelID'}, auth.verify, auth.checkPermission('model:manage'),
+    checkSubscription, model.update)
   /**
    * @api {delete} /model/:modelID Delete a model
    * @apiName DeleteModel
    * @apiGroup Model
-   * @apiPermission User
+   * @apiPermission model:manage
    * @apiVersion 3.0.0
    *
+   * @apiDescription Deleted models are kept, with `deleted` set to when they
+   *   were deleted, and can be restored with `POST /model/:modelID/restore`.
+   *
    * @apiUse EndpointDelete
    * @apiUse InvalidSubscriptionResponse
    */
-  app.del({name: 'delete model', path: 'model/:modelID'}, auth.verify, checkSubscription, model.delete)
+  app.del({name: 'delete model', path: 'model/:modelID'}, auth.verify, auth.checkPermission('model:manage'),
+    checkSubscription, model.delete)
+  /**
+   * @api {post} /model/:modelID/restore Restore a model
+   * @apiName RestoreModel
+   * @apiGroup Model
+   * @apiPermission model:manage
+   * @apiVersion 3.0.0
+   *
+   * @apiUse EndpointRestore
+   * @apiUse InvalidSubscriptionResponse
+   */
+  app.post({name: 'restore model', path: 'model/:modelID/restore'}, auth.verify, auth.checkPermission('model:manage'),
+    checkSubscription, model.restore)
   /**
    * @api {get} /model/:modelID/kits Get model kits
    * @apiName GetModelKits
@@ -38,7 +38,7 @@ organization.mount = app => {
    * @api {put} /organization/:organizationID Update an organization
    * @apiName UpdateOrganization
    * @apiGroup Organization
-   * @apiPermission Administrator
+   * @apiPermission organization:manage
    * @apiVersion 3.0.0
    *
    * @apiParam {String} name Name of organization
@@ -46,18 +46,18 @@ organization.mount = app => {
    * @apiUse OrganizationResponse
    * @apiUse InvalidSubscriptionResponse
    */
-  app.put({name: 'update organization', path: 'organization/:organizationID'}, auth.verify, auth.checkAdmin,
-    checkSubscription, organization.update)
+  app.put({name: 'update organization', path: 'organization/:organizationID'}, auth.verify,
+    auth.checkPermission('organization:manage'), checkSubscription, organization.update)
   /**
    * @api {delete} /organization/:organizationID Delete an organization
    * @apiName DeleteOrganization
    * @apiGroup Organization
-   * @apiPermission Administrator
+   * @apiPermission organization:manage
    * @apiVersion 3.0.0
    *
    * @apiUse EndpointDelete
    * @apiUse InvalidSubscriptionResponse
    */
-  app.del({name: 'delete organization', path: 'organization/:organizationID'}, auth.verify, auth.checkAdmin,
-    checkSubscription, organization.delete)
+  app.del({name: 'delete organization', path: 'organization/:organizationID'}, auth.verify,
+    auth.checkPermission('organization:manage'), checkSubscription, organization.delete)
 }
@@ -3,6 +3,7 @@ const rentalItem = module.exports
 const auth = require('./auth')
 const checkSubscription = require('../services/check-subscription')
 const endpoint = require('../services/endpoint')
+const webhook = require('../services/webhook')
 
 rentalItem.forRental = (req, queryBuilder) => {
   return queryBuilder
@@ -24,13 +25,28 @@ rentalItem.withItemDetails = (req, queryBuilder) => {
     .modify(rentalItem.forRental.bind(null, req))
 }
 
-rentalItem.getAll = endpoint.getAll('rentalItem', {modify: rentalItem.withItemDetails, hasOrganizationID: false})
+rentalItem.getAll = endpoint.getAll('rentalItem', {
+  modify: rentalItem.withItemDetails,
+  hasOrganizationID: false,
+  primaryKey: ['rentalItem.rentalID', 'rentalItem.barcode']
+})
 rentalItem.get = endpoint.get('rentalItem', 'barcode', {modify: rentalItem.withItemDetails, hasOrganizationID: false})
 rentalItem.update = endpoint.update('rentalItem', 'barcode', {
   modify: rentalItem.forRental,
   resModify: rentalItem.withItemDetails,
-  hasOrganizationID: false
+  hasOrganizationID: false,
+  onUpdate: (req, before, updated) => {
+    if (!before.returned && req.body.returned) {
+      return webhook.trigger(req.user.organizationID, 'rentalItem.returned',
+        {rentalID: before.rentalID, barcode: before.barcode, returned: req.body.returned})
+    }
+  }
 })
+// Updates that only return an item, which are allowed even when the organization's subscription is read-only
+rentalItem.isReturn = (req) => {
+  return Boolean(req.body.returned) && Object.keys(req.body).every(column => column === 'returned')
+}
+
 rentalItem.delete = endpoint.delete('rentalItem', 'barcode', {modify: rentalItem.forRental, hasOrganizationID: false})
 
 rentalItem.mount = app => {
@@ -88,27 +104,32 @@ rentalItem.mount = app => {
    * @api {put} /rental/:rentalId/item/:barcode Update rental item
    * @apiName UpdateRentalItem
    * @apiGroup RentalItem
-   * @apiPermission User
+   * @apiPermission rental:update
    * @apiVersion 3.0.0
    *
-   * @apiDescription The `returned` field of each rental item is set to `null` by default. Setting a value for
-   * `returned` both records that date and time that the item was returned and marks the item as returned.
+   * @apiDescription The `returned` field of each rental item is set to `null`
+   * by default. Setting a value for `returned` both records that date and time
+   * that the item was returned and marks the item as returned. Items can be
+   * returned even when the organization's subscription is read-only, as long as
+   * `returned` is the only field.
    *
    * @apiParam {String} returned Date item is returned (YYYY-MM-DD)
    *
    * @apiUse RentalItemResponse
+   * @apiUse InvalidSubscriptionResponse
    */
-  app.put({name: 'update rental item', path: 'rental/:rentalId/item/:barcode'}, auth.verify, checkSubscription,
+  app.put({name: 'update rental item', path: 'rental/:rentalId/item/:barcode'}, auth.verify,
+    auth.checkPermission('rental:update'), checkSubscription.allowingReadOnly(rentalItem.isReturn),
     rentalItem.update)
   /**
    * @api {delete} /rental/:rentalId/item/:barcode Delete rental item
    * @apiName DeleteRentalItem
    * @apiGroup RentalItem
-   * @apiPermission Admin
+   * @apiPermission rental:delete
    * @apiVersion 3.0.0
    *
    * @apiUse EndpointDelete
    */
-  app.del({name: 'delete rental item', path: 'rental/:rentalId/item/:barcode'}, auth.verify, auth.checkAdmin,
-    checkSubscription, rentalItem.delete)
+  app.del({name: 'delete rental item', path: 'rental/:rentalId/item/:barcode'}, auth.verify,
+    auth.checkPermission('rental:delete'), checkSubscription, rentalItem.delete)
 }
@@ -1,16 +1,45 @@
 const jwt = require('jsonwebtoken')
+const moment = require('moment')
 const errors = require('restify-errors')
 
 const auth = require('./auth')
+const audit = require('../services/audit')
+const availability = require('../services/availability')
 const checkSubscription = require('../services/check-subscription')
 const db = require('../services/db')
 const endpoint = require('../services/endpoint')
+const exporter = require('../services/export')
+const filterQuery = require('../services/filter-query')
+const overdue = require('../services/overdue')
 const paginate = require('../services/paginate')
+const webhook = require('../services/webhook')
 
 const rental = module.exports
 
+// A rental cannot be changed as requested; `details` are added to the response to explain why
+function RentalConflictError (message, details) {
+  this.name = 'RentalConflictError'
+  this.message = message
+  this.details = details
+}
+RentalConflictError.prototype = Object.create(Error.prototype)
+
+// Filter rentals by request query parameters, the same way when listing and exporting them
+rental.withFilters = (req, queryBuilder) => {
+  // Mapping between query param fields and database query column names
+  const filterParams = new Map()
+  filterParams.set('start', 'rental.start')
+  filterParams.set('end', 'rental.end')
+  filterParams.set('userID', 'rental.userID')
+  filterParams.set('externalRenterID', 'rental.externalRenterID')
+  filterParams.set('isReservation', 'rental.isReservation')
+  filterParams.set('canceled', 'rental.canceled')
+
+  return queryBuilder.modify(filterQuery, req, filterParams)
+}
+
 rental.paginateWithExternalRenter = (req, queryBuilder) => {
-  return queryBuilder
+  return rental.withFilters(req, queryBuilder)
     .join('externalRenter', 'rental.externalRenterId', 'externalRenter.externalRenterId')
     .modify(paginate.paginateQuery, req, 'rental')
 }
@@ -20,14 +49,66 @@ rental.withExternalRenter = (req, queryBuilder) => {
     .join('externalRenter', 'rental.externalRenterId', 'externalRenter.externalRenterId')
 }
 
+// Columns of rental exports, before a column for each custom field of rented items
+const exportColumns = [
+  {key: 'rentalID', header: 'Rental'},
+  {key: 'start', header: 'Start'},
+  {key: 'end', header: 'End'},
+  {key: 'isReservation', header: 'Reservation'},
+  {key: 'canceled', header: 'Canceled'},
+  {key: 'notes', header: 'Notes'},
+  {key: 'name', header: 'Renter'},
+  {key: 'email', header: 'Renter Email'},
+  {key: 'phone', header: 'Renter Phone'},
+  {key: 'barcode', header: 'Barcode'},
+  {key: 'brand', header: 'Brand'},
+  {key: 'model', header: 'Model'},
+  {key: 'category', header: 'Category'},
+  {key: 'returned', header: 'Returned'}
+]
+
+// Get a row for each item in each rental, with details of the rental, renter and item
+rental.withItemDetails = (req, queryBuilder) => {
+  return rental.withExternalRenter(req, queryBuilder)
+    .select('rental.rentalID', 'rental.start', 'rental.end', 'rental.isReservation', 'rental.canceled',
+      'rental.notes', 'externalRenter.name', 'externalRenter.email', 'externalRenter.phone')
+
+    .leftJoin('rentalItem', 'rental.rentalID', 'rentalItem.rentalID')
+    .select('rentalItem.barcode', 'rentalItem.returned')
+    .leftJoin('item', 'rentalItem.barcode', 'item.barcode')
+    .leftJoin('model', 'item.modelID', 'model.modelID')
+    .select('model.name as model')
+    .leftJoin('brand', 'model.brandID', 'brand.brandID')
+    .select('brand.name as brand')
+    .leftJoin('category', 'item.categoryID', 'category.categoryID')
+    .select('category.name as category')
+}
+
+// Get items that are overdue, with details about their rental and item
+rental.withOverdueItems = (req, queryBuilder) => {
+  return queryBuilder
+    .modify(overdue.overdueItems, req.user.organizationID)
+    .select('rentalItem.*', 'rental.start', 'rental.end', 'rental.userID', 'rental.externalRenterID')
+
+    .join('item', 'rentalItem.barcode', 'item.barcode')
+    .leftJoin('model', 'item.modelID', 'model.modelID')
+    .select('model.modelID', 'model.name as model')
+    .leftJoin('brand', 'model.brandID', 'brand.brandID')
+    .select('brand.brandID', 'brand.name as brand')
+}
+
 // Get user ID from token and add to request body
 rental.addUserID = function addUserID (req, res, next) {
-  try {
-    const token = req.headers.authorization.replace('Bearer ', '')
-    const payload = jwt.decode(token)
+  // API keys do not belong to a user, so they must say who is renting
+  if (!req.body.userID && req.user && req.user.apiKeyID) {
+    return next(new errors.BadRequestError('Missing userID, required when using an API key'))
+  }
 
+  try {
     // Don't overwrite userID if provided in body
     if (!req.body.userID) {
+      const token = req.headers.authorization.replace('Bearer ', '')
+      const payload = jwt.decode(token)
       req.body.userID = payload.userID
     }
     return next()
@@ -36,47 +117,406 @@ rental.addUserID = function addUserID (req, res, next) {
   }
 }
 
+// Check that a user renting for someone else is allowed to
+rental.checkRenter = function checkRenter (req, res, next) {
+  if (Number.parseInt(req.body.userID, 10) === req.user.userID) {
+    return next()
+  } else {
+    return auth.checkPermission('rental:create-for-others')(req, res, next)
+  }
+}
+
 const messages = {
   conflict: 'Cannot rent item, item is already rented',
   create: 'Rental created',
   createPlural: 'Rentals created',
   delete: 'Rental deleted',
-  missing: 'Rental does not exist'
+  missing: 'Rental does not exist',
+  return: 'Items returned',
+  checkout: 'Reservation checked out',
+  cancel: 'Reservation canceled'
 }
 
-rental.getAll = endpoint.getAll('rental', {modify: rental.paginateWithExternalRenter})
+// Identify a rental item in the audit log
+const rentalItemKey = (rentalID, barcode) => `${rentalID}/${barcode}`
+
+// Handle an error from a custom rental handler
+const handleError = (err, res, next, req) => {
+  if (err instanceof RentalConflictError) {
+    res.send(409, Object.assign({code: 'Conflict', message: err.message}, err.details))
+    return next()
+  } else if (err instanceof errors.HttpError) {
+    return next(err)
+  }
+  return endpoint.handleError(err, messages, next, req)
+}
+
+// Get a rental and lock it until the end of the transaction
+const getForUpdate = (trx, req) => {
+  return trx('rental')
+    .where({rentalID: req.params.rentalID, organizationID: req.user.organizationID})
+    .first()
+    .forUpdate()
+    .then(row => {
+      if (!row) {
+        throw new errors.NotFoundError(messages.missing)
+      }
+      return row
+    })
+}
+
+// Match scanned items to reserved items, swapping in scanned items of the same model for reserved items that were not
+// scanned
+rental.matchScanned = (reserved, scanned, barcodes) => {
+  const scannedBarcodes = scanned.map(item => item.barcode)
+  const unknown = barcodes.filter(barcode => !scannedBarcodes.includes(barcode))
+  let unmatched = reserved.filter(item => !scannedBarcodes.includes(item.barcode))
+  const unexpected = []
+  const swaps = []
+
+  for (const item of scanned) {
+    if (reserved.some(reservedItem => reservedItem.barcode === item.barcode)) {
+      continue
+    }
+
+    const replaced = unmatched.find(reservedItem => reservedItem.modelID && reservedItem.modelID === item.modelID)
+    if (replaced) {
+      swaps.push({from: replaced.barcode, to: item.barcode})
+      unmatched = unmatched.filter(reservedItem => reservedItem !== replaced)
+    } else {
+      unexpected.push(item.barcode)
+    }
+  }
+
+  const missing = unmatched.map(item => item.barcode)
+  if (unknown.length || unexpected.length || missing.length) {
+    throw new RentalConflictError('Scanned items do not match reservation', {unknown, unexpected, missing})
+  }
+  return swaps
+}
+
+rental.getAll = endpoint.getAll('rental', {
+  modify: rental.paginateWithExternalRenter,
+  sortColumns: {rentalID: 'rental.rentalID', start: 'rental.start', end: 'rental.end', name: 'externalRenter.name'},
+  fields: ['rentalID', 'organizationID', 'userID', 'start', 'end', 'notes', 'isReservation', 'canceled',
+    'externalRenterID', 'name', 'phone', 'email']
+})
 rental.get = endpoint.get('rental', 'rentalID', {messages, modify: rental.withExternalRenter})
 rental.delete = endpoint.delete('rental', 'rentalID', {messages})
+rental.getOverdue = endpoint.getAll('rentalItem', {
+  modify: rental.withOverdueItems,
+  hasOrganizationID: false,
+  primaryKey: ['rentalItem.rentalID', 'rentalItem.barcode'],
+  sortBy: [{column: 'rental.end', ascending: true}]
+})
+// Export every item of every rental matching the same filters as `getAll`, with the value of each custom field of
+// the items
+rental.export = (req, res, next) => {
+  return exporter.getCustomFields(req.user.organizationID)
+    .then(customFields => exporter.send(req, res, next, {
+      filename: 'rentals',
+      columns: exportColumns.concat(exporter.customFieldColumns(customFields)),
+      query: db.getAll('rental', req.user.organizationID,
+        queryBuilder => rental.withFilters(req, rental.withItemDetails(req, queryBuilder))
+          .modify(exporter.withCustomFields, customFields),
+        [
+          {column: 'rental.start', ascending: false},
+          {column: 'rental.rentalID', ascending: true},
+          {column: 'rentalItem.barcode', ascending: true}
+        ])
+    }))
+    .catch(err => endpoint.handleError(err, messages, next, req))
+}
+// Pick free items for each model in each kit, listing the models that there are not enough free items of
+rental.pickKitItems = (trx, req, kits, exclude) => {
+  if (kits.length === 0) {
+    return Promise.resolve([])
+  }
+
+  const kitIDs = kits.map(kit => String(kit.kitID))
+  const start = db.formatDate(req.body.start)
+  const end = db.formatDate(req.body.end)
+  const picked = []
+  const shortfalls = []
+
+  return trx('kit')
+    .where('organizationID', req.body.organizationID)
+    .whereIn('kitID', kitIDs)
+    .pluck('kitID')
+    .then(found => {
+      const missing = kitIDs.filter(kitID => !found.map(String).includes(kitID))
+      if (missing.length) {
+        throw new errors.BadRequestError(`Kits do not exist: ${missing.join(', ')}`)
+      }
+
+      return trx('kitModel')
+        .whereIn('kitModel.kitID', kitIDs)
+        .select('kitModel.kitID', 'kitModel.quantity')
+        .join('model', 'kitModel.modelID', 'model.modelID')
+        .select('model.modelID', 'model.name as model')
+        .leftJoin('brand', 'model.brandID', 'brand.brandID')
+        .select('brand.brandID', 'brand.name as brand')
+    })
+    .then(kitModels => {
+      // Pick items one model at a time so that no item is picked twice
+      const requested = []
+      for (const kitID of kitIDs) {
+        requested.push(...kitModels.filter(kitModel => String(kitModel.kitID) === kitID))
+      }
+
+      return requested.reduce((previous, kitModel) => previous.then(() => {
+        const excluded = exclude.concat(picked.map(item => item.barcode))
+        return availability.pickItems(trx, req.body.organizationID, start, end, kitModel.modelID, kitModel.quantity,
+          excluded)
+          .then(barcodes => {
+            picked.push(...barcodes.map(barcode => ({kitID: kitModel.kitID, modelID: kitModel.modelID, barcode})))
+            if (barcodes.length < kitModel.quantity) {
+              shortfalls.push(Object.assign({available: barcodes.length}, kitModel))
+            }
+          })
+      }), Promise.resolve())
+    })
+    .then(() => {
+      if (shortfalls.length) {
+        throw new RentalConflictError('Not enough items are available for kits', {shortfalls})
+      }
+      return picked
+    })
+}
+
 rental.create = (req, res, next) => {
-  if (req.body && req.body.items) {
+  if (req.body && (req.body.items || req.body.kits)) {
     if (req.user) {
       req.body.organizationID = req.user.organizationID
     }
 
+    let kitItems = []
+    let rentalItems = []
     return db.transaction(trx => {
-      const items = req.body.items
+      const items = req.body.items || []
+      const kits = req.body.kits || []
       delete req.body.items
-      return trx('rental').insert(req.body)
+      delete req.body.kits
+      return trx('item')
+        .whereIn('barcode', items.map(item => item.barcode))
+        .whereNotNull('deleted')
+        .pluck('barcode')
+        .then(deleted => {
+          if (deleted.length) {
+            throw new errors.BadRequestError(`Deleted items cannot be rented: ${deleted.join(', ')}`)
+          }
+          return rental.pickKitItems(trx, req, kits, items.map(item => item.barcode))
+        })
+        .then(picked => {
+          kitItems = picked
+          return trx('rental').insert(req.body)
+        })
         .then(([rentalID]) => {
           req.body.rentalID = rentalID
-          items.forEach(item => { item.rentalID = rentalID })
-          return trx('rentalItem').insert(items)
+          rentalItems = items.concat(kitItems.map(({barcode}) => ({barcode})))
+          rentalItems.forEach(item => { item.rentalID = rentalID })
+          return trx('rentalItem').insert(rentalItems)
         }).then(() => {
           return trx('rental')
             .where('rentalID', req.body.rentalID)
             .modify(rental.withExternalRenter.bind(null, req))
         })
+    }).tap(() => {
+      const after = Object.assign({}, req.body, {items: rentalItems.map(item => item.barcode)})
+      return Promise.all([
+        audit.record(req, 'create', 'rental', req.body.rentalID, undefined, after),
+        webhook.trigger(req.body.organizationID, 'rental.created', after)
+      ])
     }).then(result => {
-      res.send({
+      const response = {
         message: messages.create,
         result
-      })
+      }
+      if (kitItems.length) {
+        response.kitItems = kitItems
+      }
+      res.send(response)
       return next()
-    }).catch(err => endpoint.handleError(err, undefined, next, req))
+    }).catch(err => handleError(err, res, next, req))
   } else {
     return next(new errors.BadRequestError('Missing list of items'))
   }
 }
+// Return many items at once, each from its active rental
+rental.returnItems = (req, res, next) => {
+  const barcodes = req.body && req.body.barcodes
+  if (!Array.isArray(barcodes) || barcodes.length === 0) {
+    return next(new errors.BadRequestError('Missing list of barcodes'))
+  }
+  if (req.body.returned && !moment(req.body.returned).isValid()) {
+    return next(new errors.BadRequestError('Invalid return time'))
+  }
+
+  const returned = db.formatDate(req.body.returned || undefined)
+  const requested = [...new Set(barcodes.map(String))]
+  const result = {returned: [], alreadyReturned: [], unknown: []}
+  const rentalIDs = new Map()
+
+  return db.transaction(trx => {
+    return trx('item')
+      .where('organizationID', req.user.organizationID)
+      .whereIn('barcode', requested)
+      .pluck('barcode')
+      .then(known => {
+        result.unknown = requested.filter(barcode => !known.includes(barcode))
+
+        // Reservations that were never checked out cannot be returned
+        return trx('rentalItem')
+          .join('rental', 'rentalItem.rentalID', 'rental.rentalID')
+          .where('rental.organizationID', req.user.organizationID)
+          .where('rental.isReservation', false)
+          .whereNull('rentalItem.returned')
+          .whereIn('rentalItem.barcode', known)
+          .select('rentalItem.rentalID', 'rentalItem.barcode')
+          .orderBy('rental.start', 'ascending')
+          .forUpdate()
+          .then(active => {
+            // Only return the item from its earliest active rental, like `GET /item/:barcode/rental/active`
+            for (const row of active) {
+              if (!rentalIDs.has(row.barcode)) {
+                rentalIDs.set(row.barcode, row.rentalID)
+              }
+            }
+
+            result.returned = known.filter(barcode => rentalIDs.has(barcode))
+            result.alreadyReturned = known.filter(barcode => !rentalIDs.has(barcode))
+
+            return Promise.all(result.returned.map(barcode => trx('rentalItem')
+              .where({rentalID: rentalIDs.get(barcode), barcode})
+              .update({returned})))
+          })
+      })
+  }).then(() => Promise.all(result.returned.map(barcode => Promise.all([
+    audit.record(req, 'update', 'rentalItem', rentalItemKey(rentalIDs.get(barcode), barcode), {returned: null},
+      {returned}),
+    webhook.trigger(req.user.organizationID, 'rentalItem.returned',
+      {rentalID: rentalIDs.get(barcode), barcode, returned})
+  ])))).then(() => {
+    res.send(Object.assign({message: messages.return}, result))
+    return next()
+  }).catch(err => endpoint.handleError(err, undefined, next, req))
+}
+// Turn a reservation into a rental, starting now
+rental.checkout = (req, res, next) => {
+  const scanned = req.body && req.body.barcodes
+  if (scanned !== undefined && !Array.isArray(scanned)) {
+    return next(new errors.BadRequestError('Barcodes must be a list'))
+  }
+
+  const now = db.formatDate()
+  let swaps = []
+  let before
+
+  return db.transaction(trx => {
+    return getForUpdate(trx, req)
+      .then(row => {
+        before = row
+        if (row.canceled) {
+          throw new RentalConflictError('Cannot check out a canceled reservation')
+        } else if (!row.isReservation) {
+          throw new RentalConflictError('Rental is already checked out')
+        }
+
+        return trx('rentalItem')
+          .join('item', 'rentalItem.barcode', 'item.barcode')
+          .where('rentalItem.rentalID', row.rentalID)
+          .select('rentalItem.barcode', 'item.modelID')
+          .then(reserved => {
+            // Without scanned items, check out the reserved items as they are
+            if (!scanned) {
+              return reserved.map(item => item.barcode)
+            }
+
+            const barcodes = [...new Set(scanned.map(String))]
+            return trx('item')
+              .where('organizationID', req.user.organizationID)
+              .whereIn('barcode', barcodes)
+              .modify(db.withoutDeleted, 'item')
+              .select('barcode', 'modelID')
+              .then(items => {
+                swaps = rental.matchScanned(reserved, items, barcodes)
+                return barcodes
+              })
+          })
+          // Items may have been rented by someone else since they were reserved
+          .then(barcodes => availability.getConflicts(req.user.organizationID, now, row.end, barcodes, {
+            excludeRentalID: row.rentalID,
+            transaction: trx
+          }))
+          .then(conflicts => {
+            if (conflicts.length) {
+              throw new RentalConflictError('Items are not available', {
+                unavailable: [...new Set(conflicts.map(conflict => conflict.barcode))]
+              })
+            }
+            return trx('rental')
+              .where('rentalID', row.rentalID)
+              .update({isReservation: false, start: now})
+          })
+          .then(() => Promise.all(swaps.map(swap => trx('rentalItem')
+            .where({rentalID: row.rentalID, barcode: swap.from})
+            .del()
+            .then(() => trx('rentalItem').insert({rentalID: row.rentalID, barcode: swap.to})))))
+      })
+  }).then(() => Promise.all([
+    audit.record(req, 'update', 'rental', before.rentalID, before, {isReservation: false, start: now}),
+    ...swaps.map(swap => audit.record(req, 'delete', 'rentalItem', rentalItemKey(before.rentalID, swap.from),
+      {rentalID: before.rentalID, barcode: swap.from})),
+    ...swaps.map(swap => audit.record(req, 'create', 'rentalItem', rentalItemKey(before.rentalID, swap.to),
+      undefined, {rentalID: before.rentalID, barcode: swap.to}))
+  ])).then(() => db('rental')
+    .where('rentalID', req.params.rentalID)
+    .modify(rental.withExternalRenter.bind(null, req))
+    .first()
+  ).then(result => {
+    res.send({
+      message: messages.checkout,
+      result,
+      swapped: swaps
+    })
+    return next()
+  }).catch(err => handleError(err, res, next, req))
+}
+
+// Cancel a reservation, keeping it for history but releasing its items
+rental.cancel = (req, res, next) => {
+  const now = db.formatDate()
+  let before
+
+  return db.transaction(trx => {
+    return getForUpdate(trx, req)
+      .then(row => {
+        before = row
+        if (row.canceled) {
+          throw new RentalConflictError('Reservation is already canceled')
+        } else if (!row.isReservation) {
+          throw new RentalConflictError('Only reservations can be canceled, return the items instead')
+        }
+
+        // Items of canceled reservations no longer count as rented, so they can be rented by someone else
+        return trx('rental')
+          .where('rentalID', row.rentalID)
+          .update({canceled: now})
+      })
+  }).then(() => {
+    return audit.record(req, 'update', 'rental', before.rentalID, before, {canceled: now})
+  }).then(() => db('rental')
+    .where('rentalID', req.params.rentalID)
+    .modify(rental.withExternalRenter.bind(null, req))
+    .first()
+  ).then(result => {
+    res.send({
+      message: messages.cancel,
+      result
+    })
+    return next()
+  }).catch(err => handleError(err, res, next, req))
+}
 // Legacy versions of the 'create rental' endpoint
 rental.create.versions = [
   // Version 1 (deprecated)
@@ -112,13 +552,23 @@ rental.update.versions = [
       delete req.body.endDate
     }
 
-    let setReturnDate
+    let setReturnDate = Promise.resolve()
 
     // Add return date to each item
     if (req.body.returnDate) {
+      const returned = req.body.returnDate
       setReturnDate = db('rentalItem')
         .where('rentalID', req.params.rentalID)
-        .update({returned: req.body.returnDate})
+        .then(rentalItems => db('rentalItem')
+          .where('rentalID', req.params.rentalID)
+          .update({returned})
+          .then(() => Promise.all(rentalItems.map(rentalItem => Promise.all([
+            audit.record(req, 'update', 'rentalItem', rentalItemKey(rentalItem.rentalID, rentalItem.barcode),
+              rentalItem, {returned}),
+            // Items that were already returned are not returned again
+            !rentalItem.returned && webhook.trigger(req.user.organizationID, 'rentalItem.returned',
+              {rentalID: rentalItem.rentalID, barcode: rentalItem.barcode, returned})
+          ])))))
     }
 
     delete req.body.returnDate
@@ -140,8 +590,24 @@ rental.mount = app => {
   /**
    * @apiDefine Pagination
    *
-   * @apiParam (Pagination) {Number{0..}} [limit] Max rows in response
+   * @apiParam (Pagination) {Number{1..}} [limit] Max rows in response
    * @apiParam (Pagination) {Number{0..}} [offset] Rows to offset response by
+   * @apiParam (Pagination) {String} [after] Cursor from `next` of the previous
+   *   page, instead of `offset`. The page starts after the last row of the
+   *   previous page, even if rows were added or removed before it, and only
+   *   links to the first and next pages.
+   *
+   * @apiSuccess (Pagination) {Number} total Number of rows that match the
+   *   search and filters, in every page
+   * @apiSuccess (Pagination) {String} next Cursor of the next page, `null` on
+   *   the last page
+   * @apiSuccessExample Pagination
+   *  Link: </rental?limit=2>; rel="first", </rental?limit=2&after=WzRd>; rel="next"
+   *  {
+   *    "results": [...],
+   *    "total": 11,
+   *    "next": "WzRd"
+   *  }
    */
 
   /**
@@ -156,6 +622,7 @@ rental.mount = app => {
    *   "userID": 0,
    *   "notes": "",
    *   "isReservation": 0,
+   *   "canceled": null,
    *   "externalRenterID": 0,
    *   "name": "",
    *   "phone": "",
@@ -170,7 +637,24 @@ rental.mount = app => {
    * @apiPermission User
    * @apiVersion 3.0.0
    *
+   * @apiDescription Can be sorted by `rentalID`, `start`, `end`, and the `name`
+   * of the external renter. Any fields in the response format can be chosen.
+   *
    * @apiUse Pagination
+   * @apiUse Sort
+   * @apiUse Fields
+   *
+   * @apiParam (Filter) {Date} [start] Start of rentals
+   * @apiParam (Filter) {Date} [end] End of rentals
+   * @apiParam (Filter) {Number} [userID] User who made rentals
+   * @apiParam (Filter) {Number} [externalRenterID] External renter of rentals
+   * @apiParam (Filter) {Boolean} [isReservation] Whether rentals are
+   *   reservations
+   * @apiParam (Filter) {Date} [canceled] When rentals were canceled, `null` if
+   *   they were not
+   * @apiUse FilterOperators
+   * @apiParamExample Filter rentals that start in June and were not canceled
+   * /rental?start[gte]=2018-06-01&start[lt]=2018-07-01&canceled[null]=true
    *
    * @apiExample {json} Response Format
    * {
@@ -190,6 +674,67 @@ rental.mount = app => {
    * }
    */
   app.get({name: 'get all rentals', path: 'rental'}, auth.verify, rental.getAll)
+  /**
+   * @api {get} /rental/overdue Get overdue rental items
+   * @apiName GetOverdueRentalItems
+   * @apiGroup Rental
+   * @apiPermission User
+   * @apiVersion 3.0.0
+   *
+   * @apiDescription Get every rented item that has not been returned even
+   *   though its rental has ended, with the rentals that ended longest ago
+   *   first. Reservations are never overdue. `reminderSent` is when the renter
+   *   was emailed about the overdue item, or `null` if no reminder has been
+   *   sent yet.
+   *
+   * @apiExample {json} Response Format
+   * {
+   *   "results": [
+   *     {
+   *       "rentalID": 0,
+   *       "barcode": "",
+   *       "returned": null,
+   *       "reminderSent": null,
+   *       "start": "2017-02-22T05:00:00.000Z",
+   *       "end": "2017-02-23T05:00:00.000Z",
+   *       "userID": 0,
+   *       "externalRenterID": 0,
+   *       "modelID": 0,
+   *       "model": "",
+   *       "brandID": 0,
+   *       "brand": "",
+   *       "sortIndex": 0
+   *     }
+   *   ]
+   * }
+   */
+  app.get({name: 'get overdue rental items', path: 'rental/overdue'}, auth.verify, rental.getOverdue)
+  /**
+   * @api {get} /rental/export Export rentals
+   * @apiName ExportRentals
+   * @apiGroup Rental
+   * @apiPermission rental:export
+   * @apiVersion 3.0.0
+   *
+   * @apiDescription Download the history of rentals as a spreadsheet, with a
+   *   row for each item in each rental and a column for each custom field of
+   *   the items. Send `Accept: text/csv` for CSV, or
+   *   `Accept: application/vnd.openxmlformats-officedocument.spreadsheetml.sheet`
+   *   for an Excel spreadsheet. Rentals are sorted by start, newest first. This
+   *   endpoint accepts the same filters as `GET /rental`, but is not paginated.
+   *
+   * @apiUse FilterOperators
+   * @apiParamExample Export rentals that start in June and were not canceled
+   * /rental/export?start[gte]=2018-06-01&start[lt]=2018-07-01&canceled[null]=true
+   *
+   * @apiExample {csv} Response Format
+   * Rental,Start,End,Reservation,Canceled,Notes,Renter,Renter Email,Renter Phone,Barcode,Brand,Model,Category,Returned,Purchase Price
+   * 0,2017-02-22T05:00:00.000Z,2017-02-23T05:00:00.000Z,0,,,,,,0000,Canon,T5i,Cameras,2017-02-23T04:00:00.000Z,649.99
+   *
+   * @apiError (406) NotAcceptable `Accept` header does not include CSV or XLSX
+   */
+  app.get({name: 'export rentals', path: 'rental/export'}, auth.verify, auth.checkPermission('rental:export'),
+    rental.export)
   /**
    * @api {get} /rental/:rentalID Get a rental
    * @apiName GetRental
@@ -209,7 +754,7 @@ rental.mount = app => {
    * @api {put} /rental Create a rental
    * @apiName CreateRental
    * @apiGroup Rental
-   * @apiPermission User
+   * @apiPermission rental:create
    * @apiVersion 1.0.0
    *
    * @apiDescription Rentals track the availability of items. To mark a rental
@@ -233,13 +778,14 @@ rental.mount = app => {
    * @apiUse RentalResponse
    * @apiUse InvalidSubscriptionResponse
    */
-  app.put({name: 'create rental v1', path: 'rental', version: '1.0.0'}, auth.verify, rental.addUserID, checkSubscription,
+  app.put({name: 'create rental v1', path: 'rental', version: '1.0.0'}, auth.verify,
+    auth.checkPermission('rental:create'), rental.addUserID, rental.checkRenter, checkSubscription,
     rental.create.versions[0])
   /**
    * @api {put} /rental Create a rental
    * @apiName CreateRental
    * @apiGroup Rental
-   * @apiPermission User
+   * @apiPermission rental:create
    * @apiVersion 2.0.0
    *
    * @apiDescription Rentals track the availability of items. To mark a rental
@@ -262,13 +808,14 @@ rental.mount = app => {
    * @apiUse RentalResponse
    * @apiUse InvalidSubscriptionResponse
    */
-  app.put({name: 'create rental v2', path: 'rental', version: '2.0.0'}, auth.verify, rental.addUserID, checkSubscription,
+  app.put({name: 'create rental v2', path: 'rental', version: '2.0.0'}, auth.verify,
+    auth.checkPermission('rental:create'), rental.addUserID, rental.checkRenter, checkSubscription,
     rental.create.versions[1])
   /**
    * @api {put} /rental Create a rental
    * @apiName CreateRental
    * @apiGroup Rental
-   * @apiPermission User
+   * @apiPermission rental:create
    * @apiVersion 3.0.0
    *
    * @apiDescription Rentals track the availability of items. To mark a rental as returned, *do not delete the rental*,
@@ -277,26 +824,90 @@ rental.mount = app => {
    *
    * @apiParam {String} start Date rental taken out (YYYY-MM-DD)
    * @apiParam {String} end Date rental is due (YYYY-MM-DD)
-   * @apiParam {Number} [userID] ID of renting user (automatically taken from token, but can be overridden)
+   * @apiParam {Number} [userID] ID of renting user (automatically taken from
+   *   token, but can be overridden with permission `rental:create-for-others`)
    * @apiParam {Number} [externalRenterID] ID of external renter
    * @apiParam {Number} [organizationID] ID of organization (automatically taken from token, but can be overridden)
    * @apiParam {String{0..1000}} [notes] Notes about rental
    * @apiParam {Boolean} [isReservation=false] Whether rental is a reservation or not
-   * @apiParam {Object[]} items List of items to rent
+   * @apiParam {Object[]} [items] List of items to rent, required unless `kits`
+   *   are rented
    * @apiParam {String} items.barcode Barcode of an item
    * @apiParam {String} [items.returned] Date item is returned (YYYY-MM-DD), defaults to `null` (`null` means that item
    * is rented)
+   * @apiParam {Object[]} [kits] List of kits to rent. For each model in a kit,
+   *   free items of that model are picked and added to the rental, up to the
+   *   quantity of the model in the kit. Picked items are listed in `kitItems`.
+   *   If there are not enough free items of any model, nothing is rented and
+   *   the response has status 409 and lists the models that are short in
+   *   `shortfalls`.
+   * @apiParam {Number} kits.kitID ID of a kit
    *
    * @apiUse RentalResponse
+   * @apiExample {json} Kit Response Format
+   * {
+   *   "message": "Rental created",
+   *   "result": [],
+   *   "kitItems": [
+   *     {"kitID": 0, "modelID": 0, "barcode": ""}
+   *   ]
+   * }
+   * @apiExample {json} Kit Conflict Response Format
+   * {
+   *   "code": "Conflict",
+   *   "message": "Not enough items are available for kits",
+   *   "shortfalls": [
+   *     {
+   *       "available": 1,
+   *       "kitID": 0,
+   *       "quantity": 2,
+   *       "modelID": 0,
+   *       "model": "",
+   *       "brandID": 0,
+   *       "brand": ""
+   *     }
+   *   ]
+   * }
    * @apiUse InvalidSubscriptionResponse
    */
-  app.put({name: 'create rental', path: 'rental', version: '3.0.0'}, auth.verify, rental.addUserID, checkSubscription,
-    rental.create)
+  app.put({name: 'create rental', path: 'rental', version: '3.0.0'}, auth.verify, auth.checkPermission('rental:create'),
+    rental.addUserID, rental.checkRenter, checkSubscription, rental.create)
+  /**
+   * @api {post} /rental/return Return items
+   * @apiName ReturnRentalItems
+   * @apiGroup Rental
+   * @apiPermission rental:update
+   * @apiVersion 3.0.0
+   *
+   * @apiDescription Return many items at once, for example when checking in
+   *   equipment after an event. Each item is returned from its active rental,
+   *   and all items are returned together or not at all. Barcodes of items that
+   *   have no active rental are listed in `alreadyReturned`, and barcodes that
+   *   do not belong to an item in the organization are listed in `unknown`.
+   *   Items can be returned even when the organization's subscription is
+   *   read-only.
+   *
+   * @apiParam {String[]} barcodes Barcodes of items to return
+   * @apiParam {String} [returned] Date and time items were returned, defaults
+   *   to now
+   *
+   * @apiExample {json} Response Format
+   * {
+   *   "message": "Items returned",
+   *   "returned": ["0000"],
+   *   "alreadyReturned": ["1111"],
+   *   "unknown": ["2222"]
+   * }
+   *
+   * @apiUse InvalidSubscriptionResponse
+   */
+  app.post({name: 'return rental items', path: 'rental/return'}, auth.verify, auth.checkPermission('rental:update'),
+    checkSubscription.allowingReadOnly(), rental.returnItems)
   /**
    * @api {put} /rental/:rentalID Update a rental
    * @apiName UpdateRental
    * @apiGroup Rental
-   * @apiPermission User
+   * @apiPermission rental:update
    * @apiVersion 1.0.0
    *
    * @apiDeprecated Version 1 of this endpoint is no longer supported.
@@ -314,13 +925,13 @@ rental.mount = app => {
    * @apiUse RentalResponse
    * @apiUse InvalidSubscriptionResponse
    */
-  app.put({name: 'update rental v1', path: 'rental/:rentalID', version: '1.0.0'}, auth.verify, checkSubscription,
-    rental.update.versions[0])
+  app.put({name: 'update rental v1', path: 'rental/:rentalID', version: '1.0.0'}, auth.verify,
+    auth.checkPermission('rental:update'), checkSubscription, rental.update.versions[0])
   /**
    * @api {put} /rental/:rentalID Update a rental
    * @apiName UpdateRental
    * @apiGroup Rental
-   * @apiPermission User
+   * @apiPermission rental:update
    * @apiVersion 2.0.0
    *
    * @apiParam {Number} [userID] ID of renting user
@@ -336,13 +947,13 @@ rental.mount = app => {
    * @apiUse RentalResponse
    * @apiUse InvalidSubscriptionResponse
    */
-  app.put({name: 'update rental v2', path: 'rental/:rentalID', version: '2.0.0'}, auth.verify, checkSubscription,
-    rental.update.versions[1])
+  app.put({name: 'update rental v2', path: 'rental/:rentalID', version: '2.0.0'}, auth.verify,
+    auth.checkPermission('rental:update'), checkSubscription, rental.update.versions[1])
   /**
    * @api {put} /rental/:rentalID Update a rental
    * @apiName UpdateRental
    * @apiGroup Rental
-   * @apiPermission User
+   * @apiPermission rental:update
    * @apiVersion 3.0.0
    *
    * @apiParam {Number} [userID] ID of renting user
@@ -356,18 +967,104 @@ rental.mount = app => {
    * @apiUse RentalResponse
    * @apiUse InvalidSubscriptionResponse
    */
-  app.put({name: 'update rental', path: 'rental/:rentalID', version: '3.0.0'}, auth.verify, checkSubscription,
-    rental.update)
+  app.put({name: 'update rental', path: 'rental/:rentalID', version: '3.0.0'}, auth.verify,
+    auth.checkPermission('rental:update'), checkSubscription, rental.update)
+  /**
+   * @api {post} /rental/:rentalID/checkout Check out a reservation
+   * @apiName CheckoutRental
+   * @apiGroup Rental
+   * @apiPermission rental:update
+   * @apiVersion 3.0.0
+   *
+   * @apiDescription Turn a reservation into a rental that starts now. If
+   *   `barcodes` are scanned, they must match the reserved items, except that
+   *   an item can be swapped for another item of the same model. Every item
+   *   must still be available until the end of the rental. If any of these
+   *   checks fail, nothing is changed and the response has status 409 and lists
+   *   the barcodes that caused it to fail.
+   *
+   * @apiParam {String[]} [barcodes] Barcodes of items scanned at checkout,
+   *   defaults to the reserved items
+   *
+   * @apiExample {json} Response Format
+   * {
+   *   "message": "Reservation checked out",
+   *   "result": {
+   *     "end": "2017-02-23T05:00:00.000Z",
+   *     "organizationID": 0,
+   *     "rentalID": 0,
+   *     "start": "2017-02-22T05:00:00.000Z",
+   *     "userID": 0,
+   *     "notes": "",
+   *     "isReservation": 0,
+   *     "canceled": null,
+   *     "externalRenterID": 0,
+   *     "name": "",
+   *     "phone": "",
+   *     "email": ""
+   *   },
+   *   "swapped": [
+   *     {"from": "0000", "to": "1111"}
+   *   ]
+   * }
+   * @apiExample {json} Conflict Response Format
+   * {
+   *   "code": "Conflict",
+   *   "message": "Scanned items do not match reservation",
+   *   "unknown": [],
+   *   "unexpected": ["2222"],
+   *   "missing": ["0000"]
+   * }
+   *
+   * @apiUse InvalidSubscriptionResponse
+   */
+  app.post({name: 'checkout rental', path: 'rental/:rentalID/checkout'}, auth.verify,
+    auth.checkPermission('rental:update'), checkSubscription, rental.checkout)
+  /**
+   * @api {post} /rental/:rentalID/cancel Cancel a reservation
+   * @apiName CancelRental
+   * @apiGroup Rental
+   * @apiPermission rental:update
+   * @apiVersion 3.0.0
+   *
+   * @apiDescription Cancel a reservation that has not been checked out. The
+   *   reservation is kept, with `canceled` set to the time it was canceled. Its
+   *   items are not marked as returned, but no longer count as rented, so that
+   *   they can be rented by someone else.
+   *
+   * @apiExample {json} Response Format
+   * {
+   *   "message": "Reservation canceled",
+   *   "result": {
+   *     "end": "2017-02-23T05:00:00.000Z",
+   *     "organizationID": 0,
+   *     "rentalID": 0,
+   *     "start": "2017-02-22T05:00:00.000Z",
+   *     "userID": 0,
+   *     "notes": "",
+   *     "isReservation": 1,
+   *     "canceled": "2017-02-21T05:00:00.000Z",
+   *     "externalRenterID": 0,
+   *     "name": "",
+   *     "phone": "",
+   *     "email": ""
+   *   }
+   * }
+   *
+   * @apiUse InvalidSubscriptionResponse
+   */
+  app.post({name: 'cancel rental', path: 'rental/:rentalID/cancel'}, auth.verify, auth.checkPermission('rental:update'),
+    checkSubscription, rental.cancel)
   /**
    * @api {delete} /rental/:rentalID Delete a rental
    * @apiName DeleteRental
    * @apiGroup Rental
-   * @apiPermission Administrator
+   * @apiPermission rental:delete
    * @apiVersion 3.0.0
    *
    * @apiUse EndpointDelete
    * @apiUse InvalidSubscriptionResponse
    */
-  app.del({name: 'delete rental', path: 'rental/:rentalID'}, auth.verify, auth.checkAdmin, checkSubscription,
-    rental.delete)
+  app.del({name: 'delete rental', path: 'rental/:rentalID'}, auth.verify, auth.checkPermission('rental:delete'),
+    checkSubscription, rental.delete)
 }
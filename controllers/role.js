@@ -0,0 +1,328 @@
+const errors = require('restify-errors')
+
+const auth = require('./auth')
+const audit = require('../services/audit')
+const checkSubscription = require('../services/check-subscription')
+const db = require('../services/db')
+const endpoint = require('../services/endpoint')
+
+const messages = {
+  missing: 'Role does not exist',
+  delete: 'Role deleted',
+  inUse: 'Role is assigned to users, give them another role first',
+  builtIn: 'Built-in roles cannot be changed',
+  admin: 'Only administrators can give the administrator role'
+}
+
+const role = module.exports
+
+// Limit a query to built-in roles and the custom roles of an organization
+role.forOrganization = (queryBuilder, organizationID) => {
+  return queryBuilder.where(function () {
+    this.where('role.organizationID', organizationID)
+      .orWhereNull('role.organizationID')
+  })
+}
+
+// Add the names of the permissions of each role, and whether each role is built in
+role.addPermissions = (roles, trx = db) => {
+  return Promise.all([
+    trx('permission').orderBy('name').pluck('name'),
+    trx('rolePermission').whereIn('roleID', roles.map(row => row.roleID)).orderBy('permission')
+  ])
+    .then(([permissions, rolePermissions]) => roles.map(row => Object.assign(row, {
+      builtIn: row.organizationID === null,
+      permissions: row.roleID === auth.adminRoleID
+        ? permissions
+        : rolePermissions.filter(rolePermission => rolePermission.roleID === row.roleID)
+          .map(rolePermission => rolePermission.permission)
+    })))
+}
+
+// Get a role that the organization can give to its users
+role.getForOrganization = (roleID, organizationID, trx = db) => {
+  return trx('role')
+    .where('roleID', roleID)
+    .modify(role.forOrganization, organizationID)
+    .first()
+    .then(row => {
+      if (!row) {
+        throw new errors.NotFoundError(messages.missing)
+      }
+      return row
+    })
+}
+
+// Get a role that the user can give to others, since only administrators can make more administrators
+role.getAssignable = (roleID, user, trx = db) => {
+  return role.getForOrganization(roleID, user.organizationID, trx)
+    .then(row => {
+      if (row.roleID === auth.adminRoleID && user.roleID !== auth.adminRoleID) {
+        throw new errors.ForbiddenError(messages.admin)
+      }
+      return row
+    })
+}
+
+// Get a custom role of the organization, since built-in roles cannot be changed
+const getCustomRole = (trx, req) => {
+  return role.getForOrganization(req.params.roleID, req.user.organizationID, trx)
+    .then(row => {
+      if (row.organizationID === null) {
+        throw new errors.ForbiddenError(messages.builtIn)
+      }
+      return row
+    })
+}
+
+// Replace the permissions of a role, which should have been checked with `auth.checkGrantable`
+const setPermissions = (trx, roleID, permissions) => {
+  return trx('rolePermission').where('roleID', roleID).del()
+    .then(() => {
+      const rows = [...new Set(permissions)].map(permission => ({roleID, permission}))
+      return rows.length && trx('rolePermission').insert(rows)
+    })
+}
+
+// Check the permissions that an update adds to a role, so that it can still be changed by users without all of them
+const checkAddedPermissions = (req, current) => {
+  const permissions = req.body.permissions
+  const added = Array.isArray(permissions)
+    ? permissions.filter(permission => !current.includes(permission))
+    : permissions
+  return auth.checkGrantable(req.user, added, 'a role')
+}
+
+const handleError = (err, next, req) => {
+  if (err instanceof errors.HttpError) {
+    return next(err)
+  }
+  return endpoint.handleError(err, messages, next, req)
+}
+
+role.getPermissions = endpoint.getAll('permission', {
+  hasOrganizationID: false,
+  primaryKey: 'name',
+  sortBy: [{column: 'name', ascending: true}]
+})
+
+role.getAll = (req, res, next) => {
+  return db('role')
+    .modify(role.forOrganization, req.user.organizationID)
+    .orderBy('roleID')
+    .then(roles => role.addPermissions(roles))
+    .then(results => {
+      res.send({results})
+      return next()
+    })
+    .catch(err => handleError(err, next, req))
+}
+
+role.get = (req, res, next) => {
+  return role.getForOrganization(req.params.roleID, req.user.organizationID)
+    .then(row => role.addPermissions([row]))
+    .then(([row]) => {
+      res.send(row)
+      return next()
+    })
+    .catch(err => handleError(err, next, req))
+}
+
+role.create = (req, res, next) => {
+  if (!req.body.name) {
+    return next(new errors.BadRequestError('Missing name'))
+  }
+
+  const permissions = req.body.permissions || []
+  return db.transaction(trx => {
+    return auth.checkGrantable(req.user, permissions, 'a role')
+      .then(() => trx('role').insert({name: req.body.name, organizationID: req.user.organizationID}))
+      .then(([roleID]) => setPermissions(trx, roleID, permissions)
+        .then(() => trx('role').where('roleID', roleID).first()))
+      .then(row => role.addPermissions([row], trx))
+  })
+    .tap(([row]) => audit.record(req, 'create', 'role', row.roleID, undefined,
+      {name: row.name, permissions: row.permissions}))
+    .then(([row]) => {
+      res.send(201, row)
+      return next()
+    })
+    .catch(err => handleError(err, next, req))
+}
+
+role.update = (req, res, next) => {
+  let before
+  return db.transaction(trx => {
+    return getCustomRole(trx, req)
+      .then(row => role.addPermissions([row], trx))
+      .then(([row]) => {
+        before = {name: row.name, permissions: row.permissions}
+        return req.body.name && trx('role').where('roleID', row.roleID).update({name: req.body.name})
+      })
+      .then(() => req.body.permissions && checkAddedPermissions(req, before.permissions)
+        .then(() => setPermissions(trx, req.params.roleID, req.body.permissions)))
+      .then(() => role.getForOrganization(req.params.roleID, req.user.organizationID, trx))
+      .then(row => role.addPermissions([row], trx))
+  })
+    .tap(([row]) => audit.record(req, 'update', 'role', row.roleID, before,
+      {name: row.name, permissions: row.permissions}))
+    .then(([row]) => {
+      res.send(row)
+      return next()
+    })
+    .catch(err => handleError(err, next, req))
+}
+
+role.delete = (req, res, next) => {
+  let before
+  return db.transaction(trx => {
+    return getCustomRole(trx, req)
+      .then(row => {
+        before = row
+        return trx('user').where('roleID', row.roleID).first('userID')
+      })
+      .then(user => {
+        if (user) {
+          throw new errors.ConflictError(messages.inUse)
+        }
+        return trx('role').where('roleID', before.roleID).del()
+      })
+  })
+    .tap(() => audit.record(req, 'delete', 'role', before.roleID, before))
+    .then(() => {
+      res.send({message: messages.delete, id: before.roleID})
+      return next()
+    })
+    .catch(err => handleError(err, next, req))
+}
+
+role.mount = app => {
+  /**
+   * @apiDefine RoleResponse
+   *
+   * @apiExample {json} Response Format
+   * {
+   *   "roleID": 5,
+   *   "name": "Equipment Manager",
+   *   "organizationID": 0,
+   *   "builtIn": false,
+   *   "permissions": [
+   *     "item:create",
+   *     "item:update",
+   *     "rental:create"
+   *   ]
+   * }
+   */
+
+  /**
+   * @api {get} /permission Get all permissions
+   * @apiName GetPermissions
+   * @apiGroup Role
+   * @apiPermission User
+   * @apiVersion 3.0.0
+   *
+   * @apiDescription Permissions are what roles allow their users to do.
+   *   Endpoints that change data require a permission, listed as the permission
+   *   of each endpoint in these docs. Endpoints that only get data require no
+   *   permission.
+   *
+   * @apiExample {json} Response Format
+   * {
+   *   "results": [
+   *     {
+   *       "name": "item:delete",
+   *       "description": "Delete and restore items"
+   *     }
+   *   ]
+   * }
+   */
+  app.get({name: 'get all permissions', path: 'permission'}, auth.verify, role.getPermissions)
+  /**
+   * @api {get} /role Get all roles
+   * @apiName GetRoles
+   * @apiGroup Role
+   * @apiPermission User
+   * @apiVersion 3.0.0
+   *
+   * @apiDescription Get the built-in roles and the organization's custom roles,
+   *   with their permissions. The built-in roles are "Administrator", which
+   *   always has every permission, "Member", "Viewer", which can only view and
+   *   export, and "Desk Staff", which can rent and return items but cannot
+   *   change the catalog.
+   *
+   * @apiExample {json} Response Format
+   * {
+   *   "results": [
+   *     {
+   *       "roleID": 3,
+   *       "name": "Viewer",
+   *       "organizationID": null,
+   *       "builtIn": true,
+   *       "permissions": [
+   *         "item:export",
+   *         "rental:export"
+   *       ]
+   *     }
+   *   ]
+   * }
+   */
+  app.get({name: 'get all roles', path: 'role'}, auth.verify, role.getAll)
+  /**
+   * @api {get} /role/:roleID Get a role
+   * @apiName GetRole
+   * @apiGroup Role
+   * @apiPermission User
+   * @apiVersion 3.0.0
+   *
+   * @apiUse RoleResponse
+   */
+  app.get({name: 'get role', path: 'role/:roleID'}, auth.verify, role.get)
+  /**
+   * @api {put} /role Create a role
+   * @apiName CreateRole
+   * @apiGroup Role
+   * @apiPermission role:manage
+   * @apiVersion 3.0.0
+   *
+   * @apiParam {String{0...255}} name Name of role
+   * @apiParam {String[]} [permissions] Names of permissions of role
+   *
+   * @apiUse RoleResponse
+   * @apiUse InvalidSubscriptionResponse
+   */
+  app.put({name: 'create role', path: 'role'}, auth.verify, auth.checkPermission('role:manage'), checkSubscription,
+    role.create)
+  /**
+   * @api {put} /role/:roleID Update a role
+   * @apiName UpdateRole
+   * @apiGroup Role
+   * @apiPermission role:manage
+   * @apiVersion 3.0.0
+   *
+   * @apiDescription Only custom roles can be changed.
+   *
+   * @apiParam {String{0...255}} [name] Name of role
+   * @apiParam {String[]} [permissions] Names of permissions of role, replacing
+   *   all of its current permissions
+   *
+   * @apiUse RoleResponse
+   * @apiUse InvalidSubscriptionResponse
+   */
+  app.put({name: 'update role', path: 'role/:roleID'}, auth.verify, auth.checkPermission('role:manage'),
+    checkSubscription, role.update)
+  /**
+   * @api {delete} /role/:roleID Delete a role
+   * @apiName DeleteRole
+   * @apiGroup Role
+   * @apiPermission role:manage
+   * @apiVersion 3.0.0
+   *
+   * @apiDescription Only custom roles that are not assigned to any users can be
+   *   deleted.
+   *
+   * @apiUse EndpointDelete
+   * @apiUse InvalidSubscriptionResponse
+   */
+  app.del({name: 'delete role', path: 'role/:roleID'}, auth.verify, auth.checkPermission('role:manage'),
+    checkSubscription, role.delete)
+}
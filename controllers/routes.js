@@ -1,8 +1,11 @@
+const apiKey = require('./api-key')
+const audit = require('./audit')
 const auth = require('./auth')
 const brand = require('./brand')
 const category = require('./category')
 const customField = require('./custom-field')
 const externalRenter = require('./external-renter')
+const invitation = require('./invitation')
 const item = require('./item')
 const kit = require('./kit')
 const main = require('./main')
@@ -10,16 +13,21 @@ const model = require('./model')
 const organization = require('./organization')
 const rental = require('./rental')
 const rentalItem = require('./rental-item')
+const role = require('./role')
 const subscription = require('./subscription')
 const user = require('./user')
+const webhook = require('./webhook')
 
 // Define endpoints on application
 module.exports = app => {
+  apiKey.mount(app)
+  audit.mount(app)
   auth.mount(app)
   brand.mount(app)
   category.mount(app)
   customField.mount(app)
   externalRenter.mount(app)
+  invitation.mount(app)
   item.mount(app)
   kit.mount(app)
   main.mount(app)
@@ -27,8 +35,10 @@ module.exports = app => {
   organization.mount(app)
   rental.mount(app)
   rentalItem.mount(app)
+  role.mount(app)
   subscription.mount(app)
   user.mount(app)
+  webhook.mount(app)
 
   // Dynamically assign a function name to each route handler so it shows up in logs correctly
   for (const routeName of Object.keys(app.routes)) {
@@ -8,11 +8,35 @@ const errors = require('restify-errors')
 const stripe = require('stripe')(process.env.STRIPE_SECRET)
 
 const auth = require('./auth')
+const audit = require('../services/audit')
 const db = require('../services/db')
 const endpoint = require('../services/endpoint')
+const log = require('../services/log')
+const quota = require('../services/quota')
+
+const messages = {
+  missing: 'Subscription does not exist',
+  conflict: 'A user with this email address already exists',
+  noSubscription: 'Subscription is canceled, reactivate it first',
+  notCanceled: 'Subscription is not canceled',
+  updateCard: 'Card updated',
+  changePlan: 'Plan changed',
+  cancel: 'Subscription will be canceled at the end of the billing period',
+  reactivate: 'Subscription reactivated'
+}
 
 const subscription = module.exports
 
+// IDs of the plans in Stripe that organizations can subscribe to
+subscription.plans = ['monthly', 'annual', 'small-team-monthly', 'small-team-annual']
+
+// Tier of subscriptions whose Stripe plan has no `tier` metadata, which has no limits
+const defaultTier = 'Standard'
+
+// Number of invoices to get when no limit is given, and the most that can be gotten at once
+const defaultInvoiceLimit = 12
+const maxInvoiceLimit = 100
+
 // Status names and IDs from the `subscriptionStatus` table
 subscription.subscriptionStatus = {
   TRIAL: 1,
@@ -22,11 +46,31 @@ subscription.subscriptionStatus = {
   CANCELED: 5
 }
 
-// Add name of current subscription status
+// Add name of current subscription status and tier
 subscription.withStatus = (req, queryBuilder) => {
   return queryBuilder
     .join('subscriptionStatus', 'subscription.subscriptionStatusID', 'subscriptionStatus.subscriptionStatusID')
     .select('subscription.*', 'subscriptionStatus.name as status')
+    .join('tier', 'subscription.tierID', 'tier.tierID')
+    .select('tier.name as tier')
+}
+
+// Convert a Stripe timestamp to MySQL datetime format, maintaining UTC timezone
+const fromStripeTime = (timestamp) => moment.unix(timestamp).utcOffset(0).format('YYYY-MM-DD HH:mm:ss')
+
+const handleError = (err, next, req) => {
+  if (err instanceof errors.HttpError) {
+    return next(err)
+  }
+  // A declined card error
+  if (err.type === 'StripeCardError') {
+    return next(new errors.PaymentRequiredError(err.message))
+  }
+  // A token or invoice ID from the request that Stripe does not know
+  if (err.type === 'StripeInvalidRequestError' && ['source', 'starting_after'].includes(err.param)) {
+    return next(new errors.BadRequestError(err.message))
+  }
+  return endpoint.handleError(err, messages, next, req)
 }
 
 subscription.mount = app => {
@@ -36,18 +80,36 @@ subscription.mount = app => {
    * @apiGroup Subscription
    * @apiVersion 3.0.0
    *
-   * @apiDescription Create a new Stockpile subscription for an organization. First, using a Stripe token, creates a
-   * Stripe customer with a subscription to Stockpile. Second, creates an organization using the request body and the
-   * created Stripe customer's unique identifier. Lastly, creates a user using the request body and the created
-   * organization's ID. This user, the first in the organization, will be an administrator by default.
+   * @apiDescription Create a new Stockpile subscription for an organization.
+   * First, checks every field, so that nothing is charged if any are invalid.
+   * Second, using a Stripe token, creates a Stripe customer with a subscription
+   * to Stockpile. Lastly, creates the organization, its subscription, and a
+   * user all at once. This user, the first in the organization, will be an
+   * administrator by default. If creating them fails, the Stripe customer and
+   * its subscription are deleted, so that either everything is created or
+   * nothing is.
    *
    * @apiParam {Object} token Stripe token identifying payment information
-   * @apiParam {Object} organization Contains name and email
+   * @apiParam {Object} organization Contains `name` and `email`
    * @apiParam {Object} user Contains `firstName`, `lastName`, `email`, and plaintext `password`
    *
    * @apiSuccess (201) {String} message Descriptive message
    * @apiSuccess (201) {String} organizationID
    * @apiSuccess (201) {String} userID
+   *
+   * @apiError 400 The request is missing `user` or `organization`, or some
+   *   fields are invalid. Invalid fields are listed in `errors`, each with the
+   *   `field` and a `message`.
+   * @apiError 402 The card was declined
+   * @apiErrorExample {json} Invalid fields
+   *  400 Bad Request
+   *  {
+   *    "code": "BadRequest",
+   *    "message": "Some fields are invalid, nothing was charged",
+   *    "errors": [
+   *      {"field": "user.email", "message": "A user with this email address already exists"}
+   *    ]
+   *  }
    */
   app.post({ name: 'subscription', path: 'subscription' }, subscription.subscription)
 
@@ -57,9 +119,15 @@ subscription.mount = app => {
    * @apiGroup Subscription
    * @apiVersion 3.0.0
    *
-   * @apiDescription Stripe is configured to send requests to this endpoint when events occur with customer accounts.
-   * See the [Stripe webhook documentation](https://stripe.com/docs/webhooks). **This endpoint should not be used by
-   * any service other than Stripe.**
+   * @apiDescription Stripe is configured to send requests to this endpoint when
+   * events occur with customer accounts. See the [Stripe webhook
+   * documentation](https://stripe.com/docs/webhooks). **This endpoint should
+   * not be used by any service other than Stripe.** Requests must have a
+   * `Stripe-Signature` header signed with the secret of the webhook endpoint in
+   * Stripe. Events of type `customer.subscription.*`,
+   * `invoice.payment_succeeded`, and `invoice.payment_failed` update the
+   * organization's subscription; other events are acknowledged and ignored.
+   * Each event is only handled once, even if Stripe sends it again.
    *
    * @apiParam {string} id Unique identifier for the object.
    * @apiParam {string} object String representing the object’s type. Objects of the same type share the same value.
@@ -73,6 +141,7 @@ subscription.mount = app => {
    * @apiParam {string} type Description of the event: e.g. `invoice.created`, `charge.refunded`, etc.
    *
    * @apiSuccess (200) empty Empty response body to acknowledge receipt
+   * @apiError 400 Stripe signature is missing, invalid, or too old
    */
   app.post({ name: 'subscription hook', path: 'subscription/hook' }, subscription.subscriptionHook)
 
@@ -80,7 +149,7 @@ subscription.mount = app => {
    * @api {get} /subscription/:organizationID Get the subscription for an organization
    * @apiName GetSubscription
    * @apiGroup Subscription
-   * @apiPermission Admin
+   * @apiPermission subscription:manage
    * @apiVersion 3.0.0
    *
    * @apiExample {json} Response Format
@@ -91,162 +160,669 @@ subscription.mount = app => {
    *   "stripeCustomer": "",
    *   "subscriptionID": 0,
    *   "subscriptionStatusID": 3,
+   *   "tier": "Standard",
+   *   "tierID": 1,
    *   "valid": 1
    * }
    */
-  app.get({ name: 'get subscription', path: 'subscription/:organizationID' }, auth.verify, auth.checkAdmin,
-    subscription.get)
+  app.get({ name: 'get subscription', path: 'subscription/:organizationID' }, auth.verify,
+    auth.checkPermission('subscription:manage'), subscription.get)
+
+  /**
+   * @api {get} /subscription/:organizationID/usage Get usage of the subscription
+   * @apiName GetSubscriptionUsage
+   * @apiGroup Subscription
+   * @apiPermission subscription:manage
+   * @apiVersion 3.0.0
+   *
+   * @apiDescription How many items, users, and custom fields the organization
+   *   has, and how many the tier of its subscription allows. A `limit` of
+   *   `null` means there is no limit. Users include pending invitations, and
+   *   items do not include deleted items. Creating more than the limit fails
+   *   with `403 Forbidden`.
+   *
+   * @apiExample {json} Response Format
+   * {
+   *   "tier": "Small Team",
+   *   "items": {
+   *     "used": 120,
+   *     "limit": 500
+   *   },
+   *   "users": {
+   *     "used": 5,
+   *     "limit": 5
+   *   },
+   *   "customFields": {
+   *     "used": 2,
+   *     "limit": 5
+   *   }
+   * }
+   */
+  app.get({ name: 'get subscription usage', path: 'subscription/:organizationID/usage' }, auth.verify,
+    auth.checkPermission('subscription:manage'), subscription.getUsage)
+
+  /**
+   * @api {put} /subscription/:organizationID/card Update the payment card
+   * @apiName UpdateSubscriptionCard
+   * @apiGroup Subscription
+   * @apiPermission subscription:manage
+   * @apiVersion 3.0.0
+   *
+   * @apiDescription Replace the card that the subscription is charged to.
+   *   Invoices that are past due are paid with the new card when Stripe next
+   *   retries them.
+   *
+   * @apiParam {String} token Stripe token identifying the new card
+   *
+   * @apiExample {json} Response Format
+   * {
+   *   "message": "Card updated",
+   *   "card": {
+   *     "brand": "Visa",
+   *     "last4": "4242",
+   *     "expMonth": 8,
+   *     "expYear": 2019
+   *   }
+   * }
+   * @apiError 402 Card was declined
+   */
+  app.put({ name: 'update subscription card', path: 'subscription/:organizationID/card' }, auth.verify,
+    auth.checkPermission('subscription:manage'), subscription.updateCard)
+
+  /**
+   * @api {put} /subscription/:organizationID/plan Change the plan
+   * @apiName ChangeSubscriptionPlan
+   * @apiGroup Subscription
+   * @apiPermission subscription:manage
+   * @apiVersion 3.0.0
+   *
+   * @apiDescription Switch between paying monthly and annually, or between
+   *   tiers. Stripe prorates the change on the next invoice. Switching to a
+   *   tier is refused if the organization has more items, users, or custom
+   *   fields than the tier allows, see *GetSubscriptionUsage*.
+   *
+   * @apiParam {String="monthly","annual","small-team-monthly","small-team-annual"} plan
+   *   Plan to switch to
+   *
+   * @apiExample {json} Response Format
+   * {
+   *   "message": "Plan changed",
+   *   "subscription": {
+   *     "plan": "annual",
+   *     "status": "active",
+   *     "currentPeriodEnd": "2018-03-22 05:00:00",
+   *     "cancelAtPeriodEnd": false
+   *   }
+   * }
+   * @apiError 403 The organization has more than the tier of the plan allows,
+   *   remove some first
+   * @apiError 409 Subscription is canceled, reactivate it first
+   */
+  app.put({ name: 'change subscription plan', path: 'subscription/:organizationID/plan' }, auth.verify,
+    auth.checkPermission('subscription:manage'), subscription.changePlan)
+
+  /**
+   * @api {post} /subscription/:organizationID/cancel Cancel the subscription
+   * @apiName CancelSubscription
+   * @apiGroup Subscription
+   * @apiPermission subscription:manage
+   * @apiVersion 3.0.0
+   *
+   * @apiDescription The subscription stays valid until the end of the billing
+   *   period that was paid for, and is not renewed after that. It can be
+   *   reactivated until then without being charged again.
+   *
+   * @apiExample {json} Response Format
+   * {
+   *   "message": "Subscription will be canceled at the end of the billing period",
+   *   "subscription": {
+   *     "plan": "monthly",
+   *     "status": "active",
+   *     "currentPeriodEnd": "2018-03-22 05:00:00",
+   *     "cancelAtPeriodEnd": true
+   *   }
+   * }
+   * @apiError 409 Subscription is canceled, reactivate it first
+   */
+  app.post({ name: 'cancel subscription', path: 'subscription/:organizationID/cancel' }, auth.verify,
+    auth.checkPermission('subscription:manage'), subscription.cancel)
+
+  /**
+   * @api {post} /subscription/:organizationID/reactivate Reactivate the subscription
+   * @apiName ReactivateSubscription
+   * @apiGroup Subscription
+   * @apiPermission subscription:manage
+   * @apiVersion 3.0.0
+   *
+   * @apiDescription Undo a cancellation before the end of the billing period,
+   *   or subscribe again after the subscription has ended, in which case the
+   *   card is charged right away.
+   *
+   * @apiParam {String="monthly","annual","small-team-monthly","small-team-annual"} [plan=monthly]
+   *   Plan to subscribe to again, only used if the subscription has ended
+   *
+   * @apiExample {json} Response Format
+   * {
+   *   "message": "Subscription reactivated",
+   *   "subscription": {
+   *     "plan": "monthly",
+   *     "status": "active",
+   *     "currentPeriodEnd": "2018-03-22 05:00:00",
+   *     "cancelAtPeriodEnd": false
+   *   }
+   * }
+   * @apiError 402 Card was declined
+   * @apiError 409 Subscription is not canceled
+   */
+  app.post({ name: 'reactivate subscription', path: 'subscription/:organizationID/reactivate' }, auth.verify,
+    auth.checkPermission('subscription:manage'), subscription.reactivate)
+
+  /**
+   * @api {get} /subscription/:organizationID/invoice Get invoices
+   * @apiName GetSubscriptionInvoices
+   * @apiGroup Subscription
+   * @apiPermission subscription:manage
+   * @apiVersion 3.0.0
+   *
+   * @apiDescription Invoices from newest to oldest. Amounts are in the smallest
+   *   unit of the currency, such as cents. To get the next page, use the
+   *   `invoiceID` of the last invoice as `after`.
+   *
+   * @apiParam {Number{1-100}} [limit=12] Number of invoices to get
+   * @apiParam {String} [after] ID of invoice to get the invoices before
+   *
+   * @apiExample {json} Response Format
+   * {
+   *   "results": [
+   *     {
+   *       "invoiceID": "in_1BwhJ2H3hGbXUVfM0SZ0N1dC",
+   *       "number": "3f9a2c1b-0001",
+   *       "date": "2018-02-22 05:00:00",
+   *       "periodStart": "2018-01-22 05:00:00",
+   *       "periodEnd": "2018-02-22 05:00:00",
+   *       "total": 1500,
+   *       "amountDue": 1500,
+   *       "currency": "usd",
+   *       "paid": true,
+   *       "url": "https://invoice.stripe.com/...",
+   *       "pdf": "https://pay.stripe.com/invoice/.../pdf"
+   *     }
+   *   ],
+   *   "hasMore": false
+   * }
+   */
+  app.get({ name: 'get subscription invoices', path: 'subscription/:organizationID/invoice' }, auth.verify,
+    auth.checkPermission('subscription:manage'), subscription.getInvoices)
 }
 
 subscription.get = endpoint.get('subscription', 'organizationID', {modify: subscription.withStatus})
 
-subscription.subscription = (req, res, next) => {
-  if (req.body.organization && req.body.user) {
-    // Create Stripe customer from token
-    return stripe.customers.create({
-      email: req.body.organization.email,
-      source: req.body.token
-    }).then(customer => {
-      // Subscribe customer to monthly plan
-      const creatingSubscription = stripe.subscriptions.create({
-        customer: customer.id,
-        items: [
-          {
-            plan: 'monthly'
-          }
-        ],
-        trial_period_days: 60
-      })
+// Fields of the organization and first user that signing up saves, which are all required
+const signupFields = {
+  organization: ['name', 'email'],
+  user: ['firstName', 'lastName', 'email', 'password']
+}
+
+// Loose check that an email address has a local part and a domain, since only sending an email can really check it
+const emailPattern = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
 
-      return Promise.all([creatingSubscription, customer])
-    }).then(([stripeSubscription, customer]) => {
-      // Create organization
-      return Promise.all([
-        stripeSubscription,
-        customer,
-        db.create('organization', 'organizationID', req.body.organization)
-      ])
-    }).then(([stripeSubscription, customer, organization]) => {
-      // TODO abstract into a separate function
-      // Convert Stripe timestamp to MySQL datetime format, maintaining UTC timezone
-      const periodEnd = moment.unix(stripeSubscription.current_period_end).utcOffset(0).format('YYYY-MM-DD HH:mm:ss')
-      const subscription = {
-        organizationID: organization.organizationID,
-        stripeCustomer: customer.id,
-        valid: 1, // `1` means `true`
-        subscriptionStatusID: 1, // `TRIAL` status
-        statusUntil: periodEnd
+/**
+ * Check the body of a signup before anything is charged or saved
+ * @param {object} body Body of the request, with `token`, `organization`, and
+ *   `user`
+ * @return {Promise.<object[]>} Resolved by an error for each invalid `field`,
+ *   with a `message`; empty if all are valid
+ */
+subscription.validateSignup = (body) => {
+  const fieldErrors = []
+  if (!body.token) {
+    fieldErrors.push({field: 'token', message: 'Missing Stripe token'})
+  }
+  for (const entity of Object.keys(signupFields)) {
+    for (const field of signupFields[entity]) {
+      const value = body[entity][field]
+      if (typeof value !== 'string' || !value.trim()) {
+        fieldErrors.push({field: `${entity}.${field}`, message: `Missing ${field}`})
+      } else if (field === 'email' && !emailPattern.test(value)) {
+        fieldErrors.push({field: `${entity}.${field}`, message: 'Invalid email address'})
       }
+    }
+  }
 
-      // Create subscription
-      return Promise.all([
-        db.create('subscription', 'subscriptionID', subscription),
-        organization
-      ])
-    }).then(([subscription, organization]) => {
-      const user = req.body.user
-      user.organizationID = organization.organizationID
+  // Emails of users are unique across all organizations
+  if (fieldErrors.some(fieldError => fieldError.field === 'user.email')) {
+    return Promise.resolve(fieldErrors)
+  }
+  return db('user')
+    .where('email', body.user.email)
+    .first('userID')
+    .then(user => {
+      if (user) {
+        fieldErrors.push({field: 'user.email', message: messages.conflict})
+      }
+      return fieldErrors
+    })
+}
 
-      // Set first user in organization to 'Admin' role
-      user.roleID = 1
+subscription.subscription = (req, res, next) => {
+  if (!req.body.organization || !req.body.user) {
+    return next(new errors.BadRequestError('Missing user or organization'))
+  }
+
+  // Only save known fields, so that the request cannot choose the role of the user or the ID of the organization
+  const pick = (object, fields) => fields.reduce((picked, field) => Object.assign(picked, {[field]: object[field]}), {})
+  const organization = pick(req.body.organization, signupFields.organization)
+  const user = pick(req.body.user, signupFields.user)
+  let customer
 
-      // Create user
-      const creatingUser = auth.hashPassword(user.password)
+  return subscription.validateSignup(req.body)
+    .then(fieldErrors => {
+      if (fieldErrors.length) {
+        res.send(400, {
+          code: 'BadRequest',
+          message: 'Some fields are invalid, nothing was charged',
+          errors: fieldErrors
+        })
+        return next()
+      }
+
+      return auth.hashPassword(user.password)
         .then(hash => {
           user.password = hash
-          return db.create('user', 'userID', user)
+          // Create Stripe customer from token
+          return stripe.customers.create({email: organization.email, source: req.body.token})
+        })
+        .then(created => {
+          customer = created
+          // Subscribe customer to monthly plan
+          return stripe.subscriptions.create({
+            customer: customer.id,
+            items: [{plan: subscription.plans[0]}],
+            trial_period_days: 60
+          })
+        })
+        .then(stripeSubscription => db.transaction(trx => {
+          return trx('organization')
+            .insert(organization)
+            .then(([organizationID]) => trx('subscription')
+              .insert({
+                organizationID,
+                stripeCustomer: customer.id,
+                valid: true,
+                subscriptionStatusID: subscription.subscriptionStatus.TRIAL,
+                statusUntil: fromStripeTime(stripeSubscription.current_period_end)
+              })
+              // Set first user in organization to 'Admin' role
+              .then(() => trx('user').insert(Object.assign({organizationID, roleID: 1}, user)))
+              .then(([userID]) => ({organizationID, userID})))
+        }))
+        .then(({organizationID, userID}) => {
+          res.send(201, {message: 'Subscription created', organizationID, userID})
+          return next()
         })
+        .catch(err => {
+          if (!customer) {
+            throw err
+          }
+          // Nothing was saved, so delete the customer, which also cancels its subscription so that it is never charged
+          return stripe.customers.del(customer.id)
+            .catch(cleanupErr => req.log.error({err: cleanupErr, customer: customer.id},
+              'failed to delete Stripe customer after signup failed'))
+            .then(() => { throw err })
+        })
+    })
+    .catch(err => handleError(err, next, req))
+}
 
-      return Promise.all([
-        organization.organizationID,
-        creatingUser
-      ])
-    }).then(([organizationID, user]) => {
-      res.send(201, {
-        message: 'Subscription created',
-        organizationID,
-        userID: user.userID
-      })
-      return next()
-    }).catch(err => {
-      // A declined card error
-      if (err.type === 'StripeCardError') {
-        return next(new errors.PaymentRequiredError(err.message))
-      } else {
-        /**
-         * Handle any other types of unexpected errors: StripeAPIError, StripeConnectionError,
-         * StripeInvalidRequestError, and StripeAuthenticationError
-         * See https://stripe.com/docs/api#errors for full reference
-         */
-        return next(new errors.InternalServerError(err.message))
+/**
+ * Update the subscription of a Stripe customer to match their subscription in
+ * Stripe
+ * @param {string} customer ID of Stripe customer
+ * @param {object} [stripeSubscription] Subscription from Stripe, missing if the
+ *   customer has no subscription
+ * @return {Promise} Resolved when the subscription is updated
+ */
+subscription.syncStatus = (customer, stripeSubscription) => {
+  // Change subscription to cancelled if customer has no active subscriptions, keeping the date it was paid until so
+  // that the grace period follows it
+  if (!stripeSubscription) {
+    return db.update('subscription', 'stripeCustomer', customer, {
+      valid: false,
+      subscriptionStatusID: subscription.subscriptionStatus.CANCELED
+    })
+  }
+
+  // Get date when status is relevant until, default to `null`; for lapsed subscriptions, this is the end of the last
+  // period that was paid for
+  let statusUntil = null
+  if (stripeSubscription.current_period_end) {
+    statusUntil = fromStripeTime(stripeSubscription.current_period_end)
+  }
+
+  if (stripeSubscription.status === 'trialing') {
+    return db.update('subscription', 'stripeCustomer', customer, {
+      valid: true,
+      subscriptionStatusID: subscription.subscriptionStatus.TRIAL,
+      statusUntil
+    })
+  } else if (stripeSubscription.status === 'active') {
+    return db.update('subscription', 'stripeCustomer', customer, {
+      valid: true,
+      subscriptionStatusID: subscription.subscriptionStatus.VALID,
+      statusUntil
+    })
+  } else if (stripeSubscription.status === 'past_due' || stripeSubscription.status === 'unpaid') {
+    return db.update('subscription', 'stripeCustomer', customer, {
+      valid: false,
+      subscriptionStatusID: subscription.subscriptionStatus.EXPIRED,
+      statusUntil
+    })
+  } else if (stripeSubscription.status === 'canceled') {
+    return db.update('subscription', 'stripeCustomer', customer, {
+      valid: false,
+      subscriptionStatusID: subscription.subscriptionStatus.CANCELED,
+      statusUntil
+    })
+  }
+  return Promise.resolve()
+}
+
+/**
+ * Update the tier of a Stripe customer's subscription to the tier named by the
+ * `tier` metadata of their Stripe plan
+ * @param {string} customer ID of Stripe customer
+ * @param {object} stripeSubscription Subscription from Stripe
+ * @return {Promise} Resolved when the tier is updated
+ */
+subscription.syncTier = (customer, stripeSubscription) => {
+  return getTierOfPlan(stripeSubscription.items.data[0].plan)
+    .then(tier => {
+      // Keep the current tier rather than guessing, since the plan is misconfigured
+      if (!tier) {
+        return
       }
+      return db('subscription').where('stripeCustomer', customer).update({tierID: tier.tierID})
     })
-  } else {
-    return next(new errors.BadRequestError('Missing user or organization'))
+}
+
+// Get the row from the `tier` table named by the `tier` metadata of a Stripe plan, missing if there is no such tier
+const getTierOfPlan = (plan) => {
+  const name = (plan.metadata && plan.metadata.tier) || defaultTier
+  return db('tier')
+    .where('name', name)
+    .first()
+    .then(tier => {
+      if (!tier) {
+        log.warn({plan: plan.id, tier: name}, 'Stripe plan has unknown tier')
+      }
+      return tier
+    })
+}
+
+// Check that an organization is within the limits of the tier of a Stripe plan, unless it is already on that tier
+const checkPlanTier = (organizationID, planID) => {
+  return Promise.all([stripe.plans.retrieve(planID), quota.getTier(organizationID)])
+    .then(([plan, current]) => getTierOfPlan(plan)
+      .then(tier => {
+        if (tier && tier.tierID !== current.tierID) {
+          return quota.checkTier(organizationID, tier)
+        }
+      }))
+}
+
+// Update a subscription from the current state of the Stripe subscription that an event is about, rather than from
+// the event itself, since Stripe does not guarantee that events arrive in order
+const syncFromStripe = (stripeSubscriptionID) => {
+  // Invoices for one-off charges have no subscription
+  if (!stripeSubscriptionID) {
+    return Promise.resolve()
   }
+  return stripe.subscriptions.retrieve(stripeSubscriptionID)
+    .then(stripeSubscription => subscription.syncStatus(stripeSubscription.customer, stripeSubscription)
+      .then(() => subscription.syncTier(stripeSubscription.customer, stripeSubscription)))
+}
+
+// Handlers for each type of Stripe event that changes a subscription, called with the object of the event; events
+// of other types are acknowledged without being handled
+subscription.hookHandlers = {
+  'customer.subscription.created': object => syncFromStripe(object.id),
+  'customer.subscription.updated': object => syncFromStripe(object.id),
+  'customer.subscription.deleted': object => syncFromStripe(object.id),
+  'customer.subscription.trial_will_end': object => syncFromStripe(object.id),
+  'invoice.payment_succeeded': object => syncFromStripe(object.subscription),
+  'invoice.payment_failed': object => syncFromStripe(object.subscription)
 }
 
 subscription.subscriptionHook = (req, res, next) => {
-  // Get customer from request if it exists
-  let customer
-  if (req.body.data.object) {
-    customer = req.body.data.object.customer
+  const secret = process.env.STRIPE_WEBHOOK_SECRET
+  if (!secret) {
+    // Without a secret, anyone could sign events, so refuse them until one is configured; Stripe retries later
+    req.log.error('STRIPE_WEBHOOK_SECRET is not set, cannot verify Stripe webhook')
+    return next(new errors.InternalServerError('Stripe webhooks are not configured'))
   }
 
-  // Throw error and do not continue if customer is undefined
-  if (!customer) {
-    next(new errors.BadRequestError('could not get Stripe customer from webhook request'))
-    return
+  let event
+  try {
+    // Signatures are computed from the exact body that Stripe sent, not the parsed body
+    event = stripe.webhooks.constructEvent(req.rawBody, req.headers['stripe-signature'], secret)
+  } catch (err) {
+    req.log.warn({err}, 'rejected Stripe webhook with invalid signature')
+    return next(new errors.BadRequestError('Stripe signature is invalid'))
   }
 
-  return stripe.subscriptions.list({
-    customer
-  }).then((subscriptions) => {
-    // Customer should only have one subscription, so use first one in list
-    const stripeSubscription = subscriptions.data[0]
+  return db('stripeEvent')
+    .where('eventID', event.id)
+    .first()
+    .then(processed => {
+      // Stripe sends events again when it is unsure whether they were received
+      if (processed) {
+        req.log.info({eventID: event.id, type: event.type}, 'ignored Stripe event that was already handled')
+        return
+      }
 
-    // Change subscription to cancelled if customer has no active subscriptions
-    if (!stripeSubscription) {
-      return db.update('subscription', 'stripeCustomer', customer, {
-        valid: false,
-        subscriptionStatusID: subscription.subscriptionStatus.CANCELED,
-        statusUntil: null
-      })
-    }
+      const handler = subscription.hookHandlers[event.type]
+      return Promise.resolve(handler && handler(event.data.object))
+        // Only record the event once it is handled, so that Stripe retries events that failed
+        .then(() => db('stripeEvent').insert({eventID: event.id, type: event.type, received: db.formatDate()}))
+        .catch(err => {
+          // The same event was handled by a simultaneous request
+          if (err.code !== 'ER_DUP_ENTRY') {
+            throw err
+          }
+        })
+    })
+    .then(() => {
+      res.send(200)
+      return next()
+    })
+    .catch(err => endpoint.handleError(err, {}, next, req))
+}
 
-    // Get date when status is relevant until, default to `null`
-    let statusUntil = null
-    if (stripeSubscription.current_period_end) {
-      statusUntil = moment.unix(stripeSubscription.current_period_end).utcOffset(0).format('YYYY-MM-DD HH:mm:ss')
-    }
+// Get the subscription of the organization in the request, which has the Stripe customer to manage
+const getForRequest = (req) => {
+  return db.get('subscription', 'organizationID', req.params.organizationID, req.user.organizationID)
+}
 
-    if (stripeSubscription.status === 'trialing') {
-      return db.update('subscription', 'stripeCustomer', customer, {
-        valid: true,
-        subscriptionStatusID: subscription.subscriptionStatus.TRIAL,
-        statusUntil
-      })
-    } else if (stripeSubscription.status === 'active') {
-      return db.update('subscription', 'stripeCustomer', customer, {
-        valid: true,
-        subscriptionStatusID: subscription.subscriptionStatus.VALID,
-        statusUntil
-      })
-    } else if (stripeSubscription.status === 'past_due' || subscription.status === 'unpaid') {
-      return db.update('subscription', 'stripeCustomer', customer, {
-        valid: false,
-        subscriptionStatusID: subscription.subscriptionStatus.EXPIRED,
-        statusUntil: null
+// Get the Stripe subscription of a customer, missing if it has ended
+const getStripeSubscription = (customer) => {
+  return stripe.subscriptions.list({customer, limit: 1})
+    .then(stripeSubscriptions => stripeSubscriptions.data[0])
+}
+
+// Get the Stripe subscription of a customer, rejecting if it has ended
+const requireStripeSubscription = (customer) => {
+  return getStripeSubscription(customer)
+    .then(stripeSubscription => {
+      if (!stripeSubscription) {
+        throw new errors.ConflictError(messages.noSubscription)
+      }
+      return stripeSubscription
+    })
+}
+
+// Describe a Stripe subscription in responses
+const describeStripeSubscription = (stripeSubscription) => ({
+  plan: stripeSubscription.items.data[0].plan.id,
+  status: stripeSubscription.status,
+  currentPeriodEnd: fromStripeTime(stripeSubscription.current_period_end),
+  cancelAtPeriodEnd: stripeSubscription.cancel_at_period_end
+})
+
+// Update the subscription from a Stripe subscription that was changed, record the change, and respond with it
+const sendChange = (req, res, row, message, before, stripeSubscription) => {
+  const after = describeStripeSubscription(stripeSubscription)
+  return subscription.syncStatus(row.stripeCustomer, stripeSubscription)
+    .then(() => subscription.syncTier(row.stripeCustomer, stripeSubscription))
+    .then(() => audit.record(req, 'update', 'subscription', row.subscriptionID, before, after))
+    .then(() => res.send({message, subscription: after}))
+}
+
+subscription.updateCard = (req, res, next) => {
+  if (!req.body.token) {
+    return next(new errors.BadRequestError('Missing token'))
+  }
+
+  let row
+  return getForRequest(req)
+    .then(found => {
+      row = found
+      return stripe.customers.update(row.stripeCustomer, {source: req.body.token})
+    })
+    .then(customer => {
+      const source = customer.sources.data.find(source => source.id === customer.default_source) || {}
+      const card = {
+        brand: source.brand,
+        last4: source.last4,
+        expMonth: source.exp_month,
+        expYear: source.exp_year
+      }
+      return audit.record(req, 'update', 'subscription', row.subscriptionID, {}, {card: `${card.brand} ${card.last4}`})
+        .then(() => res.send({message: messages.updateCard, card}))
+    })
+    .then(() => next())
+    .catch(err => handleError(err, next, req))
+}
+
+subscription.changePlan = (req, res, next) => {
+  if (!subscription.plans.includes(req.body.plan)) {
+    return next(new errors.BadRequestError(`Plan must be one of: ${subscription.plans.join(', ')}`))
+  }
+
+  let row
+  let before
+  return getForRequest(req)
+    .then(found => {
+      row = found
+      return requireStripeSubscription(row.stripeCustomer)
+    })
+    .then(stripeSubscription => {
+      before = describeStripeSubscription(stripeSubscription)
+      if (before.plan === req.body.plan) {
+        return stripeSubscription
+      }
+      return checkPlanTier(row.organizationID, req.body.plan)
+        .then(() => stripe.subscriptions.update(stripeSubscription.id, {
+          items: [{id: stripeSubscription.items.data[0].id, plan: req.body.plan}]
+        }))
+    })
+    .then(stripeSubscription => sendChange(req, res, row, messages.changePlan, before, stripeSubscription))
+    .then(() => next())
+    .catch(err => handleError(err, next, req))
+}
+
+subscription.cancel = (req, res, next) => {
+  let row
+  let before
+  return getForRequest(req)
+    .then(found => {
+      row = found
+      return requireStripeSubscription(row.stripeCustomer)
+    })
+    .then(stripeSubscription => {
+      before = describeStripeSubscription(stripeSubscription)
+      return stripe.subscriptions.del(stripeSubscription.id, {at_period_end: true})
+    })
+    .then(stripeSubscription => sendChange(req, res, row, messages.cancel, before, stripeSubscription))
+    .then(() => next())
+    .catch(err => handleError(err, next, req))
+}
+
+subscription.reactivate = (req, res, next) => {
+  const plan = req.body.plan || subscription.plans[0]
+  if (!subscription.plans.includes(plan)) {
+    return next(new errors.BadRequestError(`Plan must be one of: ${subscription.plans.join(', ')}`))
+  }
+
+  let row
+  let before
+  return getForRequest(req)
+    .then(found => {
+      row = found
+      return getStripeSubscription(row.stripeCustomer)
+    })
+    .then(stripeSubscription => {
+      // Subscribe again once the subscription has ended
+      if (!stripeSubscription) {
+        before = {status: 'canceled'}
+        return stripe.subscriptions.create({customer: row.stripeCustomer, items: [{plan}]})
+      }
+
+      before = describeStripeSubscription(stripeSubscription)
+      if (!stripeSubscription.cancel_at_period_end) {
+        throw new errors.ConflictError(messages.notCanceled)
+      }
+      // Stripe undoes a cancellation when the subscription is updated with its current plan
+      return stripe.subscriptions.update(stripeSubscription.id, {
+        items: [{id: stripeSubscription.items.data[0].id, plan: before.plan}]
       })
-    } else if (stripeSubscription.status === 'canceled') {
-      return db.update('subscription', 'stripeCustomer', customer, {
-        valid: false,
-        subscriptionStatusID: subscription.subscriptionStatus.CANCELED,
-        statusUntil: null
+    })
+    .then(stripeSubscription => sendChange(req, res, row, messages.reactivate, before, stripeSubscription))
+    .then(() => next())
+    .catch(err => handleError(err, next, req))
+}
+
+subscription.getInvoices = (req, res, next) => {
+  const limit = Number.parseInt(req.query.limit, 10) || defaultInvoiceLimit
+  if (limit < 1 || limit > maxInvoiceLimit) {
+    return next(new errors.BadRequestError(`Limit must be between 1 and ${maxInvoiceLimit}`))
+  }
+
+  return getForRequest(req)
+    .then(row => {
+      const options = {customer: row.stripeCustomer, limit}
+      if (req.query.after) {
+        options.starting_after = req.query.after
+      }
+      return stripe.invoices.list(options)
+    })
+    .then(invoices => {
+      res.send({
+        results: invoices.data.map(invoice => ({
+          invoiceID: invoice.id,
+          number: invoice.number,
+          date: fromStripeTime(invoice.date),
+          periodStart: fromStripeTime(invoice.period_start),
+          periodEnd: fromStripeTime(invoice.period_end),
+          total: invoice.total,
+          amountDue: invoice.amount_due,
+          currency: invoice.currency,
+          paid: invoice.paid,
+          url: invoice.hosted_invoice_url || null,
+          pdf: invoice.invoice_pdf || null
+        })),
+        hasMore: invoices.has_more
       })
-    }
-  }).then(() => {
-    res.send(200)
-    next()
-  }).catch(next)
+      return next()
+    })
+    .catch(err => handleError(err, next, req))
+}
+
+subscription.getUsage = (req, res, next) => {
+  return getForRequest(req)
+    .then(row => quota.getUsage(row.organizationID))
+    .then(usage => {
+      res.send(usage)
+      return next()
+    })
+    .catch(err => handleError(err, next, req))
 }
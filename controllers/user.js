@@ -2,10 +2,12 @@ const bcrypt = require('bcrypt')
 const errors = require('restify-errors')
 
 const auth = require('./auth')
+const role = require('./role')
 const checkSubscription = require('../services/check-subscription')
 const db = require('../services/db')
 const endpoint = require('../services/endpoint')
 const paginate = require('../services/paginate')
+const session = require('../services/session')
 
 const messages = {
   missing: 'User does not exist'
@@ -17,13 +19,15 @@ const user = module.exports
 user.removePasswordAddRole = (req, queryBuilder) => {
   return queryBuilder
     .join('role', 'user.roleID', 'role.roleID')
-    .select('userID', 'email', 'firstName', 'lastName', 'organizationID',
+    .select('user.userID', 'user.email', 'user.firstName', 'user.lastName', 'user.organizationID',
       'role.name as role')
     .modify(paginate.paginateQuery, req, 'user')
 }
 
 user.getAll = endpoint.getAll('user', {
   modify: user.removePasswordAddRole,
+  sortColumns: {userID: 'user.userID', firstName: 'user.firstName', lastName: 'user.lastName', email: 'user.email'},
+  fields: ['userID', 'email', 'firstName', 'lastName', 'organizationID', 'role'],
   searchColumns: ['user.firstName', 'user.lastName']
 })
 user.get = endpoint.get('userInfo', 'userID', {messages})
@@ -57,6 +61,41 @@ user.changeUserPassword = function changeUserPassword (req, res, next) {
     .catch(next)
 }
 
+// Columns that `PUT /user/:userID` can change. The organization cannot be
+// changed, and the password is changed with its own endpoint.
+const updatableColumns = ['firstName', 'lastName', 'email', 'archived', 'roleID']
+
+// Check that an update only changes columns that users can change
+user.checkUpdatable = function checkUpdatable (req, res, next) {
+  const other = Object.keys(req.body || {}).filter(column => !updatableColumns.includes(column))
+  if (other.length) {
+    return next(new errors.BadRequestError(`Cannot update: ${other.join(', ')}`))
+  }
+  return next()
+}
+
+// Check that a user's role is only changed by users allowed to manage users, to a role the organization can use
+user.checkRoleChange = function checkRoleChange (req, res, next) {
+  if (req.body.roleID === undefined) {
+    return next()
+  }
+
+  return auth.hasPermission(req.user, 'user:manage')
+    .then(allowed => {
+      if (!allowed) {
+        throw new errors.ForbiddenError('Missing permission user:manage')
+      }
+      return role.getAssignable(req.body.roleID, req.user)
+    })
+    .then(() => next())
+    .catch(err => {
+      if (err instanceof errors.HttpError) {
+        return next(err)
+      }
+      return endpoint.handleError(err, messages, next, req)
+    })
+}
+
 // Get rentals for only the current user
 user.rentalsForUser = (req, queryBuilder) => {
   return queryBuilder
@@ -65,12 +104,89 @@ user.rentalsForUser = (req, queryBuilder) => {
 
 user.getRentals = endpoint.getAll('rental', {modify: user.rentalsForUser})
 
+// Get the sessions of a user that can still be used, marking the one that the request was made with
+user.getSessions = (req, res, next) => {
+  return db('session')
+    .where('userID', req.params.userID)
+    .modify(session.active)
+    // Users of other organizations do not exist for the requesting user
+    .whereExists(function () {
+      this.select('userID').from('user')
+        .whereRaw('user.userID = session.userID')
+        .where('user.organizationID', req.user.organizationID)
+    })
+    .orderBy('lastUsed', 'desc')
+    .select('sessionID', 'device', 'ip', 'created', 'lastUsed', 'expires')
+    .then(sessions => {
+      const results = sessions.map(row => Object.assign(row, {current: row.sessionID === req.user.sessionID}))
+      res.send({results})
+      return next()
+    })
+    .catch(err => endpoint.handleError(err, messages, next, req))
+}
+
+// End a session of a user so that its refresh token stops working
+user.revokeSession = (req, res, next) => {
+  return db('session')
+    .where({sessionID: req.params.sessionID, userID: req.params.userID})
+    .modify(session.active)
+    .whereExists(function () {
+      this.select('userID').from('user')
+        .whereRaw('user.userID = session.userID')
+        .where('user.organizationID', req.user.organizationID)
+    })
+    .first('sessionID')
+    .then(row => {
+      if (!row) {
+        throw new errors.NotFoundError('Session does not exist')
+      }
+      return session.revoke({sessionID: row.sessionID})
+    })
+    .then(() => {
+      res.send({message: 'Session revoked', id: Number.parseInt(req.params.sessionID, 10)})
+      return next()
+    })
+    .catch(err => {
+      if (err instanceof errors.HttpError) {
+        return next(err)
+      }
+      return endpoint.handleError(err, messages, next, req)
+    })
+}
+
+// End every session of a user, such as when they leave the organization, so that none of their tokens work anymore
+user.revokeSessions = (req, res, next) => {
+  return db.get('user', 'userID', req.params.userID, req.user.organizationID)
+    .then(row => session.revoke({userID: row.userID}))
+    .then(revoked => {
+      res.send({message: 'Sessions revoked', id: Number.parseInt(req.params.userID, 10), revoked})
+      return next()
+    })
+    .catch(err => endpoint.handleError(err, messages, next, req))
+}
+
 user.mount = app => {
   /**
    * @apiDefine Pagination
    *
-   * @apiParam (Pagination) {Number{0..}} [limit] Max rows in response
+   * @apiParam (Pagination) {Number{1..}} [limit] Max rows in response
    * @apiParam (Pagination) {Number{0..}} [offset] Rows to offset response by
+   * @apiParam (Pagination) {String} [after] Cursor from `next` of the previous
+   *   page, instead of `offset`. The page starts after the last row of the
+   *   previous page, even if rows were added or removed before it, and only
+   *   links to the first and next pages.
+   *
+   * @apiSuccess (Pagination) {Number} total Number of rows that match the
+   *   search and filters, in every page
+   * @apiSuccess (Pagination) {String} next Cursor of the next page, `null` on
+   *   the last page
+   * @apiSuccessExample Pagination
+   *  Link: </user?limit=2>; rel="first", </user?limit=2&after=WzRd>; rel="next"
+   *  {
+   *    "results": [...],
+   *    "total": 11,
+   *    "next": "WzRd"
+   *  }
    */
 
   /**
@@ -91,11 +207,16 @@ user.mount = app => {
    * @api {get} /user Get all users
    * @apiName GetUsers
    * @apiGroup User
-   * @apiPermission Administrator
+   * @apiPermission user:manage
    * @apiVersion 3.0.0
    *
+   * @apiDescription Can be sorted by `userID`, `firstName`, `lastName`, and
+   * `email`. Any fields in the response format can be chosen.
+   *
    * @apiUse Pagination
    * @apiUse Search
+   * @apiUse Sort
+   * @apiUse Fields
    *
    * @apiExample {json} Response Format
    * {
@@ -112,7 +233,7 @@ user.mount = app => {
    *   ]
    * }
    */
-  app.get({name: 'get all users', path: 'user'}, auth.verify, auth.checkAdmin, user.getAll)
+  app.get({name: 'get all users', path: 'user'}, auth.verify, auth.checkPermission('user:manage'), user.getAll)
   /**
    * @api {get} /user/:userID Get a user
    * @apiName GetUser
@@ -130,32 +251,40 @@ user.mount = app => {
    * @apiPermission User
    * @apiVersion 3.0.0
    *
+   * @apiDescription Users can update themselves. Updating other users requires
+   *   permission `user:manage`. Only the fields below can be updated; the
+   *   password is changed with *ChangeUserPassword*.
+   *
    * @apiParam {String{0...255}} [firstName] First name
    * @apiParam {String{0...255}} [lastName] Last name
    * @apiParam {String{0...255}} [email] Email address
    * @apiParam {String} [archived] Date user was archived (YYYY-MM-DD)
+   * @apiParam {Number} [roleID] ID of a built-in role or a custom role of the
+   *   organization (requires permission `user:manage`)
    *
    * @apiUse UserResponse
    * @apiUse InvalidSubscriptionResponse
    */
-  app.put({name: 'update user', path: 'user/:userID'}, auth.verify, auth.checkUserMatches, checkSubscription,
-    user.update)
+  app.put({name: 'update user', path: 'user/:userID'}, auth.verify, auth.checkUserMatches, user.checkUpdatable,
+    user.checkRoleChange, checkSubscription, user.update)
   /**
    * @api {delete} /user/:userID Delete a user
    * @apiName DeleteUser
    * @apiGroup User
-   * @apiPermission Admin
+   * @apiPermission user:manage
    * @apiVersion 3.0.0
    *
-   * @apiDescription Only administrators can actually delete users. In general,
-   *   users should not be deleted, but archived. To archive a user, set the
-   *   `Archived` property to a date. This will automatically set the `email`
-   *   and `password` fields of the user to `NULL`.
+   * @apiDescription Only users with permission `user:manage` can actually
+   *   delete users. In general, users should not be deleted, but archived. To
+   *   archive a user, set the `Archived` property to a date. This will
+   *   automatically set the `email` and `password` fields of the user to
+   *   `NULL`.
    *
    * @apiUse EndpointDelete
    * @apiUse InvalidSubscriptionResponse
    */
-  app.del({name: 'delete user', path: 'user/:userID'}, auth.verify, auth.checkAdmin, checkSubscription, user.delete)
+  app.del({name: 'delete user', path: 'user/:userID'}, auth.verify, auth.checkPermission('user:manage'),
+    checkSubscription, user.delete)
   /**
    * @api {put} /user/:userID/password Change a user's password
    * @apiName ChangeUserPassword
@@ -193,4 +322,75 @@ user.mount = app => {
    * }
    */
   app.get({name: 'get user rentals', path: 'user/:userID/rentals'}, auth.verify, user.getRentals)
+  /**
+   * @api {get} /user/:userID/sessions Get a user's sessions
+   * @apiName GetUserSessions
+   * @apiGroup User
+   * @apiPermission User
+   * @apiVersion 3.0.0
+   *
+   * @apiDescription Each device that a user signs in on has its own session.
+   *   Sessions that were revoked or have not been used for thirty days are not
+   *   included. `current` is `true` for the session that the request was made
+   *   with. Getting the sessions of other users requires permission
+   *   `user:manage`.
+   *
+   * @apiExample {json} Response Format
+   * {
+   *   "results": [
+   *     {
+   *       "sessionID": 0,
+   *       "device": "Stockpile/1.0 (iPhone; iOS 11.2)",
+   *       "ip": "203.0.113.5",
+   *       "created": "2017-02-22T05:00:00.000Z",
+   *       "lastUsed": "2017-02-23T05:00:00.000Z",
+   *       "expires": "2017-03-25T05:00:00.000Z",
+   *       "current": true
+   *     }
+   *   ]
+   * }
+   */
+  app.get({name: 'get user sessions', path: 'user/:userID/sessions'}, auth.verify, auth.checkUserMatches,
+    user.getSessions)
+  /**
+   * @api {delete} /user/:userID/sessions Revoke all sessions of a user
+   * @apiName RevokeUserSessions
+   * @apiGroup User
+   * @apiPermission User
+   * @apiVersion 3.0.0
+   *
+   * @apiDescription Sign a user out of every device, such as when they leave
+   *   the organization. Their refresh tokens and access tokens stop working
+   *   immediately. Archiving or deleting a user also stops their tokens from
+   *   working. Revoking the sessions of other users requires permission
+   *   `user:manage`.
+   *
+   * @apiExample {json} Response Format
+   * {
+   *   "message": "Sessions revoked",
+   *   "id": 0,
+   *   "revoked": 2
+   * }
+   */
+  app.del({name: 'revoke user sessions', path: 'user/:userID/sessions'}, auth.verify, auth.checkUserMatches,
+    user.revokeSessions)
+  /**
+   * @api {delete} /user/:userID/sessions/:sessionID Revoke a session
+   * @apiName RevokeUserSession
+   * @apiGroup User
+   * @apiPermission User
+   * @apiVersion 3.0.0
+   *
+   * @apiDescription Sign a user out of a device by ending the session so that
+   *   its refresh token stops working. Revoking the sessions of other users
+   *   requires permission `user:manage`.
+   *
+   * @apiExample {json} Response Format
+   * {
+   *   "message": "Session revoked",
+   *   "id": 0
+   * }
+   */
+  app.del({name: 'revoke user session', path: 'user/:userID/sessions/:sessionID'}, auth.verify, auth.checkUserMatches,
+    user.revokeSession)
 }
@@ -0,0 +1,406 @@
+const crypto = require('crypto')
+const url = require('url')
+const errors = require('restify-errors')
+
+const auth = require('./auth')
+const audit = require('../services/audit')
+const checkSubscription = require('../services/check-subscription')
+const db = require('../services/db')
+const endpoint = require('../services/endpoint')
+const filterQuery = require('../services/filter-query')
+const paginate = require('../services/paginate')
+const webhookService = require('../services/webhook')
+
+const messages = {
+  missing: 'Webhook does not exist',
+  delete: 'Webhook deleted'
+}
+
+const webhook = module.exports
+
+const handleError = (err, next, req) => {
+  if (err instanceof errors.HttpError) {
+    return next(err)
+  }
+  return endpoint.handleError(err, messages, next, req)
+}
+
+// Check that a URL can receive deliveries, and that its host is not on a private network
+const checkURL = (value) => {
+  const {protocol, hostname} = url.parse(String(value))
+  if (!['http:', 'https:'].includes(protocol) || !hostname) {
+    return Promise.reject(new errors.BadRequestError('URL must be an http or https URL'))
+  }
+  return webhookService.resolveHost(hostname)
+}
+
+// Check that events are a list of known events
+const checkEvents = (events) => {
+  if (!Array.isArray(events) || events.length === 0) {
+    throw new errors.BadRequestError('Events must be a list of at least one event')
+  }
+  const unknown = events.filter(event => !webhookService.events.includes(event))
+  if (unknown.length) {
+    throw new errors.BadRequestError(`Unknown events: ${unknown.join(', ')}`)
+  }
+}
+
+// Add the events of each webhook
+webhook.addEvents = (webhooks, trx = db) => {
+  return trx('webhookEvent')
+    .whereIn('webhookID', webhooks.map(row => row.webhookID))
+    .orderBy('event')
+    .then(events => webhooks.map(row => Object.assign(row, {
+      events: events.filter(event => event.webhookID === row.webhookID).map(event => event.event)
+    })))
+}
+
+// Get a webhook of the organization with its events
+const getForOrganization = (webhookID, organizationID, trx = db) => {
+  return trx('webhook')
+    .where({webhookID, organizationID})
+    .first()
+    .then(row => {
+      if (!row) {
+        throw new errors.NotFoundError(messages.missing)
+      }
+      return webhook.addEvents([row], trx)
+    })
+    .then(([row]) => row)
+}
+
+// Replace the events of a webhook
+const setEvents = (trx, webhookID, events) => {
+  return trx('webhookEvent').where('webhookID', webhookID).del()
+    .then(() => trx('webhookEvent').insert([...new Set(events)].map(event => ({webhookID, event}))))
+}
+
+// Get the webhooks of the organization, leaving out their secrets
+webhook.getAll = (req, res, next) => {
+  return db('webhook')
+    .where('organizationID', req.user.organizationID)
+    .orderBy('created', 'desc')
+    .select('webhookID', 'organizationID', 'url', 'active', 'createdBy', 'created')
+    .then(webhooks => webhook.addEvents(webhooks))
+    .then(results => {
+      res.send({results})
+      return next()
+    })
+    .catch(err => handleError(err, next, req))
+}
+
+webhook.get = (req, res, next) => {
+  return getForOrganization(req.params.webhookID, req.user.organizationID)
+    .then(row => {
+      res.send(row)
+      return next()
+    })
+    .catch(err => handleError(err, next, req))
+}
+
+webhook.create = (req, res, next) => {
+  try {
+    checkEvents(req.body.events)
+  } catch (err) {
+    return next(err)
+  }
+
+  const row = {
+    organizationID: req.user.organizationID,
+    url: req.body.url,
+    secret: crypto.randomBytes(32).toString('hex'),
+    active: req.body.active !== false,
+    createdBy: req.user.userID,
+    created: db.formatDate()
+  }
+  return db.transaction(trx => {
+    return checkURL(req.body.url)
+      .then(() => trx('webhook').insert(row))
+      .then(([webhookID]) => setEvents(trx, webhookID, req.body.events)
+        .then(() => getForOrganization(webhookID, row.organizationID, trx)))
+  })
+    .tap(created => audit.record(req, 'create', 'webhook', created.webhookID, undefined,
+      {url: created.url, events: created.events, active: created.active}))
+    .then(created => {
+      res.send(201, created)
+      return next()
+    })
+    .catch(err => handleError(err, next, req))
+}
+
+webhook.update = (req, res, next) => {
+  try {
+    if (req.body.events !== undefined) {
+      checkEvents(req.body.events)
+    }
+  } catch (err) {
+    return next(err)
+  }
+
+  const changes = {}
+  if (req.body.url !== undefined) {
+    changes.url = req.body.url
+  }
+  if (req.body.active !== undefined) {
+    changes.active = Boolean(req.body.active)
+  }
+
+  let before
+  return db.transaction(trx => {
+    return (req.body.url === undefined ? Promise.resolve() : checkURL(req.body.url))
+      .then(() => getForOrganization(req.params.webhookID, req.user.organizationID, trx))
+      .then(row => {
+        before = row
+        return Object.keys(changes).length && trx('webhook').where('webhookID', row.webhookID).update(changes)
+      })
+      .then(() => req.body.events && setEvents(trx, before.webhookID, req.body.events))
+      .then(() => getForOrganization(before.webhookID, req.user.organizationID, trx))
+  })
+    .tap(updated => audit.record(req, 'update', 'webhook', updated.webhookID,
+      {url: before.url, events: before.events, active: before.active},
+      {url: updated.url, events: updated.events, active: updated.active}))
+    .then(updated => {
+      res.send(updated)
+      return next()
+    })
+    .catch(err => handleError(err, next, req))
+}
+
+webhook.delete = (req, res, next) => {
+  let before
+  return getForOrganization(req.params.webhookID, req.user.organizationID)
+    .then(row => {
+      before = row
+      return db('webhook').where('webhookID', row.webhookID).del()
+    })
+    .then(() => audit.record(req, 'delete', 'webhook', before.webhookID,
+      {url: before.url, events: before.events, active: before.active}))
+    .then(() => {
+      res.send({message: messages.delete, id: before.webhookID})
+      return next()
+    })
+    .catch(err => handleError(err, next, req))
+}
+
+webhook.forWebhook = (req, queryBuilder) => {
+  const filterParams = new Map()
+  filterParams.set('event', 'webhookDelivery.event')
+  filterParams.set('status', 'webhookDelivery.status')
+
+  return queryBuilder
+    .where('webhookDelivery.webhookID', req.params.webhookID)
+    .modify(filterQuery, req, filterParams)
+    .modify(paginate.paginateQuery, req, 'webhookDelivery')
+}
+
+// Override `res.send` to parse payloads, which are stored as JSON
+const parseSend = (res) => {
+  const originalSend = res.send
+  return function send (code, body, headers) {
+    const actualBody = typeof code === 'object' ? code : body
+    for (const result of actualBody.results || []) {
+      result.payload = JSON.parse(result.payload)
+    }
+    return originalSend.call(res, code, body, headers)
+  }
+}
+
+webhook.getDeliveries = (req, res, next) => {
+  res.send = parseSend(res)
+  return endpoint.getAll('webhookDelivery', {
+    modify: webhook.forWebhook,
+    sortBy: [
+      {column: 'webhookDelivery.created', ascending: false},
+      {column: 'webhookDelivery.webhookDeliveryID', ascending: false}
+    ]
+  })(req, res, next)
+}
+
+webhook.mount = app => {
+  /**
+   * @apiDefine WebhookResponse
+   *
+   * @apiExample {json} Response Format
+   * {
+   *   "webhookID": 0,
+   *   "organizationID": 0,
+   *   "url": "https://hooks.slack.com/services/T000/B000/XXXX",
+   *   "secret": "4c3f1d0e...",
+   *   "active": 1,
+   *   "createdBy": 0,
+   *   "created": "2017-02-22T05:00:00.000Z",
+   *   "events": [
+   *     "rental.created",
+   *     "rentalItem.returned"
+   *   ]
+   * }
+   */
+
+  /**
+   * @api {get} /webhook Get all webhooks
+   * @apiName GetWebhooks
+   * @apiGroup Webhook
+   * @apiPermission webhook:manage
+   * @apiVersion 3.0.0
+   *
+   * @apiDescription Webhooks send events to a URL as they happen, so that other
+   *   systems do not need to poll the API. Each event is sent as a `POST`
+   *   request with a JSON body containing the `event`, when it was `created`,
+   *   and its `data`. The available events are:
+   *
+   *   - `rental.created`: a rental or reservation was created; `data` is the
+   *     rental with the barcodes of its `items`
+   *   - `rentalItem.returned`: an item was returned; `data` has the `rentalID`,
+   *     `barcode` and `returned` time
+   *   - `item.updated`: an item was changed; `data` has the updated `item` and
+   *     the `changes` made to it
+   *   - `rental.overdue`: a rental has items that were due back but have not
+   *     been returned; sent once per item
+   *
+   *   Requests include a `Stockpile-Event` header with the name of the event, a
+   *   `Stockpile-Delivery` header with the ID of the delivery, and a
+   *   `Stockpile-Signature` header like `t=1519275600,v1=5257a869...`. To check
+   *   that a request came from Stockpile, compute the HMAC-SHA256 of the `t`
+   *   value, a period, and the raw request body, using the secret of the
+   *   webhook as the key, and compare its hex digest to the `v1` value.
+   *
+   *   Respond with any `2xx` status to acknowledge an event. Other responses,
+   *   and no response within ten seconds, are retried after 1 minute, 5
+   *   minutes, 30 minutes, 2 hours, and 12 hours, after which the delivery
+   *   fails. Secrets are left out of this list.
+   *
+   * @apiExample {json} Response Format
+   * {
+   *   "results": [
+   *     {
+   *       "webhookID": 0,
+   *       "organizationID": 0,
+   *       "url": "https://hooks.slack.com/services/T000/B000/XXXX",
+   *       "active": 1,
+   *       "createdBy": 0,
+   *       "created": "2017-02-22T05:00:00.000Z",
+   *       "events": [
+   *         "rental.created",
+   *         "rentalItem.returned"
+   *       ]
+   *     }
+   *   ]
+   * }
+   */
+  app.get({name: 'get all webhooks', path: 'webhook'}, auth.verify, auth.checkPermission('webhook:manage'),
+    webhook.getAll)
+  /**
+   * @api {get} /webhook/:webhookID Get a webhook
+   * @apiName GetWebhook
+   * @apiGroup Webhook
+   * @apiPermission webhook:manage
+   * @apiVersion 3.0.0
+   *
+   * @apiDescription Includes the secret for checking signatures.
+   *
+   * @apiUse WebhookResponse
+   */
+  app.get({name: 'get webhook', path: 'webhook/:webhookID'}, auth.verify, auth.checkPermission('webhook:manage'),
+    webhook.get)
+  /**
+   * @api {put} /webhook Create a webhook
+   * @apiName CreateWebhook
+   * @apiGroup Webhook
+   * @apiPermission webhook:manage
+   * @apiVersion 3.0.0
+   *
+   * @apiDescription A secret for checking signatures is generated for each
+   *   webhook.
+   *
+   * @apiParam {String} url HTTP or HTTPS URL to send events to, which must not
+   *   have a loopback, private or link-local address
+   * @apiParam {String[]} events Names of events to send
+   * @apiParam {Boolean} [active=true] Whether to send events
+   *
+   * @apiUse WebhookResponse
+   * @apiUse InvalidSubscriptionResponse
+   */
+  app.put({name: 'create webhook', path: 'webhook'}, auth.verify, auth.checkPermission('webhook:manage'),
+    checkSubscription, webhook.create)
+  /**
+   * @api {put} /webhook/:webhookID Update a webhook
+   * @apiName UpdateWebhook
+   * @apiGroup Webhook
+   * @apiPermission webhook:manage
+   * @apiVersion 3.0.0
+   *
+   * @apiDescription Pending deliveries of a webhook that is no longer active
+   *   fail instead of being sent.
+   *
+   * @apiParam {String} [url] HTTP or HTTPS URL to send events to, which must
+   *   not have a loopback, private or link-local address
+   * @apiParam {String[]} [events] Names of events to send, replacing all of its
+   *   current events
+   * @apiParam {Boolean} [active] Whether to send events
+   *
+   * @apiUse WebhookResponse
+   * @apiUse InvalidSubscriptionResponse
+   */
+  app.put({name: 'update webhook', path: 'webhook/:webhookID'}, auth.verify, auth.checkPermission('webhook:manage'),
+    checkSubscription, webhook.update)
+  /**
+   * @api {delete} /webhook/:webhookID Delete a webhook
+   * @apiName DeleteWebhook
+   * @apiGroup Webhook
+   * @apiPermission webhook:manage
+   * @apiVersion 3.0.0
+   *
+   * @apiDescription Deleting a webhook also deletes its deliveries.
+   *
+   * @apiUse EndpointDelete
+   */
+  app.del({name: 'delete webhook', path: 'webhook/:webhookID'}, auth.verify, auth.checkPermission('webhook:manage'),
+    webhook.delete)
+  /**
+   * @api {get} /webhook/:webhookID/delivery Get deliveries of a webhook
+   * @apiName GetWebhookDeliveries
+   * @apiGroup Webhook
+   * @apiPermission webhook:manage
+   * @apiVersion 3.0.0
+   *
+   * @apiDescription The log of events sent to a webhook, newest first. `status`
+   *   is `pending` until the event is received or retries run out, after which
+   *   it is `succeeded` or `failed`. `responseStatus` and `error` describe the
+   *   most recent attempt, and `nextAttempt` is when a pending delivery will be
+   *   retried.
+   *
+   * @apiParam (Filter) {String} [event] Return only deliveries of this event
+   * @apiParam (Filter) {String="pending","succeeded","failed"} [status] Return
+   *   only deliveries with this status
+   *
+   * @apiUse Pagination
+   *
+   * @apiExample {json} Response Format
+   * {
+   *   "results": [
+   *     {
+   *       "webhookDeliveryID": 0,
+   *       "webhookID": 0,
+   *       "organizationID": 0,
+   *       "event": "rentalItem.returned",
+   *       "payload": {
+   *         "event": "rentalItem.returned",
+   *         "created": "2017-02-22T05:00:00.000Z",
+   *         "data": {"rentalID": 0, "barcode": "0000", "returned": "2017-02-22 05:00:00"}
+   *       },
+   *       "status": "pending",
+   *       "attempts": 1,
+   *       "nextAttempt": "2017-02-22T05:01:00.000Z",
+   *       "lastAttempt": "2017-02-22T05:00:00.000Z",
+   *       "responseStatus": 500,
+   *       "error": "Responded with status 500",
+   *       "created": "2017-02-22T05:00:00.000Z",
+   *       "delivered": null,
+   *       "sortIndex": 0
+   *     }
+   *   ]
+   * }
+   */
+  app.get({name: 'get webhook deliveries', path: 'webhook/:webhookID/delivery'}, auth.verify,
+    auth.checkPermission('webhook:manage'), webhook.getDeliveries)
+}
@@ -29,7 +29,8 @@ app.use(restify.plugins.requestLogger())
 
 // Parse incoming request body and query parameters
 app.use(restify.plugins.bodyParser())
-app.use(restify.plugins.queryParser({mapParams: true}))
+// Indexes in brackets are kept as keys rather than becoming arrays, so that filters like `cf[5]` keep their ID
+app.use(restify.plugins.queryParser({mapParams: true, arrayLimit: 0}))
 
 // Set name for links middleware
 const links = restifyLinks()
@@ -62,7 +63,11 @@ const cors = corsMiddleware({
     'authorization',
     'content-type',
     'request-id',
-    'origin'
+    'origin',
+    'x-api-key'
+  ],
+  exposeHeaders: [
+    'stockpile-subscription'
   ]
 })
 app.pre(cors.preflight)
@@ -0,0 +1,14 @@
+exports.up = function (knex, Promise) {
+  return knex.schema.createTable('passwordResetToken', table => {
+    table.increments('passwordResetTokenID').unsigned()
+    table.integer('userID').notNullable().references('user.userID').onUpdate('cascade').onDelete('cascade')
+    // SHA-256 hash of the token sent to the user, never the token itself
+    table.string('tokenHash', 64).notNullable().unique()
+    table.dateTime('expires').notNullable()
+    table.dateTime('used').defaultTo(null)
+  })
+}
+
+exports.down = function (knex, Promise) {
+  return knex.schema.dropTable('passwordResetToken')
+}
@@ -0,0 +1,11 @@
+exports.up = function (knex, Promise) {
+  return knex.schema.table('rentalItem', table => {
+    table.dateTime('reminderSent').defaultTo(null)
+  })
+}
+
+exports.down = function (knex, Promise) {
+  return knex.schema.table('rentalItem', table => {
+    table.dropColumn('reminderSent')
+  })
+}
@@ -0,0 +1,12 @@
+exports.up = function (knex, Promise) {
+  return knex.schema.table('rental', table => {
+    // Canceled reservations are kept so that their history is not lost
+    table.dateTime('canceled').defaultTo(null)
+  })
+}
+
+exports.down = function (knex, Promise) {
+  return knex.schema.table('rental', table => {
+    table.dropColumn('canceled')
+  })
+}
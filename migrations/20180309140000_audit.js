@@ -0,0 +1,21 @@
+exports.up = function (knex, Promise) {
+  return knex.schema.createTable('audit', table => {
+    table.increments('auditID').unsigned()
+    table.integer('organizationID').references('organization.organizationID').onUpdate('cascade').onDelete('cascade')
+    // Keep entries when users are deleted
+    table.integer('userID').references('user.userID').onUpdate('cascade').onDelete('set null')
+    table.string('action', 16).notNullable()
+    table.string('entity', 64).notNullable()
+    table.string('key', 255)
+    // JSON of the changed columns before and after the change
+    table.text('before')
+    table.text('after')
+    table.dateTime('created').notNullable().defaultTo(knex.fn.now())
+
+    table.index(['organizationID', 'entity', 'key'])
+  })
+}
+
+exports.down = function (knex, Promise) {
+  return knex.schema.dropTable('audit')
+}
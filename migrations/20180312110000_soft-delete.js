@@ -0,0 +1,14 @@
+const tables = ['item', 'model', 'brand', 'category']
+
+exports.up = function (knex, Promise) {
+  return Promise.all(tables.map(tableName => knex.schema.table(tableName, table => {
+    // Deleted rows are kept so that rentals of deleted items are not lost
+    table.dateTime('deleted').defaultTo(null)
+  })))
+}
+
+exports.down = function (knex, Promise) {
+  return Promise.all(tables.map(tableName => knex.schema.table(tableName, table => {
+    table.dropColumn('deleted')
+  })))
+}
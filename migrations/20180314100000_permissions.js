@@ -0,0 +1,81 @@
+// Permissions as of this migration; later permissions are added by their own migrations
+const permissions = [
+  ['audit:read', 'View the audit log'],
+  ['brand:manage', 'Create, update, delete and restore brands'],
+  ['category:manage', 'Create, update, delete and restore categories'],
+  ['customField:manage', 'Create, update and delete custom fields'],
+  ['externalRenter:delete', 'Delete external renters'],
+  ['externalRenter:manage', 'Create and update external renters'],
+  ['item:create', 'Create items'],
+  ['item:delete', 'Delete and restore items'],
+  ['item:export', 'Export items'],
+  ['item:import', 'Import items'],
+  ['item:update', 'Update items and their custom field values'],
+  ['kit:manage', 'Create, update and delete kits'],
+  ['model:manage', 'Create, update, delete and restore models'],
+  ['organization:manage', 'Update and delete the organization'],
+  ['rental:create', 'Create rentals and reservations for yourself'],
+  ['rental:create-for-others', 'Create rentals and reservations for other users'],
+  ['rental:delete', 'Delete rentals and items from rentals'],
+  ['rental:export', 'Export rental history'],
+  ['rental:update', 'Update, check out, cancel and return rentals'],
+  ['role:manage', 'Create, update and delete custom roles'],
+  ['subscription:manage', 'View and change the subscription, its plan and card, and invoices'],
+  ['user:manage', 'View, update and delete other users and change their roles']
+]
+
+// Administrators are not listed because they always have every permission
+const rolePermissions = {
+  Member: permissions.map(([name]) => name).filter(name => ![
+    'audit:read',
+    'externalRenter:delete',
+    'organization:manage',
+    'rental:delete',
+    'role:manage',
+    'subscription:manage',
+    'user:manage'
+  ].includes(name)),
+  Viewer: ['item:export', 'rental:export'],
+  'Desk Staff': [
+    'externalRenter:manage',
+    'item:export',
+    'rental:create',
+    'rental:create-for-others',
+    'rental:export',
+    'rental:update'
+  ]
+}
+
+exports.up = function (knex, Promise) {
+  return knex.schema.table('role', table => {
+    // Roles without an organization are built in and available to every organization
+    table.integer('organizationID').references('organization.organizationID')
+      .onUpdate('cascade').onDelete('cascade').defaultTo(null)
+  })
+    .then(() => knex.schema.createTable('permission', table => {
+      table.string('name', 64).primary()
+      table.string('description').notNullable()
+    }))
+    .then(() => knex.schema.createTable('rolePermission', table => {
+      table.integer('roleID').notNullable().references('role.roleID').onUpdate('cascade').onDelete('cascade')
+      table.string('permission', 64).notNullable().references('permission.name')
+        .onUpdate('cascade').onDelete('cascade')
+      table.primary(['roleID', 'permission'])
+    }))
+    .then(() => knex('permission').insert(permissions.map(([name, description]) => ({name, description}))))
+    .then(() => knex('role').insert([{name: 'Viewer'}, {name: 'Desk Staff'}]))
+    .then(() => knex('role').whereIn('name', Object.keys(rolePermissions)).whereNull('organizationID'))
+    .then(roles => knex('rolePermission').insert([].concat(...roles.map(role =>
+      rolePermissions[role.name].map(permission => ({roleID: role.roleID, permission}))))))
+}
+
+exports.down = function (knex, Promise) {
+  return knex.schema.dropTable('rolePermission')
+    .then(() => knex.schema.dropTable('permission'))
+    .then(() => knex('role').whereIn('name', ['Viewer', 'Desk Staff']).whereNull('organizationID').del())
+    .then(() => knex('role').whereNotNull('organizationID').del())
+    .then(() => knex.schema.table('role', table => {
+      table.dropForeign('organizationID')
+      table.dropColumn('organizationID')
+    }))
+}
@@ -0,0 +1,21 @@
+exports.up = function (knex, Promise) {
+  return knex.schema.createTable('invitation', table => {
+    table.increments('invitationID').unsigned()
+    table.integer('organizationID').notNullable().references('organization.organizationID')
+      .onUpdate('cascade').onDelete('cascade')
+    table.string('email').notNullable()
+    // Role that the invited user gets; deleting a role revokes its invitations
+    table.integer('roleID').notNullable().references('role.roleID').onUpdate('cascade').onDelete('cascade')
+    table.integer('invitedBy').references('user.userID').onUpdate('cascade').onDelete('set null')
+    // SHA-256 hash of the token sent to the invited user, never the token itself
+    table.string('tokenHash', 64).notNullable().unique()
+    table.dateTime('created').notNullable()
+    table.dateTime('expires').notNullable()
+    table.dateTime('accepted').defaultTo(null)
+    table.dateTime('revoked').defaultTo(null)
+  })
+}
+
+exports.down = function (knex, Promise) {
+  return knex.schema.dropTable('invitation')
+}
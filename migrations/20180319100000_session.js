@@ -0,0 +1,32 @@
+exports.up = function (knex, Promise) {
+  return knex.schema.createTable('session', table => {
+    table.increments('sessionID').unsigned()
+    table.integer('userID').notNullable().references('user.userID').onUpdate('cascade').onDelete('cascade')
+    // SHA-256 hash of the current refresh token of the session, never the token itself
+    table.string('tokenHash', 64).notNullable().unique()
+    // Description of the device that the session was started on, from its `User-Agent` header
+    table.string('device').defaultTo(null)
+    table.string('ip', 45).defaultTo(null)
+    table.dateTime('created').notNullable()
+    table.dateTime('lastUsed').notNullable()
+    table.dateTime('expires').notNullable()
+    table.dateTime('revoked').defaultTo(null)
+  })
+    // Refresh tokens that were replaced, so that using one again can be detected as theft
+    .then(() => knex.schema.createTable('sessionRotatedToken', table => {
+      table.string('tokenHash', 64).primary()
+      table.integer('sessionID').unsigned().notNullable().references('session.sessionID')
+        .onUpdate('cascade').onDelete('cascade')
+    }))
+    // Refresh tokens are now stored per session
+    .then(() => knex.schema.dropTable('refreshToken'))
+}
+
+exports.down = function (knex, Promise) {
+  return knex.schema.createTable('refreshToken', table => {
+    table.integer('userID').primary().references('user.userID').onUpdate('cascade').onDelete('cascade')
+    table.string('refreshToken').notNullable()
+  })
+    .then(() => knex.schema.dropTable('sessionRotatedToken'))
+    .then(() => knex.schema.dropTable('session'))
+}
@@ -0,0 +1,12 @@
+exports.up = function (knex, Promise) {
+  // Access tokens that were revoked before they expired, such as by logging out
+  return knex.schema.createTable('revokedToken', table => {
+    table.string('jti', 32).primary()
+    // Rows can be deleted once the token expires, since the token is then rejected anyway
+    table.dateTime('expires').notNullable().index()
+  })
+}
+
+exports.down = function (knex, Promise) {
+  return knex.schema.dropTable('revokedToken')
+}
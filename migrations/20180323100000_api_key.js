@@ -0,0 +1,40 @@
+exports.up = function (knex, Promise) {
+  return knex.schema.createTable('apiKey', table => {
+    table.increments('apiKeyID').unsigned()
+    table.integer('organizationID').notNullable().references('organization.organizationID')
+      .onUpdate('cascade').onDelete('cascade')
+    table.string('name').notNullable()
+    // Start of the key, so that keys can be told apart without storing them
+    table.string('prefix', 16).notNullable()
+    // SHA-256 hash of the key, never the key itself
+    table.string('keyHash', 64).notNullable().unique()
+    // Keep keys when the user that created them is deleted
+    table.integer('createdBy').references('user.userID').onUpdate('cascade').onDelete('set null')
+    table.dateTime('created').notNullable()
+    table.dateTime('lastUsed').defaultTo(null)
+    table.dateTime('revoked').defaultTo(null)
+  })
+    // Permissions that a key has, like the permissions of a role
+    .then(() => knex.schema.createTable('apiKeyScope', table => {
+      table.integer('apiKeyID').unsigned().notNullable().references('apiKey.apiKeyID')
+        .onUpdate('cascade').onDelete('cascade')
+      table.string('permission', 64).notNullable().references('permission.name')
+        .onUpdate('cascade').onDelete('cascade')
+      table.primary(['apiKeyID', 'permission'])
+    }))
+    // Changes made with a key are recorded with the key instead of a user
+    .then(() => knex.schema.table('audit', table => {
+      table.integer('apiKeyID').unsigned().references('apiKey.apiKeyID').onUpdate('cascade').onDelete('set null')
+    }))
+    .then(() => knex('permission').insert({name: 'apiKey:manage', description: 'View, create and revoke API keys'}))
+}
+
+exports.down = function (knex, Promise) {
+  return knex('permission').where('name', 'apiKey:manage').del()
+    .then(() => knex.schema.table('audit', table => {
+      table.dropForeign('apiKeyID')
+      table.dropColumn('apiKeyID')
+    }))
+    .then(() => knex.schema.dropTable('apiKeyScope'))
+    .then(() => knex.schema.dropTable('apiKey'))
+}
@@ -0,0 +1,60 @@
+exports.up = function (knex, Promise) {
+  return knex.schema.createTable('webhook', table => {
+    table.increments('webhookID').unsigned()
+    table.integer('organizationID').notNullable().references('organization.organizationID')
+      .onUpdate('cascade').onDelete('cascade')
+    table.string('url', 2048).notNullable()
+    // Key for signing deliveries, which receivers need to check signatures, so it cannot be hashed
+    table.string('secret', 64).notNullable()
+    table.boolean('active').notNullable().defaultTo(true)
+    table.integer('createdBy').references('user.userID').onUpdate('cascade').onDelete('set null')
+    table.dateTime('created').notNullable()
+  })
+    // Events that each webhook is sent
+    .then(() => knex.schema.createTable('webhookEvent', table => {
+      table.integer('webhookID').unsigned().notNullable().references('webhook.webhookID')
+        .onUpdate('cascade').onDelete('cascade')
+      table.string('event', 64).notNullable()
+      table.primary(['webhookID', 'event'])
+    }))
+    // Queue of events to send, kept afterwards as a log of deliveries
+    .then(() => knex.schema.createTable('webhookDelivery', table => {
+      table.increments('webhookDeliveryID').unsigned()
+      table.integer('webhookID').unsigned().notNullable().references('webhook.webhookID')
+        .onUpdate('cascade').onDelete('cascade')
+      table.integer('organizationID').notNullable().references('organization.organizationID')
+        .onUpdate('cascade').onDelete('cascade')
+      table.string('event', 64).notNullable()
+      // JSON body of the request
+      table.text('payload').notNullable()
+      table.enu('status', ['pending', 'succeeded', 'failed']).notNullable().defaultTo('pending')
+      table.integer('attempts').notNullable().defaultTo(0)
+      table.dateTime('nextAttempt')
+      table.dateTime('lastAttempt')
+      table.integer('responseStatus')
+      table.string('error')
+      table.dateTime('created').notNullable()
+      table.dateTime('delivered')
+
+      table.index(['status', 'nextAttempt'])
+      table.index(['webhookID', 'created'])
+    }))
+    // Rentals are only reported as overdue once
+    .then(() => knex.schema.table('rentalItem', table => {
+      table.dateTime('overdueEventSent').defaultTo(null)
+    }))
+    .then(() => knex('permission').insert({
+      name: 'webhook:manage',
+      description: 'View, create, update and delete webhooks and their deliveries'
+    }))
+}
+
+exports.down = function (knex, Promise) {
+  return knex('permission').where('name', 'webhook:manage').del()
+    .then(() => knex.schema.table('rentalItem', table => {
+      table.dropColumn('overdueEventSent')
+    }))
+    .then(() => knex.schema.dropTable('webhookDelivery'))
+    .then(() => knex.schema.dropTable('webhookEvent'))
+    .then(() => knex.schema.dropTable('webhook'))
+}
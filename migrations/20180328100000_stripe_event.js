@@ -0,0 +1,12 @@
+exports.up = function (knex, Promise) {
+  // Stripe events that were handled, so that events Stripe sends more than once are only handled once
+  return knex.schema.createTable('stripeEvent', table => {
+    table.string('eventID').primary()
+    table.string('type').notNullable()
+    table.dateTime('received').notNullable()
+  })
+}
+
+exports.down = function (knex, Promise) {
+  return knex.schema.dropTable('stripeEvent')
+}
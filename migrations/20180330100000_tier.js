@@ -0,0 +1,27 @@
+exports.up = function (knex, Promise) {
+  // Tiers of subscriptions, with limits on what organizations can create; a limit of `null` means no limit
+  return knex.schema.createTable('tier', table => {
+    table.increments('tierID').unsigned()
+    table.string('name').notNullable().unique()
+    table.integer('maxItems').unsigned().defaultTo(null)
+    table.integer('maxUsers').unsigned().defaultTo(null)
+    table.integer('maxCustomFields').unsigned().defaultTo(null)
+  })
+    .then(() => knex('tier').insert([
+      {tierID: 1, name: 'Standard', maxItems: null, maxUsers: null, maxCustomFields: null},
+      {tierID: 2, name: 'Small Team', maxItems: 500, maxUsers: 5, maxCustomFields: 5}
+    ]))
+    // Existing subscriptions keep having no limits
+    .then(() => knex.schema.table('subscription', table => {
+      table.integer('tierID').unsigned().notNullable().defaultTo(1).references('tier.tierID')
+        .onUpdate('cascade').onDelete('restrict')
+    }))
+}
+
+exports.down = function (knex, Promise) {
+  return knex.schema.table('subscription', table => {
+    table.dropForeign('tierID')
+    table.dropColumn('tierID')
+  })
+    .then(() => knex.schema.dropTable('tier'))
+}
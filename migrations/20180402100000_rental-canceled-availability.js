@@ -0,0 +1,85 @@
+// Items of canceled reservations are not returned, so conflicts and the status of items skip canceled reservations
+const rentalNoConflictTrigger = (skipCanceled) => ` on rentalItem for each row begin
+  -- Get rental specified by this rentalItem
+  set @thisRentalStart = (select start from rental where rental.rentalID = new.rentalID);
+  set @thisRentalEnd = (select end from rental where rental.rentalID = new.rentalID);
+  ${skipCanceled ? 'set @thisRentalCanceled = (select canceled from rental where rental.rentalID = new.rentalID);' : ''}
+
+  if ${skipCanceled ? '@thisRentalCanceled is null and ' : ''}exists (
+    -- Compare this rental's time span to every other rental for the same item
+    select * from rentalItem
+      join rental using(rentalID)
+      -- Get only active rentals
+      where rentalItem.returned is null
+        ${skipCanceled ? 'and rental.canceled is null' : ''}
+        -- Compare against only rentals for current item
+        and rentalItem.barcode = new.barcode
+        and (
+          (
+            @thisRentalStart between rental.start and rental.end
+            or @thisRentalEnd between rental.start and rental.end
+          )
+          or
+
+          (
+            @thisRentalStart <= rental.start
+            and @thisRentalEnd >= rental.end
+          )
+        )
+  ) then
+    SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = "Rental dates conflict with an existing rental";
+  end if;
+end`
+
+// The `itemStatus` view is not created by a migration, so rather than being
+// replaced it is kept under another name, and `itemStatus` selects its columns
+// with items of canceled reservations counted as available
+const originalView = 'itemStatusCountingCanceled'
+
+// Items are available if the original view says so, or if only canceled
+// reservations hold them
+const available = `(original.available or not exists (
+  select * from rentalItem
+    join rental using(rentalID)
+    where rentalItem.barcode = original.barcode
+      and rentalItem.returned is null
+      and rental.canceled is null
+)) as available`
+
+const createItemStatusView = (knex) => {
+  return knex('information_schema.COLUMNS')
+    .where('TABLE_SCHEMA', knex.raw('database()'))
+    .where('TABLE_NAME', originalView)
+    .orderBy('ORDINAL_POSITION')
+    .pluck('COLUMN_NAME')
+    .then(columns => {
+      const select = columns.map(column => column === 'available' ? available : `original.\`${column}\``)
+      return knex.schema.raw(`create view itemStatus as select ${select.join(', ')} from ${originalView} as original`)
+    })
+}
+
+const replaceTriggers = (knex, skipCanceled) => {
+  return knex.schema.raw('drop trigger if exists rentalNoConflictBeforeUpdate')
+    .then(() => knex.schema.raw('drop trigger if exists rentalNoConflictBeforeInsert'))
+    .then(() => knex.schema.raw('create trigger rentalNoConflictBeforeInsert before insert' +
+      rentalNoConflictTrigger(skipCanceled)))
+    .then(() => knex.schema.raw('create trigger rentalNoConflictBeforeUpdate before update' +
+      rentalNoConflictTrigger(skipCanceled)))
+}
+
+exports.up = function (knex, Promise) {
+  return replaceTriggers(knex, true)
+    .then(() => knex.schema.raw(`rename table itemStatus to ${originalView}`))
+    .then(() => createItemStatusView(knex))
+    // Canceling used to mark the items of reservations as returned at the time they were canceled
+    .then(() => knex.schema.raw('update rentalItem join rental using(rentalID) set rentalItem.returned = null ' +
+      'where rental.canceled is not null and rentalItem.returned = rental.canceled'))
+}
+
+exports.down = function (knex, Promise) {
+  return knex.schema.raw('update rentalItem join rental using(rentalID) set rentalItem.returned = rental.canceled ' +
+    'where rental.canceled is not null and rentalItem.returned is null')
+    .then(() => knex.schema.raw('drop view itemStatus'))
+    .then(() => knex.schema.raw(`rename table ${originalView} to itemStatus`))
+    .then(() => replaceTriggers(knex, false))
+}
@@ -0,0 +1,26 @@
+/**
+ * Queue webhook events for newly overdue rentals and retry webhook deliveries that failed
+ *
+ * Meant to be run on a schedule from the root of the project, for example every minute with cron:
+ * `* * * * * cd /var/www/stockpile-api && npm run deliver-webhooks`
+ * Deliveries are claimed before they are sent, so overlapping runs do not send the same delivery twice.
+ */
+
+const db = require('../services/db')
+const log = require('../services/log')
+const webhook = require('../services/webhook')
+
+webhook.queueOverdue()
+  .then(rentals => {
+    log.info({rentals}, 'queued overdue rental webhooks')
+    return webhook.deliverDue()
+  })
+  .then(({succeeded, failed, pending}) => {
+    log.info({succeeded, failed, pending}, 'delivered webhooks')
+  })
+  .catch(err => {
+    log.error(err, 'failed to deliver webhooks')
+    process.exitCode = 1
+  })
+  // Close database connection so that the process can exit
+  .then(() => db.destroy())
@@ -0,0 +1,22 @@
+/**
+ * Email renters about overdue rentals
+ *
+ * Meant to be run on a schedule from the root of the project, for example every hour with cron:
+ * `0 * * * * cd /var/www/stockpile-api && npm run remind-overdue`
+ * Each overdue item is only reminded about once, so running this more often than necessary is safe.
+ */
+
+const db = require('../services/db')
+const log = require('../services/log')
+const overdue = require('../services/overdue')
+
+overdue.sendReminders()
+  .then(({rentals, emails, failed}) => {
+    log.info({rentals, emails, failed}, 'sent overdue rental reminders')
+  })
+  .catch(err => {
+    log.error(err, 'failed to send overdue rental reminders')
+    process.exitCode = 1
+  })
+  // Close database connection so that the process can exit
+  .then(() => db.destroy())
@@ -0,0 +1,115 @@
+/**
+ * Record who changed what in the database
+ *
+ * @module services/audit
+ */
+
+const db = require('./db')
+const log = require('./log')
+
+/**
+ * Convert a value to how it is stored in the database, so that values of
+ * different types can be compared
+ * @param {any} value Value of a column
+ * @return {string|null} Value as a string
+ */
+const normalize = (value) => {
+  if (value === undefined || value === null) {
+    return null
+  } else if (value instanceof Date) {
+    return db.formatDate(value)
+  } else if (typeof value === 'boolean') {
+    return value ? '1' : '0'
+  } else if (typeof value === 'object') {
+    return JSON.stringify(value)
+  }
+  return String(value)
+}
+
+/**
+ * Columns that hold passwords, secrets or hashes of tokens, whose values are
+ * never recorded; changes to them are still recorded, with their values
+ * replaced by `[redacted]`
+ * @type {string[]}
+ */
+module.exports.redactedColumns = ['keyHash', 'password', 'refreshToken', 'secret', 'token', 'tokenHash']
+
+// Copy a row without the values of redacted columns
+const redact = (row) => {
+  if (!row) {
+    return null
+  }
+
+  const redacted = Object.assign({}, row)
+  for (const column of module.exports.redactedColumns) {
+    if (redacted[column] !== undefined && redacted[column] !== null) {
+      redacted[column] = '[redacted]'
+    }
+  }
+  return redacted
+}
+
+/**
+ * Compare two versions of a row
+ * @param {object} [before] Row before change, `undefined` if it was created
+ * @param {object} [after] Row after change, or only the changed columns,
+ *   `undefined` if it was deleted
+ * @return {object} Values of columns that are different in `before` and
+ *   `after`, `null` instead of a missing row, with the values of
+ *   `redactedColumns` replaced
+ */
+module.exports.diff = (before, after) => {
+  if (!before || !after) {
+    return {before: redact(before), after: redact(after)}
+  }
+
+  const changes = {before: {}, after: {}}
+  // Columns that are not in `after` were not changed
+  for (const column of Object.keys(after)) {
+    const beforeValue = before[column] === undefined ? null : before[column]
+    const afterValue = after[column] === undefined ? null : after[column]
+
+    if (normalize(beforeValue) !== normalize(afterValue)) {
+      changes.before[column] = beforeValue
+      changes.after[column] = afterValue
+    }
+  }
+  return {before: redact(changes.before), after: redact(changes.after)}
+}
+
+/**
+ * Record a change made by a request. Failing to record a change is logged, but
+ * never rejects, so that changes that were made are still reported as
+ * successful
+ * @param {object} req HTTP request, used for the user and organization that
+ *   made the change
+ * @param {string} action Either `create`, `update`, or `delete`
+ * @param {string} entity Name of the changed table
+ * @param {any} key Value that identifies the changed row
+ * @param {object} [before] Row before change, `undefined` if it was created
+ * @param {object} [after] Row after change, or only the changed columns,
+ *   `undefined` if it was deleted
+ * @return {Promise} Resolved when change is recorded
+ */
+module.exports.record = (req, action, entity, key, before, after) => {
+  const changes = module.exports.diff(before, after)
+
+  // Updates that do not change anything are not recorded
+  if (action === 'update' && Object.keys(changes.after).length === 0) {
+    return Promise.resolve()
+  }
+
+  const user = req.user || {}
+  return db('audit')
+    .insert({
+      organizationID: user.organizationID,
+      userID: user.userID,
+      apiKeyID: user.apiKeyID,
+      action,
+      entity,
+      key: key === undefined || key === null ? null : String(key),
+      before: changes.before && JSON.stringify(changes.before),
+      after: changes.after && JSON.stringify(changes.after)
+    })
+    .catch(err => log.error(err, 'failed to record audit entry'))
+}
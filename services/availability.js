@@ -0,0 +1,141 @@
+/**
+ * Find rentals and reservations that conflict with a period of time
+ *
+ * @module services/availability
+ */
+
+const errors = require('restify-errors')
+const moment = require('moment')
+
+const db = require('./db')
+
+/**
+ * Check that a period requested by a user is valid
+ * @param {string} [start] Start of period
+ * @param {string} [end] End of period
+ * @return {Error|undefined} Error to respond with if period is missing or
+ *   invalid
+ */
+module.exports.checkPeriod = (start, end) => {
+  if (!start || !end) {
+    return new errors.BadRequestError('Missing start or end of period')
+  }
+  if (!moment(start).isValid() || !moment(end).isValid() || moment(end).isBefore(start)) {
+    return new errors.BadRequestError('Invalid period, end must be a date after start')
+  }
+}
+
+/**
+ * Limit a query on the `rentalItem` table to items that are rented or reserved
+ * at any time during a period, using the same rules as the `rentalNoConflict`
+ * triggers
+ * @param {object} queryBuilder Knex query builder
+ * @param {string} start Start of period
+ * @param {string} end End of period
+ * @return {object} Query builder
+ */
+module.exports.duringPeriod = (queryBuilder, start, end) => {
+  return queryBuilder
+    .join('rental', 'rentalItem.rentalID', 'rental.rentalID')
+    // Returned items and items of canceled reservations no longer block other rentals
+    .whereNull('rentalItem.returned')
+    .whereNull('rental.canceled')
+    .where('rental.start', '<=', end)
+    .where('rental.end', '>=', start)
+}
+
+/**
+ * Get rentals and reservations of items that conflict with a period of time
+ * @param {any} organizationID ID of organization
+ * @param {string} start Start of period
+ * @param {string} end End of period
+ * @param {string[]} [barcodes] Only get conflicts for these items
+ * @param {object} [options]
+ * @param {any} [options.excludeRentalID] Ignore this rental, for example when
+ *   checking a rental against itself
+ * @param {object} [options.transaction] Knex transaction to run the query in
+ * @return {Promise.<object[]>} Resolved by one row per conflicting item and
+ *   rental, ordered by start of rental
+ */
+module.exports.getConflicts = (organizationID, start, end, barcodes, {excludeRentalID, transaction} = {}) => {
+  const query = (transaction || db)('rentalItem')
+    .modify(module.exports.duringPeriod, start, end)
+    .where('rental.organizationID', organizationID)
+    .select('rentalItem.barcode', 'rental.rentalID', 'rental.start', 'rental.end', 'rental.isReservation',
+      'rental.userID', 'rental.externalRenterID')
+    .orderBy('rental.start', 'ascending')
+
+  if (barcodes) {
+    query.whereIn('rentalItem.barcode', barcodes)
+  }
+  if (excludeRentalID) {
+    query.whereNot('rental.rentalID', excludeRentalID)
+  }
+
+  return query
+}
+
+/**
+ * Group conflicts by barcode
+ * @param {object[]} conflicts Rows from `getConflicts()`
+ * @return {Map.<string, object[]>} Conflicting rentals of each item, without
+ *   the barcode
+ */
+module.exports.groupByBarcode = (conflicts) => {
+  const grouped = new Map()
+  for (const conflict of conflicts) {
+    const rental = Object.assign({}, conflict)
+    delete rental.barcode
+
+    if (!grouped.has(conflict.barcode)) {
+      grouped.set(conflict.barcode, [])
+    }
+    grouped.get(conflict.barcode).push(rental)
+  }
+  return grouped
+}
+
+/**
+ * Limit a query on the `item` table to items that are not deleted and are free
+ * for the whole of a period
+ * @param {object} queryBuilder Knex query builder
+ * @param {string} start Start of period
+ * @param {string} end End of period
+ * @return {object} Query builder
+ */
+module.exports.freeDuringPeriod = (queryBuilder, start, end) => {
+  return queryBuilder
+    // Deleted items cannot be rented
+    .modify(db.withoutDeleted, 'item')
+    .whereNotExists(function () {
+      this.select('rentalItem.barcode')
+        .from('rentalItem')
+        .modify(module.exports.duringPeriod, start, end)
+        .whereRaw('rentalItem.barcode = item.barcode')
+    })
+}
+
+/**
+ * Pick items of a model that are free for the whole of a period
+ * @param {object} transaction Knex transaction to run the query in, items are
+ *   locked until it ends
+ * @param {any} organizationID ID of organization
+ * @param {string} start Start of period
+ * @param {string} end End of period
+ * @param {any} modelID ID of model
+ * @param {number} quantity How many items to pick
+ * @param {string[]} [exclude=[]] Barcodes of items that must not be picked, for
+ *   example because they are already being rented
+ * @return {Promise.<string[]>} Resolved by barcodes of picked items, fewer than
+ *   `quantity` if there are not enough free items
+ */
+module.exports.pickItems = (transaction, organizationID, start, end, modelID, quantity, exclude = []) => {
+  return transaction('item')
+    .where({'item.organizationID': organizationID, 'item.modelID': modelID})
+    .whereNotIn('item.barcode', exclude)
+    .modify(module.exports.freeDuringPeriod, start, end)
+    .orderBy('item.barcode', 'ascending')
+    .limit(quantity)
+    .forUpdate()
+    .pluck('item.barcode')
+}
@@ -1,11 +1,40 @@
 const errors = require('restify-errors')
 
-const db = require('./db')
-const subscriptionController = require('../controllers/subscription')
+const policy = require('./subscription-policy')
+
+// Check a request against the organization's subscription, see `services/subscription-policy`
+const check = (req, next, allowedWhenReadOnly) => {
+  if (!req || !req.user || !req.user.organizationID) {
+    req.log.warn('checkSubscription could not find `req.user`, was it used without auth.verify before it?')
+    return decideWithoutSubscription(req, next)
+  }
+
+  return policy.load(req)
+    .then(state => {
+      if (policy.allows(state, req, allowedWhenReadOnly)) {
+        return next()
+      } else if (state === policy.states.UNKNOWN) {
+        return decideWithoutSubscription(req, next)
+      }
+      return next(new errors.PaymentRequiredError('subscription is invalid, so the organization is read-only'))
+    })
+}
+
+// Allow or reject a request whose subscription could not be checked, depending on `SUBSCRIPTION_FAIL_OPEN`
+const decideWithoutSubscription = (req, next) => {
+  if (policy.failOpen()) {
+    req.log.warn('allowing request without checking subscription, because SUBSCRIPTION_FAIL_OPEN is true')
+    return next()
+  }
+  req.log.warn('rejecting request because its subscription could not be checked')
+  return next(new errors.ServiceUnavailableError('could not check subscription, try again later'))
+}
 
 /**
- * Check if an organization's subscription is valid
- * Must be run as middleware on an individual route *after* `auth.verify`.
+ * Check if an organization's subscription allows a request. Requests that only
+ * get data are always allowed, and requests that change data are allowed unless
+ * the subscription has lapsed for longer than the grace period. Must be run as
+ * middleware on an individual route *after* `auth.verify`.
  * @module services/check-subscription
  * @param {object} req Request
  * @param {object} res Response
@@ -13,39 +42,33 @@ const subscriptionController = require('../controllers/subscription')
  * @return {any} Result of next handler
  *
  * @apiDefine InvalidSubscriptionResponse
- * @apiError PaymentRequiredError The subscription is invalid
+ * @apiError PaymentRequiredError The subscription lapsed longer ago than the
+ *   grace period, so the organization is read-only until it is renewed. The
+ *   `Stockpile-Subscription` header of every authenticated response is
+ *   `active`, `grace`, `read-only`, or `unknown` if the subscription could not
+ *   be checked, so clients can warn before this happens.
+ * @apiError ServiceUnavailableError The subscription could not be checked
  * @apiErrorExample PaymentRequiredError
  *  402 Payment Required
  *  {
  *    "code": "PaymentRequiredError",
- *    "message": "subscription is invalid"
+ *    "message": "subscription is invalid, so the organization is read-only"
  *  }
  */
 module.exports = function checkSubscription (req, res, next) {
-  if (req && req.user && req.user.organizationID) {
-    return db.get('subscription', 'organizationID', req.user.organizationID)
-      .then(subscription => {
-        // If subscription is not either trialing or valid, it must be invalid
-        if (
-          subscription.subscriptionStatusID !== subscriptionController.subscriptionStatus.TRIAL &&
-          subscription.subscriptionStatusID !== subscriptionController.subscriptionStatus.VALID
-        ) {
-          return next(new errors.PaymentRequiredError('subscription is invalid'))
+  return check(req, next, false)
+}
 
-        // Otherwise, pass through successfully because subscription must be valid
-        } else {
-          return next()
-        }
-      }).catch(err => {
-        if (err.code === 'ER_NOT_FOUND') {
-          return next(new errors.PaymentRequiredError('organization has no subscription'))
-        } else {
-          req.log.warn({err}, 'checkSubscription failed')
-          return next()
-        }
-      })
-  } else {
-    req.log.warn('checkSubscription could not find `req.user`, was it used without auth.verify before it?')
-    return next()
+/**
+ * Create a handler like `checkSubscription` that also allows some requests when
+ * the organization is read-only, such as returning rented items, which should
+ * never be blocked by an unpaid subscription
+ * @param {function} [isAllowed] Called with the request, returns whether it is
+ *   allowed when read-only; all requests are allowed by default
+ * @return {function} Handler
+ */
+module.exports.allowingReadOnly = (isAllowed = () => true) => {
+  return function checkSubscription (req, res, next) {
+    return check(req, next, Boolean(isAllowed(req)))
   }
 }
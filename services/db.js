@@ -4,6 +4,8 @@
  * @module services/db
  */
 
+const moment = require('moment')
+
 // Load environment variables, throw error if any variables are missing
 require('dotenv-safe').load({
   allowEmptyValues: true
@@ -39,6 +41,18 @@ const knex = require('knex')({
 /** Knex instance */
 module.exports = knex
 
+module.exports.MissingDataError = MissingDataError
+module.exports.NotFoundError = NotFoundError
+
+/**
+ * Format a date for storing in a `datetime` column, converting it to UTC
+ * @param {any} [date] Any value that Moment can parse, defaults to now
+ * @return {string} Date formatted like `YYYY-MM-DD HH:mm:ss`
+ */
+module.exports.formatDate = (date) => {
+  return moment.utc(date).format('YYYY-MM-DD HH:mm:ss')
+}
+
 /**
  * Build a where clause for a Knex `.where()`
  * @param {string} table Name of table
@@ -245,3 +259,46 @@ module.exports.countRows = (table, organizationID, modify = () => {}) => {
     .first()
     .modify(modify)
 }
+
+/**
+ * Limit a query to rows that have not been soft deleted
+ * @param {object} queryBuilder Knex query builder
+ * @param {string} table Name of a database table with a `deleted` column
+ * @return {object} Query builder
+ */
+module.exports.withoutDeleted = (queryBuilder, table) => {
+  return queryBuilder.whereNull(`${table}.deleted`)
+}
+
+/**
+ * Soft delete a row by setting when it was deleted instead of removing it from
+ * the table
+ * @param {string} table Name of a database table with a `deleted` column
+ * @param {string} column Indexed column in database table
+ * @param {any} value Value in column to look for
+ * @param {any} [organizationID] ID of organization
+ * @return {Promise.<number>} Resolved by number of deleted rows, zero if row
+ *   was already deleted
+ */
+module.exports.softDelete = (table, column, value, organizationID) => {
+  return knex(table)
+    .where(module.exports.buildWhere(table, column, value, organizationID))
+    .modify(module.exports.withoutDeleted, table)
+    .update({deleted: module.exports.formatDate()})
+}
+
+/**
+ * Restore a soft deleted row
+ * @param {string} table Name of a database table with a `deleted` column
+ * @param {string} column Indexed column in database table
+ * @param {any} value Value in column to look for
+ * @param {any} [organizationID] ID of organization
+ * @return {Promise.<number>} Resolved by number of restored rows, zero if row
+ *   was not deleted
+ */
+module.exports.restore = (table, column, value, organizationID) => {
+  return knex(table)
+    .where(module.exports.buildWhere(table, column, value, organizationID))
+    .whereNotNull(`${table}.deleted`)
+    .update({deleted: null})
+}
@@ -59,13 +59,19 @@ module.exports.createHtmlEmail = ({title, body, cta, link}) => {
  * @param {string} [content.link] Link to display after call to action
  */
 module.exports.createTextEmail = ({title, body, cta, link}) => {
-  return `${title}
-
-${body}
-
+  // Add action to email if CTA and link are provided
+  let action = ''
+  if (cta && link) {
+    action = `
 ${cta}
 ${link}
 `
+  }
+
+  return `${title}
+
+${body}
+${action}`
 }
 
 /**
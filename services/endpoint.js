@@ -8,8 +8,11 @@
 
 const errors = require('restify-errors')
 
+const audit = require('./audit')
 const db = require('../services/db')
 const paginate = require('./paginate')
+const selectFields = require('./select-fields')
+const sortQuery = require('./sort-query')
 
 /**
  * Get all rows from a table, paginating or modifying query if appropriate
@@ -20,6 +23,11 @@ const paginate = require('./paginate')
  * @apiParamExample Search
  * ?search=value
  *
+ * @apiDefine IncludeDeleted
+ *
+ * @apiParam {Boolean} [includeDeleted=false] Include deleted rows in response,
+ *   with `deleted` set to when they were deleted
+ *
  * @param {string} tableName Name of a database table
  * @param {function} [modify] Modify the query
  * @param {object} [messages] Custom messages for endpoint actions and errors
@@ -29,10 +37,21 @@ const paginate = require('./paginate')
  * @param {string[]} [searchColumns] List of columns to search
  * @param {string} sortBy.column Column to sort by
  * @param {boolean} sortBy.ascending Whether to sort in ascending or descending order
+ * @param {object} [sortColumns] Names that the `sort` request parameter can
+ *   sort by, each mapped to the column to sort by; see `services/sort-query`
+ * @param {string[]} [fields] Names of fields that the `fields` request
+ *   parameter can choose; see `services/select-fields`
+ * @param {boolean} [softDelete=false] If the table has a `deleted` column, in
+ *   which case deleted rows are left out unless `includeDeleted=true` is in the
+ *   query string
+ * @param {string|string[]} [primaryKey] Columns that identify each row of the
+ *   list, which pages are sorted by last; defaults to the ID column of the
+ *   table, like `brand.brandID`. Sorting columns must not be aliases.
  * @return {function} Endpoint handler
  */
 module.exports.getAll =
-  (tableName, {modify, messages, hasOrganizationID = true, sortBy, searchColumns} = {}) => {
+  (tableName, {modify, messages, hasOrganizationID = true, sortBy, sortColumns, fields, searchColumns,
+    softDelete = false, primaryKey = `${tableName}.${tableName}ID`} = {}) => {
     return (req, res, next) => {
       let search
       if (req.params.search) {
@@ -42,26 +61,38 @@ module.exports.getAll =
         }
       }
 
-      return db.getAll(tableName, hasOrganizationID && req.user.organizationID,
-        module.exports.bindModify(modify, req), sortBy, search)
-        .then(results => {
+      const query = (request, sort) => db.getAll(tableName, hasOrganizationID && request.user.organizationID,
+        module.exports.bindModifyWithoutDeleted(modify, request, tableName, softDelete), sort, search)
+
+      // Invalid cursors, sorting, and fields are thrown while building the query
+      let selectedFields
+      return Promise.resolve()
+        .then(() => {
+          const sort = sortQuery(req, sortColumns, sortBy)
+          selectedFields = selectFields.parse(req, fields)
+          if (!paginate.isPaginated(req)) {
+            return query(req, sort).then(results => ({results}))
+          }
+          return paginate.getPageOf(req, query, sort, primaryKey)
+        })
+        .then(({results, total, next: nextCursor}) => {
           // Add a sort index to each result
-          results = results.map((result, i) => {
+          results = selectFields.pick(results, selectedFields).map((result, i) => {
             result.sortIndex = i
             return result
           })
 
           // If pagination parameters in request, add pagination links
-          if (req.params && (req.params.limit || req.params.offset)) {
-            return paginate.addLinks(req, res, tableName)
-              .then(() => res.send({results}))
-              .then(next)
+          if (total !== undefined) {
+            res.send(Object.assign({results}, paginate.addLinks(req, res, total, nextCursor)))
           } else {
             res.send({results})
-            return next()
           }
+          return next()
         })
-        .catch(err => module.exports.handleError(err, messages, next, req))
+        .catch(err => err instanceof errors.HttpError
+          ? next(err)
+          : module.exports.handleError(err, messages, next, req))
     }
   }
 
@@ -73,14 +104,17 @@ module.exports.getAll =
  * @param {object} [messages] Custom messages for endpoint actions and errors
  * @param {boolean} [hasOrganizationID=true] If the table has an
  *   `organizationID` column or not (used in building where clauses)
+ * @param {boolean} [softDelete=false] If the table has a `deleted` column, in
+ *   which case deleted rows are missing unless `includeDeleted=true` is in the
+ *   query string
  * @return {function} Endpoint handler
  */
 module.exports.get =
-  (tableName, columnName, {modify, messages, hasOrganizationID = true} = {}) => {
+  (tableName, columnName, {modify, messages, hasOrganizationID = true, softDelete = false} = {}) => {
     return (req, res, next) => {
       return db.get(tableName, columnName, req.params[columnName],
         hasOrganizationID && req.user.organizationID,
-        module.exports.bindModify(modify, req))
+        module.exports.bindModifyWithoutDeleted(modify, req, tableName, softDelete))
         .then(row => res.send(row))
         .then(next)
         .catch(err => module.exports.handleError(err, messages, next, req))
@@ -110,6 +144,10 @@ module.exports.create =
         modify: module.exports.bindModify(modify, req),
         resModify: module.exports.bindModify(resModify, req)
       })
+        .tap(row => {
+          const key = (row && !Array.isArray(row) && row[columnName]) || req.body[columnName]
+          return audit.record(req, 'create', tableName, key, undefined, req.body)
+        })
         .then(row => { return res.send(row) })
         .then(next)
         .catch(err => module.exports.handleError(err, messages, next, req))
@@ -125,16 +163,37 @@ module.exports.create =
  * @param {object} [messages] Custom messages for endpoint actions and errors
  * @param {boolean} [hasOrganizationID=true] If the table has an
  *   `organizationID` column or not (used in building where clauses)
+ * @param {boolean} [softDelete=false] If the table has a `deleted` column, in
+ *   which case deleted rows cannot be updated
+ * @param {function} [onUpdate] Called with the request, the row before the
+ *   update, and the updated row once the update is recorded, such as to send
+ *   webhooks; must not reject
  * @return {function} Endpoint handler
  */
 module.exports.update =
-  (tableName, columnName, {modify, resModify, messages, hasOrganizationID = true} = {}) => {
+  (tableName, columnName,
+    {modify, resModify, messages, hasOrganizationID = true, softDelete = false, onUpdate} = {}) => {
     return (req, res, next) => {
-      return db.update(tableName, columnName, req.params[columnName], req.body,
-        hasOrganizationID && req.user.organizationID, {
-          modify: module.exports.bindModify(modify, req),
-          resModify: module.exports.bindModify(resModify, req)
+      const organizationID = hasOrganizationID && req.user.organizationID
+      let before
+
+      // Get row before it is updated for audit log
+      return db(tableName)
+        .where(db.buildWhere(tableName, columnName, req.params[columnName], organizationID))
+        .modify(module.exports.bindModify(modify, req) || (() => {}))
+        .first()
+        .then(row => {
+          if (softDelete && row && row.deleted) {
+            throw new db.NotFoundError()
+          }
+          before = row
+          return db.update(tableName, columnName, req.params[columnName], req.body, organizationID, {
+            modify: module.exports.bindModify(modify, req),
+            resModify: module.exports.bindModify(resModify, req)
+          })
         })
+        .tap(() => audit.record(req, 'update', tableName, req.params[columnName], before, req.body))
+        .tap(updatedRow => onUpdate && onUpdate(req, before, updatedRow))
         .then(updatedRow => { return res.send(updatedRow) })
         .then(next)
         .catch(err => module.exports.handleError(err, messages, next, req))
@@ -156,14 +215,35 @@ module.exports.update =
  * @param {object} [messages] Custom messages for endpoint actions and errors
  * @param {boolean} [hasOrganizationID=true] If the table has an
  *   `organizationID` column or not (used in building where clauses)
+ * @param {boolean} [softDelete=false] If the table has a `deleted` column, in
+ *   which case rows are only marked as deleted and can be restored with
+ *   `restore`
  * @return {function} Endpoint handler
  */
 module.exports.delete =
-  (tableName, columnName, {modify, messages, hasOrganizationID = true} = {}) => {
+  (tableName, columnName, {modify, messages, hasOrganizationID = true, softDelete = false} = {}) => {
     return (req, res, next) => {
-      return db.delete(tableName, columnName, req.params[columnName],
-        hasOrganizationID && req.user.organizationID,
-        module.exports.bindModify(modify, req))
+      const organizationID = hasOrganizationID && req.user.organizationID
+      let deleted
+
+      // Get rows before they are deleted for audit log
+      return db(tableName)
+        .where(db.buildWhere(tableName, columnName, req.params[columnName], organizationID))
+        .modify(softDelete ? db.withoutDeleted : () => {}, tableName)
+        .then(rows => {
+          deleted = rows
+          if (softDelete) {
+            return db.softDelete(tableName, columnName, req.params[columnName], organizationID)
+          }
+          return db.delete(tableName, columnName, req.params[columnName], organizationID,
+            module.exports.bindModify(modify, req))
+        })
+        .tap(rowsAffected => {
+          if (rowsAffected > 0) {
+            return Promise.all(deleted.map(row =>
+              audit.record(req, 'delete', tableName, req.params[columnName], row, undefined)))
+          }
+        })
         .then((rowsAffected) => {
           if (rowsAffected > 0) {
             res.send({
@@ -179,6 +259,49 @@ module.exports.delete =
     }
   }
 
+/**
+ * Restore a soft deleted row in a table, returning a descriptive message
+ *
+ * @apiDefine EndpointRestore
+ *
+ * @apiSuccess (200) {String} message Descriptive message
+ * @apiSuccess (200) id ID of restored entity
+ *
+ * @param {string} tableName Name of a database table with a `deleted` column
+ * @param {string} columnName Name of a column in the table
+ * @param {object} [messages] Custom messages for endpoint actions and errors
+ * @param {boolean} [hasOrganizationID=true] If the table has an
+ *   `organizationID` column or not (used in building where clauses)
+ * @return {function} Endpoint handler
+ */
+module.exports.restore =
+  (tableName, columnName, {messages, hasOrganizationID = true} = {}) => {
+    return (req, res, next) => {
+      const organizationID = hasOrganizationID && req.user.organizationID
+      let before
+
+      return db.get(tableName, columnName, req.params[columnName], organizationID)
+        .then(row => {
+          before = row
+          return db.restore(tableName, columnName, req.params[columnName], organizationID)
+        })
+        .tap(rowsAffected => {
+          if (rowsAffected > 0) {
+            return audit.record(req, 'restore', tableName, req.params[columnName], {deleted: before.deleted},
+              {deleted: null})
+          }
+        })
+        .then(() => {
+          res.send({
+            message: module.exports.chooseMessage('restore', messages),
+            id: req.params[columnName]
+          })
+          return next()
+        })
+        .catch(err => module.exports.handleError(err, messages, next, req))
+    }
+  }
+
 /**
  * Default endpoint handler for new endpoints
  * @return {function} Endpoint handler
@@ -206,6 +329,7 @@ module.exports.chooseMessage = (type, messages = {}) => {
   const defaultMessages = {
     create: 'Created',
     delete: 'Deleted',
+    restore: 'Restored',
     conflict: 'Already exists',
     missing: 'Does not exist',
     badRequest: 'Wrong fields',
@@ -276,13 +400,18 @@ module.exports.handleError = (err, messages, next, req) => {
  * @param {string} [messages.badRequest] Message when row is created
  * @param {string} [messages.default] Default message
  * @param {string} key Name of a column in a table
+ * @param {boolean} [softDelete=false] If the table has a `deleted` column, in
+ *   which case a `restore` method is also added
  */
-module.exports.addAllMethods = (controller, table, key, messages = {}) => {
-  controller.getAll = module.exports.getAll(table, {messages})
-  controller.get = module.exports.get(table, key, {messages})
+module.exports.addAllMethods = (controller, table, key, messages = {}, {softDelete = false} = {}) => {
+  controller.getAll = module.exports.getAll(table, {messages, softDelete, primaryKey: `${table}.${key}`})
+  controller.get = module.exports.get(table, key, {messages, softDelete})
   controller.create = module.exports.create(table, key, {messages})
-  controller.update = module.exports.update(table, key, {messages})
-  controller.delete = module.exports.delete(table, key, {messages})
+  controller.update = module.exports.update(table, key, {messages, softDelete})
+  controller.delete = module.exports.delete(table, key, {messages, softDelete})
+  if (softDelete) {
+    controller.restore = module.exports.restore(table, key, {messages})
+  }
 }
 
 /**
@@ -298,3 +427,26 @@ module.exports.bindModify = (modify, ...params) => {
     return modify
   }
 }
+
+/**
+ * Bind a request to a function that modifies a query, also leaving out soft
+ * deleted rows unless the request asks for them with `includeDeleted=true`
+ * @param {function} [modify] Modify the query
+ * @param {object} req HTTP request
+ * @param {string} tableName Name of a database table
+ * @param {boolean} softDelete If the table has a `deleted` column
+ * @return {function|undefined} Function that modifies the query
+ */
+module.exports.bindModifyWithoutDeleted = (modify, req, tableName, softDelete) => {
+  const boundModify = module.exports.bindModify(modify, req)
+  if (!softDelete || (req.params && req.params.includeDeleted === 'true')) {
+    return boundModify
+  }
+
+  return queryBuilder => {
+    if (boundModify) {
+      queryBuilder.modify(boundModify)
+    }
+    return queryBuilder.modify(db.withoutDeleted, tableName)
+  }
+}
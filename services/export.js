@@ -0,0 +1,159 @@
+/**
+ * Stream the results of a query to a response as a spreadsheet
+ *
+ * @module services/export
+ */
+
+const ExcelJS = require('exceljs')
+const stringify = require('csv-stringify')
+const moment = require('moment')
+const errors = require('restify-errors')
+
+const db = require('./db')
+
+/**
+ * Content types that results can be exported as
+ * @type {object}
+ */
+module.exports.types = {
+  csv: 'text/csv',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+}
+
+/**
+ * Choose a content type to export as from the `Accept` header of a request
+ * @param {object} req HTTP request
+ * @return {string|boolean} Content type, CSV if any type is accepted, or
+ *   `false` if neither type is accepted
+ */
+module.exports.chooseType = (req) => {
+  return req.accepts([module.exports.types.csv, module.exports.types.xlsx])
+}
+
+/**
+ * Get the custom fields of an organization, which each get a column in exports
+ * @param {any} organizationID ID of organization
+ * @return {Promise.<object[]>} Resolved by custom fields, sorted by name
+ */
+module.exports.getCustomFields = (organizationID) => {
+  return db('customField')
+    .where('organizationID', organizationID)
+    .orderBy('name')
+    .select('customFieldID', 'name')
+}
+
+/**
+ * Create a column for each custom field
+ * @param {object[]} customFields Custom fields from `getCustomFields()`
+ * @return {object[]} Columns with a `key` and `header`
+ */
+module.exports.customFieldColumns = (customFields) => {
+  return customFields.map(customField => ({
+    key: `customField${customField.customFieldID}`,
+    header: customField.name
+  }))
+}
+
+/**
+ * Add the value of each custom field to a query on items, matching the keys of
+ * `customFieldColumns()`
+ * @param {object} queryBuilder Knex query builder that includes the `item`
+ *   table
+ * @param {object[]} customFields Custom fields from `getCustomFields()`
+ * @return {object} Query builder
+ */
+module.exports.withCustomFields = (queryBuilder, customFields) => {
+  for (const {customFieldID} of customFields) {
+    const alias = `customField${customFieldID}`
+    queryBuilder
+      .leftJoin(`itemCustomField as ${alias}`, function () {
+        this.on('item.barcode', `${alias}.barcode`)
+          .andOn(`${alias}.customFieldID`, db.raw('?', [customFieldID]))
+      })
+      .select(`${alias}.value as ${alias}`)
+  }
+  return queryBuilder
+}
+
+// Write rows to a response as CSV
+const writeCSV = (rows, res, columns) => {
+  return new Promise((resolve, reject) => {
+    const header = {}
+    for (const column of columns) {
+      header[column.key] = column.header
+    }
+    const stringifier = stringify({
+      header: true,
+      columns: header,
+      formatters: {
+        date: value => moment(value).toISOString()
+      }
+    })
+    stringifier.on('error', reject)
+    rows.on('error', reject)
+    res.on('finish', resolve)
+    rows.pipe(stringifier).pipe(res)
+  })
+}
+
+// Write rows to a response as an XLSX spreadsheet, one row at a time
+const writeXLSX = (rows, res, columns) => {
+  return new Promise((resolve, reject) => {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({stream: res})
+    const worksheet = workbook.addWorksheet('Export')
+    worksheet.columns = columns.map(column => ({key: column.key, header: column.header}))
+
+    rows.on('error', reject)
+    rows.on('data', row => worksheet.addRow(row).commit())
+    rows.on('end', () => {
+      worksheet.commit()
+      workbook.commit().then(resolve, reject)
+    })
+  })
+}
+
+/**
+ * Stream the results of a query to a response as CSV or XLSX, depending on the
+ * `Accept` header of the request
+ *
+ * Errors before any rows are written are passed to `next()`. Once the response
+ * has started, errors can only end the response early, so they are logged and
+ * the connection is closed, leaving the client with an incomplete download.
+ * @param {object} req HTTP request
+ * @param {object} res HTTP response
+ * @param {function} next Next handler
+ * @param {object} options
+ * @param {string} options.filename Name of downloaded file, without the date or
+ *   extension
+ * @param {object[]} options.columns Columns in export, each with a `key` in
+ *   query results and a `header`
+ * @param {object} options.query Knex query builder to stream results of
+ * @return {Promise} Resolved when response is sent
+ */
+module.exports.send = (req, res, next, {filename, columns, query}) => {
+  const type = module.exports.chooseType(req)
+  if (!type) {
+    return Promise.resolve(next(new errors.NotAcceptableError(
+      `Exports are only available as ${module.exports.types.csv} or ${module.exports.types.xlsx}`)))
+  }
+
+  const extension = type === module.exports.types.csv ? 'csv' : 'xlsx'
+  res.setHeader('Content-Type', type)
+  res.setHeader('Content-Disposition',
+    `attachment; filename="${filename}-${moment().format('YYYY-MM-DD')}.${extension}"`)
+
+  const write = type === module.exports.types.csv ? writeCSV : writeXLSX
+  return write(query.stream(), res, columns)
+    .then(() => next())
+    .catch(err => {
+      if (!res.headersSent) {
+        res.removeHeader('Content-Type')
+        res.removeHeader('Content-Disposition')
+        throw err
+      }
+
+      req.log.error(err, 'failed to finish export')
+      res.destroy()
+      next(false)
+    })
+}
@@ -1,10 +1,48 @@
 /**
- * Filter a database query based on request query parameters
+ * Filter database queries based on request query parameters
+ *
+ * Each parameter is either a value to match, like `?categoryID=3`, or
+ * operators, like `?start[gte]=2018-06-01`:
+ * - `in`: Comma-separated values, any of which match
+ * - `not`: Comma-separated values that do not match, or operators that do not
+ *   match, like `?start[not][gte]=`. Rows without a value always match `not`
+ * - `gt`, `gte`, `lt`, and `lte`: Ranges of numbers and dates
+ * - `null`: `true` to match rows without a value, `false` to match rows with
+ *   one
+ *
+ * Operators of the same parameter must all match, as must every parameter.
+ *
+ * @apiDefine FilterOperators
+ *
+ * @apiParam (Filter) {String} [filter[in]] Comma-separated values of a filter,
+ *   any of which match
+ * @apiParam (Filter) {String} [filter[not]] Comma-separated values of a filter
+ *   that do not match, or other operators that do not match, like
+ *   `start[not][gte]`. Rows without a value always match.
+ * @apiParam (Filter) {String} [filter[gt]] Values of a filter greater than this
+ *   number or date, also `gte`, `lt`, and `lte` for greater than or equal, less
+ *   than, and less than or equal
+ * @apiParam (Filter) {Boolean} [filter[null]] `true` to match rows without a
+ *   value for a filter, `false` for rows with one
+ * @apiParamExample Filter operators
+ * ?categoryID[in]=3,5&start[gte]=2018-06-01&start[lt]=2018-07-01&canceled[null]=true
+ *
  * @module services/filter-query
+ */
+
+const errors = require('restify-errors')
+
+const db = require('./db')
+
+/**
+ * Filter a database query based on request query parameters
  * @param {object} queryBuilder Knex query builder
  * @param {object} req HTTP request
- * @param {map} paramNames Values `req.params` to filter with
+ * @param {map} paramNames Values `req.params` to filter with, each mapped to
+ *   the column to filter
  * @return {object} Query builder with `where` clauses appended to it
+ * @throws {BadRequestError} When an operator is unknown or its value is not
+ *   valid
  */
 module.exports = (queryBuilder, req, paramNames = new Map()) => {
   for (const [name, key] of paramNames) {
@@ -13,8 +51,124 @@ module.exports = (queryBuilder, req, paramNames = new Map()) => {
 
     // Add to query if value is defined
     if (value) {
-      queryBuilder.where(key, value)
+      module.exports.filter(queryBuilder, key, value, name)
+    }
+  }
+  return queryBuilder
+}
+
+// Operators of ranges, and the SQL operator of each
+const comparisons = {gt: '>', gte: '>=', lt: '<', lte: '<='}
+
+const operators = ['in', 'not', 'null', ...Object.keys(comparisons)]
+
+// Get values from a comma-separated list, which may also be repeated like `?categoryID[in][]=3&categoryID[in][]=5`
+const toList = (value) => {
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => String(item).trim())
+    .filter(item => item !== '')
+}
+
+// Whether a value of a filter is a number, which custom field values are compared as
+const isNumeric = (value) => value !== '' && Number.isFinite(Number(value))
+
+/**
+ * Filter a query by one column
+ * @param {object} queryBuilder Knex query builder
+ * @param {string|object} column Name of column, or a raw expression
+ * @param {any} value Value of request parameter, either a value to match or an
+ *   object of operators
+ * @param {string} name Name of request parameter, for error messages
+ * @param {boolean} [castNumbers=false] Whether to compare ranges of numbers as
+ *   numbers, for columns of strings
+ * @return {object} Query builder
+ * @throws {BadRequestError} When an operator is unknown or its value is not
+ *   valid
+ */
+module.exports.filter = (queryBuilder, column, value, name, castNumbers = false) => {
+  // Repeated parameters, like `?categoryID=3&categoryID=5`, match any of their values
+  if (Array.isArray(value)) {
+    return queryBuilder.whereIn(column, toList(value))
+  }
+  if (!value || typeof value !== 'object') {
+    return queryBuilder.where(column, value)
+  }
+
+  for (const operator of Object.keys(value)) {
+    const operand = value[operator]
+    if (!operators.includes(operator)) {
+      throw new errors.BadRequestError(`Unknown operator ${operator} in filter ${name}, use one of: ` +
+        operators.join(', '))
+    }
+    if (operator !== 'not' && typeof operand === 'object' && !(operator === 'in' && Array.isArray(operand))) {
+      throw new errors.BadRequestError(`Invalid value of ${operator} in filter ${name}`)
     }
+
+    if (operator === 'in') {
+      queryBuilder.whereIn(column, toList(operand))
+    } else if (operator === 'not') {
+      queryBuilder.where(function () {
+        this.whereNull(column).orWhereNot(function () {
+          const negated = typeof operand === 'object' && !Array.isArray(operand) ? operand : {in: operand}
+          module.exports.filter(this, column, negated, name, castNumbers)
+        })
+      })
+    } else if (operator === 'null') {
+      if (operand !== 'true' && operand !== 'false') {
+        throw new errors.BadRequestError(`Value of null in filter ${name} must be true or false`)
+      }
+      if (operand === 'true') {
+        queryBuilder.whereNull(column)
+      } else {
+        queryBuilder.whereNotNull(column)
+      }
+    } else {
+      const compared = castNumbers && isNumeric(operand) ? db.raw('CAST(?? AS DECIMAL(65, 10))', [column]) : column
+      queryBuilder.where(compared, comparisons[operator], operand)
+    }
+  }
+  return queryBuilder
+}
+
+/**
+ * Filter items by the values of their custom fields, from the `cf` request
+ * parameter, like `?cf[42][lt]=100`. Values that look like numbers are compared
+ * as numbers.
+ *
+ * @apiDefine CustomFieldFilter
+ *
+ * @apiParam (Filter) {String} [cf[customFieldID]] Value of a custom field,
+ *   which can also use filter operators, like `cf[42][lt]=100`. Items without a
+ *   value for the custom field match `null` and `not`.
+ *
+ * @param {object} queryBuilder Knex query builder of items
+ * @param {object} req HTTP request
+ * @param {string} [barcodeColumn='item.barcode'] Column of the barcodes of
+ *   items in the query
+ * @return {object} Query builder
+ * @throws {BadRequestError} When a custom field ID or filter is not valid
+ */
+module.exports.customFields = (queryBuilder, req, barcodeColumn = 'item.barcode') => {
+  const filters = req.params && req.params.cf
+  if (!filters) {
+    return queryBuilder
+  }
+  if (typeof filters !== 'object' || Array.isArray(filters)) {
+    throw new errors.BadRequestError('Custom field filters must be like cf[customFieldID]=value')
+  }
+
+  for (const customFieldID of Object.keys(filters)) {
+    if (!/^[1-9]\d*$/.test(customFieldID)) {
+      throw new errors.BadRequestError(`Invalid custom field ID in filter: ${customFieldID}`)
+    }
+
+    // Items without a value for the custom field are joined with `null`, so they can be filtered for
+    const alias = `filterCustomField${customFieldID}`
+    queryBuilder.leftJoin(`itemCustomField as ${alias}`, function () {
+      this.on(barcodeColumn, `${alias}.barcode`)
+        .andOn(`${alias}.customFieldID`, db.raw('?', [customFieldID]))
+    })
+    module.exports.filter(queryBuilder, `${alias}.value`, filters[customFieldID], `cf[${customFieldID}]`, true)
   }
   return queryBuilder
 }
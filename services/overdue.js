@@ -0,0 +1,146 @@
+/**
+ * Find overdue rentals and remind renters to return them
+ *
+ * @module services/overdue
+ */
+
+const moment = require('moment')
+
+const db = require('./db')
+const email = require('./email')
+const log = require('./log')
+
+/**
+ * Limit a query on the `rentalItem` table to items that were not returned
+ * before the end of their rental
+ * @param {object} queryBuilder Knex query builder
+ * @param {any} [organizationID] ID of organization
+ * @return {object} Query builder
+ */
+module.exports.overdueItems = (queryBuilder, organizationID) => {
+  queryBuilder
+    .join('rental', 'rentalItem.rentalID', 'rental.rentalID')
+    .whereNull('rentalItem.returned')
+    // Reservations that were never checked out are not overdue
+    .where('rental.isReservation', false)
+    .where('rental.end', '<', db.formatDate())
+
+  if (organizationID) {
+    queryBuilder.where('rental.organizationID', organizationID)
+  }
+
+  return queryBuilder
+}
+
+/**
+ * Get overdue items that no reminder has been sent for, grouped by rental
+ * @return {Promise.<object[]>} Resolved by a list of rentals, each with a list
+ *   of `items`
+ */
+module.exports.getRentalsToRemind = () => {
+  return db('rentalItem')
+    .modify(module.exports.overdueItems)
+    .whereNull('rentalItem.reminderSent')
+    .select('rentalItem.rentalID', 'rentalItem.barcode', 'rental.end')
+
+    .join('item', 'rentalItem.barcode', 'item.barcode')
+    .leftJoin('model', 'item.modelID', 'model.modelID')
+    .select('model.name as model')
+    .leftJoin('brand', 'model.brandID', 'brand.brandID')
+    .select('brand.name as brand')
+
+    // Archived users have no email address
+    .leftJoin('user', 'rental.userID', 'user.userID')
+    .select('user.email as userEmail', 'user.firstName')
+
+    .leftJoin('externalRenter', 'rental.externalRenterID', 'externalRenter.externalRenterID')
+    .select('externalRenter.email as externalRenterEmail')
+
+    .orderBy('rentalItem.rentalID')
+    .then(rows => {
+      const rentals = new Map()
+      for (const row of rows) {
+        if (!rentals.has(row.rentalID)) {
+          rentals.set(row.rentalID, {
+            rentalID: row.rentalID,
+            end: row.end,
+            firstName: row.firstName,
+            recipients: [...new Set([row.userEmail, row.externalRenterEmail].filter(Boolean))],
+            items: []
+          })
+        }
+        rentals.get(row.rentalID).items.push({barcode: row.barcode, brand: row.brand, model: row.model})
+      }
+      return [...rentals.values()]
+    })
+}
+
+/**
+ * Create the content of a reminder email for an overdue rental
+ * @param {object} rental Rental from `getRentalsToRemind()`
+ * @return {object} Content for `email.send()`
+ */
+module.exports.createReminder = (rental) => {
+  const items = rental.items
+    .map(item => `${[item.brand, item.model].filter(Boolean).join(' ') || 'Item'} (${item.barcode})`)
+    .join('\n')
+  const greeting = rental.firstName ? `Hi ${rental.firstName},` : 'Hi,'
+  const due = moment(rental.end).format('MMMM D, YYYY')
+
+  return {
+    title: 'Overdue rental',
+    body: `${greeting}\n\nThe following items were due back on ${due} but have not been returned yet:\n\n` +
+      `${items}\n\nPlease return them as soon as possible.`
+  }
+}
+
+/**
+ * Email renters about every overdue rental that has not had a reminder yet,
+ * then record when the reminder was sent so that running this again does not
+ * send duplicate reminders. Rentals that cannot be reminded are logged and
+ * skipped.
+ * @return {Promise.<object>} Resolved by the number of `rentals` and `emails`
+ *   that reminders were sent for, and the number of emails that `failed`
+ */
+module.exports.sendReminders = () => {
+  const summary = {rentals: 0, emails: 0, failed: 0}
+  return module.exports.getRentalsToRemind()
+    .then(rentals => {
+      // Send reminders one rental at a time, carrying on after a rental fails
+      return rentals.reduce((previous, rental) => previous.then(() => {
+        if (rental.recipients.length === 0) {
+          return
+        }
+
+        // Settle every email before marking the rental, so that one recipient
+        // who cannot be emailed does not stop the others
+        const content = module.exports.createReminder(rental)
+        return Promise.all(rental.recipients.map(to => email.send(to, 'Your Stockpile rental is overdue', content)
+          .then(() => true)
+          .catch(err => {
+            log.error({err, rentalID: rental.rentalID}, 'failed to email overdue rental reminder')
+            return false
+          })))
+          .then(sent => {
+            const emails = sent.filter(Boolean).length
+            summary.failed += sent.length - emails
+
+            // Try again on the next run only if nobody was reminded, since
+            // recipients who were reminded must not get the email again
+            if (emails === 0) {
+              return
+            }
+            return db('rentalItem')
+              .where('rentalID', rental.rentalID)
+              .whereIn('barcode', rental.items.map(item => item.barcode))
+              .update({reminderSent: db.formatDate()})
+              .then(() => {
+                summary.rentals += 1
+                summary.emails += emails
+              })
+          })
+          .catch(err => log.error({err, rentalID: rental.rentalID}, 'failed to record overdue rental reminder'))
+      }), Promise.resolve())
+    })
+    .then(() => summary)
+}
@@ -1,37 +1,175 @@
 /**
  * Paginate responses
  *
+ * Pages are chosen with `limit` and either `offset` or `after`, an opaque
+ * cursor from the `next` of a previous page. Cursors hold the values that the
+ * last row of a page is sorted by, so the next page starts after that row even
+ * when rows are added or removed before it. Paginated responses have a `Link`
+ * header with links to other pages, and the `total` number of rows that match
+ * the request in their body.
+ *
  * @module services/paginate
  */
 
+const errors = require('restify-errors')
+const {URLSearchParams} = require('url')
+
 const db = require('./db')
 
+// Parameters of requests that choose a page
+const pageParams = ['limit', 'offset', 'after']
+
+/**
+ * Create an opaque cursor for a position in a list
+ * @param {any[]} values Values of the columns that the list is sorted by, in
+ *   the row before the position
+ * @return {string} URL-safe cursor
+ */
+module.exports.encodeCursor = (values) => {
+  // Dates are compared in the format that they are stored in
+  values = values.map(value => value instanceof Date ? db.formatDate(value) : value)
+  return Buffer.from(JSON.stringify(values))
+    .toString('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '')
+}
+
+/**
+ * Get the position in a list from a cursor
+ * @param {string} cursor Cursor from `encodeCursor`
+ * @return {any[]} Values of the columns that the list is sorted by, in the row
+ *   before the position
+ * @throws {BadRequestError} When the cursor was not created by `encodeCursor`
+ */
+module.exports.decodeCursor = (cursor) => {
+  let values
+  try {
+    // Node decodes URL-safe base64 as well
+    values = JSON.parse(Buffer.from(String(cursor), 'base64').toString())
+  } catch (err) {
+    throw new errors.BadRequestError('Invalid cursor')
+  }
+  if (!Array.isArray(values) || values.length === 0) {
+    throw new errors.BadRequestError('Invalid cursor')
+  }
+  return values
+}
+
+/**
+ * Whether a request asks for a page
+ * @param {object} req HTTP request
+ * @return {boolean} Whether `limit`, `offset`, or `after` is in the request
+ *   parameters
+ */
+module.exports.isPaginated = (req) => Boolean(req.params && pageParams.some(param => req.params[param]))
+
+/**
+ * Get the page that a request asks for
+ * @param {object} req HTTP request
+ * @return {object} Contains `limit`, missing if there is no limit, `offset`,
+ *   and the values of the cursor in `after`, missing if there is no cursor; the
+ *   offset is zero after a cursor
+ * @throws {BadRequestError} When `limit` is less than one, or `after` is not a
+ *   valid cursor
+ */
+module.exports.getPage = (req) => {
+  const params = req.params || {}
+  const limit = Number.parseInt(params.limit, 10)
+  if (params.limit !== undefined && !(limit >= 1)) {
+    throw new errors.BadRequestError('Limit must be a number of at least 1')
+  }
+
+  const after = params.after ? module.exports.decodeCursor(params.after) : undefined
+  const offset = after ? 0 : Number.parseInt(params.offset, 10)
+  return {
+    limit: Number.isNaN(limit) ? undefined : limit,
+    offset: Number.isNaN(offset) || offset < 0 ? 0 : offset,
+    after
+  }
+}
+
+/**
+ * Copy a request without the parameters that choose a page, so that modifiers
+ * that paginate a query leave it whole
+ * @param {object} req HTTP request
+ * @return {object} Request that inherits from `req`, with its own `params`
+ */
+module.exports.withoutPage = (req) => {
+  const params = Object.assign({}, req.params)
+  for (const param of pageParams) {
+    delete params[param]
+  }
+  return Object.assign(Object.create(req), {params})
+}
+
+/**
+ * Count the rows that a query would get
+ * @param {object} queryBuilder Knex query builder, without a limit or offset,
+ *   and not sorted by aliases of columns
+ * @return {Promise.<number>} Resolved by number of rows
+ */
+module.exports.countQuery = (queryBuilder) => {
+  // Counting a subquery keeps its joins, filters, and groups; only its columns are replaced, since they are not needed
+  // and columns with the same name from different tables are not allowed in subqueries
+  return db.count('* as count')
+    .from(queryBuilder.clone().clearSelect().select(db.raw('1')).as('rows'))
+    .first()
+    .then(({count}) => count)
+}
+
+/**
+ * Create a link to a page of a list
+ * @param {string} path Path of requested endpoint
+ * @param {string} query Query string of the request, whose parameters other
+ *   than the page, such as filters and sorting, are kept
+ * @param {object} page Parameters that choose the page
+ * @return {string} Link to the page
+ */
+const pageLink = (path, query, page) => {
+  const params = new URLSearchParams(query)
+  for (const param of pageParams) {
+    params.delete(param)
+  }
+  for (const param of Object.keys(page)) {
+    params.append(param, page[param])
+  }
+  return `${path}?${params}`
+}
+
 /**
  * Create links for adding to the `Link` header
  * @param {string} path Path of requested endpoint
- * @param {number} limit Maximum number of rows returned
- * @param {number} [offset=0] How many rows to discard before returning the rest
+ * @param {number|string} limit Maximum number of rows returned
+ * @param {number|string} [offset=0] How many rows to discard before returning
+ *   the rest
  * @param {number} [total=0] Total number of rows
+ * @param {string} [query=''] Query string of the request, whose other
+ *   parameters are kept in the links
  * @return {object} Contains links to first, last, previous (maybe),
  *   next (maybe) pages of results
  */
-module.exports.createLinks = (path, limit, offset = 0, total = 0) => {
+module.exports.createLinks = (path, limit, offset = 0, total = 0, query = '') => {
+  // Parameters are strings in requests
+  limit = Number.parseInt(limit, 10)
+  offset = Number.parseInt(offset, 10) || 0
+  total = Number.parseInt(total, 10) || 0
+
   const links = {}
-  const base = `${path}?limit=${limit}&offset=`
+  const link = (pageOffset) => pageLink(path, query, {limit, offset: pageOffset})
 
   // Offset of zero for first page
-  links.first = `${base}${0}`
+  links.first = link(0)
 
   // Add prev link if beyond first page
   if (offset > limit) {
     // Use `max` to prevent offset from going negative
-    links.previous = `${base}${Math.max(0, offset - limit)}`
+    links.previous = link(Math.max(0, offset - limit))
   }
 
   // Add next link if there is a next page
-  if ((offset + limit) <= total) {
-    // Use `min` to prevent offset from going above total
-    links.next = `${base}${Math.min(total, offset + limit)}`
+  if ((offset + limit) < total) {
+    links.next = link(offset + limit)
   }
 
   // If total % limit !== 0, use remainder as diff
@@ -39,39 +177,151 @@ module.exports.createLinks = (path, limit, offset = 0, total = 0) => {
   // This prevents overlapping items between the two last pages
   const lastPageDiff = (total % limit) || limit
   // Use `max` to prevent from going negative when total is zero
-  links.last = `${base}${Math.max(0, total - lastPageDiff)}`
+  links.last = link(Math.max(0, total - lastPageDiff))
 
   return links
 }
 
 /**
- * Add links to the `Link` header for pagination
+ * Add links to the `Link` header for pagination. Pages after a cursor only link
+ * to the first and next pages, since cursors do not say how many rows come
+ * before them.
  * @param {object} req HTTP request
  * @param {object} res HTTP response
- * @param {string} tableName Name of a database table
- * @return {Promise} Resolved when done adding links
+ * @param {number} total Number of rows that match the request, from
+ *   `countQuery`
+ * @param {string|null} next Cursor of the next page, from `getPageOf`
+ * @return {object} Pagination to add to the body of the response: the `total`
+ *   and the cursor of the `next` page, which is `null` on the last page
+ */
+module.exports.addLinks = (req, res, total, next) => {
+  const {limit, offset, after} = module.exports.getPage(req)
+  const path = req.path()
+  const query = req.getQuery()
+  if (after) {
+    const links = {first: pageLink(path, query, {limit})}
+    if (next) {
+      links.next = pageLink(path, query, {limit, after: next})
+    }
+    res.links(links)
+  } else {
+    // Without a limit, the whole list after the offset is one page
+    res.links(module.exports.createLinks(path, limit === undefined ? Math.max(total - offset, 1) : limit, offset,
+      total, query))
+  }
+  return {total, next}
+}
+
+/**
+ * Sort a list by the primary key of its table after its other sorting criteria,
+ * so that each row has its own place in the list for cursors to point to
+ * @param {object[]} sortBy Sorting criteria for `db.getAll`
+ * @param {string|string[]} primaryKey Columns that identify a row
+ * @return {object[]} Sorting criteria
  */
-module.exports.addLinks = (req, res, tableName) => {
-  return db.countRows(tableName, req.user.organizationID)
-    .then(({count}) => {
-      // Generate and add links to response headers
-      const links = module.exports.createLinks(req.path(), req.params.limit,
-        req.params.offset, count)
-      res.links(links)
+module.exports.sortByKey = (sortBy = [], primaryKey) => {
+  const keyColumns = [].concat(primaryKey)
+    .filter(column => !sortBy.some(criterion => criterion.column === column))
+  return sortBy.concat(keyColumns.map(column => ({column, ascending: true})))
+}
+
+/**
+ * Limit a query to the page that a request asks for, getting one more row than
+ * the limit to find out if there is a next page, and select the values that
+ * each row is sorted by as `pageKey0`, `pageKey1`, and so on, for cursors
+ * @param {object} queryBuilder Knex query builder, sorted by `sortBy`
+ * @param {object} page Page from `getPage`
+ * @param {object[]} sortBy Sorting criteria from `sortByKey`; columns must not
+ *   be aliases
+ * @return {object} Query builder
+ */
+module.exports.keysetQuery = (queryBuilder, page, sortBy) => {
+  // Queries without columns select every column, which selecting the sort values would otherwise replace
+  if (!queryBuilder._statements.some(statement => statement.grouping === 'columns')) {
+    queryBuilder.select('*')
+  }
+  sortBy.forEach(({column}, i) => queryBuilder.select(db.raw('?? as ??', [column, `pageKey${i}`])))
+
+  if (page.limit !== undefined) {
+    queryBuilder.limit(page.limit + 1)
+  }
+  queryBuilder.offset(page.offset)
+
+  if (page.after) {
+    // Rows after the cursor sort the same way by the first few columns, then after it by the next column. MySQL sorts
+    // nulls first, so they come before every value in ascending order and after every value in descending order.
+    queryBuilder.where(function () {
+      sortBy.forEach(({column, ascending}, i) => this.orWhere(function () {
+        sortBy.slice(0, i).forEach((previous, j) => this.whereRaw('?? <=> ?', [previous.column, page.after[j]]))
+        const value = page.after[i] === undefined ? null : page.after[i]
+        if (ascending) {
+          return value === null ? this.whereNotNull(column) : this.where(column, '>', value)
+        }
+        return value === null
+          ? this.whereRaw('false')
+          : this.where(function () { this.where(column, '<', value).orWhereNull(column) })
+      }))
+    })
+  }
+  return queryBuilder
+}
+
+/**
+ * Get the page of a list that a request asks for, with the total number of rows
+ * in the list
+ * @param {object} req HTTP request
+ * @param {function} query Creates a query for the list from a request and
+ *   sorting criteria for `db.getAll`
+ * @param {object[]} sortBy Sorting criteria
+ * @param {string|string[]} primaryKey Columns that identify a row
+ * @return {Promise.<object>} Resolved by the `results` of the page, the `total`
+ *   number of rows, and the cursor of the `next` page, `null` on the last page
+ * @throws {BadRequestError} When `limit` is less than one, or `after` is not a
+ *   valid cursor
+ */
+module.exports.getPageOf = (req, query, sortBy, primaryKey) => {
+  const page = module.exports.getPage(req)
+  const keyedSortBy = module.exports.sortByKey(sortBy, primaryKey)
+  if (page.after && page.after.length !== keyedSortBy.length) {
+    throw new errors.BadRequestError('Invalid cursor, the list is sorted differently')
+  }
+
+  // Modifiers paginate the query, so the total is counted without them doing so, and counts every row that the search
+  // and filters match. Sorting is left out, since it may use columns that counting leaves out.
+  return Promise.all([
+    query(req, keyedSortBy).modify(module.exports.keysetQuery, page, keyedSortBy),
+    module.exports.countQuery(query(module.exports.withoutPage(req)))
+  ])
+    .then(([rows, total]) => {
+      const hasNext = page.limit !== undefined && rows.length > page.limit
+      const results = hasNext ? rows.slice(0, page.limit) : rows
+      const next = hasNext
+        ? module.exports.encodeCursor(keyedSortBy.map((criterion, i) => results[results.length - 1][`pageKey${i}`]))
+        : null
+      for (const result of results) {
+        keyedSortBy.forEach((criterion, i) => delete result[`pageKey${i}`])
+      }
+      return {results, total, next}
     })
 }
 
 /**
  * Add `limit` and `offset` to a database query with values from
- * request parameters
+ * request parameters; pages after a cursor are chosen by `getPageOf`
  * @param {object} queryBuilder Knex query builder
  * @param {object} req HTTP request
+ * @throws {BadRequestError} When `limit` is less than one, or `after` is not a
+ *   valid cursor
  */
 module.exports.paginateQuery = (queryBuilder, req) => {
-  if (req.params.limit) {
-    queryBuilder.limit(Number.parseInt(req.params.limit, 10))
+  if (!module.exports.isPaginated(req)) {
+    return
+  }
+  const {limit, offset} = module.exports.getPage(req)
+  if (limit !== undefined) {
+    queryBuilder.limit(limit)
   }
-  if (req.params.offset) {
-    queryBuilder.offset(Number.parseInt(req.params.offset, 10))
+  if (offset) {
+    queryBuilder.offset(offset)
   }
 }
@@ -0,0 +1,173 @@
+/**
+ * Limit how many items, users, and custom fields organizations can have, based
+ * on the tier of their subscription
+ *
+ * @module services/quota
+ */
+
+const errors = require('restify-errors')
+
+const db = require('./db')
+const endpoint = require('./endpoint')
+
+// Count the rows that a query matches
+const countRows = (queryBuilder) => queryBuilder.count('* as count').first().then(row => row.count)
+
+/**
+ * Things that tiers limit, by name, each with the column of its limit in the
+ * `tier` table and a function that counts how many an organization has
+ * @type {object}
+ */
+module.exports.resources = {
+  items: {
+    label: 'items',
+    limit: 'maxItems',
+    // Deleted items can be restored, but do not count until they are
+    count: (trx, organizationID) => countRows(trx('item')
+      .where('organizationID', organizationID)
+      .whereNull('deleted'))
+  },
+  users: {
+    label: 'users',
+    limit: 'maxUsers',
+    // Pending invitations count, so that inviting more people than the tier allows fails when inviting them, rather
+    // than when they accept
+    count: (trx, organizationID) => Promise.all([
+      countRows(trx('user').where('organizationID', organizationID).whereNull('archived')),
+      countRows(trx('invitation')
+        .where('organizationID', organizationID)
+        .whereNull('accepted')
+        .whereNull('revoked')
+        .where('expires', '>', db.formatDate()))
+    ])
+      .then(([users, invitations]) => users + invitations)
+  },
+  customFields: {
+    label: 'custom fields',
+    limit: 'maxCustomFields',
+    count: (trx, organizationID) => countRows(trx('customField').where('organizationID', organizationID))
+  }
+}
+
+// Tier of subscriptions that have not been given one, which has no limits
+const defaultTierID = 1
+
+/**
+ * Get the tier of an organization's subscription
+ * @param {any} organizationID ID of organization
+ * @param {function} [trx=db] Transaction to get tier in
+ * @return {Promise.<object>} Resolved by row from the `tier` table; the default
+ *   tier if the organization has no subscription, since `checkSubscription`
+ *   already stops those organizations from changing anything
+ */
+module.exports.getTier = (organizationID, trx = db) => {
+  return trx('subscription')
+    .where('organizationID', organizationID)
+    .first('tierID')
+    .then(subscription => trx('tier')
+      .where('tierID', subscription ? subscription.tierID : defaultTierID)
+      .first())
+}
+
+/**
+ * Get how many of each resource an organization has, and how many its tier
+ * allows
+ * @param {any} organizationID ID of organization
+ * @return {Promise.<object>} Resolved by the `tier` name, and for each
+ *   resource, how many are `used` and the `limit`, which is `null` if there is
+ *   no limit
+ */
+module.exports.getUsage = (organizationID) => {
+  const names = Object.keys(module.exports.resources)
+  return Promise.all([
+    module.exports.getTier(organizationID),
+    ...names.map(resource => module.exports.resources[resource].count(db, organizationID))
+  ])
+    .then(([tier, ...counts]) => {
+      const usage = {tier: tier.name}
+      names.forEach((resource, index) => {
+        usage[resource] = {used: counts[index], limit: tier[module.exports.resources[resource].limit]}
+      })
+      return usage
+    })
+}
+
+/**
+ * Check that an organization can add more of a resource without going over the
+ * limit of its tier
+ * @param {any} organizationID ID of organization
+ * @param {string} resource Name of resource, one of `resources`
+ * @param {number} [adding=1] How many are being added
+ * @param {function} [trx=db] Transaction to count in, so that the count
+ *   includes changes made in it
+ * @return {Promise} Resolved if they can be added, rejected with a
+ *   `ForbiddenError` if not
+ */
+module.exports.check = (organizationID, resource, adding = 1, trx = db) => {
+  return module.exports.getTier(organizationID, trx)
+    .then(tier => {
+      const limit = tier[module.exports.resources[resource].limit]
+      // Counting is only needed if there is a limit
+      if (limit === null) {
+        return
+      }
+
+      return module.exports.resources[resource].count(trx, organizationID)
+        .then(used => {
+          if (used + adding > limit) {
+            const {label} = module.exports.resources[resource]
+            throw new errors.ForbiddenError(`The ${tier.name} tier allows at most ${limit} ${label}, and the ` +
+              `organization has ${used}; upgrade to add more`)
+          }
+        })
+    })
+}
+
+/**
+ * Check that an organization has no more of any resource than a tier allows,
+ * before moving it to that tier
+ * @param {any} organizationID ID of organization
+ * @param {object} tier Row from the `tier` table
+ * @return {Promise} Resolved if the organization is within every limit of the
+ *   tier, rejected with a `ForbiddenError` naming the resources it has too many
+ *   of if not
+ */
+module.exports.checkTier = (organizationID, tier) => {
+  // Only resources the tier limits need counting
+  const limited = Object.keys(module.exports.resources)
+    .map(resource => module.exports.resources[resource])
+    .filter(resource => tier[resource.limit] !== null)
+
+  return Promise.all(limited.map(resource => resource.count(db, organizationID)))
+    .then(counts => {
+      const over = limited
+        .map((resource, index) => ({resource, used: counts[index], limit: tier[resource.limit]}))
+        .filter(({used, limit}) => used > limit)
+      if (over.length) {
+        const allowed = over.map(({resource, limit}) => `${limit} ${resource.label}`).join(' and ')
+        const used = over.map(({resource, used}) => `${used} ${resource.label}`).join(' and ')
+        throw new errors.ForbiddenError(`The ${tier.name} tier allows at most ${allowed}, and the organization ` +
+          `has ${used}; remove some before changing to it`)
+      }
+    })
+}
+
+/**
+ * Create a handler that checks that the organization of the user can add one
+ * more of a resource
+ * Must be run as middleware on an individual route *after* `auth.verify`.
+ * @param {string} resource Name of resource, one of `resources`
+ * @return {function} Handler that passes a `ForbiddenError` to the next handler
+ *   if the limit was reached
+ *
+ * @apiDefine QuotaResponse
+ * @apiError ForbiddenError The tier of the organization's subscription does not
+ *   allow any more, see *GetSubscriptionUsage*
+ */
+module.exports.checking = (resource) => {
+  return function checkQuota (req, res, next) {
+    return module.exports.check(req.user.organizationID, resource)
+      .then(() => next())
+      .catch(err => err instanceof errors.HttpError ? next(err) : endpoint.handleError(err, {}, next, req))
+  }
+}
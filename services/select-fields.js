@@ -0,0 +1,59 @@
+/**
+ * Leave out fields of results that were not asked for with the `fields` request
+ * parameter, a comma-separated list of names like
+ * `?fields=barcode,model,available`
+ *
+ * @apiDefine Fields
+ *
+ * @apiParam (Fields) {String} [fields] Comma-separated names of fields to
+ *   include in each result, to make responses smaller. The names that a list
+ *   can include are in its description.
+ * @apiParamExample Fields
+ * ?fields=barcode,model,available
+ *
+ * @module services/select-fields
+ */
+
+const errors = require('restify-errors')
+
+/**
+ * Get the fields that a request asks for
+ * @param {object} req HTTP request
+ * @param {string[]} [fields=[]] Names of the fields that the list can include
+ * @return {string[]} Names of fields, or `undefined` to include every field
+ * @throws {BadRequestError} When a name is not in `fields`
+ */
+module.exports.parse = (req, fields = []) => {
+  if (!req.params || !req.params.fields) {
+    return
+  }
+
+  const requested = String(req.params.fields)
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean)
+  const unknown = requested.filter(name => !fields.includes(name))
+  if (unknown.length) {
+    throw new errors.BadRequestError(fields.length
+      ? `Unknown fields: ${unknown.join(', ')}; choose from: ${fields.join(', ')}`
+      : 'Fields of this list cannot be chosen')
+  }
+  return requested.length ? requested : undefined
+}
+
+/**
+ * Copy results with only some of their fields
+ * @param {object[]} results Rows to copy
+ * @param {string[]} [names] Names of fields to keep, from `parse`; every field
+ *   is kept if missing
+ * @return {object[]} Copied rows, or the same rows if every field is kept
+ */
+module.exports.pick = (results, names) => {
+  if (!names) {
+    return results
+  }
+  return results.map(result => names.reduce((picked, name) => {
+    picked[name] = result[name]
+    return picked
+  }, {}))
+}
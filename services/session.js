@@ -0,0 +1,152 @@
+/**
+ * Keep track of the devices that users are signed in on, each with its own
+ * refresh token, and of access tokens that were revoked before they expired
+ *
+ * @module services/session
+ */
+
+const moment = require('moment')
+
+const db = require('./db')
+
+/**
+ * Number of days that a session lasts without being used; each refresh extends
+ * it
+ * @type {number}
+ */
+module.exports.lifetime = 30
+
+/**
+ * Limit a query on the `session` table to sessions that can still be used
+ * @param {object} queryBuilder Knex query builder
+ * @return {object} Query builder
+ */
+module.exports.active = (queryBuilder) => {
+  return queryBuilder
+    .whereNull('session.revoked')
+    .where('session.expires', '>', db.formatDate())
+}
+
+/**
+ * Start a session for a user
+ * @param {any} userID ID of user
+ * @param {string} tokenHash Hash of the first refresh token of the session
+ * @param {object} req HTTP request that started the session, to describe the
+ *   device with
+ * @return {Promise.<number>} Resolved by ID of the session
+ */
+module.exports.create = (userID, tokenHash, req) => {
+  const now = moment()
+  const device = req.headers && req.headers['user-agent']
+  return db('session')
+    .insert({
+      userID,
+      tokenHash,
+      device: device ? device.slice(0, 255) : null,
+      ip: (req.connection && req.connection.remoteAddress) || null,
+      created: db.formatDate(now),
+      lastUsed: db.formatDate(now),
+      expires: db.formatDate(moment(now).add(module.exports.lifetime, 'days'))
+    })
+    .then(([sessionID]) => sessionID)
+}
+
+/**
+ * Find the session that a refresh token belongs to
+ * @param {string} tokenHash Hash of a refresh token
+ * @return {Promise.<object>} Resolved by the `session` if the token is its
+ *   current token, or the `reusedSession` if the token was already replaced by
+ *   a newer one; neither if the token is unknown
+ */
+module.exports.findByToken = (tokenHash) => {
+  return db('session')
+    .where('tokenHash', tokenHash)
+    .first()
+    .then(session => {
+      if (session) {
+        return {session}
+      }
+
+      return db('sessionRotatedToken')
+        .where('sessionRotatedToken.tokenHash', tokenHash)
+        .join('session', 'sessionRotatedToken.sessionID', 'session.sessionID')
+        .first('session.*')
+        .then(reusedSession => ({reusedSession}))
+    })
+}
+
+/**
+ * Replace the refresh token of a session and extend it
+ * @param {object} session Session from `findByToken()`
+ * @param {string} tokenHash Hash of the new refresh token
+ * @return {Promise.<boolean>} Resolved by whether the token was replaced;
+ *   `false` if another request replaced it first
+ */
+module.exports.rotate = (session, tokenHash) => {
+  const now = moment()
+  return db.transaction(trx => {
+    return trx('session')
+      // Checking the old token prevents two simultaneous requests from both replacing it
+      .where({sessionID: session.sessionID, tokenHash: session.tokenHash})
+      .update({
+        tokenHash,
+        lastUsed: db.formatDate(now),
+        expires: db.formatDate(moment(now).add(module.exports.lifetime, 'days'))
+      })
+      .then(rowsAffected => {
+        if (rowsAffected === 0) {
+          return false
+        }
+        return trx('sessionRotatedToken')
+          .insert({tokenHash: session.tokenHash, sessionID: session.sessionID})
+          .then(() => true)
+      })
+  })
+}
+
+/**
+ * Revoke sessions so that their refresh tokens stop working
+ * @param {object} where Where clause for the `session` table, like
+ *   `{userID: 1}`
+ * @return {Promise.<number>} Resolved by number of sessions revoked
+ */
+module.exports.revoke = (where) => {
+  return db('session')
+    .where(where)
+    .whereNull('revoked')
+    .update({revoked: db.formatDate()})
+}
+
+/**
+ * Revoke an access token until it expires
+ * @param {string} jti ID of the access token, its `jti` claim
+ * @param {number} exp Time that the access token expires, its `exp` claim in
+ *   seconds since the epoch
+ * @return {Promise} Resolved when the token is revoked
+ */
+module.exports.revokeAccessToken = (jti, exp) => {
+  // Expired tokens are rejected anyway, so they no longer need to be listed
+  return db('revokedToken')
+    .where('expires', '<=', db.formatDate())
+    .del()
+    .then(() => db('revokedToken').insert({jti, expires: db.formatDate(moment.unix(exp))}))
+}
+
+/**
+ * Check whether an access token can no longer be used, either because it was
+ * revoked or because its session ended
+ * @param {object} payload Payload of the access token
+ * @return {Promise.<boolean>} Resolved by whether the token was revoked
+ */
+module.exports.isRevoked = (payload) => {
+  // Tokens made before sessions were added never expire and cannot be revoked, so they are not accepted
+  if (!payload.jti || !payload.sessionID) {
+    return Promise.resolve(true)
+  }
+
+  return Promise.all([
+    db('revokedToken').where('jti', payload.jti).first('jti'),
+    db('session').where('sessionID', payload.sessionID).modify(module.exports.active).first('sessionID')
+  ])
+    .then(([revokedToken, activeSession]) => Boolean(revokedToken) || !activeSession)
+}
@@ -0,0 +1,48 @@
+const errors = require('restify-errors')
+
+/**
+ * Choose how to sort a list from the `sort` request parameter, a
+ * comma-separated list of names that are each sorted in descending order if
+ * prefixed by `-`, like `?sort=-brand,model`
+ *
+ * @apiDefine Sort
+ *
+ * @apiParam (Sort) {String} [sort] Comma-separated names to sort by, in order
+ *   of priority, each in descending order if prefixed by `-`. The names that a
+ *   list can be sorted by are in its description.
+ * @apiParamExample Sort
+ * ?sort=-brand,model
+ *
+ * @module services/sort-query
+ * @param {object} req HTTP request
+ * @param {object} [sortColumns={}] Names that the list can be sorted by, each
+ *   mapped to the column to sort by
+ * @param {object[]} [sortBy=[]] Default sorting criteria, which still break
+ *   ties between rows that sort the same way
+ * @return {object[]} Sorting criteria for `db.getAll`, each with a `column` and
+ *   whether it is `ascending`
+ * @throws {BadRequestError} When a name is not in `sortColumns`
+ */
+module.exports = (req, sortColumns = {}, sortBy = []) => {
+  if (!req.params || !req.params.sort) {
+    return sortBy
+  }
+
+  const names = Object.keys(sortColumns)
+  const requested = String(req.params.sort)
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean)
+    .map(name => {
+      const ascending = !name.startsWith('-')
+      const key = name.replace(/^[-+]/, '')
+      if (!names.includes(key)) {
+        throw new errors.BadRequestError(names.length
+          ? `Cannot sort by ${key}, sort by one of: ${names.join(', ')}`
+          : 'This list cannot be sorted')
+      }
+      return {column: sortColumns[key], ascending}
+    })
+
+  return requested.concat(sortBy.filter(criterion => !requested.some(({column}) => column === criterion.column)))
+}
@@ -0,0 +1,159 @@
+/**
+ * Decide what an organization can do based on its subscription
+ *
+ * Organizations with a trial or paid subscription can do everything. Once
+ * `statusUntil` passes, or the subscription expires or is canceled, everything
+ * still works for a grace period. After that, the organization is read-only: it
+ * can still get its data and return rented items, but cannot start rentals or
+ * change its catalog until it pays again.
+ *
+ * @module services/subscription-policy
+ */
+
+const moment = require('moment')
+
+const db = require('./db')
+const subscriptionController = require('../controllers/subscription')
+
+/**
+ * States of subscriptions, sent in the `Stockpile-Subscription` header
+ * @type {object}
+ */
+module.exports.states = {
+  // Trial or paid subscription
+  ACTIVE: 'active',
+  // Lapsed subscription that still allows everything
+  GRACE: 'grace',
+  // Lapsed subscription that only allows getting data and returning items
+  READ_ONLY: 'read-only',
+  // The subscription could not be checked, see `failOpen()`
+  UNKNOWN: 'unknown'
+}
+
+/**
+ * Name of header that every authenticated response has, containing the state of
+ * the organization's subscription
+ * @type {string}
+ */
+module.exports.header = 'Stockpile-Subscription'
+
+// Methods of requests that only get data
+const readMethods = ['GET', 'HEAD', 'OPTIONS']
+
+// Number of days that the grace period lasts unless `SUBSCRIPTION_GRACE_DAYS` is set
+const defaultGracePeriod = 7
+
+/**
+ * Number of days after a subscription lapses that the organization can still do
+ * everything, from `SUBSCRIPTION_GRACE_DAYS`
+ * @return {number} Number of days
+ */
+module.exports.gracePeriod = () => {
+  const days = Number.parseInt(process.env.SUBSCRIPTION_GRACE_DAYS, 10)
+  return Number.isNaN(days) || days < 0 ? defaultGracePeriod : days
+}
+
+/**
+ * Whether requests that change data are allowed when a subscription cannot be
+ * checked, such as when the database is unavailable, from
+ * `SUBSCRIPTION_FAIL_OPEN`. Off by default, so that errors cannot be used to
+ * avoid paying
+ * @return {boolean} Whether to allow requests
+ */
+module.exports.failOpen = () => process.env.SUBSCRIPTION_FAIL_OPEN === 'true'
+
+/**
+ * Get the state of a subscription
+ * @param {object} [subscription] Row from the `subscription` table, missing if
+ *   the organization has none
+ * @param {object} [now] Moment to get the state at, defaults to now
+ * @return {string} One of `states`, except `UNKNOWN`
+ */
+module.exports.getState = (subscription, now = moment()) => {
+  const {states} = module.exports
+  if (!subscription) {
+    return states.READ_ONLY
+  }
+
+  const {subscriptionStatus} = subscriptionController
+  const current = subscription.subscriptionStatusID === subscriptionStatus.TRIAL ||
+    subscription.subscriptionStatusID === subscriptionStatus.VALID
+  if (!subscription.statusUntil) {
+    // Only lapsed subscriptions from before grace periods existed have no end
+    return current ? states.ACTIVE : states.READ_ONLY
+  }
+
+  // `statusUntil` is stored in UTC
+  const until = moment.utc(subscription.statusUntil)
+  if (current && now.isSameOrBefore(until)) {
+    return states.ACTIVE
+  }
+  if (now.isSameOrBefore(moment(until).add(module.exports.gracePeriod(), 'days'))) {
+    return states.GRACE
+  }
+  return states.READ_ONLY
+}
+
+/**
+ * Get the state of the subscription of the organization that made a request,
+ * which is saved as `req.subscriptionState` so that it is only looked up once
+ * per request
+ * @param {object} req Request, after `auth.verify`
+ * @return {Promise.<string>} Resolved by one of `states`, `UNKNOWN` if the
+ *   subscription could not be looked up
+ */
+module.exports.load = (req) => {
+  if (req.subscriptionState) {
+    return Promise.resolve(req.subscriptionState)
+  }
+
+  return db('subscription')
+    .where('organizationID', req.user.organizationID)
+    .first()
+    .then(subscription => module.exports.getState(subscription))
+    .catch(err => {
+      req.log.error({err}, 'could not look up subscription')
+      return module.exports.states.UNKNOWN
+    })
+    .then(state => {
+      req.subscriptionState = state
+      return state
+    })
+}
+
+/**
+ * Check whether a subscription allows a request
+ * @param {string} state One of `states`
+ * @param {object} req Request
+ * @param {boolean} [allowedWhenReadOnly=false] Whether the request is allowed
+ *   in read-only mode even though it changes data, like returning items
+ * @return {boolean} Whether the request is allowed
+ */
+module.exports.allows = (state, req, allowedWhenReadOnly = false) => {
+  const {states} = module.exports
+  if (state === states.ACTIVE || state === states.GRACE) {
+    return true
+  }
+  // Subscriptions that could not be checked are treated as read-only, and `checkSubscription` decides whether to
+  // fail open
+  return readMethods.includes(req.method) || allowedWhenReadOnly
+}
+
+/**
+ * Add the `Stockpile-Subscription` header to the response of an authenticated
+ * request
+ * @param {object} req Request, after the user is authenticated
+ * @param {object} res Response
+ * @param {function} next Next handler
+ * @return {Promise} Resolved by result of next handler
+ */
+module.exports.addHeader = (req, res, next) => {
+  if (!req.user || !req.user.organizationID) {
+    return next()
+  }
+  return module.exports.load(req)
+    .then(state => {
+      res.header(module.exports.header, state)
+      return next()
+    })
+}
@@ -0,0 +1,315 @@
+/**
+ * Send events to the URLs that organizations registered for them, signed so
+ * that receivers can check where they came from, and retried until they are
+ * received
+ *
+ * Events are queued in the `webhookDelivery` table, which also serves as the
+ * log of deliveries. Each event is sent as soon as it happens, and
+ * `scripts/deliver-webhooks.js` retries deliveries that failed.
+ *
+ * @module services/webhook
+ */
+
+const crypto = require('crypto')
+const dns = require('dns')
+const http = require('http')
+const https = require('https')
+const moment = require('moment')
+const net = require('net')
+const url = require('url')
+const errors = require('restify-errors')
+
+const db = require('./db')
+const log = require('./log')
+const overdue = require('./overdue')
+
+/**
+ * Events that webhooks can be sent
+ * @type {string[]}
+ */
+module.exports.events = [
+  'item.updated',
+  'rental.created',
+  'rental.overdue',
+  'rentalItem.returned'
+]
+
+/**
+ * Minutes to wait before each retry of a failed delivery; once these run out,
+ * the delivery fails for good
+ * @type {number[]}
+ */
+module.exports.retryDelays = [1, 5, 30, 120, 720]
+
+/**
+ * Milliseconds to wait for a response to a delivery
+ * @type {number}
+ */
+module.exports.timeout = 10000
+
+// Minutes that a delivery is held by the process sending it, after which another process may retry it
+const claimDuration = 5
+
+// Loopback, private and link-local networks, which webhooks may not be sent to so that they cannot reach services
+// inside the network that the API runs in, such as cloud metadata at 169.254.169.254
+const privateNetworks = new net.BlockList()
+for (const [network, prefix] of [['0.0.0.0', 8], ['10.0.0.0', 8], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.168.0.0', 16]]) {
+  privateNetworks.addSubnet(network, prefix, 'ipv4')
+}
+for (const [network, prefix] of [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10]]) {
+  privateNetworks.addSubnet(network, prefix, 'ipv6')
+}
+
+/**
+ * Sign the body of a delivery
+ *
+ * Receivers should compute the same signature from the `t` value of the
+ * `Stockpile-Signature` header and the raw request body, compare it to the `v1`
+ * value, and reject timestamps that are too old to prevent replays.
+ * @param {string} secret Secret of the webhook
+ * @param {number} timestamp Time of delivery, in seconds since the epoch
+ * @param {string} body Body of the request
+ * @return {string} Hex-encoded HMAC-SHA256 of the timestamp and body, separated
+ *   by a period
+ */
+module.exports.sign = (secret, timestamp, body) => {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')
+}
+
+/**
+ * Check if an IP address is on a loopback, private or link-local network,
+ * including IPv4 addresses mapped to IPv6
+ * @param {string} address IPv4 or IPv6 address
+ * @return {boolean} Whether webhooks may not be sent to the address
+ */
+module.exports.isPrivateAddress = (address) => {
+  return privateNetworks.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4')
+}
+
+/**
+ * Resolve the host of a webhook URL, which must not have any private address
+ * @param {string} hostname Name or IP address of host
+ * @return {Promise.<object>} Resolved by the first `address` of the host and
+ *   its `family`, or rejected with a `BadRequestError` if the host cannot be
+ *   found or has a private address
+ */
+module.exports.resolveHost = (hostname) => {
+  return new Promise((resolve, reject) => {
+    dns.lookup(hostname, {all: true}, (err, addresses) => err
+      ? reject(new errors.BadRequestError(`Host ${hostname} of URL could not be found`))
+      : resolve(addresses))
+  })
+    .then(addresses => {
+      if (addresses.some(({address}) => module.exports.isPrivateAddress(address))) {
+        throw new errors.BadRequestError('URL must not have a loopback, private or link-local address')
+      }
+      return addresses[0]
+    })
+}
+
+/**
+ * Queue an event for each active webhook of an organization that is subscribed
+ * to it
+ * @param {any} organizationID ID of organization that the event happened in
+ * @param {string} event Name of event, one of `events`
+ * @param {object} data Body of the event
+ * @return {Promise.<number[]>} Resolved by IDs of the queued deliveries
+ */
+module.exports.queue = (organizationID, event, data) => {
+  const created = db.formatDate()
+  return db('webhook')
+    .join('webhookEvent', 'webhook.webhookID', 'webhookEvent.webhookID')
+    .where({'webhook.organizationID': organizationID, 'webhook.active': true, 'webhookEvent.event': event})
+    .pluck('webhook.webhookID')
+    .then(webhookIDs => {
+      const payload = JSON.stringify({event, created: moment.utc().toISOString(), data})
+      return Promise.all(webhookIDs.map(webhookID => db('webhookDelivery')
+        .insert({webhookID, organizationID, event, payload, created, nextAttempt: created})
+        .then(([webhookDeliveryID]) => webhookDeliveryID)))
+    })
+}
+
+/**
+ * Queue an event and send it right away. Failing to queue or send an event is
+ * logged, but never rejects, so that the change that caused the event is still
+ * reported as successful
+ * @param {any} organizationID ID of organization that the event happened in
+ * @param {string} event Name of event, one of `events`
+ * @param {object} data Body of the event
+ * @return {Promise} Resolved when the event is queued, without waiting for it
+ *   to be sent
+ */
+module.exports.trigger = (organizationID, event, data) => {
+  return module.exports.queue(organizationID, event, data)
+    .then(webhookDeliveryIDs => {
+      for (const webhookDeliveryID of webhookDeliveryIDs) {
+        module.exports.deliver(webhookDeliveryID)
+          .catch(err => log.error({err, webhookDeliveryID}, 'failed to deliver webhook'))
+      }
+    })
+    .catch(err => log.error({err, event}, 'failed to queue webhook'))
+}
+
+// Send the body of a delivery to its URL, resolved by the status code of the response
+const send = (delivery, timestamp) => {
+  const target = url.parse(delivery.url)
+  return module.exports.resolveHost(target.hostname).then(resolved => new Promise((resolve, reject) => {
+    const client = target.protocol === 'https:' ? https : http
+    const request = client.request(Object.assign(target, {
+      method: 'POST',
+      timeout: module.exports.timeout,
+      // Connect to the address that was checked, so that the host cannot resolve to another address in between
+      lookup: (hostname, options, callback) => options.all
+        ? callback(null, [resolved])
+        : callback(null, resolved.address, resolved.family),
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(delivery.payload),
+        'User-Agent': 'Stockpile-Webhooks/1.0',
+        'Stockpile-Delivery': delivery.webhookDeliveryID,
+        'Stockpile-Event': delivery.event,
+        'Stockpile-Signature': `t=${timestamp},v1=${module.exports.sign(delivery.secret, timestamp, delivery.payload)}`
+      }
+    }), response => {
+      // Only the status code matters, but the body must be read for the response to end
+      response.resume()
+      response.on('end', () => resolve(response.statusCode))
+    })
+    request.on('timeout', () => {
+      request.abort()
+      reject(new Error(`No response after ${module.exports.timeout / 1000} seconds`))
+    })
+    request.on('error', reject)
+    request.end(delivery.payload)
+  }))
+}
+
+/**
+ * Send a delivery if it is due, then record the result and when to retry it
+ * @param {number} webhookDeliveryID ID of delivery
+ * @return {Promise.<string|null>} Resolved by the new status of the delivery,
+ *   or `null` if it was not due or another process is already sending it
+ */
+module.exports.deliver = (webhookDeliveryID) => {
+  const now = moment.utc()
+  let delivery
+  return db('webhookDelivery')
+    .join('webhook', 'webhookDelivery.webhookID', 'webhook.webhookID')
+    .where('webhookDelivery.webhookDeliveryID', webhookDeliveryID)
+    .first('webhookDelivery.*', 'webhook.url', 'webhook.secret', 'webhook.active')
+    .then(row => {
+      if (!row || row.status !== 'pending') {
+        return 0
+      }
+      delivery = row
+
+      // Claim the delivery so that it is not sent twice at once, such as by a request and the delivery script
+      return db('webhookDelivery')
+        .where({webhookDeliveryID, status: 'pending', attempts: row.attempts})
+        .where('nextAttempt', '<=', db.formatDate(now))
+        .update({
+          attempts: row.attempts + 1,
+          lastAttempt: db.formatDate(now),
+          nextAttempt: db.formatDate(moment(now).add(claimDuration, 'minutes'))
+        })
+    })
+    .then(claimed => {
+      if (!claimed) {
+        return null
+      }
+
+      const attempts = delivery.attempts + 1
+      const result = delivery.active
+        ? send(delivery, now.unix()).then(responseStatus => ({
+          responseStatus,
+          error: responseStatus >= 200 && responseStatus < 300 ? null : `Responded with status ${responseStatus}`
+        }), err => ({responseStatus: null, error: err.message.slice(0, 255)}))
+        : Promise.resolve({responseStatus: null, error: 'Webhook is disabled'})
+
+      return result.then(({responseStatus, error}) => {
+        const retryDelay = delivery.active ? module.exports.retryDelays[attempts - 1] : undefined
+        let update
+        if (!error) {
+          update = {status: 'succeeded', delivered: db.formatDate(), nextAttempt: null}
+        } else if (retryDelay === undefined) {
+          update = {status: 'failed', nextAttempt: null}
+        } else {
+          update = {status: 'pending', nextAttempt: db.formatDate(moment(now).add(retryDelay, 'minutes'))}
+        }
+
+        return db('webhookDelivery')
+          .where('webhookDeliveryID', webhookDeliveryID)
+          .update(Object.assign({responseStatus, error}, update))
+          .then(() => update.status)
+      })
+    })
+}
+
+/**
+ * Send every delivery that is due, one at a time
+ * @param {number} [limit=100] Maximum number of deliveries to send
+ * @return {Promise.<object>} Resolved by the number of deliveries that
+ *   `succeeded`, `failed` for good, and are `pending` another retry
+ */
+module.exports.deliverDue = (limit = 100) => {
+  const summary = {succeeded: 0, failed: 0, pending: 0}
+  return db('webhookDelivery')
+    .where('status', 'pending')
+    .where('nextAttempt', '<=', db.formatDate())
+    .orderBy('nextAttempt')
+    .limit(limit)
+    .pluck('webhookDeliveryID')
+    .then(webhookDeliveryIDs => webhookDeliveryIDs.reduce((previous, webhookDeliveryID) => previous
+      .then(() => module.exports.deliver(webhookDeliveryID))
+      .then(status => {
+        if (status) {
+          summary[status] += 1
+        }
+      }), Promise.resolve()))
+    .then(() => summary)
+}
+
+/**
+ * Queue a `rental.overdue` event for each rental with overdue items that no
+ * event has been queued for, then record that it was queued so that each
+ * overdue item is only reported once
+ * @return {Promise.<number>} Resolved by the number of rentals that events were
+ *   queued for
+ */
+module.exports.queueOverdue = () => {
+  return db('rentalItem')
+    .modify(overdue.overdueItems)
+    .whereNull('rentalItem.overdueEventSent')
+    .select('rentalItem.rentalID', 'rentalItem.barcode', 'rental.organizationID', 'rental.userID',
+      'rental.externalRenterID', 'rental.start', 'rental.end')
+    .orderBy('rentalItem.rentalID')
+    .then(rows => {
+      const rentals = new Map()
+      for (const row of rows) {
+        if (!rentals.has(row.rentalID)) {
+          rentals.set(row.rentalID, {
+            organizationID: row.organizationID,
+            data: {
+              rentalID: row.rentalID,
+              userID: row.userID,
+              externalRenterID: row.externalRenterID,
+              start: row.start,
+              end: row.end,
+              items: []
+            }
+          })
+        }
+        rentals.get(row.rentalID).data.items.push(row.barcode)
+      }
+
+      // A failure leaves the remaining rentals to be queued on the next run
+      return [...rentals.values()].reduce((previous, {organizationID, data}) => previous
+        .then(() => module.exports.queue(organizationID, 'rental.overdue', data))
+        .then(() => db('rentalItem')
+          .where('rentalID', data.rentalID)
+          .whereIn('barcode', data.items)
+          .update({overdueEventSent: db.formatDate()})), Promise.resolve())
+        .then(() => rentals.size)
+    })
+}
@@ -0,0 +1,89 @@
+const errors = require('restify-errors')
+const sinon = require('sinon')
+const test = require('ava')
+
+const apiKey = require('../controllers/api-key')
+const auth = require('../controllers/auth')
+const fixt = require('./fixtures/api-key')
+const knex = require('./fixtures/knex-instance')
+
+// Create a request as an administrator of the test organization
+const createReq = (body = {}, params = {}) => {
+  return Object.assign({}, fixt.req, {
+    body,
+    params,
+    log: {
+      error: sinon.spy()
+    }
+  })
+}
+
+// Create a response that keeps what is sent
+const createRes = () => ({
+  send: sinon.spy()
+})
+
+test.before(async t => {
+  const [organizationID] = await knex('organization').insert(fixt.organization)
+  fixt.organization.organizationID = organizationID
+  fixt.req.user.organizationID = organizationID
+  fixt.user.organizationID = organizationID
+  const [userID] = await knex('user').insert(fixt.user)
+  fixt.user.userID = userID
+  fixt.req.user.userID = userID
+})
+
+test.serial('Create, use and revoke API key', async t => {
+  const res = createRes()
+  const next = sinon.spy()
+  await apiKey.create(createReq(fixt.create), res, next)
+  t.false(next.calledWithMatch(sinon.match.instanceOf(Error)), 'does not throw error')
+  const created = res.send.firstCall.args[1]
+  t.true(created.key.startsWith(created.prefix), 'responds with key')
+  t.deepEqual(created.scopes, ['rental:create', 'rental:create-for-others'], 'adds each scope once')
+  const row = await knex('apiKey').where('apiKeyID', created.apiKeyID).first()
+  t.true(row.keyHash === auth.hashToken(created.key), 'stores hash of key')
+
+  const listRes = createRes()
+  await apiKey.getAll(createReq(), listRes, sinon.spy())
+  const {results} = listRes.send.firstCall.args[0]
+  t.true(results.length === 1 && results[0].key === undefined, 'lists key without the key itself')
+
+  const done = sinon.spy()
+  await auth.authenticateApiKey(created.key, done)
+  const principal = done.firstCall.args[1]
+  t.true(principal.organizationID === fixt.organization.organizationID, 'authenticates key for organization')
+  t.true(principal.userID === null, 'does not authenticate as a user')
+  t.true(await auth.hasPermission(principal, 'rental:create'), 'key has its scopes')
+  t.false(await auth.hasPermission(principal, 'item:delete'), 'key has no other permissions')
+  t.truthy((await knex('apiKey').where('apiKeyID', created.apiKeyID).first()).lastUsed, 'records when key was used')
+
+  const revokeRes = createRes()
+  await apiKey.revoke(createReq({}, {apiKeyID: created.apiKeyID}), revokeRes, sinon.spy())
+  t.true(revokeRes.send.calledOnce, 'revokes key')
+
+  const doneRevoked = sinon.spy()
+  await auth.authenticateApiKey(created.key, doneRevoked)
+  t.true(doneRevoked.calledWithExactly(null, false), 'does not authenticate revoked key')
+})
+
+test('Create API key with permissions the user does not have', async t => {
+  const req = createReq(fixt.createAsMember)
+  req.user = Object.assign({}, req.user, {roleID: fixt.user.roleID})
+  const next = sinon.spy()
+  await apiKey.create(req, createRes(), next)
+  t.true(next.calledWithMatch(sinon.match.instanceOf(errors.ForbiddenError)), 'throws error')
+  t.true((await knex('apiKey').where('name', fixt.createAsMember.name)).length === 0, 'does not create key')
+})
+
+test('Authenticate unknown API key', async t => {
+  const done = sinon.spy()
+  await auth.authenticateApiKey('spk_unknown', done)
+  t.true(done.calledWithExactly(null, false), 'does not authenticate key')
+})
+
+test.after.always(async t => {
+  await knex('apiKey').where('organizationID', fixt.organization.organizationID).del()
+  await knex('user').where('userID', fixt.user.userID).del()
+  await knex('organization').where('organizationID', fixt.organization.organizationID).del()
+})
@@ -0,0 +1,43 @@
+const sinon = require('sinon')
+const test = require('ava')
+
+const fixt = require('./fixtures/audit')
+const audit = require('../services/audit')
+const auditController = require('../controllers/audit')
+
+test('Diff', t => {
+  t.deepEqual(audit.diff(fixt.before, fixt.after), fixt.changes, 'has only changed columns')
+  t.deepEqual(audit.diff(undefined, fixt.before), {before: null, after: fixt.before}, 'has whole created row')
+  t.deepEqual(audit.diff(fixt.before, undefined), {before: fixt.before, after: null}, 'has whole deleted row')
+})
+
+test('Diff redacts secrets', t => {
+  t.deepEqual(audit.diff(fixt.userBefore, fixt.userAfter), fixt.userChanges, 'redacts changed password')
+  t.deepEqual(audit.diff(undefined, fixt.userAfter).after, Object.assign({}, fixt.userAfter, {password: '[redacted]'}),
+    'redacts password of created row')
+})
+
+test('With user and filters', t => {
+  const queryBuilder = {
+    leftJoin: sinon.stub().returnsThis(),
+    modify: sinon.stub().returnsThis(),
+    select: sinon.stub().returnsThis(),
+    where: sinon.stub().returnsThis()
+  }
+  const result = auditController.withUserAndFilters(fixt.req, queryBuilder)
+  t.true(result === queryBuilder, 'returns query builder')
+  t.true(queryBuilder.where.calledWith('audit.created', '>=', fixt.req.params.since), 'limits to period of time')
+})
+
+test('Get audit log parses changes', t => {
+  const send = sinon.spy()
+  const res = {send}
+  const getAll = sinon.stub(require('../services/endpoint'), 'getAll').returns((req, res, next) => {
+    res.send({results: JSON.parse(JSON.stringify(fixt.results))})
+    return next()
+  })
+
+  auditController.getAll({params: {}}, res, sinon.spy())
+  getAll.restore()
+  t.deepEqual(send.firstCall.args[0].results[0].after, {notes: 'New notes'}, 'parses changes')
+})
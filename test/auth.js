@@ -1,10 +1,31 @@
+const jwt = require('jsonwebtoken')
 const errors = require('restify-errors')
+const proxyquire = require('proxyquire')
 const sinon = require('sinon')
 const test = require('ava')
 
 const auth = require('../controllers/auth')
 const fixt = require('./fixtures/auth')
 const knex = require('./fixtures/knex-instance')
+const session = require('../services/session')
+
+/**
+ * Create an instance of the auth controller that sends email with a stubbed Mailgun client
+ * @return {object} Contains auth controller and Mailgun stub
+ */
+const createAuthWithEmail = () => {
+  const mg = {
+    client: sinon.stub().returnsThis(),
+    messages: {
+      create: sinon.stub().resolves()
+    }
+  }
+  const email = proxyquire('../services/email', {'mailgun.js': mg})
+  return {
+    auth: proxyquire('../controllers/auth', {'../services/email': email}),
+    mg
+  }
+}
 
 test.before('Create organization', async t => {
   const [organizationID] = await knex('organization')
@@ -19,6 +40,9 @@ test.before('Create organization', async t => {
   fixt.tokenUser.organizationID = organizationID
   fixt.refreshTokenUser.organizationID = organizationID
   fixt.refreshTokenInvalidUser.organizationID = organizationID
+  fixt.refreshTokenReusedUser.organizationID = organizationID
+  fixt.logoutUser.organizationID = organizationID
+  fixt.resetPasswordUser.organizationID = organizationID
 })
 
 test('Make token', t => {
@@ -28,30 +52,52 @@ test('Make token', t => {
   t.truthy(token, 'returns token')
 })
 
-test('Registers a user', async t => {
+test('Register is gone', t => {
+  const next = sinon.spy()
+  auth.register({body: fixt.user, params: {}}, null, next)
+  t.true(next.calledWithMatch(sinon.match.instanceOf(errors.GoneError)), 'returns error')
+})
+
+test('Accepts an invitation', async t => {
+  fixt.invitation.row.organizationID = fixt.user.organizationID
+  fixt.invitation.row.tokenHash = auth.hashToken(fixt.invitation.token)
+  const [invitationID] = await knex('invitation').insert(fixt.invitation.row)
+
   const req = {
-    body: fixt.user,
-    params: {}
+    body: {
+      token: fixt.invitation.token,
+      firstName: fixt.user.firstName,
+      lastName: fixt.user.lastName,
+      password: fixt.user.password
+    },
+    params: {},
+    log: {error: sinon.spy()}
   }
   const res = {
     send: sinon.spy()
   }
   const next = sinon.spy()
-  await auth.register(req, res, next)
+  await auth.acceptInvite(req, res, next)
 
+  t.true(res.send.calledWithMatch(201, sinon.match.object), 'sent 201 response with object')
+  t.false(next.calledWithMatch(sinon.match.instanceOf(Error)), 'no errors')
   const row = await knex(fixt.table)
     .where(fixt.primaryKey, res.send.args[0][1].userID)
     .first()
-
   t.truthy(row, 'user was created')
-  t.true(res.send.calledOnce, 'response sent')
-  t.true(res.send.calledWithMatch(201, sinon.match.object),
-    'sent 201 response with object')
-  t.true(next.called, 'calls next handler')
-  t.false(next.calledWithMatch(sinon.match.instanceOf(Error)), 'no errors')
+  t.true(row.email === fixt.invitation.row.email, 'user has email address of invitation')
+  t.true(row.organizationID === fixt.invitation.row.organizationID, 'user joins organization of invitation')
+  t.true(row.roleID === fixt.invitation.row.roleID, 'user has role of invitation')
+
+  const nextReused = sinon.spy()
+  await auth.acceptInvite(req, {send: sinon.spy()}, nextReused)
+  t.true(nextReused.calledWithMatch(sinon.match.instanceOf(errors.BadRequestError)),
+    'throws error when invitation is used twice')
+
+  await knex('invitation').where('invitationID', invitationID).del()
 })
 
-test('Returns error when registering user with missing data', async t => {
+test('Returns error when accepting invitation with missing data', async t => {
   const req = {
     body: fixt.userIncomplete
   }
@@ -60,14 +106,8 @@ test('Returns error when registering user with missing data', async t => {
   }
   const next = sinon.spy()
 
-  await auth.register(req, res, next)
+  await auth.acceptInvite(req, res, next)
 
-  const row = await knex(fixt.table)
-    .where('firstName', fixt.userIncomplete.firstName)
-    .where('lastName', fixt.userIncomplete.lastName)
-    .first()
-
-  t.falsy(row, 'user not created')
   t.false(res.send.called, 'does not send response')
   t.true(
     next.calledWithMatch(
@@ -138,13 +178,9 @@ test('Returns error when email and password do not match', async t => {
 })
 
 test('Refresh token', async t => {
-  // Insert user
+  // Insert user and start a session for them
   const [userID] = await knex(fixt.table).insert(fixt.refreshTokenUser)
-  fixt.refreshTokenRow.userID = userID
-  fixt.refreshTokenReq.body.userID = userID
-
-  // Insert refresh token
-  await knex('refreshToken').insert(fixt.refreshTokenRow)
+  const sessionID = await session.create(userID, auth.hashToken(fixt.refreshTokenReq.body.refreshToken), {})
 
   const res = {
     send: sinon.spy()
@@ -156,20 +192,50 @@ test('Refresh token', async t => {
   t.true(res.send.calledOnce, 'response sent')
   t.true(next.called, 'calls next handler')
   t.false(next.calledWithMatch(sinon.match.instanceOf(Error)), 'no errors')
+  const {refreshToken} = res.send.firstCall.args[0]
+  t.truthy(refreshToken, 'responds with a new refresh token')
+  t.not(refreshToken, fixt.refreshTokenReq.body.refreshToken, 'refresh token is replaced')
+
+  const resNew = {
+    send: sinon.spy()
+  }
+  const nextNew = sinon.spy()
+  await auth.refresh({body: {refreshToken}}, resNew, nextNew)
+  t.true(resNew.send.calledOnce, 'new refresh token can be used')
 
   // Clean up database
-  await knex('refreshToken').where(fixt.refreshTokenRow).del()
+  await knex('session').where('sessionID', sessionID).del()
+  await knex(fixt.table).where('userID', userID).del()
+})
+
+test('Refresh token with reused refresh token', async t => {
+  const [userID] = await knex(fixt.table).insert(fixt.refreshTokenReusedUser)
+  const sessionID = await session.create(userID, auth.hashToken(fixt.refreshTokenReusedReq.body.refreshToken), {})
+  const log = {warn: sinon.spy(), error: sinon.spy()}
+
+  await auth.refresh(Object.assign({log}, fixt.refreshTokenReusedReq), {send: sinon.spy()}, sinon.spy())
+
+  const res = {
+    send: sinon.spy()
+  }
+  const next = sinon.spy()
+  await auth.refresh(Object.assign({log}, fixt.refreshTokenReusedReq), res, next)
+
+  t.true(next.calledWithMatch(sinon.match.instanceOf(errors.UnauthorizedError)), 'returns error')
+  t.false(res.send.called, 'response not sent')
+  t.true(log.warn.called, 'logs reuse')
+  const row = await knex('session').where('sessionID', sessionID).first()
+  t.truthy(row.revoked, 'session is revoked')
+
+  // Clean up database
+  await knex('session').where('sessionID', sessionID).del()
   await knex(fixt.table).where('userID', userID).del()
 })
 
 test('Refresh token with invalid refresh token', async t => {
   // Insert user
   const [userID] = await knex(fixt.table).insert(fixt.refreshTokenInvalidUser)
-  fixt.refreshTokenInvalidRow.userID = userID
-  fixt.refreshTokenInvalidReq.body.userID = userID
-
-  // Insert refresh token
-  await knex('refreshToken').insert(fixt.refreshTokenInvalidRow)
+  const sessionID = await session.create(userID, auth.hashToken(fixt.refreshTokenInvalidSessionToken), {})
 
   const res = {
     send: sinon.spy()
@@ -184,7 +250,7 @@ test('Refresh token with invalid refresh token', async t => {
   t.false(res.send.called, 'response not sent')
 
   // Clean up database
-  await knex('refreshToken').where(fixt.refreshTokenInvalidRow).del()
+  await knex('session').where('sessionID', sessionID).del()
   await knex(fixt.table).where('userID', userID).del()
 })
 
@@ -201,16 +267,60 @@ test('Authenticate token', async t => {
   const [userID] = await knex(fixt.table).insert(fixt.tokenUser)
   fixt.payload.userID = userID
   fixt.tokenUser.userID = userID
+  const sessionID = await session.create(userID, auth.hashToken(fixt.tokenSessionToken), {})
+  fixt.payload.sessionID = sessionID
 
   const done = sinon.spy()
   await auth.authenticateToken(fixt.payload, done)
-  t.true(done.calledWith(null, fixt.tokenUser),
+  t.true(done.calledWithMatch(null, Object.assign({sessionID}, fixt.tokenUser)),
     'authenticates user')
 
   const doneNoUser = sinon.spy()
   await auth.authenticateToken(fixt.payloadNoUser, doneNoUser)
-  t.true(doneNoUser.calledWithMatch(sinon.match.instanceOf(Error)),
-    'does not authenticate missing user')
+  t.true(doneNoUser.calledWithExactly(null, false), 'does not authenticate deleted user')
+
+  const doneNoSession = sinon.spy()
+  await auth.authenticateToken(Object.assign({}, fixt.payload, {sessionID: undefined}), doneNoSession)
+  t.true(doneNoSession.calledWithExactly(null, false), 'does not authenticate token without session')
+
+  await session.revokeAccessToken(fixt.payload.jti, fixt.payload.exp)
+  const doneRevokedToken = sinon.spy()
+  await auth.authenticateToken(fixt.payload, doneRevokedToken)
+  t.true(doneRevokedToken.calledWithExactly(null, false), 'does not authenticate revoked token')
+
+  await session.revoke({sessionID})
+  const doneRevokedSession = sinon.spy()
+  await auth.authenticateToken(Object.assign({}, fixt.payload, {jti: fixt.tokenSessionToken}), doneRevokedSession)
+  t.true(doneRevokedSession.calledWithExactly(null, false), 'does not authenticate token of revoked session')
+
+  await knex('revokedToken').where('jti', fixt.payload.jti).del()
+})
+
+test('Log out', async t => {
+  const [userID] = await knex(fixt.table).insert(fixt.logoutUser)
+  const sessionID = await session.create(userID, auth.hashToken(fixt.logoutSessionToken), {})
+  const token = auth.makeToken(userID, fixt.logoutUser.organizationID, 2, sessionID)
+  const req = {
+    headers: {authorization: `Bearer ${token}`},
+    user: {userID, sessionID}
+  }
+  const res = {
+    send: sinon.spy()
+  }
+  const next = sinon.spy()
+
+  await auth.logout(req, res, next)
+  t.true(res.send.calledOnce, 'response sent')
+  t.false(next.calledWithMatch(sinon.match.instanceOf(Error)), 'no errors')
+
+  const row = await knex('session').where('sessionID', sessionID).first()
+  t.truthy(row.revoked, 'session is revoked')
+  const done = sinon.spy()
+  await auth.authenticateToken(jwt.decode(token), done)
+  t.true(done.calledWithExactly(null, false), 'access token no longer works')
+
+  // Clean up database
+  await knex(fixt.table).where('userID', userID).del()
 })
 
 test('Check user exists', t => {
@@ -243,17 +353,117 @@ test('Check admin', t => {
     'next called with error')
 })
 
-test('Check user matches', t => {
+test('Check user matches', async t => {
   const next = sinon.spy()
   auth.checkUserMatches(fixt.checkUserReq, null, next)
   t.true(next.calledWithExactly(), 'next called with no args')
 
+  // Other users can only be changed with permission to manage users
   const nextUnauthorized = sinon.spy()
-  auth.checkUserMatches(fixt.checkUserReqUnauthorized, null, nextUnauthorized)
+  await auth.checkUserMatches(fixt.checkUserReqUnauthorized, null, nextUnauthorized)
   t.true(nextUnauthorized.calledWithMatch(sinon.match.instanceOf(Error)),
     'next called with error')
 })
 
+test('Check permission', async t => {
+  const {adminReq, memberReq, viewerReq, viewerRole, permission} = fixt.checkPermission
+  const checkPermission = auth.checkPermission(permission)
+
+  const nextAdmin = sinon.spy()
+  await checkPermission(adminReq, null, nextAdmin)
+  t.true(nextAdmin.calledWithExactly(), 'administrators have every permission')
+
+  const nextMember = sinon.spy()
+  await checkPermission(memberReq, null, nextMember)
+  t.true(nextMember.calledWithExactly(), 'members have permission')
+
+  const [viewer] = await knex('role').where('name', viewerRole).whereNull('organizationID')
+  viewerReq.user.roleID = viewer.roleID
+  const nextViewer = sinon.spy()
+  await checkPermission(viewerReq, null, nextViewer)
+  t.true(nextViewer.calledWithMatch(sinon.match.instanceOf(errors.ForbiddenError)), 'viewers do not have permission')
+})
+
+test('Forgot password and reset password', async t => {
+  const {auth: authWithEmail, mg} = createAuthWithEmail()
+  const [userID] = await knex(fixt.table).insert(fixt.resetPasswordUser)
+
+  const req = {
+    body: {email: fixt.resetPasswordUser.email},
+    log: {error: sinon.spy()}
+  }
+  const res = {
+    send: sinon.spy()
+  }
+  const next = sinon.spy()
+  await authWithEmail.forgotPassword(req, res, next)
+
+  t.true(res.send.calledOnce, 'response sent')
+  t.false(next.calledWithMatch(sinon.match.instanceOf(Error)), 'no errors')
+  t.true(mg.messages.create.calledOnce, 'sends an email')
+
+  // Get token from the link in the email
+  const [, token] = mg.messages.create.args[0][1].text.match(/token=([0-9a-f]+)/)
+  const resetToken = await knex('passwordResetToken').where('userID', userID).first()
+  t.truthy(resetToken, 'reset token is saved')
+  t.not(resetToken.tokenHash, token, 'reset token is not saved in plaintext')
+
+  const reqReset = {
+    body: {token, password: fixt.resetPasswordNewPassword},
+    log: {error: sinon.spy()}
+  }
+  const resReset = {
+    send: sinon.spy()
+  }
+  const nextReset = sinon.spy()
+  await authWithEmail.resetPassword(reqReset, resReset, nextReset)
+
+  const updatedUser = await knex(fixt.table).where('userID', userID).first()
+  t.true(resReset.send.calledOnce, 'response sent')
+  t.false(nextReset.calledWithMatch(sinon.match.instanceOf(Error)), 'no errors')
+  t.not(updatedUser.password, fixt.resetPasswordUser.password, 'password is updated')
+
+  const resReused = {
+    send: sinon.spy()
+  }
+  const nextReused = sinon.spy()
+  await authWithEmail.resetPassword(reqReset, resReused, nextReused)
+  t.true(nextReused.calledWithMatch(sinon.match.instanceOf(errors.BadRequestError)),
+    'throws error when token is used twice')
+  t.false(resReused.send.called, 'response not sent when token is used twice')
+
+  await knex(fixt.table).where('userID', userID).del()
+})
+
+test('Forgot password with unknown email', async t => {
+  const {auth: authWithEmail, mg} = createAuthWithEmail()
+  const req = {
+    body: {email: fixt.forgotPasswordUnknownEmail},
+    log: {error: sinon.spy()}
+  }
+  const res = {
+    send: sinon.spy()
+  }
+  const next = sinon.spy()
+  await authWithEmail.forgotPassword(req, res, next)
+
+  t.true(res.send.calledOnce, 'responds as if user exists')
+  t.false(next.calledWithMatch(sinon.match.instanceOf(Error)), 'no errors')
+  t.false(mg.messages.create.called, 'does not send an email')
+})
+
+test('Forgot password and reset password with missing fields', t => {
+  const next = sinon.spy()
+  auth.forgotPassword({body: {}}, null, next)
+  t.true(next.calledWithMatch(sinon.match.instanceOf(errors.BadRequestError)),
+    'throws error when email is missing')
+
+  const nextReset = sinon.spy()
+  auth.resetPassword({body: {token: 'token'}}, null, nextReset)
+  t.true(nextReset.calledWithMatch(sinon.match.instanceOf(errors.BadRequestError)),
+    'throws error when password is missing')
+})
+
 test.after.always('Clean up database', async t => {
   // Delete created users
   await knex(fixt.table)
@@ -0,0 +1,32 @@
+const errors = require('restify-errors')
+const sinon = require('sinon')
+const test = require('ava')
+
+const availability = require('../services/availability')
+const fixt = require('./fixtures/availability')
+
+test('During period', t => {
+  const queryBuilder = {
+    join: sinon.stub().returnsThis(),
+    where: sinon.stub().returnsThis(),
+    whereNull: sinon.stub().returnsThis()
+  }
+  const result = availability.duringPeriod(queryBuilder, fixt.start, fixt.end)
+  t.true(result === queryBuilder, 'returns query builder')
+  t.true(queryBuilder.where.calledWith('rental.start', '<=', fixt.end), 'rentals start before end of period')
+  t.true(queryBuilder.where.calledWith('rental.end', '>=', fixt.start), 'rentals end after start of period')
+  t.true(queryBuilder.whereNull.calledWith('rental.canceled'), 'skips canceled reservations')
+})
+
+test('Group by barcode', t => {
+  const grouped = availability.groupByBarcode(fixt.conflicts)
+  t.deepEqual(grouped.get('0000'), fixt.grouped['0000'], 'groups rentals of item')
+  t.deepEqual(grouped.get('1111'), fixt.grouped['1111'], 'groups rentals of another item')
+})
+
+test('Check period', t => {
+  t.true(availability.checkPeriod(fixt.start, fixt.end) === undefined, 'accepts valid period')
+  t.true(availability.checkPeriod(fixt.start) instanceof errors.BadRequestError, 'rejects missing end')
+  t.true(availability.checkPeriod(fixt.end, fixt.start) instanceof errors.BadRequestError,
+    'rejects end before start')
+})
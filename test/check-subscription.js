@@ -1,5 +1,7 @@
 const errors = require('restify-errors')
 const test = require('ava')
+const moment = require('moment')
+const proxyquire = require('proxyquire')
 const sinon = require('sinon')
 
 const checkSubscription = require('../services/check-subscription')
@@ -11,9 +13,10 @@ const subscription = require('../controllers/subscription')
  * Create an organization and a subscription for that organization
  * @param {boolean} valid Whether subscription should be valid or not
  * @param {number} subscriptionStatusID ID of subscription status
+ * @param {string} [statusUntil] Date that the status lasts until
  * @return {number} ID of created organization
  */
-const createSubscription = async (valid, subscriptionStatusID) => {
+const createSubscription = async (valid, subscriptionStatusID, statusUntil = null) => {
   const organizationData = {
     name: knex.randomizeName('check-subscription'),
     email: knex.randomizeName('check-subscription')
@@ -23,7 +26,8 @@ const createSubscription = async (valid, subscriptionStatusID) => {
     organizationID,
     stripeCustomer: knex.randomizeName('cus'),
     valid: valid ? 1 : 0,
-    subscriptionStatusID
+    subscriptionStatusID,
+    statusUntil
   }
   await knex('subscription').insert(subscriptionData)
 
@@ -43,7 +47,13 @@ test.before(async t => {
     // Create canceled subscription
     createSubscription(false, subscription.subscriptionStatus.CANCELED),
     // Create valid subscription for missing test
-    createSubscription(false, subscription.subscriptionStatus.VALID)
+    createSubscription(false, subscription.subscriptionStatus.VALID),
+    // Create subscription that expired yesterday, within the grace period
+    createSubscription(false, subscription.subscriptionStatus.EXPIRED,
+      moment.utc().subtract(1, 'day').format('YYYY-MM-DD HH:mm:ss')),
+    // Create subscription that expired before the grace period
+    createSubscription(false, subscription.subscriptionStatus.EXPIRED,
+      moment.utc().subtract(60, 'days').format('YYYY-MM-DD HH:mm:ss'))
   ])
 
   fixt.trial.req.user.organizationID = createdOrganizations[0]
@@ -51,6 +61,9 @@ test.before(async t => {
   fixt.expired.req.user.organizationID = createdOrganizations[2]
   fixt.canceled.req.user.organizationID = createdOrganizations[3]
   fixt.missing.req.user.organizationID = createdOrganizations[4]
+  fixt.grace.req.user.organizationID = createdOrganizations[5]
+  fixt.readOnly.req.user.organizationID = createdOrganizations[6]
+  fixt.readOnlyGet.req.user.organizationID = createdOrganizations[6]
 
   fixt.trial.req.log.warn = sinon.spy()
   fixt.valid.req.log.warn = sinon.spy()
@@ -58,6 +71,9 @@ test.before(async t => {
   fixt.canceled.req.log.warn = sinon.spy()
   fixt.missing.req.log.warn = sinon.spy()
   fixt.noBody.req.log.warn = sinon.spy()
+  fixt.grace.req.log.warn = sinon.spy()
+  fixt.readOnly.req.log.warn = sinon.spy()
+  fixt.readOnlyGet.req.log.warn = sinon.spy()
 })
 
 test('Check trial subscription', async t => {
@@ -120,6 +136,78 @@ test('Check subscription with no request body', async t => {
   t.true(next.calledOnce, 'calls next handler')
 })
 
+test('Check subscription in grace period', async t => {
+  const next = sinon.spy()
+
+  await checkSubscription(fixt.grace.req, null, next)
+
+  t.true(next.calledOnce, 'calls next handler')
+  t.is(fixt.grace.req.subscriptionState, 'grace', 'saves state of subscription')
+  t.false(next.calledWithMatch(sinon.match.instanceOf(Error)), 'does not throw error')
+})
+
+test('Check read-only subscription', async t => {
+  const next = sinon.spy()
+
+  await checkSubscription(Object.assign({}, fixt.readOnly.req), null, next)
+
+  t.true(next.calledOnce, 'calls next handler')
+  t.false(fixt.readOnly.req.log.warn.called, 'does not log warning')
+  t.true(next.calledWithMatch(sinon.match.instanceOf(errors.PaymentRequiredError)), 'throws payment required error')
+})
+
+test('Check read-only subscription when getting data', async t => {
+  const next = sinon.spy()
+
+  await checkSubscription(fixt.readOnlyGet.req, null, next)
+
+  t.true(next.calledOnce, 'calls next handler')
+  t.false(next.calledWithMatch(sinon.match.instanceOf(Error)), 'does not throw error')
+})
+
+test('Check read-only subscription when returning items', async t => {
+  const isReturn = sinon.stub().returns(true)
+  const next = sinon.spy()
+
+  await checkSubscription.allowingReadOnly(isReturn)(Object.assign({}, fixt.readOnly.req), null, next)
+
+  t.true(isReturn.calledOnce, 'checks if request is allowed when read-only')
+  t.true(next.calledOnce, 'calls next handler')
+  t.false(next.calledWithMatch(sinon.match.instanceOf(Error)), 'does not throw error')
+})
+
+test('Check subscription that cannot be looked up', async t => {
+  // Use a database that is unavailable
+  const policy = proxyquire('../services/subscription-policy', {
+    './db': () => ({where: () => ({first: () => Promise.reject(new Error('connection lost'))})})
+  })
+  const checkSubscriptionWithoutDb = proxyquire('../services/check-subscription', {'./subscription-policy': policy})
+  const createReq = () => Object.assign({}, fixt.unknown.req, {log: {error: sinon.spy(), warn: sinon.spy()}})
+
+  const failOpen = process.env.SUBSCRIPTION_FAIL_OPEN
+
+  // Fail closed by default
+  process.env.SUBSCRIPTION_FAIL_OPEN = ''
+  const closedReq = createReq()
+  const closedNext = sinon.spy()
+  await checkSubscriptionWithoutDb(closedReq, null, closedNext)
+  t.true(closedReq.log.error.called, 'logs error')
+  t.true(closedReq.log.warn.called, 'logs decision')
+  t.true(closedNext.calledWithMatch(sinon.match.instanceOf(errors.ServiceUnavailableError)),
+    'throws service unavailable error')
+
+  // Fail open when configured to
+  process.env.SUBSCRIPTION_FAIL_OPEN = 'true'
+  const openReq = createReq()
+  const openNext = sinon.spy()
+  await checkSubscriptionWithoutDb(openReq, null, openNext)
+  t.true(openReq.log.warn.called, 'logs decision')
+  t.true(openNext.calledOnce, 'calls next handler')
+  t.false(openNext.calledWithMatch(sinon.match.instanceOf(Error)), 'does not throw error')
+
+  process.env.SUBSCRIPTION_FAIL_OPEN = failOpen
+})
+
 test.after(async t => {
   // Delete all created organizations
   for (const organizationID of fixt.organizationsToDelete) {
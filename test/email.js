@@ -48,6 +48,10 @@ test('Create text email', t => {
   const result = t.context.email.createTextEmail(fixt.createTextEmail.content)
   t.true(result === fixt.createTextEmail.expected, 'email is generated correctly')
 })
+test('Create text email, no CTA', t => {
+  const result = t.context.email.createTextEmail(fixt.createTextEmailNoCta.content)
+  t.true(result === fixt.createTextEmailNoCta.expected, 'email is generated without action')
+})
 test('Send message', async t => {
   await t.context.email.sendMessage(t.context.mg, fixt.sendMessage.sender, fixt.sendMessage.to,
     fixt.sendMessage.subject, fixt.sendMessage.content, fixt.sendMessage.replyTo)
@@ -1,9 +1,11 @@
+const errors = require('restify-errors')
 const sinon = require('sinon')
 const test = require('ava')
 
 const fixt = require('./fixtures/endpoint')
 const endpoint = require('../services/endpoint')
 const knex = require('./fixtures/knex-instance')
+const paginate = require('../services/paginate')
 
 test.before('Set up test table', async t => {
   fixt.table = knex.randomizeName(fixt.table)
@@ -12,6 +14,7 @@ test.before('Set up test table', async t => {
     table.string('name').primary()
     table.integer('value')
     table.integer('organizationID')
+    table.dateTime('deleted')
   })
 
   // Insert multiple rows
@@ -54,6 +57,7 @@ test('Get all with pagination', async t => {
   const req = {
     params: fixt.paginationParams,
     path: sinon.stub().returns(fixt.paginationPath),
+    getQuery: sinon.stub().returns('limit=5&offset=2'),
     user: {organizationID: fixt.organizationID}
   }
   const res = {
@@ -62,7 +66,7 @@ test('Get all with pagination', async t => {
   }
   const next = sinon.spy()
 
-  await endpoint.getAll(fixt.table)(req, res, next)
+  await endpoint.getAll(fixt.table, {primaryKey: fixt.primaryKey})(req, res, next)
 
   t.true(res.links.calledOnce, 'sets link header')
   t.true(res.send.calledOnce, 'sends one response')
@@ -92,6 +96,82 @@ test('Get all with search', async t => {
   t.false(next.calledWithMatch(sinon.match.instanceOf(Error)), 'no errors')
 })
 
+test('Get all with search and pagination', async t => {
+  const req = {
+    params: Object.assign({}, fixt.getAllWithSearch.req.params, fixt.paginationParams),
+    path: sinon.stub().returns(fixt.paginationPath),
+    getQuery: sinon.stub().returns('search=row1&limit=5&offset=2'),
+    user: {organizationID: fixt.organizationID}
+  }
+  const res = {
+    links: sinon.spy(),
+    send: sinon.spy()
+  }
+  const next = sinon.spy()
+  const searchColumns = fixt.getAllWithSearch.searchColumns
+
+  await endpoint.getAll(fixt.table, {searchColumns, primaryKey: fixt.primaryKey})(req, res, next)
+
+  t.true(res.send.calledWithMatch({total: 1, next: null}), 'counts only rows that match search')
+  t.true(res.links.calledWithMatch({last: `${fixt.paginationPath}?search=row1&limit=5&offset=0`}),
+    'links to last page of matches')
+  t.false(next.calledWithMatch(sinon.match.instanceOf(Error)), 'no errors')
+})
+
+test('Get all with sort and fields', async t => {
+  const req = {
+    params: {sort: '-value', fields: 'name'},
+    user: {organizationID: fixt.organizationID}
+  }
+  const res = {
+    send: sinon.spy()
+  }
+  const next = sinon.spy()
+
+  await endpoint.getAll(fixt.table, {sortColumns: {value: 'value'}, fields: ['name', 'value']})(req, res, next)
+
+  const {results} = res.send.args[0][0]
+  const values = results.map(result => result.name)
+  t.true(values.indexOf('row2') < values.indexOf('row1'), 'sorts by requested column')
+  t.deepEqual(Object.keys(results[0]), ['name', 'sortIndex'], 'responds with requested fields')
+  t.false(next.calledWithMatch(sinon.match.instanceOf(Error)), 'no errors')
+})
+
+test('Get all sorted by column that is not allowed', async t => {
+  const req = {
+    params: {sort: 'organizationID'},
+    user: {organizationID: fixt.organizationID}
+  }
+  const res = {
+    send: sinon.spy()
+  }
+  const next = sinon.spy()
+
+  await endpoint.getAll(fixt.table, {sortColumns: {value: 'value'}})(req, res, next)
+
+  t.true(next.calledWithMatch(sinon.match.instanceOf(errors.BadRequestError)), 'throws bad request error')
+  t.false(res.send.called, 'response not sent')
+})
+
+test('Get all with invalid cursor', async t => {
+  const req = {
+    params: {limit: '1', after: 'not-a-cursor'},
+    path: sinon.stub().returns(fixt.paginationPath),
+    user: {organizationID: fixt.organizationID}
+  }
+  const res = {
+    links: sinon.spy(),
+    send: sinon.spy()
+  }
+  const next = sinon.spy()
+
+  const modify = (request, queryBuilder) => paginate.paginateQuery(queryBuilder, request)
+  await endpoint.getAll(fixt.table, {modify})(req, res, next)
+
+  t.true(next.calledWithMatch(sinon.match.instanceOf(errors.BadRequestError)), 'throws bad request error')
+  t.false(res.send.called, 'response not sent')
+})
+
 test('Get', async t => {
   // Insert single row
   await knex(fixt.table).insert(fixt.singleRow)
@@ -244,6 +324,47 @@ test('Delete', async t => {
     'returns error when deleting nonexistent row')
 })
 
+test('Soft delete and restore', async t => {
+  await knex(fixt.table).insert(fixt.rowToSoftDelete)
+
+  const req = {
+    log: {error: sinon.spy()},
+    params: {},
+    user: {organizationID: fixt.organizationID}
+  }
+  req.params[fixt.primaryKey] = fixt.rowToSoftDelete[fixt.primaryKey]
+
+  const res = {
+    send: sinon.spy()
+  }
+  const next = sinon.spy()
+  await endpoint.delete(fixt.table, fixt.primaryKey, {softDelete: true})(req, res, next)
+  t.true(res.send.calledWithMatch({id: fixt.rowToSoftDelete[fixt.primaryKey]}), 'sends deleted ID')
+
+  const row = await knex(fixt.table).where(fixt.primaryKey, fixt.rowToSoftDelete[fixt.primaryKey]).first()
+  t.truthy(row.deleted, 'keeps row, marked as deleted')
+
+  const nextGet = sinon.spy()
+  await endpoint.get(fixt.table, fixt.primaryKey, {softDelete: true})(req, {send: sinon.spy()}, nextGet)
+  t.true(nextGet.calledWithMatch(sinon.match.instanceOf(Error)), 'does not get deleted row')
+
+  const reqIncludeDeleted = Object.assign({}, req, {params: Object.assign({includeDeleted: 'true'}, req.params)})
+  const resIncludeDeleted = {
+    send: sinon.spy()
+  }
+  await endpoint.get(fixt.table, fixt.primaryKey, {softDelete: true})(reqIncludeDeleted, resIncludeDeleted,
+    sinon.spy())
+  t.true(resIncludeDeleted.send.calledWithMatch({name: fixt.rowToSoftDelete.name}), 'gets deleted row when asked')
+
+  const resRestore = {
+    send: sinon.spy()
+  }
+  await endpoint.restore(fixt.table, fixt.primaryKey)(req, resRestore, sinon.spy())
+  const restoredRow = await knex(fixt.table).where(fixt.primaryKey, fixt.rowToSoftDelete[fixt.primaryKey]).first()
+  t.true(resRestore.send.calledOnce, 'sends response')
+  t.true(restoredRow.deleted === null, 'restores row')
+})
+
 test('Default', async t => {
   const res = {
     send: sinon.spy()
@@ -0,0 +1,93 @@
+const errors = require('restify-errors')
+const sinon = require('sinon')
+const stream = require('stream')
+const test = require('ava')
+
+const exporter = require('../services/export')
+const fixt = require('./fixtures/export')
+
+// Create a response that collects what is written to it
+const createResponse = () => {
+  const res = new stream.PassThrough()
+  res.setHeader = sinon.spy()
+  res.removeHeader = sinon.spy()
+  res.body = ''
+  res.on('data', chunk => {
+    res.body += chunk
+  })
+  return res
+}
+
+// Create a query whose results are streamed from a list of rows
+const createQuery = rows => ({
+  stream: () => {
+    const results = new stream.PassThrough({objectMode: true})
+    rows.forEach(row => results.write(row))
+    results.end()
+    return results
+  }
+})
+
+test('Choose type', t => {
+  const req = {
+    accepts: sinon.stub().returns(exporter.types.csv)
+  }
+  t.true(exporter.chooseType(req) === exporter.types.csv, 'returns accepted type')
+  t.true(req.accepts.calledWith([exporter.types.csv, exporter.types.xlsx]), 'prefers CSV')
+})
+
+test('Custom field columns', t => {
+  const columns = exporter.customFieldColumns(fixt.customFields)
+  t.true(columns.length === fixt.customFields.length, 'creates column for each custom field')
+  t.true(columns[0].header === fixt.customFields[0].name, 'names column after custom field')
+})
+
+test('With custom fields', t => {
+  const queryBuilder = {
+    leftJoin: sinon.stub().returnsThis(),
+    select: sinon.stub().returnsThis()
+  }
+  const result = exporter.withCustomFields(queryBuilder, fixt.customFields)
+  t.true(result === queryBuilder, 'returns query builder')
+  t.true(queryBuilder.leftJoin.calledTwice, 'joins each custom field')
+  t.true(queryBuilder.select.calledWith('customField1.value as customField1'), 'selects value of custom field')
+})
+
+test('Send as CSV', async t => {
+  const req = {
+    accepts: sinon.stub().returns(exporter.types.csv)
+  }
+  const res = createResponse()
+  const next = sinon.spy()
+  await exporter.send(req, res, next, {filename: 'items', columns: fixt.columns, query: createQuery(fixt.rows)})
+
+  t.true(res.setHeader.calledWith('Content-Type', exporter.types.csv), 'sets content type')
+  t.true(res.body === fixt.csv, 'writes header and rows')
+  t.true(next.calledOnce, 'calls next handler')
+  t.false(next.calledWithMatch(sinon.match.instanceOf(Error)), 'does not throw error')
+})
+
+test('Send as XLSX', async t => {
+  const req = {
+    accepts: sinon.stub().returns(exporter.types.xlsx)
+  }
+  const res = createResponse()
+  const next = sinon.spy()
+  await exporter.send(req, res, next, {filename: 'items', columns: fixt.columns, query: createQuery(fixt.rows)})
+
+  t.true(res.setHeader.calledWith('Content-Type', exporter.types.xlsx), 'sets content type')
+  t.true(res.body.startsWith('PK'), 'writes zipped spreadsheet')
+  t.false(next.calledWithMatch(sinon.match.instanceOf(Error)), 'does not throw error')
+})
+
+test('Send unacceptable type', async t => {
+  const req = {
+    accepts: sinon.stub().returns(false)
+  }
+  const res = createResponse()
+  const next = sinon.spy()
+  await exporter.send(req, res, next, {filename: 'items', columns: fixt.columns, query: createQuery(fixt.rows)})
+
+  t.false(res.setHeader.called, 'does not start response')
+  t.true(next.calledWithMatch(sinon.match.instanceOf(errors.NotAcceptableError)), 'throws error')
+})
@@ -1,8 +1,10 @@
+const errors = require('restify-errors')
 const sinon = require('sinon')
 const test = require('ava')
 
 const fixt = require('./fixtures/filter-query')
 const filterQuery = require('../services/filter-query')
+const knex = require('./fixtures/knex-instance')
 
 test('Filter query', t => {
   const queryBuilder = {
@@ -36,3 +38,37 @@ test('Filter query when no params provided', t => {
   t.false(queryBuilder.where.called, 'has no effect when no params provided')
   t.is(result, queryBuilder, 'returns query builder')
 })
+
+// Columns of the parameters in the fixtures
+const columns = new Map([
+  ['categoryID', 'item.categoryID'],
+  ['brandID', 'brand.brandID'],
+  ['start', 'rental.start'],
+  ['canceled', 'rental.canceled'],
+  ['lastRented', 'rental.start']
+])
+
+test('Filter query with operators', t => {
+  const {sql, bindings} = filterQuery(knex('item'), fixt.operatorsReq, columns).toSQL()
+  t.is(sql, fixt.operatorsSQL, 'adds a condition for each operator')
+  t.deepEqual(bindings, fixt.operatorsBindings, 'filters with values of operators')
+})
+
+test('Filter query with not', t => {
+  const {sql} = filterQuery(knex('item'), fixt.notReq, columns).toSQL()
+  t.is(sql, fixt.notSQL, 'matches rows that do not match the operators or have no value')
+})
+
+test('Filter query with unknown operator', t => {
+  t.throws(() => filterQuery(knex('item'), fixt.unknownOperatorReq, columns), errors.BadRequestError)
+})
+
+test('Filter query by custom field', t => {
+  const {sql, bindings} = filterQuery.customFields(knex('item'), fixt.customFieldReq).toSQL()
+  t.is(sql, fixt.customFieldSQL, 'joins values of custom field and compares them as numbers')
+  t.deepEqual(bindings, ['42', '100'], 'filters by custom field')
+})
+
+test('Filter query by invalid custom field', t => {
+  t.throws(() => filterQuery.customFields(knex('item'), fixt.invalidCustomFieldReq), errors.BadRequestError)
+})
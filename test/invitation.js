@@ -0,0 +1,158 @@
+const errors = require('restify-errors')
+const proxyquire = require('proxyquire')
+const sinon = require('sinon')
+const test = require('ava')
+
+const fixt = require('./fixtures/invitation')
+const invitation = require('../controllers/invitation')
+const knex = require('./fixtures/knex-instance')
+
+/**
+ * Create an instance of the invitation controller that sends email with a stubbed Mailgun client
+ * @return {object} Contains invitation controller and Mailgun stub
+ */
+const createInvitationWithEmail = () => {
+  const mg = {
+    client: sinon.stub().returnsThis(),
+    messages: {
+      create: sinon.stub().resolves()
+    }
+  }
+  const email = proxyquire('../services/email', {'mailgun.js': mg})
+  return {
+    invitation: proxyquire('../controllers/invitation', {'../services/email': email}),
+    mg
+  }
+}
+
+// Create a request as an administrator of the test organization
+const createReq = (body = {}, params = {}) => {
+  return Object.assign({}, fixt.req, {
+    body,
+    params: Object.assign({}, fixt.req.params, params),
+    log: {
+      error: sinon.spy()
+    }
+  })
+}
+
+test.before(async t => {
+  const [organizationID] = await knex('organization').insert(fixt.organization)
+  fixt.organization.organizationID = organizationID
+  fixt.req.user.organizationID = organizationID
+  fixt.req.params.organizationID = String(organizationID)
+  fixt.user.organizationID = organizationID
+  const [userID] = await knex('user').insert(fixt.user)
+  fixt.user.userID = userID
+  fixt.req.user.userID = userID
+})
+
+test('Check organization', t => {
+  const next = sinon.spy()
+  invitation.checkOrganization(createReq(), null, next)
+  t.true(next.calledWithExactly(), 'next called with no args')
+
+  const nextOther = sinon.spy()
+  invitation.checkOrganization(createReq({}, {organizationID: fixt.otherOrganizationID}), null, nextOther)
+  t.true(nextOther.calledWithMatch(sinon.match.instanceOf(errors.ForbiddenError)), 'next called with error')
+})
+
+test.serial('Invite, list and revoke', async t => {
+  const {invitation: invitationWithEmail, mg} = createInvitationWithEmail()
+  const res = {
+    send: sinon.spy()
+  }
+  const next = sinon.spy()
+  await invitationWithEmail.create(createReq(fixt.invite), res, next)
+
+  t.false(next.calledWithMatch(sinon.match.instanceOf(Error)), 'no errors')
+  t.true(res.send.calledWithMatch(201, sinon.match.object), 'sent 201 response with object')
+  t.true(mg.messages.create.calledOnce, 'sends an email')
+  const [, token] = mg.messages.create.args[0][1].text.match(/token=([0-9a-f]+)/)
+  const {id} = res.send.args[0][1]
+  const row = await knex('invitation').where('invitationID', id).first()
+  t.true(row.roleID === fixt.invite.roleID, 'saves role')
+  t.not(row.tokenHash, token, 'token is not saved in plaintext')
+
+  // Inviting the same email address again replaces the invitation
+  const resAgain = {
+    send: sinon.spy()
+  }
+  await invitationWithEmail.create(createReq(fixt.invite), resAgain, sinon.spy())
+  const {id: idAgain} = resAgain.send.args[0][1]
+  t.truthy((await knex('invitation').where('invitationID', id).first()).revoked, 'revokes previous invitation')
+
+  const resList = {
+    send: sinon.spy()
+  }
+  await invitation.getAll(createReq(), resList, sinon.spy())
+  const {results} = resList.send.args[0][0]
+  t.true(results.length === 1, 'lists only pending invitations')
+  t.true(results[0].invitationID === idAgain, 'lists new invitation')
+  t.falsy(results[0].tokenHash, 'does not list token')
+
+  const resRevoke = {
+    send: sinon.spy()
+  }
+  const nextRevoke = sinon.spy()
+  await invitation.revoke(createReq({}, {invitationID: idAgain}), resRevoke, nextRevoke)
+  t.true(resRevoke.send.calledOnce, 'response sent')
+  t.truthy((await knex('invitation').where('invitationID', idAgain).first()).revoked, 'revokes invitation')
+
+  const nextRevokeAgain = sinon.spy()
+  await invitation.revoke(createReq({}, {invitationID: idAgain}), {send: sinon.spy()}, nextRevokeAgain)
+  t.true(nextRevokeAgain.calledWithMatch(sinon.match.instanceOf(errors.NotFoundError)),
+    'cannot revoke invitation twice')
+})
+
+test.serial('Invite when email cannot be sent', async t => {
+  const {invitation: invitationWithEmail} = createInvitationWithEmail()
+  const res = {
+    send: sinon.spy()
+  }
+  await invitationWithEmail.create(createReq(fixt.inviteFailing), res, sinon.spy())
+  const {id} = res.send.args[0][1]
+
+  const {invitation: invitationFailing, mg} = createInvitationWithEmail()
+  mg.messages.create.rejects(new Error('Mailgun is down'))
+  const resFailing = {
+    send: sinon.spy()
+  }
+  const next = sinon.spy()
+  await invitationFailing.create(createReq(fixt.inviteFailing), resFailing, next)
+  t.true(next.calledWithMatch(sinon.match.instanceOf(Error)), 'returns error')
+  t.false(resFailing.send.called, 'does not send response')
+  const rows = await knex('invitation').where('email', fixt.inviteFailing.email)
+  t.true(rows.length === 1, 'removes invitation that was not sent')
+  t.true(rows[0].invitationID === id && rows[0].revoked === null, 'keeps previous invitation')
+})
+
+test('Invite existing user', async t => {
+  const {invitation: invitationWithEmail, mg} = createInvitationWithEmail()
+  const next = sinon.spy()
+  await invitationWithEmail.create(createReq({email: fixt.user.email}), {send: sinon.spy()}, next)
+  t.true(next.calledWithMatch(sinon.match.instanceOf(errors.ConflictError)), 'returns error')
+  t.false(mg.messages.create.called, 'does not send an email')
+})
+
+test('Invite administrator without being administrator', async t => {
+  const {invitation: invitationWithEmail, mg} = createInvitationWithEmail()
+  const req = createReq(fixt.inviteAdmin)
+  req.user = Object.assign({}, req.user, fixt.manager)
+  const next = sinon.spy()
+  await invitationWithEmail.create(req, {send: sinon.spy()}, next)
+  t.true(next.calledWithMatch(sinon.match.instanceOf(errors.ForbiddenError)), 'returns error')
+  t.false(mg.messages.create.called, 'does not send an email')
+})
+
+test('Invite without email', t => {
+  const next = sinon.spy()
+  invitation.create(createReq(), null, next)
+  t.true(next.calledWithMatch(sinon.match.instanceOf(errors.BadRequestError)), 'returns error')
+})
+
+test.after.always(async t => {
+  await knex('invitation').where('organizationID', fixt.organization.organizationID).del()
+  await knex('user').where('userID', fixt.user.userID).del()
+  await knex('organization').where('organizationID', fixt.organization.organizationID).del()
+})
@@ -42,6 +42,19 @@ test.before(async t => {
   fixt.getCustomField.req.params.customFieldID = customFieldID
 
   await knex('itemCustomField').insert(fixt.getCustomFields.itemCustomField)
+
+  // Reserve one of the items
+  fixt.getAvailability.user.organizationID = organizationID
+  const [userID] = await knex('user').insert(fixt.getAvailability.user)
+  fixt.getAvailability.rental.organizationID = organizationID
+  fixt.getAvailability.rental.userID = userID
+  const [rentalID] = await knex('rental').insert(fixt.getAvailability.rental)
+  fixt.getAvailability.rental.rentalID = rentalID
+  await knex('rentalItem').insert({rentalID, barcode: fixt.getCustomFields.item.barcode})
+  fixt.getAvailability.req.user.organizationID = organizationID
+
+  fixt.importItems.req.user.organizationID = organizationID
+  fixt.importItems.reqDuplicate.user.organizationID = organizationID
 })
 
 test('With fields and filters', t => {
@@ -70,6 +83,7 @@ test('With active rental', t => {
   }
   const result = item.withActiveRental(fixt.activeRentalReq, queryBuilder)
   t.true(result === queryBuilder, 'returns query builder')
+  t.true(queryBuilder.where.calledWith('rental.canceled', null), 'skips canceled reservations')
 })
 
 test('For item', t => {
@@ -164,7 +178,87 @@ test('Update item custom field with invalid data', async t => {
   t.true(next.called, 'calls next handler')
   t.true(next.calledWithMatch(sinon.match.instanceOf(Error)), 'throws error')
 })
+test('Get item availability', async t => {
+  fixt.getAvailability.req.log = {
+    error: sinon.spy()
+  }
+  const res = {
+    send: sinon.spy()
+  }
+  const next = sinon.spy()
+  await item.getAvailability(fixt.getAvailability.req, res, next)
+
+  t.true(res.send.calledOnce, 'sends response')
+  t.false(next.calledWithMatch(sinon.match.instanceOf(Error)), 'does not throw error')
+
+  const {results} = res.send.firstCall.args[0]
+  const reserved = results.find(result => result.barcode === fixt.getCustomFields.item.barcode)
+  const free = results.find(result => result.barcode === fixt.updateCustomField.item.barcode)
+  t.false(reserved.availableForPeriod, 'reserved item is not available')
+  t.true(reserved.conflicts[0].rentalID === fixt.getAvailability.rental.rentalID, 'lists conflicting reservation')
+  t.true(free.availableForPeriod, 'other item is available')
+  t.true(free.conflicts.length === 0, 'other item has no conflicts')
+})
+test('Get item availability with invalid period', async t => {
+  const res = {
+    send: sinon.spy()
+  }
+  const next = sinon.spy()
+  await item.getAvailability(fixt.getAvailability.reqInvalid, res, next)
+
+  t.false(res.send.called, 'does not send response')
+  t.true(next.calledWithMatch(sinon.match.instanceOf(Error)), 'throws error')
+})
+test('Parse item import', t => {
+  const parsed = item.parseImport(fixt.importItems.rows, fixt.importItems.customFields)
+  t.true(parsed.unknownColumns.length === 0, 'matches custom fields and columns regardless of case')
+  t.true(parsed.rows[0].brand === fixt.importItems.rows[0].Brand, 'reads columns regardless of case')
+  t.true(parsed.rows[0].customFields.length === 2, 'reads custom field values')
+  t.true(parsed.errors.length === 1, 'only lists invalid rows')
+  t.true(parsed.errors[0].row === 2, 'numbers rows from one')
+  t.true(parsed.errors[0].errors.length === 3, 'lists duplicate barcode, missing column and invalid number')
+
+  const unknown = item.parseImport(fixt.importItems.rowsUnknownColumn, fixt.importItems.customFields)
+  t.deepEqual(unknown.unknownColumns, ['Color'], 'lists unknown columns')
+})
+test('Dry run item import with existing barcode', async t => {
+  const res = {
+    send: sinon.spy()
+  }
+  const next = sinon.spy()
+  await item.importItems(fixt.importItems.reqDuplicate, res, next)
+
+  t.true(res.send.calledWith(200), 'sends response')
+  t.false(next.calledWithMatch(sinon.match.instanceOf(Error)), 'does not throw error')
+  t.true(res.send.firstCall.args[1].errors[0].errors.includes('Barcode already exists'), 'lists existing barcode')
+})
+test('Import items', async t => {
+  const res = {
+    send: sinon.spy()
+  }
+  const next = sinon.spy()
+  await item.importItems(fixt.importItems.req, res, next)
+
+  t.true(res.send.calledOnce, 'sends response')
+  t.false(next.calledWithMatch(sinon.match.instanceOf(Error)), 'does not throw error')
+
+  const {items, created} = res.send.firstCall.args[0]
+  t.true(items === 2, 'imports every row')
+  t.true(created.brands.length === 1, 'creates brand once regardless of case')
+  t.true(created.models.length === 1, 'creates model')
+  t.true(created.categories.length === 1, 'creates category')
+
+  const imported = await knex('item').whereIn('barcode', fixt.importItems.req.body.map(row => row.barcode))
+  t.true(imported.length === 2, 'creates items')
+  t.true(imported[0].modelID === created.models[0].modelID, 'creates items of new model')
+})
 test.after.always(async t => {
+  await knex('item').whereIn('barcode', fixt.importItems.req.body.map(row => row.barcode)).del()
+  await knex('model').where('name', fixt.importItems.req.body[0].model).del()
+  await knex('brand').where('name', fixt.importItems.req.body[0].brand).del()
+  await knex('category').where('name', fixt.importItems.req.body[0].category).del()
+  await knex('rental').where('rentalID', fixt.getAvailability.rental.rentalID).del()
+  await knex('user').where('email', fixt.getAvailability.user.email).del()
   await knex('itemCustomField').where({
     barcode: fixt.updateCustomField.item.barcode,
     customFieldID: fixt.updateCustomField.customField.customFieldID
@@ -4,6 +4,34 @@ const test = require('ava')
 
 const fixt = require('./fixtures/kit')
 const kit = require('../controllers/kit')
+const knex = require('./fixtures/knex-instance')
+
+// Create a kit that needs two items of each of two models, where one item of the first model is rented and one item
+// of the second model is in a canceled reservation
+const createPartlyBookedKit = async () => {
+  const {partlyBooked} = fixt
+  const [organizationID] = await knex('organization').insert(partlyBooked.organization)
+  partlyBooked.organizationID = organizationID
+  const [userID] = await knex('user').insert(Object.assign({organizationID}, partlyBooked.user))
+  const [categoryID] = await knex('category').insert(Object.assign({organizationID}, partlyBooked.category))
+  const [brandID] = await knex('brand').insert(Object.assign({organizationID}, partlyBooked.brand))
+  const [kitID] = await knex('kit').insert(Object.assign({organizationID}, partlyBooked.kit))
+
+  const modelIDs = []
+  for (const [index, model] of partlyBooked.models.entries()) {
+    const [modelID] = await knex('model').insert(Object.assign({organizationID, brandID}, model))
+    modelIDs.push(modelID)
+    await knex('item').insert(partlyBooked.items[index].map(barcode => ({barcode, organizationID, modelID, categoryID})))
+    await knex('kitModel').insert({kitID, modelID, quantity: partlyBooked.quantities[index]})
+  }
+
+  for (const {barcode, ...details} of [partlyBooked.rental, partlyBooked.canceledRental]) {
+    const [rentalID] = await knex('rental').insert(Object.assign({organizationID, userID}, details))
+    await knex('rentalItem').insert({rentalID, barcode})
+  }
+
+  return {organizationID, kitID, modelIDs}
+}
 
 test('With model details', t => {
   const queryBuilder = {
@@ -50,3 +78,51 @@ test('Create kit model with no model ID', async t => {
   t.true(next.calledWithMatch(sinon.match.instanceOf(errors.BadRequestError)),
     'throws bad request error')
 })
+
+test('Get kit availability with missing period', async t => {
+  const res = {
+    send: sinon.spy()
+  }
+  const next = sinon.spy()
+  await kit.getAvailability(fixt.availabilityMissingPeriodReq, res, next)
+  t.true(next.calledWithMatch(sinon.match.instanceOf(errors.BadRequestError)),
+    'throws bad request error')
+  t.false(res.send.called, 'does not send response')
+})
+
+test('Get availability of partly booked kit', async t => {
+  const {organizationID, kitID, modelIDs: [bookedModelID, canceledModelID]} = await createPartlyBookedKit()
+  const getAvailability = async period => {
+    const res = {
+      send: sinon.spy()
+    }
+    const next = sinon.spy()
+    await kit.getAvailability({params: Object.assign({kitID}, period), user: {organizationID}}, res, next)
+    t.false(next.calledWithMatch(sinon.match.instanceOf(Error)), 'does not throw error')
+    return res.send.args[0][0]
+  }
+
+  const booked = await getAvailability(fixt.partlyBooked.booked)
+  t.false(booked.available, 'kit is not available while an item is rented')
+  const bookedModel = booked.models.find(model => model.modelID === bookedModelID)
+  t.is(bookedModel.total, 2, 'counts items of model')
+  t.is(bookedModel.availableNow, 1, 'counts items of model not rented now')
+  t.is(bookedModel.available, 1, 'counts items of model free for period')
+  t.is(bookedModel.shortfall, 1, 'lists shortfall of model')
+  const canceledModel = booked.models.find(model => model.modelID === canceledModelID)
+  t.is(canceledModel.available, 2, 'skips canceled reservations')
+  t.is(canceledModel.shortfall, 0, 'has no shortfall for model with enough items')
+
+  const free = await getAvailability(fixt.partlyBooked.free)
+  t.true(free.available, 'kit is available outside of rental')
+  t.true(free.models.every(model => model.shortfall === 0), 'has no shortfalls outside of rental')
+})
+
+test.after.always(async t => {
+  const {partlyBooked} = fixt
+  if (partlyBooked.organizationID) {
+    // Delete items first because they cause organization cascade delete to fail
+    await knex('item').where('organizationID', partlyBooked.organizationID).del()
+    await knex('organization').where('organizationID', partlyBooked.organizationID).del()
+  }
+})
@@ -0,0 +1,132 @@
+const moment = require('moment')
+const proxyquire = require('proxyquire')
+const sinon = require('sinon')
+const test = require('ava')
+
+const fixt = require('./fixtures/overdue')
+const knex = require('./fixtures/knex-instance')
+const overdue = require('../services/overdue')
+
+/**
+ * Create an instance of the service that sends email with a stubbed Mailgun client
+ * @return {object} Contains overdue service and Mailgun stub
+ */
+const createOverdueWithEmail = () => {
+  const mg = {
+    client: sinon.stub().returnsThis(),
+    messages: {
+      create: sinon.stub().resolves()
+    }
+  }
+  const email = proxyquire('../services/email', {'mailgun.js': mg})
+  return {
+    overdue: proxyquire('../services/overdue', {'./email': email}),
+    mg
+  }
+}
+
+test.before(async t => {
+  const [organizationID] = await knex('organization').insert(fixt.organization)
+  fixt.organization.organizationID = organizationID
+
+  fixt.user.organizationID = organizationID
+  const [userID] = await knex('user').insert(fixt.user)
+
+  fixt.externalRenter.organizationID = organizationID
+  const [externalRenterID] = await knex('externalRenter').insert(fixt.externalRenter)
+
+  fixt.category.organizationID = organizationID
+  const [categoryID] = await knex('category').insert(fixt.category)
+
+  fixt.brand.organizationID = organizationID
+  const [brandID] = await knex('brand').insert(fixt.brand)
+
+  fixt.model.organizationID = organizationID
+  fixt.model.brandID = brandID
+  const [modelID] = await knex('model').insert(fixt.model)
+
+  Object.assign(fixt.item, {organizationID, categoryID, modelID})
+  await knex('item').insert(fixt.item)
+
+  // Create a rental that ended yesterday
+  Object.assign(fixt.rental, {
+    organizationID,
+    userID,
+    externalRenterID,
+    start: moment().utc().subtract(10, 'days').format('YYYY-MM-DD HH:mm:ss'),
+    end: moment().utc().subtract(1, 'days').format('YYYY-MM-DD HH:mm:ss')
+  })
+  const [rentalID] = await knex('rental').insert(fixt.rental)
+  fixt.rental.rentalID = rentalID
+  await knex('rentalItem').insert({rentalID, barcode: fixt.item.barcode})
+})
+
+test('Overdue items', t => {
+  const queryBuilder = {
+    join: sinon.stub().returnsThis(),
+    where: sinon.stub().returnsThis(),
+    whereNull: sinon.stub().returnsThis()
+  }
+  const result = overdue.overdueItems(queryBuilder, fixt.organization.organizationID)
+  t.true(result === queryBuilder, 'returns query builder')
+  t.true(queryBuilder.where.calledWith('rental.organizationID', fixt.organization.organizationID),
+    'limits query to organization')
+})
+
+test('Create reminder', t => {
+  const content = overdue.createReminder(fixt.createReminder.rental)
+  t.truthy(content.title, 'has a title')
+  t.true(content.body.includes('Canon T5i (0000)'), 'lists items with brand and model')
+  t.true(content.body.includes('Item (1111)'), 'lists items with no model')
+})
+
+test.serial('Send reminders', async t => {
+  const {overdue: overdueWithEmail, mg} = createOverdueWithEmail()
+  await overdueWithEmail.sendReminders()
+
+  const recipients = mg.messages.create.args.map(([domain, data]) => data.to)
+  t.true(recipients.includes(fixt.user.email), 'emails renting user')
+  t.true(recipients.includes(fixt.externalRenter.email), 'emails external renter')
+
+  const rentalItem = await knex('rentalItem').where('rentalID', fixt.rental.rentalID).first()
+  t.truthy(rentalItem.reminderSent, 'records when reminder was sent')
+
+  // Run again to check that reminders are not sent twice
+  const {overdue: overdueAgain, mg: mgAgain} = createOverdueWithEmail()
+  await overdueAgain.sendReminders()
+
+  const recipientsAgain = mgAgain.messages.create.args.map(([domain, data]) => data.to)
+  t.false(recipientsAgain.includes(fixt.user.email), 'does not email renting user again')
+})
+
+test('Send reminders when some emails fail', async t => {
+  const {failingRentals} = fixt
+  const send = sinon.stub().callsFake(to => failingRentals.failingRecipients.includes(to)
+    ? Promise.reject(new Error('Recipient rejected'))
+    : Promise.resolve())
+  const query = {
+    where: sinon.stub().returnsThis(),
+    whereIn: sinon.stub().returnsThis(),
+    update: sinon.stub().resolves(1)
+  }
+  const db = Object.assign(sinon.stub().returns(query), {formatDate: () => failingRentals.now})
+  const log = {error: sinon.spy()}
+  const overdueFailing = proxyquire('../services/overdue', {'./db': db, './email': {send}, './log': log})
+  overdueFailing.getRentalsToRemind = sinon.stub().resolves(failingRentals.rentals)
+
+  const summary = await overdueFailing.sendReminders()
+
+  const [partlyFailing, failing, after] = failingRentals.rentals
+  t.true(send.calledWith(after.recipients[0]), 'reminds rentals after one that fails')
+  t.true(query.where.calledWith('rentalID', partlyFailing.rentalID), 'marks rental that someone was reminded about')
+  t.false(query.where.calledWith('rentalID', failing.rentalID), 'leaves rental that nobody was reminded about')
+  t.true(query.where.calledWith('rentalID', after.rentalID), 'marks rental after one that fails')
+  t.deepEqual(summary, {rentals: 2, emails: 2, failed: 2}, 'counts emails that failed')
+  t.true(log.error.calledTwice, 'logs each email that failed')
+})
+
+test.after.always(async t => {
+  // Delete items first because they cause organization cascade delete to fail
+  await knex('item').where('barcode', fixt.item.barcode).del()
+  await knex('organization').where('organizationID', fixt.organization.organizationID).del()
+})
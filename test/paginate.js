@@ -1,3 +1,4 @@
+const errors = require('restify-errors')
 const sinon = require('sinon')
 const test = require('ava')
 
@@ -59,17 +60,146 @@ test('Paginate query with no parameters', t => {
   t.false(queryBuilder.offset.called, 'offset is not called')
 })
 
+test('Paginate query after cursor', t => {
+  const queryBuilder = {
+    limit: sinon.spy(),
+    offset: sinon.spy()
+  }
+  const req = {
+    params: {limit: '2', after: paginate.encodeCursor(['Add Links Row 2'])}
+  }
+  paginate.paginateQuery(queryBuilder, req)
+  t.true(queryBuilder.limit.calledWith(2), 'limit is called')
+  t.false(queryBuilder.offset.called, 'offset is not called')
+})
+
+test('Paginate query with limit below one', t => {
+  const queryBuilder = {
+    limit: sinon.spy(),
+    offset: sinon.spy()
+  }
+  for (const limit of fixt.invalidLimits) {
+    t.throws(() => paginate.paginateQuery(queryBuilder, {params: {limit}}), errors.BadRequestError,
+      `rejects limit of ${limit}`)
+  }
+})
+
+test('Paginate query with invalid cursor', t => {
+  const queryBuilder = {
+    limit: sinon.spy(),
+    offset: sinon.spy()
+  }
+  const req = {
+    params: {limit: '2', after: fixt.invalidCursor}
+  }
+  t.throws(() => paginate.paginateQuery(queryBuilder, req), errors.BadRequestError)
+})
+
+test('Request without page', t => {
+  const req = {
+    params: {limit: '2', offset: '4', search: 'row'}
+  }
+  const withoutPage = paginate.withoutPage(req)
+  t.deepEqual(withoutPage.params, {search: 'row'}, 'keeps other parameters')
+  t.false(paginate.isPaginated(withoutPage), 'is not paginated')
+  t.true(paginate.isPaginated(req), 'original request is still paginated')
+})
+
+test('Count query', async t => {
+  const count = await paginate.countQuery(knex(fixt.table)
+    .where('organizationID', fixt.user.organizationID)
+    .where('name', 'like', fixt.countSearch)
+    .select('name')
+    .orderBy('name'))
+  t.is(count, 1, 'counts only rows that match')
+})
+
 test('Add links', async t => {
   const req = {
     params: fixt.addLinksParams,
     path: sinon.stub().returns(fixt.path),
+    getQuery: sinon.stub().returns('limit=2&offset=1'),
     user: fixt.user
   }
   const res = {
     links: sinon.spy()
   }
-  await paginate.addLinks(req, res, fixt.table)
+  const pagination = paginate.addLinks(req, res, fixt.rows.length, null)
   t.true(res.links.calledOnce, 'adds links to response')
+  t.deepEqual(pagination, {total: fixt.rows.length, next: null}, 'returns total and no next page')
+})
+
+test('Add links after cursor', t => {
+  const next = paginate.encodeCursor(['Add Links Row 2'])
+  const req = {
+    params: {limit: '1', after: paginate.encodeCursor(['Add Links Row 1'])},
+    path: sinon.stub().returns(fixt.path),
+    getQuery: sinon.stub().returns('limit=1&after=' + paginate.encodeCursor(['Add Links Row 1']))
+  }
+  const res = {
+    links: sinon.spy()
+  }
+  const pagination = paginate.addLinks(req, res, fixt.rows.length, next)
+  t.deepEqual(res.links.args[0][0], {first: `${fixt.path}?limit=1`, next: `${fixt.path}?limit=1&after=${next}`},
+    'links to first page and next page with cursor')
+  t.is(pagination.next, next, 'returns cursor of next page')
+})
+
+test('Keyset query', t => {
+  const page = {offset: 0, limit: 2, after: fixt.keysetAfter}
+  const {sql, bindings} = knex('item').select('item.*')
+    .modify(paginate.keysetQuery, page, paginate.sortByKey(fixt.keysetSortBy, 'item.barcode'))
+    .toSQL()
+  t.is(sql, fixt.keysetSQL, 'selects sort values and gets rows after cursor')
+  t.deepEqual(bindings, fixt.keysetBindings, 'compares values of cursor')
+})
+
+test.serial('Get pages of list after cursor', async t => {
+  // Sort rows by name, the only column that identifies them
+  const query = (request, sortBy = []) => sortBy.reduce(
+    (queryBuilder, {column, ascending}) => queryBuilder.orderBy(column, ascending ? 'asc' : 'desc'),
+    knex(fixt.table).where('organizationID', fixt.user.organizationID).select('name'))
+
+  const first = await paginate.getPageOf({params: {limit: '2'}}, query, [], 'name')
+  t.deepEqual(first.results.map(row => row.name), ['Add Links Row 1', 'Add Links Row 2'], 'gets first page')
+  t.is(first.total, fixt.rows.length, 'counts every row')
+
+  // Rows added before the cursor do not move the next page
+  await knex(fixt.table).insert(fixt.rowBeforeCursor)
+  const second = await paginate.getPageOf({params: {limit: '2', after: first.next}}, query, [], 'name')
+  t.deepEqual(second.results, [{name: 'Add Links Row 3'}], 'gets rows after cursor without their sort values')
+  t.is(second.next, null, 'has no next page')
+  await knex(fixt.table).where('name', fixt.rowBeforeCursor.name).del()
+})
+
+test('Add links with filters', t => {
+  const req = {
+    params: fixt.filteredParams,
+    path: sinon.stub().returns(fixt.path),
+    getQuery: sinon.stub().returns(fixt.filteredQuery)
+  }
+  const res = {
+    links: sinon.spy()
+  }
+  paginate.addLinks(req, res, fixt.filteredTotal, null)
+  t.deepEqual(res.links.args[0][0], fixt.filteredLinksExpected, 'keeps filters, search and sorting in links')
+})
+
+test('Add links with filters after cursor', t => {
+  const next = paginate.encodeCursor(['Add Links Row 2'])
+  const req = {
+    params: {limit: '1', after: paginate.encodeCursor(['Add Links Row 1']), sort: 'name'},
+    path: sinon.stub().returns(fixt.path),
+    getQuery: sinon.stub().returns(`sort=name&limit=1&after=${paginate.encodeCursor(['Add Links Row 1'])}`)
+  }
+  const res = {
+    links: sinon.spy()
+  }
+  paginate.addLinks(req, res, fixt.filteredTotal, next)
+  t.deepEqual(res.links.args[0][0], {
+    first: `${fixt.path}?sort=name&limit=1`,
+    next: `${fixt.path}?sort=name&limit=1&after=${next}`
+  }, 'keeps sorting in links, so the cursor matches the list')
 })
 
 test('Create links with no previous or next pages', t => {
@@ -100,6 +230,12 @@ test('Create links with next but not previous page', t => {
   t.deepEqual(links, fixt.linksNextExpected, 'creates links correctly')
 })
 
+test('Create links with string parameters', t => {
+  const links = paginate.createLinks(fixt.path, String(fixt.paramsNext.limit), String(fixt.paramsNext.offset),
+    fixt.paramsNext.count)
+  t.deepEqual(links, fixt.linksNextExpected, 'adds limit to offset instead of concatenating them')
+})
+
 test('Create links with no offset or total values', t => {
   const links = paginate.createLinks(fixt.path, fixt.noOffsetTotalLimit)
   t.deepEqual(links, fixt.linksNoOffsetTotalExpected, 'creates links correctly')
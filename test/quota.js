@@ -0,0 +1,81 @@
+const errors = require('restify-errors')
+const sinon = require('sinon')
+const test = require('ava')
+
+const fixt = require('./fixtures/quota')
+const knex = require('./fixtures/knex-instance')
+const quota = require('../services/quota')
+
+test.before(async t => {
+  const [organizationID] = await knex('organization').insert(fixt.organization)
+  fixt.organization.organizationID = organizationID
+
+  const [tierID] = await knex('tier').insert(fixt.tier)
+  fixt.tier.tierID = tierID
+
+  Object.assign(fixt.subscription, {organizationID, tierID})
+  await knex('subscription').insert(fixt.subscription)
+
+  await knex('item').insert(fixt.items.map(item => Object.assign(item, {organizationID})))
+
+  fixt.user.organizationID = organizationID
+  await knex('user').insert(fixt.user)
+
+  fixt.invitation.organizationID = organizationID
+  await knex('invitation').insert(fixt.invitation)
+})
+
+test('Get tier', async t => {
+  const tier = await quota.getTier(fixt.organization.organizationID)
+  t.is(tier.tierID, fixt.tier.tierID, 'gets tier of subscription')
+})
+
+test('Get default tier without subscription', async t => {
+  const tier = await quota.getTier(0)
+  t.is(tier.name, 'Standard', 'gets default tier')
+  t.is(tier.maxItems, null, 'has no limits')
+})
+
+test('Get usage', async t => {
+  const usage = await quota.getUsage(fixt.organization.organizationID)
+  t.deepEqual(usage, fixt.usage, 'counts resources, without deleted items and with pending invitations')
+})
+
+test('Check quota under limit', async t => {
+  await t.notThrows(quota.check(fixt.organization.organizationID, 'items'), 'allows adding an item')
+})
+
+test('Check quota over limit', async t => {
+  const err = await t.throws(quota.check(fixt.organization.organizationID, 'items', 2))
+  t.true(err instanceof errors.ForbiddenError, 'throws forbidden error')
+  t.true(err.message.includes(fixt.tier.name), 'names tier')
+
+  const usersErr = await t.throws(quota.check(fixt.organization.organizationID, 'users'))
+  t.true(usersErr instanceof errors.ForbiddenError, 'counts pending invitations as users')
+})
+
+test('Check quota with handler', async t => {
+  const req = {user: {organizationID: fixt.organization.organizationID}}
+  const next = sinon.spy()
+
+  await quota.checking('customFields')(req, null, next)
+
+  t.true(next.calledOnce, 'calls next handler')
+  t.true(next.calledWithMatch(sinon.match.instanceOf(errors.ForbiddenError)), 'throws forbidden error')
+})
+
+test('Check tier', async t => {
+  await t.notThrows(quota.checkTier(fixt.organization.organizationID, fixt.tier), 'allows tier it is within')
+
+  const err = await t.throws(quota.checkTier(fixt.organization.organizationID, fixt.smallerTier))
+  t.true(err instanceof errors.ForbiddenError, 'throws forbidden error')
+  t.true(err.message.includes('0 items and 1 users'), 'names limits that are exceeded')
+  t.false(err.message.includes('custom fields'), 'skips resources without limit')
+})
+
+test.after.always(async t => {
+  // Delete items first because they cause organization cascade delete to fail
+  await knex('item').whereIn('barcode', fixt.items.map(item => item.barcode)).del()
+  await knex('organization').where('organizationID', fixt.organization.organizationID).del()
+  await knex('tier').where('tierID', fixt.tier.tierID).del()
+})
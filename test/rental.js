@@ -6,6 +6,8 @@ const test = require('ava')
 const fixt = require('./fixtures/rental')
 const rental = require('../controllers/rental')
 const knex = require('./fixtures/knex-instance')
+const availability = require('../services/availability')
+const exporter = require('../services/export')
 
 test.before(async t => {
   // Create an organization
@@ -87,6 +89,44 @@ test('With external renter', t => {
   t.true(result === queryBuilder, 'returns query builder')
 })
 
+test('With overdue items', t => {
+  const queryBuilder = {
+    modify: sinon.stub().returnsThis(),
+    select: sinon.stub().returnsThis(),
+    join: sinon.stub().returnsThis(),
+    leftJoin: sinon.stub().returnsThis()
+  }
+  const result = rental.withOverdueItems({user: {organizationID: fixt.organization.organizationID}}, queryBuilder)
+  t.true(result === queryBuilder, 'returns query builder')
+  t.true(queryBuilder.modify.calledWith(sinon.match.func, fixt.organization.organizationID),
+    'limits items to overdue items in organization')
+})
+
+test('With filters', t => {
+  const queryBuilder = {
+    modify: sinon.stub().returnsThis()
+  }
+  const req = {params: {canceled: {null: 'true'}}}
+  const result = rental.withFilters(req, queryBuilder)
+  t.true(result === queryBuilder, 'returns query builder')
+  const filtersCanceled = sinon.match(params => params.get('canceled') === 'rental.canceled')
+  t.true(queryBuilder.modify.calledWith(sinon.match.func, req, filtersCanceled), 'filters by request query parameters')
+})
+
+test.serial('Export filtered rentals', async t => {
+  const send = sinon.stub(exporter, 'send').resolves()
+  const req = {
+    user: {organizationID: fixt.organization.organizationID},
+    params: {userID: String(fixt.user.userID), canceled: {null: 'true'}}
+  }
+  await rental.export(req, null, sinon.spy())
+  send.restore()
+
+  const sql = send.args[0][3].query.toString()
+  t.true(sql.includes(`\`rental\`.\`userID\` = '${fixt.user.userID}'`), 'filters by user')
+  t.true(sql.includes('`rental`.`canceled` is null'), 'filters by cancellation')
+})
+
 test('Create rental', async t => {
   fixt.create.req.user.organizationID = fixt.organization.organizationID
   fixt.create.req.user.userID = fixt.user.userID
@@ -161,11 +201,203 @@ test('Update rental (v2)', async t => {
   t.true(next.called, 'calls next handler')
 })
 
+test('Return items', async t => {
+  const {organizationID} = fixt.organization
+  Object.assign(fixt.returnItems.item, {
+    organizationID,
+    categoryID: fixt.category.categoryID,
+    modelID: fixt.model.modelID
+  })
+  await knex('item').insert(fixt.returnItems.item)
+
+  Object.assign(fixt.returnItems.rental, {
+    organizationID,
+    userID: fixt.user.userID,
+    start: moment().utc().subtract(1, 'days').format('YYYY-MM-DD'),
+    end: moment().utc().add(1, 'days').format('YYYY-MM-DD')
+  })
+  const [rentalID] = await knex('rental').insert(fixt.returnItems.rental)
+  await knex('rentalItem').insert({rentalID, barcode: fixt.returnItems.item.barcode})
+
+  fixt.returnItems.req.user.organizationID = organizationID
+  fixt.returnItems.req.log = {
+    error: sinon.spy()
+  }
+  const res = {
+    send: sinon.spy()
+  }
+  const next = sinon.spy()
+  await rental.returnItems(fixt.returnItems.req, res, next)
+  t.true(res.send.calledWithMatch({
+    returned: [fixt.returnItems.item.barcode],
+    alreadyReturned: [],
+    unknown: ['rental-return-unknown']
+  }), 'sends returned and unknown barcodes')
+  t.false(next.calledWithMatch(sinon.match.instanceOf(Error)), 'does not throw error')
+
+  const rentalItem = await knex('rentalItem').where({rentalID, barcode: fixt.returnItems.item.barcode}).first()
+  t.truthy(rentalItem.returned, 'sets return date')
+
+  // Returning the same item again lists it as already returned
+  const resAgain = {
+    send: sinon.spy()
+  }
+  await rental.returnItems(fixt.returnItems.req, resAgain, sinon.spy())
+  t.true(resAgain.send.calledWithMatch({alreadyReturned: [fixt.returnItems.item.barcode]}),
+    'sends already returned barcodes')
+})
+
+test('Return items (missing list of barcodes)', async t => {
+  const res = {
+    send: sinon.spy()
+  }
+  const next = sinon.spy()
+  await rental.returnItems({body: {}, user: {organizationID: fixt.organization.organizationID}}, res, next)
+  t.true(next.calledWithMatch(sinon.match.instanceOf(errors.BadRequestError)), 'throws error')
+  t.false(res.send.called, 'does not send response')
+})
+
+test('Match scanned items', t => {
+  const {reserved, scanned, barcodes, swaps} = fixt.matchScanned
+  t.deepEqual(rental.matchScanned(reserved, scanned, barcodes), swaps, 'swaps items of the same model')
+
+  const error = t.throws(() => rental.matchScanned(reserved, fixt.matchScanned.scannedWrongModel,
+    fixt.matchScanned.barcodesWrongModel))
+  t.deepEqual(error.details, {unknown: ['4444'], unexpected: ['3333'], missing: ['1111']},
+    'lists items that do not match')
+})
+
+/**
+ * Create items and a reservation of the first item for testing the checkout and cancel actions
+ * @param {object} items Items to create
+ * @param {object} reservation Reservation to create
+ * @return {Promise.<number>} Resolved by ID of reservation
+ */
+const createReservation = async (items, reservation) => {
+  for (const item of items) {
+    Object.assign(item, {
+      organizationID: fixt.organization.organizationID,
+      categoryID: fixt.category.categoryID,
+      modelID: fixt.model.modelID
+    })
+    await knex('item').insert(item)
+  }
+
+  Object.assign(reservation, {
+    organizationID: fixt.organization.organizationID,
+    userID: fixt.user.userID,
+    start: moment().utc().add(1, 'days').format('YYYY-MM-DD'),
+    end: moment().utc().add(2, 'days').format('YYYY-MM-DD')
+  })
+  const [rentalID] = await knex('rental').insert(reservation)
+  await knex('rentalItem').insert({rentalID, barcode: items[0].barcode})
+  return rentalID
+}
+
+test.serial('Check out reservation', async t => {
+  const rentalID = await createReservation(fixt.checkout.items, fixt.checkout.rental)
+  fixt.checkout.req.params.rentalID = rentalID
+  fixt.checkout.req.user.organizationID = fixt.organization.organizationID
+  fixt.checkout.req.log = {
+    error: sinon.spy()
+  }
+  const res = {
+    send: sinon.spy()
+  }
+  const next = sinon.spy()
+  await rental.checkout(fixt.checkout.req, res, next)
+  t.true(res.send.calledWithMatch({swapped: [{from: fixt.checkout.items[0].barcode, to: fixt.checkout.items[1].barcode}]}),
+    'sends swapped items')
+  t.false(next.calledWithMatch(sinon.match.instanceOf(Error)), 'does not throw error')
+
+  const row = await knex('rental').where('rentalID', rentalID).first()
+  t.false(Boolean(row.isReservation), 'is no longer a reservation')
+  const rentalItems = await knex('rentalItem').where('rentalID', rentalID)
+  t.deepEqual(rentalItems.map(rentalItem => rentalItem.barcode), [fixt.checkout.items[1].barcode],
+    'rents scanned item')
+
+  const resAgain = {
+    send: sinon.spy()
+  }
+  await rental.checkout(fixt.checkout.req, resAgain, sinon.spy())
+  t.true(resAgain.send.calledWith(409), 'cannot check out rental again')
+})
+
+test.serial('Cancel reservation', async t => {
+  const rentalID = await createReservation([fixt.cancel.item], fixt.cancel.rental)
+  fixt.cancel.req.params.rentalID = rentalID
+  fixt.cancel.req.user.organizationID = fixt.organization.organizationID
+  fixt.cancel.req.log = {
+    error: sinon.spy()
+  }
+  const res = {
+    send: sinon.spy()
+  }
+  const next = sinon.spy()
+  await rental.cancel(fixt.cancel.req, res, next)
+  t.true(res.send.calledOnce, 'sends response')
+  t.false(next.calledWithMatch(sinon.match.instanceOf(Error)), 'does not throw error')
+
+  const row = await knex('rental').where('rentalID', rentalID).first()
+  t.truthy(row.canceled, 'keeps reservation as canceled')
+  const rentalItem = await knex('rentalItem').where('rentalID', rentalID).first()
+  t.true(rentalItem.returned === null, 'does not mark item as returned')
+  const conflicts = await availability.getConflicts(fixt.organization.organizationID, fixt.cancel.rental.start,
+    fixt.cancel.rental.end, [fixt.cancel.item.barcode])
+  t.true(conflicts.length === 0, 'releases item')
+})
+
+test('Create rental with kits', async t => {
+  const {organizationID} = fixt.organization
+  const {kits} = fixt
+
+  // Create a model with only one item and kits that need one or two of it
+  Object.assign(kits.model, {organizationID, brandID: fixt.model.brandID})
+  const [modelID] = await knex('model').insert(kits.model)
+  Object.assign(kits.item, {organizationID, modelID, categoryID: fixt.category.categoryID})
+  await knex('item').insert(kits.item)
+  kits.kit.organizationID = organizationID
+  const [kitID] = await knex('kit').insert(kits.kit)
+  await knex('kitModel').insert({kitID, modelID, quantity: 1})
+  kits.kitShort.organizationID = organizationID
+  const [kitShortID] = await knex('kit').insert(kits.kitShort)
+  await knex('kitModel').insert({kitID: kitShortID, modelID, quantity: 2})
+
+  for (const req of [kits.req, kits.reqShort]) {
+    Object.assign(req.body, {userID: fixt.user.userID})
+    Object.assign(req.user, {organizationID, userID: fixt.user.userID})
+    req.log = {
+      error: sinon.spy()
+    }
+  }
+  kits.req.body.kits = [{kitID}]
+  kits.reqShort.body.kits = [{kitID: kitShortID}]
+
+  const res = {
+    send: sinon.spy()
+  }
+  const next = sinon.spy()
+  await rental.create(kits.req, res, next)
+  t.true(res.send.calledWithMatch({kitItems: [{kitID, modelID, barcode: kits.item.barcode}]}), 'picks item for kit')
+  t.false(next.calledWithMatch(sinon.match.instanceOf(Error)), 'does not throw error')
+
+  const resShort = {
+    send: sinon.spy()
+  }
+  await rental.create(kits.reqShort, resShort, sinon.spy())
+  t.true(resShort.send.calledWithMatch(409, {shortfalls: [{kitID: kitShortID, modelID, quantity: 2, available: 1}]}),
+    'lists models that are short')
+})
+
 test.after.always(async t => {
   // Delete items first because they cause organization cascade delete to fail
   for (const item of fixt.items) {
     await knex('item').where(item).del()
   }
+  await knex('item').where('barcode', fixt.returnItems.item.barcode).del()
+  for (const item of [...fixt.checkout.items, fixt.cancel.item, fixt.kits.item]) {
+    await knex('item').where('barcode', item.barcode).del()
+  }
   // Delete organization (and all associated entities, via relations)
   await knex('organization').where('organizationID', fixt.organization.organizationID).del()
 })
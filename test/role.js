@@ -0,0 +1,126 @@
+const errors = require('restify-errors')
+const sinon = require('sinon')
+const test = require('ava')
+
+const fixt = require('./fixtures/role')
+const knex = require('./fixtures/knex-instance')
+const role = require('../controllers/role')
+const user = require('../controllers/user')
+
+// Create a request as an administrator of the test organization
+const createReq = (body = {}, params = {}) => {
+  return Object.assign({}, fixt.req, {
+    body,
+    params,
+    log: {
+      error: sinon.spy()
+    }
+  })
+}
+
+// Create a response that keeps what is sent
+const createRes = () => ({
+  send: sinon.spy()
+})
+
+test.before(async t => {
+  const [organizationID] = await knex('organization').insert(fixt.organization)
+  fixt.organization.organizationID = organizationID
+  fixt.req.user.organizationID = organizationID
+  fixt.user.organizationID = organizationID
+  const [userID] = await knex('user').insert(fixt.user)
+  fixt.user.userID = userID
+  fixt.req.user.userID = userID
+})
+
+test.serial('Create, update and delete role', async t => {
+  const res = createRes()
+  const next = sinon.spy()
+  await role.create(createReq(fixt.create), res, next)
+  t.false(next.calledWithMatch(sinon.match.instanceOf(Error)), 'does not throw error')
+  const created = res.send.firstCall.args[1]
+  t.true(created.organizationID === fixt.organization.organizationID, 'creates role for organization')
+  t.deepEqual(created.permissions, ['item:create', 'item:update'], 'adds each permission once')
+
+  const updateRes = createRes()
+  await role.update(createReq(fixt.update, {roleID: created.roleID}), updateRes, sinon.spy())
+  const updated = updateRes.send.firstCall.args[0]
+  t.true(updated.name === fixt.create.name, 'keeps name')
+  t.deepEqual(updated.permissions, fixt.update.permissions, 'replaces permissions')
+
+  // Give the role to a user
+  const roleChangeNext = sinon.spy()
+  await user.checkRoleChange(createReq({roleID: created.roleID}), createRes(), roleChangeNext)
+  t.true(roleChangeNext.calledWithExactly(), 'allows giving custom role to user')
+  await knex('user').where('userID', fixt.user.userID).update({roleID: created.roleID})
+
+  const inUseNext = sinon.spy()
+  await role.delete(createReq({}, {roleID: created.roleID}), createRes(), inUseNext)
+  t.true(inUseNext.calledWithMatch(sinon.match.instanceOf(errors.ConflictError)), 'does not delete role in use')
+
+  await knex('user').where('userID', fixt.user.userID).update({roleID: fixt.user.roleID})
+  const deleteRes = createRes()
+  const deleteNext = sinon.spy()
+  await role.delete(createReq({}, {roleID: created.roleID}), deleteRes, deleteNext)
+  t.false(deleteNext.calledWithMatch(sinon.match.instanceOf(Error)), 'does not throw error')
+  t.true(deleteRes.send.calledOnce, 'sends response')
+  t.true((await knex('role').where('roleID', created.roleID)).length === 0, 'deletes role')
+})
+
+test('Create role with unknown permission', async t => {
+  const res = createRes()
+  const next = sinon.spy()
+  await role.create(createReq(fixt.createUnknown), res, next)
+  t.false(res.send.called, 'does not send response')
+  t.true(next.calledWithMatch(sinon.match.instanceOf(errors.BadRequestError)), 'throws error')
+  t.true((await knex('role').where('name', fixt.createUnknown.name)).length === 0, 'does not create role')
+})
+
+test('Update built-in role', async t => {
+  const next = sinon.spy()
+  await role.update(createReq(fixt.update, {roleID: fixt.builtInRoleID}), createRes(), next)
+  t.true(next.calledWithMatch(sinon.match.instanceOf(errors.ForbiddenError)), 'throws error')
+})
+
+test('Get all roles', async t => {
+  const res = createRes()
+  await role.getAll(createReq(), res, sinon.spy())
+  const {results} = res.send.firstCall.args[0]
+  t.true(results.every(result => result.builtIn || result.organizationID === fixt.organization.organizationID),
+    'only has built-in roles and roles of organization')
+  t.true(results.find(result => result.roleID === 1).permissions.includes('role:manage'),
+    'administrator has every permission')
+})
+
+test('Change role without permission', async t => {
+  const req = createReq({roleID: 1})
+  req.user = Object.assign({}, req.user, {roleID: fixt.user.roleID})
+  const next = sinon.spy()
+  await user.checkRoleChange(req, createRes(), next)
+  t.true(next.calledWithMatch(sinon.match.instanceOf(errors.ForbiddenError)), 'throws error')
+})
+
+test('Give administrator role without being administrator', async t => {
+  const req = createReq({roleID: 1})
+  req.user = Object.assign({}, req.user, fixt.manager)
+  const next = sinon.spy()
+  await user.checkRoleChange(req, createRes(), next)
+  t.true(next.calledWithMatch(sinon.match.instanceOf(errors.ForbiddenError)), 'throws error')
+})
+
+test('Create role with permissions the user does not have', async t => {
+  const req = createReq(fixt.createUngranted)
+  req.user = Object.assign({}, req.user, fixt.manager)
+  const res = createRes()
+  const next = sinon.spy()
+  await role.create(req, res, next)
+  t.false(res.send.called, 'does not send response')
+  t.true(next.calledWithMatch(sinon.match.instanceOf(errors.ForbiddenError)), 'throws error')
+  t.true((await knex('role').where('name', fixt.createUngranted.name)).length === 0, 'does not create role')
+})
+
+test.after.always(async t => {
+  await knex('role').where('organizationID', fixt.organization.organizationID).del()
+  await knex('user').where('userID', fixt.user.userID).del()
+  await knex('organization').where('organizationID', fixt.organization.organizationID).del()
+})
@@ -0,0 +1,21 @@
+const errors = require('restify-errors')
+const test = require('ava')
+
+const fixt = require('./fixtures/select-fields')
+const selectFields = require('../services/select-fields')
+
+test('Select fields', t => {
+  const names = selectFields.parse(fixt.req, fixt.fields)
+  t.deepEqual(selectFields.pick(fixt.results, names), fixt.expected, 'keeps only requested fields')
+})
+
+test('Select fields without fields parameter', t => {
+  const names = selectFields.parse({params: {}}, fixt.fields)
+  t.is(names, undefined, 'does not choose fields')
+  t.is(selectFields.pick(fixt.results, names), fixt.results, 'keeps every field')
+})
+
+test('Select unknown fields', t => {
+  const err = t.throws(() => selectFields.parse(fixt.unknownReq, fixt.fields), errors.BadRequestError)
+  t.true(err.message.includes('organizationID'), 'names the unknown field')
+})
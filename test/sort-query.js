@@ -0,0 +1,24 @@
+const errors = require('restify-errors')
+const test = require('ava')
+
+const fixt = require('./fixtures/sort-query')
+const sortQuery = require('../services/sort-query')
+
+test('Sort query', t => {
+  const sortBy = sortQuery(fixt.req, fixt.sortColumns, fixt.sortBy)
+  t.deepEqual(sortBy, fixt.expected, 'sorts by requested columns, then by the rest of the default')
+})
+
+test('Sort query without sort parameter', t => {
+  const sortBy = sortQuery({params: {}}, fixt.sortColumns, fixt.sortBy)
+  t.is(sortBy, fixt.sortBy, 'sorts by default')
+})
+
+test('Sort query by unknown name', t => {
+  const err = t.throws(() => sortQuery(fixt.unknownReq, fixt.sortColumns, fixt.sortBy), errors.BadRequestError)
+  t.true(err.message.includes('password'), 'names the unknown name')
+})
+
+test('Sort query of list that cannot be sorted', t => {
+  t.throws(() => sortQuery(fixt.req), errors.BadRequestError)
+})
@@ -0,0 +1,72 @@
+const moment = require('moment')
+const sinon = require('sinon')
+const test = require('ava')
+
+const fixt = require('./fixtures/subscription-policy')
+const policy = require('../services/subscription-policy')
+
+const now = moment.utc(fixt.now)
+
+test('Get state of current subscriptions', t => {
+  t.is(policy.getState(fixt.trial, now), policy.states.ACTIVE, 'trial is active')
+  t.is(policy.getState(fixt.valid, now), policy.states.ACTIVE, 'valid subscription is active')
+})
+
+test('Get state of lapsed subscriptions', t => {
+  t.is(policy.getState(fixt.validNotRenewed, now), policy.states.GRACE,
+    'valid subscription that was not renewed is in grace period')
+  t.is(policy.getState(fixt.expiredInGrace, now), policy.states.GRACE,
+    'recently expired subscription is in grace period')
+  t.is(policy.getState(fixt.expiredAfterGrace, now), policy.states.READ_ONLY, 'expired subscription is read-only')
+  t.is(policy.getState(fixt.canceledWithoutEnd, now), policy.states.READ_ONLY,
+    'canceled subscription without end is read-only')
+  t.is(policy.getState(undefined, now), policy.states.READ_ONLY, 'missing subscription is read-only')
+})
+
+test('Get state with configured grace period', t => {
+  const gracePeriod = process.env.SUBSCRIPTION_GRACE_DAYS
+
+  process.env.SUBSCRIPTION_GRACE_DAYS = '0'
+  t.is(policy.getState(fixt.expiredInGrace, now), policy.states.READ_ONLY, 'has no grace period')
+
+  process.env.SUBSCRIPTION_GRACE_DAYS = '60'
+  t.is(policy.getState(fixt.expiredAfterGrace, now), policy.states.GRACE, 'has longer grace period')
+
+  process.env.SUBSCRIPTION_GRACE_DAYS = gracePeriod
+})
+
+test('Allow requests', t => {
+  const get = {method: 'GET'}
+  const put = {method: 'PUT'}
+
+  t.true(policy.allows(policy.states.GRACE, put), 'allows changes in grace period')
+  t.true(policy.allows(policy.states.READ_ONLY, get), 'allows getting data when read-only')
+  t.false(policy.allows(policy.states.READ_ONLY, put), 'does not allow changes when read-only')
+  t.true(policy.allows(policy.states.READ_ONLY, put, true), 'allows changes allowed when read-only')
+  t.false(policy.allows(policy.states.UNKNOWN, put), 'does not allow changes when subscription is unknown')
+})
+
+test('Add header', async t => {
+  const req = {user: {organizationID: 1}, subscriptionState: policy.states.GRACE}
+  const res = {
+    header: sinon.spy()
+  }
+  const next = sinon.spy()
+
+  await policy.addHeader(req, res, next)
+
+  t.true(res.header.calledWith('Stockpile-Subscription', 'grace'), 'adds header')
+  t.true(next.calledOnce, 'calls next handler')
+})
+
+test('Add header without user', async t => {
+  const res = {
+    header: sinon.spy()
+  }
+  const next = sinon.spy()
+
+  await policy.addHeader({}, res, next)
+
+  t.false(res.header.called, 'does not add header')
+  t.true(next.calledOnce, 'calls next handler')
+})
@@ -3,7 +3,9 @@ require('dotenv-safe').load({
   allowEmptyValues: true
 })
 
+const crypto = require('crypto')
 const errors = require('restify-errors')
+const proxyquire = require('proxyquire')
 const sinon = require('sinon')
 const stripe = require('stripe')(process.env.STRIPE_SECRET)
 const test = require('ava')
@@ -40,6 +42,106 @@ const createSubscription = async () => {
   }
 }
 
+// Stripe webhooks are verified with this secret in tests
+process.env.STRIPE_WEBHOOK_SECRET = fixt.webhookSecret
+
+/**
+ * Create an instance of the subscription controller with a local fake Stripe client, which verifies signatures like
+ * Stripe but gets subscriptions without using the network
+ * @param {object} [stripeSubscription] Subscription that the fake client responds with, missing if the customer has no
+ *   subscription
+ * @return {object} Contains subscription controller and fake Stripe client
+ */
+const createControllerWithFakeStripe = (stripeSubscription) => {
+  const fakeStripe = {
+    customers: {
+      create: sinon.stub().resolves(fixt.stripeCustomer),
+      update: sinon.stub().resolves(fixt.stripeCustomer),
+      del: sinon.stub().resolves({deleted: true})
+    },
+    invoices: {
+      list: sinon.stub().resolves(fixt.stripeInvoices)
+    },
+    plans: {
+      retrieve: sinon.stub().callsFake(plan => Promise.resolve(fixt.stripePlans[plan]))
+    },
+    subscriptions: {
+      retrieve: sinon.stub().resolves(stripeSubscription),
+      list: sinon.stub().resolves({data: stripeSubscription ? [stripeSubscription] : []}),
+      create: sinon.stub().resolves(stripeSubscription),
+      update: sinon.stub().resolves(stripeSubscription),
+      del: sinon.stub().resolves(stripeSubscription)
+    },
+    webhooks: require('stripe/lib/Webhooks')
+  }
+  return {
+    subscriptionController: proxyquire('../controllers/subscription', {stripe: () => fakeStripe}),
+    fakeStripe
+  }
+}
+
+/**
+ * Create a Stripe event with a unique ID
+ * @param {string} type Type of event
+ * @param {string} objectID ID of the object of the event
+ * @return {object} Stripe event
+ */
+const createEvent = (type, objectID) => {
+  const event = {
+    id: `evt_${knex.randomizeName('subscription-hook')}`,
+    object: 'event',
+    type,
+    data: {
+      object: {id: objectID}
+    }
+  }
+  fixt.eventsToDelete.push(event.id)
+  return event
+}
+
+/**
+ * Create a webhook request for a Stripe event, signed like Stripe signs them
+ * @param {object} event Stripe event
+ * @param {string} [secret] Secret to sign with
+ * @return {object} Request with raw body and `Stripe-Signature` header
+ */
+const signEvent = (event, secret = fixt.webhookSecret) => {
+  const rawBody = JSON.stringify(event)
+  const timestamp = Math.floor(Date.now() / 1000)
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex')
+  return {
+    body: event,
+    rawBody,
+    headers: {
+      'stripe-signature': `t=${timestamp},v1=${signature}`
+    },
+    log: {
+      info: sinon.spy(),
+      warn: sinon.spy(),
+      error: sinon.spy()
+    }
+  }
+}
+
+/**
+ * Create a request to manage the subscription of an organization as its administrator
+ * @param {any} organizationID ID of organization
+ * @param {object} [body] Body of request
+ * @param {object} [query] Query string of request
+ * @return {object} Request
+ */
+const createBillingReq = (organizationID, body = {}, query = {}) => {
+  return {
+    params: {organizationID},
+    user: {userID: null, organizationID, roleID: 1},
+    body,
+    query,
+    log: {
+      error: sinon.spy()
+    }
+  }
+}
+
 /**
  * Check that a subscription matches the given parameters
  * @param {object} t Ava test utility object
@@ -94,9 +196,67 @@ test('With missing user data', async t => {
   const next = sinon.spy()
   await subscriptionController.subscription(fixt.missing.req, res, next)
 
-  t.true(next.calledWithMatch(
-    sinon.match.instanceOf(errors.InternalServerError)), 'throws internal server error')
+  t.true(res.send.calledWithMatch(400), 'responds with bad request')
+  t.deepEqual(res.send.args[0][1].errors.map(fieldError => fieldError.field),
+    ['user.firstName', 'user.lastName', 'user.email', 'user.password'], 'lists invalid fields')
+  t.false(next.calledWithMatch(sinon.match.instanceOf(Error)), 'does not throw error')
+  const organizations = await knex('organization').where('email', fixt.missing.req.body.organization.email)
+  t.is(organizations.length, 0, 'organization not created')
+})
+
+test('With email of existing user', async t => {
+  const {subscriptionController: controller, fakeStripe} = createControllerWithFakeStripe()
+  const [email] = await knex('user').limit(1).pluck('email')
+  const req = {
+    body: Object.assign({}, fixt.declined.req.body, {user: Object.assign({}, fixt.declined.req.body.user, {email})})
+  }
+  const res = {
+    send: sinon.spy()
+  }
+  const next = sinon.spy()
+  await controller.subscription(req, res, next)
+
+  t.true(res.send.calledWithMatch(400), 'responds with bad request')
+  t.deepEqual(res.send.args[0][1].errors.map(fieldError => fieldError.field), ['user.email'], 'lists invalid email')
+  t.false(fakeStripe.customers.create.called, 'Stripe customer not created')
+})
+
+test('With invalid email', async t => {
+  const {subscriptionController: controller, fakeStripe} = createControllerWithFakeStripe()
+  const req = {
+    body: Object.assign({}, fixt.declined.req.body, {organization: fixt.invalidEmail.organization})
+  }
+  const res = {
+    send: sinon.spy()
+  }
+  const next = sinon.spy()
+  await controller.subscription(req, res, next)
+
+  t.true(res.send.calledWithMatch(400), 'responds with bad request')
+  t.deepEqual(res.send.args[0][1].errors.map(fieldError => fieldError.field), ['organization.email'], 'lists invalid email')
+  t.false(fakeStripe.customers.create.called, 'Stripe customer not created')
+})
+
+test('Deletes Stripe customer when signup fails', async t => {
+  const {subscriptionController: controller, fakeStripe} = createControllerWithFakeStripe()
+  fakeStripe.subscriptions.create.rejects(Object.assign(new Error('Stripe is unavailable'), {type: 'StripeAPIError'}))
+  const req = {
+    body: fixt.failed.req.body,
+    log: {
+      error: sinon.spy()
+    }
+  }
+  const res = {
+    send: sinon.spy()
+  }
+  const next = sinon.spy()
+  await controller.subscription(req, res, next)
+
+  t.true(next.calledWithMatch(sinon.match.instanceOf(errors.InternalServerError)), 'throws internal server error')
   t.false(res.send.called, 'response not sent')
+  t.true(fakeStripe.customers.del.calledWith(fixt.stripeCustomer.id), 'Stripe customer deleted')
+  const organizations = await knex('organization').where('email', fixt.failed.req.body.organization.email)
+  t.is(organizations.length, 0, 'organization not created')
 })
 
 test('With declined card', async t => {
@@ -111,32 +271,52 @@ test('With declined card', async t => {
   t.false(res.send.called, 'response not sent')
 })
 
-test('Subscription hook with missing customer', async t => {
+test.serial('Subscription hook without secret', async t => {
+  // Serial, since the secret is missing for every test while this runs
+  const secret = process.env.STRIPE_WEBHOOK_SECRET
+  process.env.STRIPE_WEBHOOK_SECRET = ''
+  const {subscriptionController: controller} = createControllerWithFakeStripe()
   const next = sinon.spy()
-  await subscriptionController.subscriptionHook(fixt.hookMissingCustomerReq, null, next)
+  await controller.subscriptionHook(signEvent(createEvent('customer.subscription.updated', 'sub_unknown')), null,
+    next)
+  process.env.STRIPE_WEBHOOK_SECRET = secret
 
-  t.true(next.calledWithMatch(
-    sinon.match.instanceOf(errors.BadRequestError)), 'throws bad request error')
+  t.true(next.calledWithMatch(sinon.match.instanceOf(errors.InternalServerError)), 'throws internal server error')
 })
 
-test('Subscription canceled', async t => {
-  const {organizationID, stripeCustomer} = await createSubscription()
+test('Subscription hook with invalid signature', async t => {
+  const {subscriptionController: controller, fakeStripe} = createControllerWithFakeStripe()
+  const req = signEvent(createEvent('customer.subscription.updated', 'sub_unknown'), 'not-the-secret')
+  const next = sinon.spy()
+  await controller.subscriptionHook(req, null, next)
 
-  // Get subscription
-  const subscriptions = await stripe.subscriptions.list({customer: stripeCustomer})
-  const subscriptionID = subscriptions.data[0].id
+  t.true(next.calledWithMatch(sinon.match.instanceOf(errors.BadRequestError)), 'throws bad request error')
+  t.false(fakeStripe.subscriptions.retrieve.called, 'does not get subscription from Stripe')
+})
 
-  // Cancel subscription
-  await stripe.subscriptions.del(subscriptionID)
+test('Subscription hook ignores other events', async t => {
+  const {subscriptionController: controller, fakeStripe} = createControllerWithFakeStripe()
+  const res = {
+    send: sinon.spy()
+  }
+  const next = sinon.spy()
+  await controller.subscriptionHook(signEvent(createEvent('charge.refunded', 'ch_unknown')), res, next)
+
+  t.true(res.send.calledWith(200), 'sends success response')
+  t.false(fakeStripe.subscriptions.retrieve.called, 'does not get subscription from Stripe')
+})
 
-  // Add created customer ID to request body for endpoint to use
-  fixt.hookCanceledReq.body.data.object.customer = stripeCustomer
+test('Subscription canceled', async t => {
+  const {organizationID, stripeCustomer} = await createSubscription()
+  const {subscriptionController: controller} = createControllerWithFakeStripe(
+    Object.assign({}, fixt.stripeSubscriptions.canceled, {customer: stripeCustomer}))
 
   const res = {
     send: sinon.spy()
   }
   const next = sinon.spy()
-  await subscriptionController.subscriptionHook(fixt.hookCanceledReq, res, next)
+  await controller.subscriptionHook(signEvent(createEvent('customer.subscription.deleted',
+    fixt.stripeSubscriptions.canceled.id)), res, next)
 
   t.true(res.send.calledWith(200), 'sends success response')
   t.false(next.calledWithMatch(sinon.match.instanceOf(Error)), 'does not throw error')
@@ -145,15 +325,15 @@ test('Subscription canceled', async t => {
 
 test('Subscription trialing', async t => {
   const {organizationID, stripeCustomer} = await createSubscription()
-
-  // Add created customer ID to request body for endpoint to use
-  fixt.hookTrialingReq.body.data.object.customer = stripeCustomer
+  const {subscriptionController: controller} = createControllerWithFakeStripe(
+    Object.assign({}, fixt.stripeSubscriptions.trialing, {customer: stripeCustomer}))
 
   const res = {
     send: sinon.spy()
   }
   const next = sinon.spy()
-  await subscriptionController.subscriptionHook(fixt.hookTrialingReq, res, next)
+  await controller.subscriptionHook(signEvent(createEvent('customer.subscription.created',
+    fixt.stripeSubscriptions.trialing.id)), res, next)
 
   t.true(res.send.calledWith(200), 'sends success response')
   t.false(next.calledWithMatch(sinon.match.instanceOf(Error)), 'does not throw error')
@@ -162,30 +342,251 @@ test('Subscription trialing', async t => {
 
 test('Subscription trialing to subscription active', async t => {
   const {organizationID, stripeCustomer} = await createSubscription()
+  const {subscriptionController: controller, fakeStripe} = createControllerWithFakeStripe(
+    Object.assign({}, fixt.stripeSubscriptions.active, {customer: stripeCustomer}))
+
+  // Invoices refer to their subscription instead of being one
+  const event = createEvent('invoice.payment_succeeded', 'in_unknown')
+  event.data.object.subscription = fixt.stripeSubscriptions.active.id
 
-  // Get subscription
-  const subscriptions = await stripe.subscriptions.list({customer: stripeCustomer})
-  const subscriptionID = subscriptions.data[0].id
+  const res = {
+    send: sinon.spy()
+  }
+  const next = sinon.spy()
+  await controller.subscriptionHook(signEvent(event), res, next)
+
+  t.true(res.send.calledWith(200), 'sends success response')
+  t.false(next.calledWithMatch(sinon.match.instanceOf(Error)), 'does not throw error')
+  t.true(fakeStripe.subscriptions.retrieve.calledWith(fixt.stripeSubscriptions.active.id),
+    'gets subscription of invoice from Stripe')
+  await checkSubscriptionStatus(t, organizationID, true, 'VALID')
 
-  // End trial
-  await stripe.subscriptions.update(subscriptionID, {
-    trial_end: 'now'
-  })
+  // Stripe sends the same event again
+  const resAgain = {
+    send: sinon.spy()
+  }
+  await controller.subscriptionHook(signEvent(event), resAgain, sinon.spy())
+  t.true(resAgain.send.calledWith(200), 'acknowledges duplicate event')
+  t.true(fakeStripe.subscriptions.retrieve.calledOnce, 'handles event once')
+})
 
-  // Add created customer ID to request body for endpoint to use
-  fixt.hookTrialToActiveReq.body.data.object.customer = stripeCustomer
+test('Update card', async t => {
+  const {organizationID, stripeCustomer} = await createSubscription()
+  const {subscriptionController: controller, fakeStripe} = createControllerWithFakeStripe()
 
   const res = {
     send: sinon.spy()
   }
   const next = sinon.spy()
-  await subscriptionController.subscriptionHook(fixt.hookTrialToActiveReq, res, next)
+  await controller.updateCard(createBillingReq(organizationID, {token: 'tok_visa'}), res, next)
 
-  t.true(res.send.calledWith(200), 'sends success response')
+  t.true(fakeStripe.customers.update.calledWith(stripeCustomer, {source: 'tok_visa'}), 'replaces card in Stripe')
+  t.deepEqual(res.send.args[0][0].card, {brand: 'Visa', last4: '4242', expMonth: 8, expYear: 2021},
+    'sends new default card')
+  t.true(next.calledOnce, 'next called')
+  t.false(next.calledWithMatch(sinon.match.instanceOf(Error)), 'does not throw error')
+})
+
+test('Update card without token', async t => {
+  const {subscriptionController: controller, fakeStripe} = createControllerWithFakeStripe()
+  const next = sinon.spy()
+  await controller.updateCard(createBillingReq(0), null, next)
+
+  t.true(next.calledWithMatch(sinon.match.instanceOf(errors.BadRequestError)), 'throws bad request error')
+  t.false(fakeStripe.customers.update.called, 'does not update Stripe customer')
+})
+
+test('Update card of another organization', async t => {
+  const {organizationID} = await createSubscription()
+  const {subscriptionController: controller, fakeStripe} = createControllerWithFakeStripe()
+
+  const req = createBillingReq(organizationID, {token: 'tok_visa'})
+  req.user.organizationID = organizationID + 1
+  const next = sinon.spy()
+  await controller.updateCard(req, null, next)
+
+  t.true(next.calledWithMatch(sinon.match.instanceOf(errors.NotFoundError)), 'throws not found error')
+  t.false(fakeStripe.customers.update.called, 'does not update Stripe customer')
+})
+
+test('Change plan', async t => {
+  const {organizationID} = await createSubscription()
+  const {subscriptionController: controller, fakeStripe} = createControllerWithFakeStripe(
+    fixt.stripeSubscriptions.active)
+  fakeStripe.subscriptions.update.resolves(fixt.stripeSubscriptions.annual)
+
+  const res = {
+    send: sinon.spy()
+  }
+  const next = sinon.spy()
+  await controller.changePlan(createBillingReq(organizationID, {plan: 'annual'}), res, next)
+
+  t.true(fakeStripe.subscriptions.update.calledWith(fixt.stripeSubscriptions.active.id, {
+    items: [{id: fixt.stripeSubscriptions.active.items.data[0].id, plan: 'annual'}]
+  }), 'changes plan in Stripe')
+  t.is(res.send.args[0][0].subscription.plan, 'annual', 'sends new plan')
+  t.false(next.calledWithMatch(sinon.match.instanceOf(Error)), 'does not throw error')
+  await checkSubscriptionStatus(t, organizationID, true, 'VALID')
+})
+
+test('Change to unknown plan', async t => {
+  const {subscriptionController: controller, fakeStripe} = createControllerWithFakeStripe(
+    fixt.stripeSubscriptions.active)
+  const next = sinon.spy()
+  await controller.changePlan(createBillingReq(0, {plan: 'weekly'}), null, next)
+
+  t.true(next.calledWithMatch(sinon.match.instanceOf(errors.BadRequestError)), 'throws bad request error')
+  t.false(fakeStripe.subscriptions.update.called, 'does not update Stripe subscription')
+})
+
+test('Change plan of ended subscription', async t => {
+  const {organizationID} = await createSubscription()
+  const {subscriptionController: controller, fakeStripe} = createControllerWithFakeStripe()
+  const next = sinon.spy()
+  await controller.changePlan(createBillingReq(organizationID, {plan: 'annual'}), null, next)
+
+  t.true(next.calledWithMatch(sinon.match.instanceOf(errors.ConflictError)), 'throws conflict error')
+  t.false(fakeStripe.subscriptions.update.called, 'does not update Stripe subscription')
+})
+
+test('Cancel at end of period', async t => {
+  const {organizationID} = await createSubscription()
+  const {subscriptionController: controller, fakeStripe} = createControllerWithFakeStripe(
+    fixt.stripeSubscriptions.active)
+  fakeStripe.subscriptions.del.resolves(fixt.stripeSubscriptions.canceling)
+
+  const res = {
+    send: sinon.spy()
+  }
+  const next = sinon.spy()
+  await controller.cancel(createBillingReq(organizationID), res, next)
+
+  t.true(fakeStripe.subscriptions.del.calledWith(fixt.stripeSubscriptions.active.id, {at_period_end: true}),
+    'cancels at end of period in Stripe')
+  t.true(res.send.args[0][0].subscription.cancelAtPeriodEnd, 'sends that subscription will be canceled')
+  t.false(next.calledWithMatch(sinon.match.instanceOf(Error)), 'does not throw error')
+  // The subscription is still valid until the end of the period
+  await checkSubscriptionStatus(t, organizationID, true, 'VALID')
+})
+
+test('Reactivate canceled subscription', async t => {
+  const {organizationID} = await createSubscription()
+  const {subscriptionController: controller, fakeStripe} = createControllerWithFakeStripe(
+    fixt.stripeSubscriptions.canceling)
+  fakeStripe.subscriptions.update.resolves(fixt.stripeSubscriptions.active)
+
+  const res = {
+    send: sinon.spy()
+  }
+  const next = sinon.spy()
+  await controller.reactivate(createBillingReq(organizationID), res, next)
+
+  t.true(fakeStripe.subscriptions.update.calledWith(fixt.stripeSubscriptions.canceling.id, {
+    items: [{id: fixt.stripeSubscriptions.canceling.items.data[0].id, plan: 'monthly'}]
+  }), 'undoes cancellation in Stripe')
+  t.false(fakeStripe.subscriptions.create.called, 'does not subscribe again')
+  t.false(res.send.args[0][0].subscription.cancelAtPeriodEnd, 'sends that subscription will not be canceled')
+  t.false(next.calledWithMatch(sinon.match.instanceOf(Error)), 'does not throw error')
+})
+
+test('Reactivate ended subscription', async t => {
+  const {organizationID, stripeCustomer} = await createSubscription()
+  const {subscriptionController: controller, fakeStripe} = createControllerWithFakeStripe()
+  fakeStripe.subscriptions.create.resolves(Object.assign({}, fixt.stripeSubscriptions.annual,
+    {customer: stripeCustomer}))
+
+  const res = {
+    send: sinon.spy()
+  }
+  const next = sinon.spy()
+  await controller.reactivate(createBillingReq(organizationID, {plan: 'annual'}), res, next)
+
+  t.true(fakeStripe.subscriptions.create.calledWith({customer: stripeCustomer, items: [{plan: 'annual'}]}),
+    'subscribes again in Stripe')
   t.false(next.calledWithMatch(sinon.match.instanceOf(Error)), 'does not throw error')
   await checkSubscriptionStatus(t, organizationID, true, 'VALID')
 })
 
+test('Reactivate subscription that is not canceled', async t => {
+  const {organizationID} = await createSubscription()
+  const {subscriptionController: controller, fakeStripe} = createControllerWithFakeStripe(
+    fixt.stripeSubscriptions.active)
+  const next = sinon.spy()
+  await controller.reactivate(createBillingReq(organizationID), null, next)
+
+  t.true(next.calledWithMatch(sinon.match.instanceOf(errors.ConflictError)), 'throws conflict error')
+  t.false(fakeStripe.subscriptions.update.called, 'does not update Stripe subscription')
+})
+
+test('Get invoices', async t => {
+  const {organizationID, stripeCustomer} = await createSubscription()
+  const {subscriptionController: controller, fakeStripe} = createControllerWithFakeStripe()
+
+  const res = {
+    send: sinon.spy()
+  }
+  const next = sinon.spy()
+  await controller.getInvoices(createBillingReq(organizationID, {}, {limit: '1', after: 'in_newer'}), res, next)
+
+  t.true(fakeStripe.invoices.list.calledWith({customer: stripeCustomer, limit: 1, starting_after: 'in_newer'}),
+    'gets page of invoices from Stripe')
+  t.deepEqual(res.send.args[0][0], {results: [fixt.invoice], hasMore: true}, 'sends invoices')
+  t.false(next.calledWithMatch(sinon.match.instanceOf(Error)), 'does not throw error')
+})
+
+test('Change plan to another tier', async t => {
+  const {organizationID} = await createSubscription()
+  const {subscriptionController: controller, fakeStripe} = createControllerWithFakeStripe(
+    fixt.stripeSubscriptions.active)
+  fakeStripe.subscriptions.update.resolves(fixt.stripeSubscriptions.smallTeam)
+
+  const next = sinon.spy()
+  await controller.changePlan(createBillingReq(organizationID, {plan: 'small-team-monthly'}), {send: sinon.spy()},
+    next)
+
+  t.false(next.calledWithMatch(sinon.match.instanceOf(Error)), 'does not throw error')
+  const [tier] = await knex('subscription')
+    .where('organizationID', organizationID)
+    .join('tier', 'subscription.tierID', 'tier.tierID')
+    .pluck('tier.name')
+  t.is(tier, 'Small Team', 'changes tier to tier of plan')
+})
+
+test('Change plan to tier with lower limits than usage', async t => {
+  const {organizationID} = await createSubscription()
+  const {subscriptionController: controller, fakeStripe} = createControllerWithFakeStripe(
+    fixt.stripeSubscriptions.active)
+
+  // The Small Team tier allows 5 users, and the organization already has 1
+  await knex('user').insert(Array.from({length: 5}, () => Object.assign({}, fixt.extraUser, {
+    email: `${knex.randomizeName('subscription-extra')}@stockpileapp.co`,
+    organizationID
+  })))
+
+  const next = sinon.spy()
+  await controller.changePlan(createBillingReq(organizationID, {plan: 'small-team-monthly'}), {send: sinon.spy()},
+    next)
+
+  t.true(next.calledWithMatch(sinon.match.instanceOf(errors.ForbiddenError)), 'throws forbidden error')
+  t.true(next.args[0][0].message.includes('6 users'), 'names resource over the limit')
+  t.false(fakeStripe.subscriptions.update.called, 'does not update Stripe subscription')
+})
+
+test('Get usage', async t => {
+  const {organizationID} = await createSubscription()
+
+  const res = {
+    send: sinon.spy()
+  }
+  const next = sinon.spy()
+  await subscriptionController.getUsage(createBillingReq(organizationID), res, next)
+
+  const usage = res.send.args[0][0]
+  t.is(usage.tier, 'Standard', 'sends tier')
+  t.deepEqual(usage.users, {used: 1, limit: null}, 'counts users against limit')
+  t.false(next.calledWithMatch(sinon.match.instanceOf(Error)), 'does not throw error')
+})
+
 test.after.always('Clean up created data', async t => {
   const customers = await stripe.customers.list()
 
@@ -194,6 +595,8 @@ test.after.always('Clean up created data', async t => {
     await knex('organization').where('organizationID', organizationID).del()
   }
 
+  await knex('stripeEvent').whereIn('eventID', fixt.eventsToDelete).del()
+
   // Delete organization by email address, because IDs were not returned from failed subscription
   await knex('organization').where('email', fixt.missing.req.body.organization.email).del()
 
@@ -4,6 +4,7 @@ const test = require('ava')
 
 const fixt = require('./fixtures/user')
 const knex = require('./fixtures/knex-instance')
+const session = require('../services/session')
 const user = require('../controllers/user')
 
 test.before('Insert data', async t => {
@@ -64,6 +65,22 @@ test('Change password', async t => {
     'password is not updated')
 })
 
+test('Update user cannot change organization', t => {
+  const req = {
+    params: {userID: fixt.user.userID},
+    body: {firstName: 'Moved', organizationID: fixt.user.organizationID + 1},
+    user: {userID: fixt.user.userID, organizationID: fixt.user.organizationID}
+  }
+  const next = sinon.spy()
+  user.checkUpdatable(req, null, next)
+  t.true(next.calledWithMatch(sinon.match.instanceOf(errors.BadRequestError)), 'throws bad request error')
+  t.true(next.args[0][0].message.includes('organizationID'), 'names column that cannot be updated')
+
+  const nextAllowed = sinon.spy()
+  user.checkUpdatable(Object.assign({}, req, {body: {firstName: 'Renamed'}}), null, nextAllowed)
+  t.true(nextAllowed.calledWithExactly(), 'allows updating name')
+})
+
 test('Rentals for user', t => {
   const queryBuilder = {
     where: sinon.stub().returnsThis()
@@ -72,6 +89,54 @@ test('Rentals for user', t => {
   t.true(result === queryBuilder, 'returns query builder')
 })
 
+test('Sessions', async t => {
+  const req = fixt.reqForSessions
+  req.params.userID = fixt.user.userID
+  req.user.organizationID = fixt.user.organizationID
+  req.log = {error: sinon.spy()}
+  const sessionIDs = await Promise.all(fixt.sessionTokens.map(token =>
+    session.create(fixt.user.userID, token, {headers: {'user-agent': 'Session Test'}})))
+  req.user.sessionID = sessionIDs[0]
+
+  const res = {
+    send: sinon.spy()
+  }
+  const next = sinon.spy()
+  await user.getSessions(req, res, next)
+  const {results} = res.send.firstCall.args[0]
+  t.is(results.length, 2, 'responds with sessions')
+  t.true(results.find(row => row.sessionID === sessionIDs[0]).current, 'marks current session')
+  t.false(results.find(row => row.sessionID === sessionIDs[1]).current, 'does not mark other sessions')
+
+  const resRevoke = {
+    send: sinon.spy()
+  }
+  const nextRevoke = sinon.spy()
+  await user.revokeSession(Object.assign({}, req, {params: {userID: fixt.user.userID, sessionID: sessionIDs[1]}}),
+    resRevoke, nextRevoke)
+  t.true(resRevoke.send.calledWithMatch({id: sessionIDs[1]}), 'revokes session')
+
+  const nextMissing = sinon.spy()
+  await user.revokeSession(Object.assign({}, req, {params: {userID: fixt.user.userID, sessionID: sessionIDs[1]}}),
+    {send: sinon.spy()}, nextMissing)
+  t.true(nextMissing.calledWithMatch(sinon.match.instanceOf(errors.NotFoundError)),
+    'returns error when session is already revoked')
+
+  const resRevokeAll = {
+    send: sinon.spy()
+  }
+  await user.revokeSessions(req, resRevokeAll, sinon.spy())
+  t.true(resRevokeAll.send.calledWithMatch({revoked: 1}), 'revokes remaining sessions')
+  const remaining = await knex('session').where('userID', fixt.user.userID).modify(session.active)
+  t.is(remaining.length, 0, 'no sessions remain')
+
+  const nextOtherOrganization = sinon.spy()
+  await user.revokeSessions(Object.assign({}, req, {user: {organizationID: -1}}), {send: sinon.spy()},
+    nextOtherOrganization)
+  t.true(nextOtherOrganization.calledWithMatch(sinon.match.instanceOf(errors.NotFoundError)),
+    'returns error for user of another organization')
+})
+
 test.after.always('Clean up database', async t => {
   await knex('user').where('userID', fixt.user.userID).del()
   await knex('organization')
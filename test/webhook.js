@@ -0,0 +1,161 @@
+const http = require('http')
+const moment = require('moment')
+const errors = require('restify-errors')
+const sinon = require('sinon')
+const test = require('ava')
+
+const fixt = require('./fixtures/webhook')
+const knex = require('./fixtures/knex-instance')
+const webhook = require('../controllers/webhook')
+const webhookService = require('../services/webhook')
+
+// Requests received by the test server, and the status that it responds with
+const received = []
+let responseStatus = 200
+let server
+
+// Create a request as an administrator of the test organization
+const createReq = (body = {}, params = {}) => {
+  return Object.assign({}, fixt.req, {
+    body,
+    params,
+    log: {
+      error: sinon.spy()
+    }
+  })
+}
+
+// Create a response that keeps what is sent
+const createRes = () => ({
+  send: sinon.spy()
+})
+
+test.before(async t => {
+  server = http.createServer((req, res) => {
+    let body = ''
+    req.on('data', chunk => { body += chunk })
+    req.on('end', () => {
+      received.push({headers: req.headers, body})
+      res.statusCode = responseStatus
+      res.end()
+    })
+  })
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+  fixt.create.url = `http://127.0.0.1:${server.address().port}/hook`
+
+  const [organizationID] = await knex('organization').insert(fixt.organization)
+  fixt.organization.organizationID = organizationID
+  fixt.req.user.organizationID = organizationID
+
+  fixt.category.organizationID = organizationID
+  const [categoryID] = await knex('category').insert(fixt.category)
+  fixt.brand.organizationID = organizationID
+  const [brandID] = await knex('brand').insert(fixt.brand)
+  Object.assign(fixt.model, {organizationID, brandID})
+  const [modelID] = await knex('model').insert(fixt.model)
+  Object.assign(fixt.item, {organizationID, categoryID, modelID})
+  await knex('item').insert(fixt.item)
+
+  // Create a rental that ended yesterday
+  Object.assign(fixt.rental, {
+    organizationID,
+    start: moment().utc().subtract(10, 'days').format('YYYY-MM-DD HH:mm:ss'),
+    end: moment().utc().subtract(1, 'days').format('YYYY-MM-DD HH:mm:ss')
+  })
+  const [rentalID] = await knex('rental').insert(fixt.rental)
+  fixt.rental.rentalID = rentalID
+  fixt.returned.rentalID = rentalID
+  await knex('rentalItem').insert({rentalID, barcode: fixt.item.barcode})
+})
+
+test('Sign delivery', t => {
+  const signature = webhookService.sign('secret', 1519275600, '{}')
+  t.true(/^[0-9a-f]{64}$/.test(signature), 'signs with HMAC-SHA256')
+  t.not(signature, webhookService.sign('secret', 1519275601, '{}'), 'signature depends on timestamp')
+})
+
+test('Create webhook with invalid fields', async t => {
+  const nextUnknown = sinon.spy()
+  await webhook.create(createReq(fixt.createUnknownEvent), createRes(), nextUnknown)
+  t.true(nextUnknown.calledWithMatch(sinon.match.instanceOf(errors.BadRequestError)), 'rejects unknown events')
+
+  const nextURL = sinon.spy()
+  await webhook.create(createReq(fixt.createBadURL), createRes(), nextURL)
+  t.true(nextURL.calledWithMatch(sinon.match.instanceOf(errors.BadRequestError)), 'rejects non-http URLs')
+})
+
+test('Check private addresses', t => {
+  for (const address of fixt.privateAddresses) {
+    t.true(webhookService.isPrivateAddress(address), `${address} is private`)
+  }
+  for (const address of fixt.publicAddresses) {
+    t.false(webhookService.isPrivateAddress(address), `${address} is public`)
+  }
+})
+
+test('Create webhook with private URL', async t => {
+  const next = sinon.spy()
+  await webhook.create(createReq(fixt.createPrivateURL), createRes(), next)
+  t.true(next.calledWithMatch(sinon.match.instanceOf(errors.BadRequestError)), 'rejects private URLs')
+  t.true((await knex('webhook').where('url', fixt.createPrivateURL.url)).length === 0, 'does not create webhook')
+})
+
+test.serial('Queue, sign and retry deliveries', async t => {
+  // The test server is on the loopback address
+  const isPrivateAddress = sinon.stub(webhookService, 'isPrivateAddress').returns(false)
+  const res = createRes()
+  const next = sinon.spy()
+  await webhook.create(createReq(fixt.create), res, next)
+  t.false(next.calledWithMatch(sinon.match.instanceOf(Error)), 'does not throw error')
+  const created = res.send.firstCall.args[1]
+  t.deepEqual(created.events, ['rental.overdue', 'rentalItem.returned'], 'adds each event once')
+  t.truthy(created.secret, 'responds with secret')
+
+  // Events that the webhook is not subscribed to are not queued
+  t.deepEqual(await webhookService.queue(fixt.organization.organizationID, 'item.updated', {}), [],
+    'does not queue other events')
+
+  await webhookService.queueOverdue()
+  const [overdueDelivery] = await knex('webhookDelivery').where('webhookID', created.webhookID)
+  t.true(overdueDelivery.event === 'rental.overdue', 'queues overdue rental')
+  t.deepEqual(JSON.parse(overdueDelivery.payload).data.items, [fixt.item.barcode], 'lists overdue items')
+  t.true(await webhookService.deliver(overdueDelivery.webhookDeliveryID) === 'succeeded', 'delivers event')
+
+  const [request] = received
+  t.true(request.headers['stockpile-event'] === 'rental.overdue', 'sends name of event')
+  const [, timestamp, signature] = request.headers['stockpile-signature'].match(/^t=(\d+),v1=([0-9a-f]+)$/)
+  t.true(webhookService.sign(created.secret, timestamp, request.body) === signature, 'signs body')
+
+  await webhookService.queueOverdue()
+  t.true((await knex('webhookDelivery').where('webhookID', created.webhookID)).length === 1,
+    'does not queue overdue rental twice')
+
+  // Fail every attempt
+  responseStatus = 500
+  const [webhookDeliveryID] = await webhookService.queue(fixt.organization.organizationID, 'rentalItem.returned',
+    fixt.returned)
+  t.true(await webhookService.deliver(webhookDeliveryID) === 'pending', 'retries failed delivery')
+  t.true(await webhookService.deliver(webhookDeliveryID) === null, 'does not retry before next attempt')
+  for (let attempt = 0; attempt < webhookService.retryDelays.length; attempt++) {
+    await knex('webhookDelivery').where('webhookDeliveryID', webhookDeliveryID).update({nextAttempt: knex.fn.now()})
+    await webhookService.deliver(webhookDeliveryID)
+  }
+  isPrivateAddress.restore()
+  const failed = await knex('webhookDelivery').where('webhookDeliveryID', webhookDeliveryID).first()
+  t.true(failed.status === 'failed', 'fails after retries run out')
+  t.true(failed.attempts === webhookService.retryDelays.length + 1, 'records attempts')
+  t.true(failed.responseStatus === 500, 'records response status')
+
+  // Keep the spy, since the response's `send` is replaced to parse payloads
+  const send = sinon.spy()
+  await webhook.getDeliveries(createReq({}, {webhookID: created.webhookID, status: 'failed'}), {send}, sinon.spy())
+  const {results} = send.firstCall.args[0]
+  t.true(results.length === 1 && results[0].payload.data.barcode === fixt.item.barcode, 'lists deliveries')
+})
+
+test.after.always(async t => {
+  server.close()
+  // Delete items first because they cause organization cascade delete to fail
+  await knex('item').where('barcode', fixt.item.barcode).del()
+  await knex('organization').where('organizationID', fixt.organization.organizationID).del()
+})